@@ -11,6 +11,8 @@
  */
 
 const Toilet = require('./models/Toilet');
+const openingHours = require('./models/openingHours');
+const fees = require('./models/fees');
 const fetch = require('node-fetch');
 const { v4: uuidv4 } = require('uuid');
 
@@ -128,6 +130,9 @@ class PublicToiletExternalDataIngestionAgent {
                 gender: this.normalizeGender(rawRecord.gender),
                 wheelchair_accessible: this.normalizeWheelchairAccess(rawRecord.wheelchair_accessible),
                 operator: this.normalizeString(rawRecord.operator),
+                opening_hours: this.normalizeString(rawRecord.opening_hours),
+                // Structured fee (models/fees.js); other sources' fee strings are dropped
+                fee: rawRecord.fee && typeof rawRecord.fee === 'object' ? rawRecord.fee : null,
                 verified: rawRecord.verified || false,
                 confidence_score: this.calculateConfidenceScore(rawRecord, source),
                 last_updated: new Date().toISOString()
@@ -278,6 +283,8 @@ class PublicToiletExternalDataIngestionAgent {
                     wheelchair_accessible: element.tags.wheelchair || 'unknown',
                     access: this.mapOSMAccess(element.tags.access),
                     operator: element.tags.operator || null,
+                    opening_hours: element.tags.opening_hours || null,
+                    fee: fees.fromOsmTags(element.tags),
                     source: 'osm_overpass'
                 };
                 
@@ -477,6 +484,9 @@ class PublicToiletExternalDataIngestionAgent {
                         longitude: record.longitude
                     },
                     facilities: this.extractFacilities(record),
+                    // Unsupported opening_hours syntax is left as unknown
+                    openingHours: record.opening_hours ? openingHours.parse(record.opening_hours).hours || null : null,
+                    fee: record.fee,
                     type: 'public',
                     source: record.source,
                     verified: record.verified,
@@ -584,7 +594,7 @@ class PublicToiletExternalDataIngestionAgent {
 
     extractFacilities(record) {
         const facilities = [];
-        if (record.wheelchair_accessible === 'yes') facilities.push('handicap');
+        if (record.wheelchair_accessible === 'yes') facilities.push('wheelchair');
         if (record.gender === 'unisex') facilities.push('unisex');
         if (record.access === 'public') facilities.push('public_access');
         return facilities;
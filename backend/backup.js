@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+// Backup and restore from the command line
+//
+//   node backup.js create                    write a backup of the data directory
+//   node backup.js list                      list backups, newest first
+//   node backup.js verify <backup>           validate an archive
+//   node backup.js restore <backup> [--dry-run]
+//
+// <backup> is a name from `list` or a path to an archive file. create and
+// restore load the data directory themselves, so stop the server first (or
+// use the /api/admin/backups endpoints while it runs).
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const BackupService = require('./services/BackupService');
+const { initializeStorage, getAdapter, STORAGE_CONFIG } = require('./models/adapters');
+
+const usage = 'Usage: node backup.js <create|list|verify|restore> [backup] [--dry-run]';
+
+function readArchive(nameOrPath) {
+    if (!nameOrPath) throw new Error(usage);
+    const file = BackupService.resolve(nameOrPath) || (fs.existsSync(nameOrPath) ? path.resolve(nameOrPath) : null);
+    if (!file) throw new Error(`Backup not found: ${nameOrPath}`);
+    return BackupService.readFile(file);
+}
+
+// Load the persisted data without the scheduled snapshot timer
+async function openStorage() {
+    if (STORAGE_CONFIG.ADAPTER !== 'memory') {
+        throw new Error('Backups require the memory storage adapter');
+    }
+    await initializeStorage({ persistence: { snapshotInterval: -1 } });
+}
+
+function printPlan(plan) {
+    Object.entries(plan).forEach(([name, change]) => {
+        console.log(`  ${name}: ${change.current} -> ${change.backup} (+${change.added} -${change.removed} ~${change.changed})`);
+    });
+}
+
+async function main() {
+    const [command, target] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const dryRun = process.argv.includes('--dry-run');
+
+    switch (command) {
+        case 'create': {
+            await openStorage();
+            const backup = await BackupService.create({ reason: 'manual' });
+            await getAdapter().close();
+            console.log(`Wrote ${path.join(BackupService.DIR, backup.name)} (${backup.size} bytes)`);
+            break;
+        }
+        case 'list': {
+            const backups = BackupService.list();
+            if (backups.length === 0) console.log(`No backups in ${BackupService.DIR}`);
+            backups.forEach(backup => console.log(`${backup.name}  ${backup.reason}  ${backup.size} bytes`));
+            break;
+        }
+        case 'verify': {
+            const archive = readArchive(target);
+            const { errors, warnings } = BackupService.validate(archive);
+            warnings.forEach(warning => console.log(`Warning: ${warning}`));
+            if (errors.length > 0) {
+                errors.forEach(error => console.error(`Error: ${error}`));
+                process.exitCode = 1;
+                break;
+            }
+            console.log(`OK: ${archive.counts.users} users, ${archive.counts.toilets} toilets, ${archive.counts.reviews} reviews from ${archive.createdAt}`);
+            break;
+        }
+        case 'restore': {
+            const archive = readArchive(target);
+            await openStorage();
+            const result = await BackupService.restore(archive, { dryRun });
+            if (result.errors) {
+                await getAdapter().close();
+                result.errors.forEach(error => console.error(`Error: ${error}`));
+                process.exitCode = 1;
+                break;
+            }
+
+            result.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+            console.log(dryRun ? 'Dry run, nothing changed:' : `Restored (previous data saved as ${result.preRestoreBackup}):`);
+            printPlan(result.plan);
+            await getAdapter().close();
+            break;
+        }
+        default:
+            console.error(usage);
+            process.exitCode = 1;
+    }
+}
+
+// Storage keeps timers running, so exit once the command is done
+main()
+    .then(() => process.exit())
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
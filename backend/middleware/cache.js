@@ -77,7 +77,9 @@ const cacheKeys = {
     search: (query, filters) => `search:${query}:${JSON.stringify(filters)}`,
     api: (endpoint, params) => `api:${endpoint}:${JSON.stringify(params)}`,
     session: (token) => `session:${token}`,
-    geojson: (bounds, zoom) => `geojson:${bounds}:${zoom}`
+    geojson: (bounds, zoom) => `geojson:${bounds}:${zoom}`,
+    clusterTile: (tile, types, revision) => `clusters:${revision}:${types.join('+')}:${tile}`,
+    tile: (tile, format, options, revision) => `tile:${revision}:${format}:${JSON.stringify(options)}:${tile}`
 };
 
 // Cache wrapper functions
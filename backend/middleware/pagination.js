@@ -0,0 +1,127 @@
+// Cursor pagination for list endpoints
+// A cursor holds the sort key of the last item on a page and the name of the
+// sort it belongs to, base64url-encoded so clients treat it as opaque. The
+// next page starts strictly after that key, so writes between requests do not
+// shift or repeat items the way offsets do. Every sort ends on `id` so keys
+// are unique.
+
+const sortValue = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value === undefined ? null : value;
+};
+
+// Nulls first in ascending order; numbers numerically, anything else as strings
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : 1;
+};
+
+// sort: [[field, 1 | -1], ...]
+const sortKey = (doc, sort) => sort.map(([field]) => sortValue(doc[field]));
+
+const compareKeys = (a, b, sort) => {
+    for (let i = 0; i < sort.length; i++) {
+        const order = compareValues(a[i], b[i]);
+        if (order !== 0) return order * sort[i][1];
+    }
+    return 0;
+};
+
+const encodeCursor = (sortName, key) => {
+    return Buffer.from(JSON.stringify({ s: sortName, k: key })).toString('base64url');
+};
+
+// Sort key from a cursor, or null when it is malformed or from another sort
+const decodeCursor = (cursor, sortName) => {
+    try {
+        const { s, k } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (s === sortName && Array.isArray(k)) return k;
+    } catch (error) {
+        // Not base64url JSON
+    }
+    return null;
+};
+
+// One page of docs in sort order, starting after the cursor key `after` or
+// at `offset` when there is no cursor. Returns { data, total, hasMore, nextCursor }.
+const paginateDocuments = (docs, { sort, sortName, limit, after = null, offset = 0 }) => {
+    const sorted = docs
+        .map(doc => ({ doc, key: sortKey(doc, sort) }))
+        .sort((a, b) => compareKeys(a.key, b.key, sort));
+
+    let start = offset;
+    if (after) {
+        // Binary search for the first key strictly after the cursor
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (compareKeys(sorted[mid].key, after, sort) <= 0) low = mid + 1;
+            else high = mid;
+        }
+        start = low;
+    }
+
+    const page = sorted.slice(start, start + limit);
+    const hasMore = start + page.length < sorted.length;
+
+    return {
+        data: page.map(entry => entry.doc),
+        total: sorted.length,
+        hasMore,
+        nextCursor: hasMore && page.length > 0 ? encodeCursor(sortName, page[page.length - 1].key) : null
+    };
+};
+
+// Middleware factory: validates limit, cursor and sort into req.pagination.
+// sorts: { name: [[field, order], ...] }, the first being the default.
+// req.pagination.requested is true when the client sent limit or cursor.
+const paginationParams = ({ sorts, defaultLimit = 50, maxLimit = 200 }) => {
+    const sortNames = Object.keys(sorts);
+
+    return (req, res, next) => {
+        const { limit, cursor } = req.query;
+        const sortName = req.query.sort || sortNames[0];
+
+        if (!sorts[sortName]) {
+            return res.status(400).json({ success: false, message: `sort must be one of: ${sortNames.join(', ')}` });
+        }
+
+        let pageLimit = defaultLimit;
+        if (limit !== undefined) {
+            pageLimit = Number(limit);
+            if (!Number.isInteger(pageLimit) || pageLimit < 1) {
+                return res.status(400).json({ success: false, message: 'limit must be a positive integer' });
+            }
+            pageLimit = Math.min(pageLimit, maxLimit);
+        }
+
+        let after = null;
+        if (cursor !== undefined && cursor !== '') {
+            after = decodeCursor(cursor, sortName);
+            if (!after) {
+                return res.status(400).json({ success: false, message: 'Invalid cursor for this sort' });
+            }
+        }
+
+        req.pagination = {
+            requested: limit !== undefined || cursor !== undefined,
+            sort: sorts[sortName],
+            sortName,
+            limit: pageLimit,
+            after
+        };
+        next();
+    };
+};
+
+module.exports = {
+    paginationParams,
+    paginateDocuments,
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Id for correlating a request across logs and the audit log. A well-formed
+// X-Request-Id from a proxy is kept, otherwise a new one is generated; either
+// way it is echoed back in the response header.
+const VALID_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+exports.requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
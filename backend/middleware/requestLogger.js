@@ -0,0 +1,32 @@
+// Logs each request and its response time. Bodies of writes are logged too,
+// with passwords and tokens masked: a refresh token in the logs would let
+// anyone who reads them take over the session.
+const REDACTED_FIELDS = ['password', 'token', 'refreshToken', 'inviteToken'];
+
+const redact = (key, value) => (REDACTED_FIELDS.includes(key) && value !== undefined ? '[REDACTED]' : value);
+
+// Routes taking whole files (imports up to 10 MB, backup archives holding
+// password hashes); only the names of their body fields are logged
+const BULK_ROUTES = ['/api/toilet/import', '/api/admin/backups'];
+
+exports.requestLogger = (req, res, next) => {
+    const startTime = Date.now();
+    console.log(`[REQUEST] ${req.method} ${req.path} - IP: ${req.ip} - ID: ${req.id}`);
+
+    if (req.method !== 'GET' && req.body && Object.keys(req.body).length > 0) {
+        if (BULK_ROUTES.some(route => req.path.startsWith(route))) {
+            console.log(`[REQUEST] Body fields: ${Object.keys(req.body).join(', ')}`);
+        } else {
+            console.log(`[REQUEST] Body:`, JSON.stringify(req.body, redact, 2));
+        }
+    }
+
+    const originalJson = res.json;
+    res.json = function(data) {
+        const duration = Date.now() - startTime;
+        console.log(`[RESPONSE] ${req.method} ${req.path} - Status: ${res.statusCode} - Duration: ${duration}ms`);
+        return originalJson.call(this, data);
+    };
+
+    next();
+};
@@ -0,0 +1,52 @@
+// Multipart photo uploads
+// Files are kept in memory for PhotoService to validate and re-encode, and
+// text fields land in req.body as strings. Requests that are not multipart
+// pass through untouched, so routes can take JSON as well.
+
+const multer = require('multer');
+const PhotoService = require('../services/PhotoService');
+
+const LIMIT_MESSAGES = {
+    LIMIT_FILE_SIZE: () => `Photos must be at most ${PhotoService.MAX_BYTES / (1024 * 1024)} MB each`,
+    LIMIT_FILE_COUNT: () => `At most ${PhotoService.MAX_FILES} photos can be uploaded at once`,
+    LIMIT_UNEXPECTED_FILE: (err) => `Unexpected file field: ${err.field}`
+};
+
+/**
+ * Accept up to PhotoService.MAX_FILES photos in one form field
+ * @param {string} field - Form field holding the files
+ * @returns {Function} Express middleware setting req.files
+ */
+const photoUpload = (field = 'photos') => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: PhotoService.MAX_BYTES, files: PhotoService.MAX_FILES, fields: 50 }
+    }).array(field, PhotoService.MAX_FILES);
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (!err) return next();
+            if (!(err instanceof multer.MulterError)) return next(err);
+
+            console.log(`[UPLOAD] Rejected upload: ${err.code}`);
+            const message = LIMIT_MESSAGES[err.code] ? LIMIT_MESSAGES[err.code](err) : err.message;
+            res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, message });
+        });
+    };
+};
+
+// Multipart forms send numbers as strings; convert the given fields so the
+// JSON validators apply unchanged
+const multipartNumbers = (...fields) => (req, res, next) => {
+    if (req.is('multipart/form-data')) {
+        fields.forEach(field => {
+            const value = req.body[field];
+            if (typeof value === 'string' && value.trim() !== '') {
+                req.body[field] = Number(value);
+            }
+        });
+    }
+    next();
+};
+
+module.exports = { photoUpload, multipartNumbers };
@@ -1,5 +1,8 @@
 // Input validation middleware utilities
 
+const facilityTaxonomy = require('../models/facilityTaxonomy');
+const { TYPES: INCIDENT_TYPES } = require('../models/Incident');
+
 const validateEmail = (email) => {
     const emailRegex = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
     return emailRegex.test(email) && email.length <= 100;
@@ -38,8 +41,10 @@ const validateToiletData = (data) => {
         errors.push('Coordinates must be valid latitude/longitude values');
     }
     
-    if (data.facilities && !Array.isArray(data.facilities)) {
-        errors.push('Facilities must be an array');
+    // Aliases pass; callers store facilityTaxonomy.normalize(data.facilities)
+    if (data.facilities) {
+        const facilities = facilityTaxonomy.normalize(data.facilities);
+        if (facilities.errors) errors.push(...facilities.errors);
     }
     
     if (data.type && !['public', 'private'].includes(data.type)) {
@@ -91,6 +96,25 @@ const validateReviewData = (data) => {
     };
 };
 
+const validateIncidentData = (data) => {
+    const errors = [];
+
+    if (!data.type) {
+        errors.push('type is required');
+    } else if (!INCIDENT_TYPES.some(type => type.id === data.type)) {
+        errors.push(`type must be one of: ${INCIDENT_TYPES.map(type => type.id).join(', ')}`);
+    }
+
+    if (data.note !== undefined && data.note !== null && typeof data.note !== 'string') {
+        errors.push('Note must be a string');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
 // Middleware factory functions
 const validateBody = (validator) => {
     return (req, res, next) => {
@@ -122,6 +146,7 @@ module.exports = {
     validateRating,
     validateToiletData,
     validateReviewData,
+    validateIncidentData,
     validateBody,
     sanitizeString
 };
\ No newline at end of file
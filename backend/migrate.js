@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+// Data migrations from the command line
+//
+//   node migrate.js facilities [--dry-run]   rewrite toilet facilities in taxonomy ids
+//
+// Loads the data directory itself, so stop the server first.
+
+require('dotenv').config();
+
+const FacilityMigrationService = require('./services/FacilityMigrationService');
+const { initializeStorage, getAdapter } = require('./models/adapters');
+
+const usage = 'Usage: node migrate.js facilities [--dry-run]';
+
+function printCounts(title, counts) {
+    const entries = Object.entries(counts);
+    if (entries.length === 0) return;
+    console.log(`${title}:`);
+    entries.forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+}
+
+async function main() {
+    const [command] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const dryRun = process.argv.includes('--dry-run');
+
+    switch (command) {
+        case 'facilities': {
+            await initializeStorage({ persistence: { snapshotInterval: -1 } });
+            const report = await FacilityMigrationService.migrate({ dryRun });
+            await getAdapter().close();
+
+            console.log(`${dryRun ? 'Dry run, nothing changed: ' : ''}${report.changed} of ${report.scanned} toilets ${dryRun ? 'would change' : 'updated'}`);
+            printCounts('Mapped', report.mapped);
+            printCounts('Dropped (not in the taxonomy)', report.dropped);
+            break;
+        }
+        default:
+            console.error(usage);
+            process.exitCode = 1;
+    }
+}
+
+// Storage keeps timers running, so exit once the command is done
+main()
+    .then(() => process.exit())
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,15 @@
+// Audit log of administrative and data-changing actions
+// Append-only: AuditService inserts entries and nothing updates or deletes
+// them. An entry is
+// { id, action, actorId, actorEmail, actorRole, targetType, targetId,
+//   before, after, details, ip, requestId, userAgent, createdAt }
+// where `before`/`after` are snapshots of the target around the change
+// (null for creations and deletions respectively) and `details` holds
+// action-specific data such as an import summary.
+
+const { audit } = require('./storage');
+const persistence = require('./persistence');
+
+persistence.registerModel('audit', audit);
+
+module.exports = { audit };
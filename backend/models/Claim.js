@@ -0,0 +1,78 @@
+// Ownership claims on private toilets
+// A business that runs a toilet (a mall, a restaurant, a petrol pump) asks to
+// manage it. A claim is { id, toiletId, userId, status, evidence, createdAt,
+//   reviewedAt, reviewedBy, decisionNote }
+// where `evidence` is { businessName, contactName, phone, documentUrl, note }
+// for the admin reviewing it. Approving a claim makes the user an operator of
+// the toilet; revoking an approved claim takes that back (see
+// services/ClaimService.js).
+
+const { claims } = require('./storage');
+const persistence = require('./persistence');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'revoked'];
+
+// Evidence fields with their length limits; businessName and phone are required
+const EVIDENCE_FIELDS = {
+    businessName: 100,
+    contactName: 100,
+    phone: 30,
+    documentUrl: 500,
+    note: 1000
+};
+const REQUIRED_EVIDENCE = ['businessName', 'phone'];
+
+/**
+ * Validate the evidence sent with a claim
+ * @param {Object} value - { businessName, contactName?, phone, documentUrl?, note? }
+ * @returns {Object} { evidence } with every field (null when not given), or { errors }
+ */
+const normalizeEvidence = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { errors: ['Evidence must be an object'] };
+    }
+
+    const errors = [];
+    const evidence = {};
+    Object.entries(EVIDENCE_FIELDS).forEach(([field, maxLength]) => {
+        const raw = value[field];
+        if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+            errors.push(`${field} must be text`);
+            return;
+        }
+        const text = typeof raw === 'string' ? raw.trim() : '';
+        if (!text && REQUIRED_EVIDENCE.includes(field)) {
+            errors.push(`${field} is required`);
+        } else if (text.length > maxLength) {
+            errors.push(`${field} must be at most ${maxLength} characters`);
+        }
+        evidence[field] = text || null;
+    });
+
+    if (evidence.documentUrl && !/^https?:\/\/\S+$/i.test(evidence.documentUrl)) {
+        errors.push('documentUrl must be an http(s) link');
+    }
+
+    return errors.length > 0 ? { errors } : { evidence };
+};
+
+const toObject = (claim) => ({
+    id: claim.id,
+    toiletId: claim.toiletId,
+    userId: claim.userId,
+    status: claim.status,
+    evidence: claim.evidence,
+    createdAt: claim.createdAt,
+    reviewedAt: claim.reviewedAt || null,
+    reviewedBy: claim.reviewedBy || null,
+    decisionNote: claim.decisionNote || null
+});
+
+persistence.registerModel('claims', claims);
+
+module.exports = {
+    STATUSES,
+    EVIDENCE_FIELDS,
+    normalizeEvidence,
+    toObject
+};
@@ -0,0 +1,103 @@
+// Crowd-reported incidents
+// A quick report that something is wrong with a toilet ("locked", "no water")
+// without writing a review. An incident is { id, toiletId, type, status, note,
+//   reports, createdAt, lastReportedAt, expiredAt, resolvedAt, resolvedBy, resolution }
+// where `reports` is [{ reporter, userId, at }] with one entry per reporter
+// (a user id or a hash of the IP address); reporting the same problem again
+// while it is open confirms it instead of opening a second incident.
+//
+// Reports decay: each counts 1 when made and half as much after every
+// `halfLifeHours` of its type, and an incident whose reports add up to less
+// than ACTIVE_WEIGHT has expired. A toilet's live status is worked out from
+// its active incidents when it is read, so it follows the clock; the status
+// field only moves from `open` to `resolved` (by an admin or one of the
+// toilet's operators) or `expired` (by IncidentService's sweep, for the admin
+// listing).
+
+const { incidents } = require('./storage');
+const persistence = require('./persistence');
+
+const HOUR = 60 * 60 * 1000;
+
+// severity: 'unavailable' types make a toilet unusable once confirmed,
+// 'degraded' ones only mark it as having problems
+const TYPES = [
+    { id: 'locked', name: 'Locked', icon: '🔒', severity: 'unavailable', halfLifeHours: 4 },
+    { id: 'out_of_order', name: 'Out of order', icon: '🚫', severity: 'unavailable', halfLifeHours: 24 },
+    { id: 'flooded', name: 'Flooded', icon: '🌊', severity: 'unavailable', halfLifeHours: 8 },
+    { id: 'no_water', name: 'No water', icon: '🚱', severity: 'degraded', halfLifeHours: 8 },
+    { id: 'no_paper', name: 'No toilet paper', icon: '🧻', severity: 'degraded', halfLifeHours: 6 },
+    { id: 'no_light', name: 'No lights', icon: '💡', severity: 'degraded', halfLifeHours: 12 },
+    { id: 'dirty', name: 'Very dirty', icon: '🤢', severity: 'degraded', halfLifeHours: 4 }
+];
+
+const STATUSES = ['open', 'resolved', 'expired'];
+const LIVE_STATES = ['ok', 'degraded', 'unavailable'];
+
+const ACTIVE_WEIGHT = 0.5; // a single report stays active for one half-life
+const CONFIRMED_WEIGHT = 1.5; // about two recent reports
+
+const findType = (id) => TYPES.find(type => type.id === id) || null;
+
+const halfLife = (incident) => (findType(incident.type)?.halfLifeHours || 6) * HOUR;
+
+// Sum of the reports' decayed weights at `now`
+const weight = (incident, now = new Date()) => incident.reports.reduce((sum, report) => {
+    const age = Math.max(0, now.getTime() - new Date(report.at).getTime());
+    return sum + Math.pow(0.5, age / halfLife(incident));
+}, 0);
+
+const isActive = (incident, now = new Date()) => incident.status === 'open' && weight(incident, now) >= ACTIVE_WEIGHT;
+
+// An incident as returned by the API; reporter keys stay private. `expiresAt`
+// is when it stops being active unless it is reported again.
+const toObject = (incident, now = new Date()) => {
+    const current = weight(incident, now);
+    const active = incident.status === 'open' && current >= ACTIVE_WEIGHT;
+    return {
+        id: incident.id,
+        toiletId: incident.toiletId,
+        type: incident.type,
+        status: incident.status,
+        note: incident.note,
+        reports: incident.reports.length,
+        active,
+        confirmed: active && current >= CONFIRMED_WEIGHT,
+        expiresAt: active ? new Date(now.getTime() + halfLife(incident) * Math.log2(current / ACTIVE_WEIGHT)) : null,
+        createdAt: incident.createdAt,
+        lastReportedAt: incident.lastReportedAt,
+        expiredAt: incident.expiredAt || null,
+        resolvedAt: incident.resolvedAt || null,
+        resolution: incident.resolution || null
+    };
+};
+
+/**
+ * A toilet's live status from its incidents
+ * @param {Array} toiletIncidents - The toilet's incident records (inactive ones are skipped)
+ * @returns {Object} { state: 'ok'|'degraded'|'unavailable', incidents: [{ id, type, reports, confirmed, lastReportedAt }] }
+ */
+const liveStatus = (toiletIncidents = [], now = new Date()) => {
+    const active = toiletIncidents.map(incident => toObject(incident, now)).filter(incident => incident.active);
+    const unavailable = active.some(incident => incident.confirmed && findType(incident.type)?.severity === 'unavailable');
+
+    return {
+        state: unavailable ? 'unavailable' : active.length > 0 ? 'degraded' : 'ok',
+        incidents: active.map(({ id, type, reports, confirmed, lastReportedAt }) => ({ id, type, reports, confirmed, lastReportedAt }))
+    };
+};
+
+persistence.registerModel('incidents', incidents);
+
+module.exports = {
+    TYPES,
+    STATUSES,
+    LIVE_STATES,
+    ACTIVE_WEIGHT,
+    CONFIRMED_WEIGHT,
+    findType,
+    weight,
+    isActive,
+    toObject,
+    liveStatus
+};
@@ -0,0 +1,35 @@
+// Toilet and review photos
+// A photo is { id, toiletId, reviewId, status, width, height, size, uploadedBy,
+//   moderatedBy, moderatedAt, rejectionReason, createdAt }
+// where `reviewId` is null for photos added to the toilet itself. The image
+// and its thumbnail are JPEG files kept on disk by PhotoService; the record
+// only describes them. Photos submitted with reviews wait for moderation and
+// are shown once approved.
+
+const { photos } = require('./storage');
+const persistence = require('./persistence');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+// Public image URLs of a photo; admins read unapproved ones through
+// /api/admin/photos/:id/(image|thumbnail)
+const imageUrl = (id) => `/api/toilet/photos/${id}`;
+const thumbnailUrl = (id) => `/api/toilet/photos/${id}/thumbnail`;
+
+// A photo as returned by the API
+const toObject = (photo) => ({
+    id: photo.id,
+    toiletId: photo.toiletId,
+    reviewId: photo.reviewId,
+    status: photo.status,
+    width: photo.width,
+    height: photo.height,
+    url: imageUrl(photo.id),
+    thumbnailUrl: thumbnailUrl(photo.id),
+    rejectionReason: photo.rejectionReason,
+    createdAt: photo.createdAt
+});
+
+persistence.registerModel('photos', photos);
+
+module.exports = { STATUSES, toObject };
@@ -1,4 +1,6 @@
 const { reviews } = require('./storage');
+const persistence = require('./persistence');
+const { getAdapter } = require('./adapters');
 
 class Review {
     constructor(data) {
@@ -9,26 +11,24 @@ class Review {
         this.maintenance = data.maintenance;
         this.accessibility = data.accessibility;
         this.comment = data.comment ? data.comment.trim() : '';
+        // Signed-in author, who may change the review; null when anonymous
+        this.userId = data.userId || null;
         this.createdAt = data.createdAt || new Date();
     }
 
     async save() {
-        const index = reviews.findIndex(r => r.id === this.id);
-        if (index > -1) {
-            reviews[index] = this;
+        const adapter = getAdapter();
+        const existing = await adapter.findById('reviews', this.id);
+        if (existing) {
+            await adapter.update('reviews', this.id, { ...this });
         } else {
-            reviews.push(this);
+            await adapter.insert('reviews', this);
         }
         return this;
     }
 
     async remove() {
-        const index = reviews.findIndex(r => r.id === this.id);
-        if (index > -1) {
-            reviews.splice(index, 1);
-            return true;
-        }
-        return false;
+        return getAdapter().delete('reviews', this.id);
     }
 
     toObject() {
@@ -45,38 +45,39 @@ class Review {
     }
 
     static async find(query = {}) {
-        return reviews.filter(r => {
-            for (let key in query) {
-                if (r[key] !== query[key]) return false;
-            }
-            return true;
-        }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const results = await getAdapter().find('reviews', query, { sort: { createdAt: -1 } });
+        return results.map(hydrate);
     }
 
     static async findById(id) {
-        return reviews.find(r => r.id === id);
+        const review = await getAdapter().findById('reviews', id);
+        return review ? hydrate(review) : undefined;
     }
 
-    static async countDocuments() {
-        return reviews.length;
+    static async countDocuments(query = {}) {
+        return getAdapter().count('reviews', query);
     }
 
     static async aggregate(pipeline) {
-        // Simple aggregation for average ratings
-        if (pipeline[0].$group) {
-            const group = pipeline[0].$group;
-            if (group._id === null) {
-                const result = {
-                    avgRating: reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length || 0,
-                    avgCleanliness: reviews.reduce((sum, r) => sum + r.cleanliness, 0) / reviews.length || 0,
-                    avgMaintenance: reviews.reduce((sum, r) => sum + r.maintenance, 0) / reviews.length || 0,
-                    avgAccessibility: reviews.reduce((sum, r) => sum + r.accessibility, 0) / reviews.length || 0
-                };
-                return [result];
-            }
+        // Global averages keep their historical shape (zeros when there are no reviews)
+        if (pipeline[0] && pipeline[0].$group && pipeline[0].$group._id === null) {
+            const all = await getAdapter().find('reviews');
+            const average = (field) => all.reduce((sum, r) => sum + r[field], 0) / all.length || 0;
+            return [{
+                avgRating: average('rating'),
+                avgCleanliness: average('cleanliness'),
+                avgMaintenance: average('maintenance'),
+                avgAccessibility: average('accessibility')
+            }];
         }
-        return [];
+        return getAdapter().aggregate('reviews', pipeline);
     }
 }
 
+function hydrate(data) {
+    return data instanceof Review ? data : Object.assign(new Review(data), data);
+}
+
+persistence.registerModel('reviews', reviews, (data) => Object.assign(new Review(data), data));
+
 module.exports = Review;
@@ -0,0 +1,35 @@
+// Sign-in sessions
+// Each login starts a session: { id, userId, refreshHash, rotatedHashes,
+//   createdAt, lastUsedAt, expiresAt, revokedAt, revokedReason, ip, userAgent }
+// Access tokens name their session (`sid`) and stop working once it is
+// revoked or expired. The refresh token is "<session id>.<secret>"; only the
+// SHA-256 of the secret is kept, and each refresh swaps it for a new one
+// (see services/SessionService.js).
+
+const { sessions } = require('./storage');
+const persistence = require('./persistence');
+
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse'];
+
+const isActive = (session, now = new Date()) => {
+    return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+};
+
+// What a user sees of their sessions; `current` marks the one asking
+const toObject = (session, currentId = null) => ({
+    id: session.id,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    ip: session.ip || null,
+    userAgent: session.userAgent || null,
+    current: session.id === currentId
+});
+
+persistence.registerModel('sessions', sessions);
+
+module.exports = {
+    REVOKE_REASONS,
+    isActive,
+    toObject
+};
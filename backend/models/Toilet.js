@@ -1,4 +1,8 @@
 const storage = require('./storage');
+const persistence = require('./persistence');
+const { getAdapter } = require('./adapters');
+const { splitQuery } = require('./adapters/query');
+const { recordRevision, trackedFields } = require('./ToiletRevision');
 
 class Toilet {
     constructor(data) {
@@ -8,8 +12,20 @@ class Toilet {
         this.description = data.description ? data.description.trim() : '';
         this.coordinates = data.coordinates;
         this.facilities = data.facilities || [];
+        // Structured opening hours (see models/openingHours.js); null when unknown
+        this.openingHours = data.openingHours || null;
+        // Structured fee and payment methods (see models/fees.js); null when unknown
+        this.fee = data.fee || null;
+        // Temporary closure windows (see models/closures.js)
+        this.closures = data.closures || [];
+        // Users who manage the toilet for the business running it, added when
+        // their ownership claim is approved (see models/Claim.js)
+        this.operatorIds = data.operatorIds || [];
         this.averageRating = data.averageRating || 0;
         this.totalReviews = data.totalReviews || 0;
+        // Running review sums ({ count, sums }) maintained by ReviewAggregationService
+        this.ratingStats = data.ratingStats || null;
+        this.categoryRatings = data.categoryRatings || { overall: 0, cleanliness: 0, maintenance: 0, accessibility: 0 };
         this.createdAt = data.createdAt || new Date();
         this.updatedAt = data.updatedAt || new Date();
 
@@ -23,63 +39,26 @@ class Toilet {
 
     async save() {
         this.updatedAt = new Date();
+        const adapter = getAdapter();
         // Check if toilet exists
-        const existing = storage.toilets.findById(this.id);
+        const existing = await adapter.findById('toilets', this.id);
         if (existing) {
             // Update existing toilet
-            Object.assign(existing, this);
+            await adapter.update('toilets', this.id, { ...this });
         } else {
             // Add new toilet
-            storage.toilets.push(this);
+            await adapter.insert('toilets', this);
         }
         return this;
     }
 
     async remove() {
         try {
-            const existing = storage.toilets.findById(this.id);
-            if (existing) {
-                // Get the toilets array reference from storage
-                const { toilets: storageToilets } = require('./storage');
-                
-                // Remove from main array
-                const index = storageToilets.findIndex(t => t.id === this.id);
-                if (index > -1) {
-                    storageToilets.splice(index, 1);
-                    
-                    // Update indexes if available
-                    if (storage.performanceMonitor && storage.toiletOperations) {
-                        const { toiletIndexes } = require('./storage');
-                        
-                        // Remove from type index
-                        if (toiletIndexes.byType.has(this.type)) {
-                            toiletIndexes.byType.get(this.type).delete(this.id);
-                        }
-                        
-                        // Remove from source index
-                        if (this.source && toiletIndexes.bySource.has(this.source)) {
-                            toiletIndexes.bySource.get(this.source).delete(this.id);
-                        }
-                        
-                        // Extract city and update location index
-                        const { toiletOperations } = require('./storage');
-                        const city = toiletOperations.extractCity(this.location);
-                        if (city && toiletIndexes.byLocation.has(city)) {
-                            toiletIndexes.byLocation.get(city).delete(this.id);
-                        }
-                        
-                        // Remove from search index
-                        toiletIndexes.searchIndex.delete(this.id);
-                        
-                        // Remove from ID map
-                        if (storage.toiletOperations && storage.toiletOperations.idMap) {
-                            storage.toiletOperations.idMap.delete(this.id);
-                        }
-                    }
-                    
-                    console.log(`[TOILET] Successfully removed toilet ${this.id} from storage`);
-                    return true;
-                }
+            // Index cleanup happens in the storage layer
+            const removed = await getAdapter().delete('toilets', this.id);
+            if (removed) {
+                console.log(`[TOILET] Successfully removed toilet ${this.id} from storage`);
+                return true;
             }
             console.log(`[TOILET] Toilet ${this.id} not found for removal`);
             return false;
@@ -97,8 +76,12 @@ class Toilet {
             description: this.description,
             coordinates: this.coordinates,
             facilities: this.facilities,
+            openingHours: this.openingHours,
+            fee: this.fee,
+            closures: this.closures,
             averageRating: this.averageRating,
             totalReviews: this.totalReviews,
+            categoryRatings: this.categoryRatings,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
             type: this.type,
@@ -109,34 +92,16 @@ class Toilet {
         };
     }
 
+    // Legacy callers mix sort/limit/skip into the query object
     static async find(query = {}) {
-        let results = storage.toilets.find(query);
-
-        // Handle sorting if specified in query
-        if (query.sort) {
-            results.sort((a, b) => {
-                for (const [field, order] of Object.entries(query.sort)) {
-                    const aVal = a[field] || 0;
-                    const bVal = b[field] || 0;
-                    if (aVal !== bVal) {
-                        return order === 1 ? aVal - bVal : bVal - aVal;
-                    }
-                }
-                return 0;
-            });
-        }
-
-        // Handle limiting
-        if (query.limit) {
-            const skip = query.skip || 0;
-            results = results.slice(skip, skip + query.limit);
-        }
-
-        return results;
+        const { filter, options } = splitQuery(query);
+        const results = await getAdapter().find('toilets', filter, options);
+        return results.map(hydrate);
     }
 
-    static async findById(id) {
-        const toiletData = storage.toilets.findById(id);
+    // { promote: false } for reads that should leave archived toilets archived
+    static async findById(id, options = {}) {
+        const toiletData = await getAdapter().findById('toilets', id, options);
         if (!toiletData) return null;
 
         // Return a new Toilet instance with the found data
@@ -147,19 +112,69 @@ class Toilet {
     }
 
     static async findOne(query = {}) {
-        const results = await storage.toilets.find(query);
-        return results.length > 0 ? results[0] : null;
+        const toilet = await getAdapter().findOne('toilets', query);
+        return toilet ? hydrate(toilet) : null;
+    }
+
+    /**
+     * Apply changes to a toilet and store the revision in the same transaction
+     * @param {Object} options - { source: 'admin' | 'sync' | 'system', actorId } for the revision
+     */
+    static async findByIdAndUpdate(id, update, options = {}) {
+        const changes = { ...update };
+        delete changes.id; // a toilet keeps its id
+        const toilet = await getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('toilets', id);
+            if (!existing) return null;
+
+            const before = trackedFields(existing);
+            const updated = await tx.update('toilets', id, { ...changes, updatedAt: new Date() });
+            await recordRevision(tx, before, trackedFields(updated), options);
+            return updated;
+        });
+        return toilet ? hydrate(toilet) : null;
     }
 
-    static async findByIdAndUpdate(id, update) {
-        const toilet = storage.toilets.findById(id);
-        if (toilet) {
-            Object.assign(toilet, update);
-            toilet.updatedAt = new Date();
-            return toilet;
+    // Matching toilets in id order, options.batchSize at a time
+    static async * iterate(query = {}, options = {}) {
+        for await (const batch of getAdapter().iterate('toilets', splitQuery(query).filter, options)) {
+            yield batch.map(hydrate);
         }
-        return null;
+    }
+
+    static async countDocuments(query = {}) {
+        return getAdapter().count('toilets', splitQuery(query).filter);
+    }
+
+    static async aggregate(pipeline) {
+        return getAdapter().aggregate('toilets', pipeline);
+    }
+
+    // Changes on every toilet write; used to key caches of derived map data
+    static revision() {
+        return getAdapter().revision('toilets');
+    }
+
+    // Ranked text search; each result carries a relevance `score`.
+    // options: { query, limit }
+    static async search(text, options = {}) {
+        const results = await getAdapter().search('toilets', text, options);
+        return results.map(hydrate);
+    }
+
+    // Toilets within maxDistance meters of center, closest first, each with a
+    // `distance` in meters. options: { query, skip, limit }
+    static async findNear(center, maxDistance = Infinity, options = {}) {
+        const results = await getAdapter().findNear('toilets', center, maxDistance, options);
+        return results.map(hydrate);
     }
 }
 
+// Adapters that store plain documents (SQLite) return them without the prototype
+function hydrate(data) {
+    return data instanceof Toilet ? data : Object.assign(new Toilet(data), data);
+}
+
+persistence.registerModel('toilets', storage.toilets, (data) => Object.assign(new Toilet(data), data));
+
 module.exports = Toilet;
@@ -0,0 +1,69 @@
+// Toilet revision history
+// Every change to a toilet's descriptive fields is stored as a revision
+// { id, toiletId, number, changes: [{ field, from, to }], source, actorId,
+//   rolledBackTo, createdAt }
+// numbered from 1 per toilet. Derived fields (ratings, timestamps) are not
+// tracked, so review activity and sync bookkeeping do not add revisions.
+// Revision 0 is the toilet as it was before its first recorded change.
+
+const { revisions } = require('./storage');
+const persistence = require('./persistence');
+
+const TRACKED_FIELDS = [
+    'name', 'location', 'description', 'coordinates', 'facilities',
+    'openingHours', 'fee', 'closures', 'type', 'source', 'sourceId', 'verified'
+];
+
+// Where a change came from
+const SOURCES = ['admin', 'operator', 'sync', 'rollback', 'migration', 'system'];
+
+// JSON-clean copy so stored values cannot be changed through the record
+const copy = (value) => value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// Field-level changes between two versions of a toilet
+const diffToilet = (before, after) => {
+    return TRACKED_FIELDS
+        .filter(field => field in after)
+        .filter(field => JSON.stringify(copy(before[field])) !== JSON.stringify(copy(after[field])))
+        .map(field => ({ field, from: copy(before[field]), to: copy(after[field]) }));
+};
+
+/**
+ * Store a revision for a toilet write inside a storage transaction
+ * @param {Object} tx - Transaction from adapter.transaction()
+ * @param {Object} before - Tracked fields before the write
+ * @param {Object} after - Tracked fields after the write
+ * @param {Object} meta - { source, actorId, rolledBackTo }
+ * @returns {Promise<Object|null>} The revision, or null when nothing tracked changed
+ */
+const recordRevision = async (tx, before, after, { source = 'system', actorId = null, rolledBackTo = null } = {}) => {
+    const changes = diffToilet(before, after);
+    if (changes.length === 0) return null;
+
+    const history = await tx.find('revisions', { toiletId: before.id });
+    const revision = {
+        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+        toiletId: before.id,
+        number: history.reduce((max, entry) => Math.max(max, entry.number), 0) + 1,
+        changes,
+        source,
+        actorId,
+        rolledBackTo,
+        createdAt: new Date()
+    };
+    await tx.insert('revisions', revision);
+    return revision;
+};
+
+// Tracked fields of a toilet, detached from the stored record
+const trackedFields = (toilet) => {
+    const fields = { id: toilet.id };
+    TRACKED_FIELDS.forEach(field => {
+        fields[field] = copy(toilet[field]);
+    });
+    return fields;
+};
+
+persistence.registerModel('revisions', revisions);
+
+module.exports = { TRACKED_FIELDS, SOURCES, diffToilet, recordRevision, trackedFields };
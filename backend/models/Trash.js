@@ -0,0 +1,17 @@
+// Soft-deleted toilets and reviews
+// Deleting a toilet or review moves it into the trash collection, out of its
+// own collection and every index, so live queries never see it. An entry is
+// { id, collection, recordId, record, deletedAt, deletedBy, cascadedFrom }:
+// `record` is the document as it was (plus deletedAt/deletedBy) and
+// `cascadedFrom` is the toilet id for reviews trashed along with their toilet.
+// TrashService restores and purges entries.
+
+const { trash } = require('./storage');
+const persistence = require('./persistence');
+
+// Entry id; a record is in the trash at most once
+const trashId = (collection, recordId) => `${collection}:${recordId}`;
+
+persistence.registerModel('trash', trash);
+
+module.exports = { trashId };
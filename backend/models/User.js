@@ -1,5 +1,7 @@
 const bcrypt = require('bcryptjs');
 const { users } = require('./storage');
+const persistence = require('./persistence');
+const { getAdapter } = require('./adapters');
 
 class User {
     constructor(data) {
@@ -16,17 +18,17 @@ class User {
             const salt = await bcrypt.genSalt(10);
             this.password = await bcrypt.hash(this.password, salt);
         }
+        const adapter = getAdapter();
         // Check unique email
-        const existing = users.find(u => u.email === this.email && u.id !== this.id);
+        const existing = await adapter.findOne('users', { email: this.email, id: { $ne: this.id } });
         if (existing) {
             throw new Error('Email already exists');
         }
         // Add or update
-        const index = users.findIndex(u => u.id === this.id);
-        if (index > -1) {
-            users[index] = this;
+        if (await adapter.findById('users', this.id)) {
+            await adapter.update('users', this.id, { ...this });
         } else {
-            users.push(this);
+            await adapter.insert('users', this);
         }
         return this;
     }
@@ -45,26 +47,25 @@ class User {
     }
 
     static async findOne(query) {
-        return users.find(u => {
-            for (let key in query) {
-                if (u[key] !== query[key]) return false;
-            }
-            return true;
-        });
+        const user = await getAdapter().findOne('users', query);
+        return user ? hydrate(user) : undefined;
     }
 
     static async findById(id) {
-        return users.find(u => u.id === id);
+        const user = await getAdapter().findById('users', id);
+        return user ? hydrate(user) : undefined;
     }
 
     static async findByIdAndUpdate(id, update) {
-        const user = users.find(u => u.id === id);
-        if (user) {
-            Object.assign(user, update);
-            return user;
-        }
-        return null;
+        const user = await getAdapter().update('users', id, update);
+        return user ? hydrate(user) : null;
     }
 }
 
+function hydrate(data) {
+    return data instanceof User ? data : Object.assign(new User(data), data);
+}
+
+persistence.registerModel('users', users, (data) => Object.assign(new User(data), data));
+
 module.exports = User;
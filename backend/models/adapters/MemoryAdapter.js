@@ -0,0 +1,307 @@
+// In-memory storage adapter
+// Wraps the arrays and indexes in ../storage.js; durability comes from the
+// WAL/snapshot persistence layer when enabled, and toilets evicted from memory
+// live in the on-disk archive tier.
+
+const StorageAdapter = require('./StorageAdapter');
+const storage = require('../storage');
+const persistence = require('../persistence');
+const toiletArchive = require('../archive');
+const {
+    matchesQuery,
+    sortDocuments,
+    paginate,
+    applyPipeline,
+    extractBounds,
+    extractNear
+} = require('./query');
+
+class MemoryAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'memory';
+        this.collections = {
+            users: storage.users,
+            toilets: storage.toilets,
+            reviews: storage.reviews,
+            trash: storage.trash,
+            audit: storage.audit,
+            revisions: storage.revisions,
+            photos: storage.photos,
+            incidents: storage.incidents,
+            claims: storage.claims,
+            sessions: storage.sessions
+        };
+    }
+
+    // Restores persisted data when options.persist is set, then opens the
+    // cold tier when options.archive is set ({ filename } or true)
+    async connect() {
+        if (this.options.persist) {
+            await persistence.init(this.options.persistence || {});
+        }
+        if (this.options.archive) {
+            await toiletArchive.open(typeof this.options.archive === 'object' ? this.options.archive : {});
+        }
+    }
+
+    async close() {
+        await persistence.close();
+        await toiletArchive.close();
+    }
+
+    records(collection) {
+        this.assertCollection(collection);
+        return this.collections[collection];
+    }
+
+    // Narrow the candidate set with the toilet indexes before filtering
+    toiletCandidates(query) {
+        const { toiletOperations } = storage;
+        const near = extractNear(query);
+        const bounds = extractBounds(query);
+
+        if (near) {
+            return this.nearWithDistance(near.latitude, near.longitude, near.maxDistance).map(({ doc }) => doc);
+        }
+        if (bounds) {
+            return toiletOperations.findInBounds(bounds.south, bounds.west, bounds.north, bounds.east, Infinity);
+        }
+        if (typeof query.type === 'string') {
+            return toiletOperations.findByType(query.type);
+        }
+        if (query.type && Array.isArray(query.type.$in)) {
+            return query.type.$in.flatMap(type => toiletOperations.findByType(type));
+        }
+        return storage.toilets.slice();
+    }
+
+    nearWithDistance(latitude, longitude, maxDistance, options = {}) {
+        return storage.toiletOperations.findNearest(latitude, longitude, {
+            limit: Infinity,
+            maxDistance,
+            ...options
+        }).map(({ toilet, distance }) => ({ doc: toilet, distance }));
+    }
+
+    async find(collection, query = {}, options = {}) {
+        const startTime = Date.now();
+
+        const candidates = collection === 'toilets'
+            ? this.toiletCandidates(query)
+            : this.records(collection).slice();
+
+        let results = candidates.filter(doc => matchesQuery(doc, query));
+        results = sortDocuments(results, options.sort);
+        results = paginate(results, options);
+
+        if (collection === 'toilets') {
+            storage.performanceMonitor.recordQueryTime(Date.now() - startTime);
+        }
+        return results;
+    }
+
+    // The matches are already in memory; only the references are sorted
+    async * iterate(collection, query = {}, options = {}) {
+        const { batchSize = 500 } = options;
+        const candidates = collection === 'toilets'
+            ? this.toiletCandidates(query)
+            : this.records(collection).slice();
+
+        const matches = candidates
+            .filter(doc => matchesQuery(doc, query))
+            .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        for (let start = 0; start < matches.length; start += batchSize) {
+            yield matches.slice(start, start + batchSize);
+        }
+    }
+
+    async findById(collection, id, options = {}) {
+        if (collection === 'toilets') {
+            // Falls through to (and, unless options.promote is false, promotes from) the archive tier
+            return storage.toilets.findById(id, options) || null;
+        }
+        // Array.prototype.find: the toilets proxy overrides find() with a query API
+        return Array.prototype.find.call(this.records(collection), doc => doc.id === id) || null;
+    }
+
+    // Plain writes wait for a running transaction to finish: its rollback puts
+    // records back as they were before it wrote them, which would undo a write
+    // made in between.
+    async insert(collection, doc) {
+        return this.exclusive(async () => {
+            this.insertRecord(collection, doc);
+            await persistence.record(collection, 'upsert', doc);
+            return doc;
+        });
+    }
+
+    async update(collection, id, changes) {
+        return this.exclusive(async () => {
+            const existing = await this.findById(collection, id);
+            if (!existing) return null;
+
+            this.updateRecord(collection, existing, changes);
+            await persistence.record(collection, 'upsert', existing);
+            return existing;
+        });
+    }
+
+    async delete(collection, id) {
+        return this.exclusive(async () => {
+            const removed = this.removeRecord(collection, id);
+            if (!removed) {
+                // Archived toilets are not in the WAL, so only the archive needs updating
+                return collection === 'toilets' && toiletArchive.enabled && toiletArchive.remove(id);
+            }
+
+            await persistence.record(collection, 'delete', { id });
+            return true;
+        });
+    }
+
+    // Writes are applied in memory as they are made and logged to the WAL as
+    // one batch entry on commit. If work throws, they are undone in reverse.
+    async transaction(work) {
+        return this.exclusive(async () => {
+            const logged = [];
+            const undo = [];
+
+            const tx = {
+                find: (collection, query, options) => this.find(collection, query, options),
+                findById: (collection, id) => this.findById(collection, id),
+                insert: async (collection, doc) => {
+                    this.insertRecord(collection, doc);
+                    undo.push(() => this.removeRecord(collection, doc.id));
+                    logged.push({ collection, op: 'upsert', payload: doc });
+                    return doc;
+                },
+                update: async (collection, id, changes) => {
+                    const existing = await this.findById(collection, id);
+                    if (!existing) return null;
+
+                    const previous = { ...existing };
+                    this.updateRecord(collection, existing, changes);
+                    undo.push(() => this.restoreRecord(collection, existing, previous));
+                    logged.push({ collection, op: 'upsert', payload: existing });
+                    return existing;
+                },
+                delete: async (collection, id) => {
+                    const removed = this.removeRecord(collection, id);
+                    if (!removed) return false;
+
+                    undo.push(() => this.insertRecord(collection, removed));
+                    logged.push({ collection, op: 'delete', payload: { id } });
+                    return true;
+                }
+            };
+
+            try {
+                const result = await work(tx);
+                await persistence.recordBatch(logged);
+                return result;
+            } catch (error) {
+                undo.reverse().forEach(step => step());
+                throw error;
+            }
+        });
+    }
+
+    insertRecord(collection, doc) {
+        this.records(collection).push(doc);
+        this.bumpRevision(collection);
+    }
+
+    updateRecord(collection, existing, changes) {
+        if (collection === 'toilets') {
+            const previous = { ...existing };
+            Object.assign(existing, changes);
+            storage.toiletOperations.reindex(existing, previous);
+        } else {
+            Object.assign(existing, changes);
+        }
+        this.bumpRevision(collection);
+    }
+
+    // Put a record back exactly as it was, dropping fields added since
+    restoreRecord(collection, existing, previous) {
+        const current = { ...existing };
+        Object.keys(existing).forEach(key => {
+            if (!(key in previous)) delete existing[key];
+        });
+        Object.assign(existing, previous);
+
+        if (collection === 'toilets') {
+            storage.toiletOperations.reindex(existing, current);
+        }
+        this.bumpRevision(collection);
+    }
+
+    // Returns the removed record, or null when it is not in memory
+    removeRecord(collection, id) {
+        const records = this.records(collection);
+        const index = records.findIndex(doc => doc.id === id);
+        if (index === -1) return null;
+
+        // The toilets proxy drops the record from every index on splice
+        const [removed] = records.splice(index, 1);
+        this.bumpRevision(collection);
+        return removed;
+    }
+
+    async count(collection, query = {}) {
+        if (Object.keys(query).length === 0) {
+            return this.records(collection).length;
+        }
+        return (await this.find(collection, query)).length;
+    }
+
+    async aggregate(collection, pipeline = []) {
+        return applyPipeline(this.records(collection), pipeline);
+    }
+
+    async findInBounds(collection, bounds, options = {}) {
+        return this.find(collection, { ...options.query, spatialBounds: bounds }, options);
+    }
+
+    async findNear(collection, center, maxDistanceMeters = Infinity, options = {}) {
+        if (collection !== 'toilets') return [];
+
+        // The R-tree walks outwards from the center, so a limit stops the search early
+        const { skip = 0, limit } = options;
+        const query = options.query || {};
+        const matches = this.nearWithDistance(center.latitude, center.longitude, maxDistanceMeters, {
+            limit: limit ? skip + limit : Infinity,
+            filter: (doc) => matchesQuery(doc, query)
+        });
+        return matches.slice(skip).map(({ doc, distance }) => ({ ...doc, distance }));
+    }
+
+    // Toilets can also be written straight to the storage array, so their
+    // revision comes from the indexes rather than this adapter's writes
+    revision(collection) {
+        if (collection === 'toilets') return storage.toiletOperations.revision;
+        return super.revision(collection);
+    }
+
+    // Only the hot tier is text-indexed; archived toilets are not searchable
+    async search(collection, text, options = {}) {
+        if (collection !== 'toilets') return [];
+
+        const query = options.query || {};
+        return storage.toiletOperations.search(text, {
+            limit: options.limit || Infinity,
+            filter: (doc) => matchesQuery(doc, query)
+        }).map(({ toilet, score }) => ({ ...toilet, score }));
+    }
+
+    getStats() {
+        return {
+            adapter: this.name,
+            persistence: persistence.getStats(),
+            ...storage.getStorageStats()
+        };
+    }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,573 @@
+// Embedded SQLite storage adapter (better-sqlite3)
+// Each collection is a table holding the JSON document plus a few indexed
+// columns used to push filters down to SQL; the remaining filters run in JS.
+// Toilet coordinates are also kept in an R*Tree virtual table keyed by rowid,
+// and toilet text in an in-process SearchIndex built on connect (pass
+// textIndex: false to skip it, as the archive tier does).
+//
+// better-sqlite3 is synchronous, so the *Sync methods do the work and the async
+// contract methods wrap them; the cold archive tier calls the sync ones directly.
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const SearchIndex = require('../searchIndex');
+const {
+    matchesQuery,
+    sortDocuments,
+    paginate,
+    applyPipeline,
+    extractBounds,
+    extractNear,
+    distanceMeters,
+    getPath,
+    reviveDates
+} = require('./query');
+
+// Indexed columns per collection: column -> document path
+const SCHEMA = {
+    users: {
+        columns: { email: 'email', role: 'role' },
+        indexes: ['CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users(email)']
+    },
+    toilets: {
+        columns: {
+            type: 'type',
+            source: 'source',
+            source_id: 'sourceId',
+            verified: 'verified',
+            latitude: 'coordinates.latitude',
+            longitude: 'coordinates.longitude'
+        },
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS toilets_type ON toilets(type)',
+            'CREATE INDEX IF NOT EXISTS toilets_source ON toilets(source, source_id)'
+        ],
+        spatial: true,
+        searchable: true
+    },
+    reviews: {
+        columns: { toilet_id: 'toiletId', created_at: 'createdAt' },
+        indexes: ['CREATE INDEX IF NOT EXISTS reviews_toilet ON reviews(toilet_id, created_at)']
+    },
+    trash: {
+        columns: { collection: 'collection', cascaded_from: 'cascadedFrom', deleted_at: 'deletedAt' },
+        indexes: ['CREATE INDEX IF NOT EXISTS trash_collection ON trash(collection, deleted_at)']
+    },
+    audit: {
+        columns: { action: 'action', actor_id: 'actorId', target_type: 'targetType', target_id: 'targetId', created_at: 'createdAt' },
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS audit_created ON audit(created_at)',
+            'CREATE INDEX IF NOT EXISTS audit_target ON audit(target_type, target_id)'
+        ]
+    },
+    revisions: {
+        columns: { toilet_id: 'toiletId', number: 'number' },
+        indexes: ['CREATE UNIQUE INDEX IF NOT EXISTS revisions_toilet ON revisions(toilet_id, number)']
+    },
+    photos: {
+        columns: { toilet_id: 'toiletId', review_id: 'reviewId', status: 'status', created_at: 'createdAt' },
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS photos_toilet ON photos(toilet_id, status)',
+            'CREATE INDEX IF NOT EXISTS photos_status ON photos(status, created_at)'
+        ]
+    },
+    incidents: {
+        columns: { toilet_id: 'toiletId', type: 'type', status: 'status', created_at: 'createdAt' },
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS incidents_toilet ON incidents(toilet_id, status, type)',
+            'CREATE INDEX IF NOT EXISTS incidents_status ON incidents(status, created_at)'
+        ]
+    },
+    claims: {
+        columns: { toilet_id: 'toiletId', user_id: 'userId', status: 'status', created_at: 'createdAt' },
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS claims_toilet ON claims(toilet_id, status)',
+            'CREATE INDEX IF NOT EXISTS claims_user ON claims(user_id, status)',
+            'CREATE INDEX IF NOT EXISTS claims_status ON claims(status, created_at)'
+        ]
+    },
+    sessions: {
+        columns: { user_id: 'userId', expires_at: 'expiresAt' },
+        indexes: [
+            'CREATE INDEX IF NOT EXISTS sessions_user ON sessions(user_id)',
+            'CREATE INDEX IF NOT EXISTS sessions_expiry ON sessions(expires_at)'
+        ]
+    }
+};
+
+const METERS_PER_DEGREE = 111320;
+const KNN_INITIAL_RADIUS = 1000; // meters; doubled until k matches are inside
+const MAX_SEARCH_RADIUS = Math.PI * 6371000; // half the Earth's circumference
+const SEARCH_FETCH_BATCH = 200; // ids per query when loading ranked search hits
+
+// SQLite can only bind numbers, strings, bigints, buffers and null
+const toColumnValue = (value) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+class SqliteAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'sqlite';
+        this.db = null;
+        this.statements = {};
+        this.textIndexes = {};
+    }
+
+    async connect() {
+        if (this.db) return;
+
+        // Required lazily so the in-memory adapter works without the native module
+        const Database = require('better-sqlite3');
+        const file = this.options.filename || ':memory:';
+        if (file !== ':memory:') {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+
+        for (const [collection, { columns, indexes, spatial, searchable }] of Object.entries(SCHEMA)) {
+            const columnDefs = Object.keys(columns).join(', ');
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (id TEXT PRIMARY KEY, doc TEXT NOT NULL, ${columnDefs})`);
+            indexes.forEach(sql => this.db.exec(sql));
+            if (spatial) this.createSpatialIndex(collection);
+            if (searchable && this.options.textIndex !== false) this.createTextIndex(collection);
+        }
+
+        console.log(`[SQLITE] Connected to ${file}`);
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = {};
+            this.textIndexes = {};
+        }
+    }
+
+    // R*Tree over (latitude, longitude), rebuilt when it is out of step with the
+    // table (new database, or rowids renumbered by VACUUM)
+    createSpatialIndex(collection) {
+        const rtree = `${collection}_rtree`;
+        this.db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS ${rtree} USING rtree(id, min_lat, max_lat, min_lng, max_lng)`);
+
+        const indexed = this.db.prepare(`SELECT COUNT(*) AS count FROM ${rtree} r JOIN ${collection} c ON c.rowid = r.id AND r.min_lat <= c.latitude AND r.max_lat >= c.latitude`).get().count;
+        const located = this.db.prepare(`SELECT COUNT(*) AS count FROM ${collection} WHERE latitude IS NOT NULL AND longitude IS NOT NULL`).get().count;
+        if (indexed !== located) {
+            this.db.exec(`DELETE FROM ${rtree}`);
+            this.db.exec(`INSERT INTO ${rtree} SELECT rowid, latitude, latitude, longitude, longitude FROM ${collection} WHERE latitude IS NOT NULL AND longitude IS NOT NULL`);
+            console.log(`[SQLITE] Rebuilt spatial index for ${located} ${collection}`);
+        }
+    }
+
+    // Keep the R*Tree row for a document in step with its coordinate columns
+    syncSpatialIndex(collection, rowid, row) {
+        if (!SCHEMA[collection].spatial) return;
+        const rtree = `${collection}_rtree`;
+        this.statement(`DELETE FROM ${rtree} WHERE id = ?`).run(rowid);
+        if (typeof row.latitude === 'number' && typeof row.longitude === 'number') {
+            this.statement(`INSERT INTO ${rtree} VALUES (?, ?, ?, ?, ?)`).run(rowid, row.latitude, row.latitude, row.longitude, row.longitude);
+        }
+    }
+
+    createTextIndex(collection) {
+        const index = new SearchIndex();
+        for (const row of this.db.prepare(`SELECT doc FROM ${collection}`).iterate()) {
+            const doc = JSON.parse(row.doc);
+            index.add(doc.id, SearchIndex.searchableFields(doc));
+        }
+        this.textIndexes[collection] = index;
+    }
+
+    // Called after a write commits; removed documents pass doc = null
+    syncTextIndex(collection, id, doc) {
+        const index = this.textIndexes[collection];
+        if (!index) return;
+        if (doc) {
+            index.add(id, SearchIndex.searchableFields(doc));
+        } else {
+            index.remove(id);
+        }
+    }
+
+    ensureConnected() {
+        if (!this.db) {
+            throw new Error('SqliteAdapter is not connected; call connect() first');
+        }
+    }
+
+    statement(sql) {
+        if (!this.statements[sql]) {
+            this.statements[sql] = this.db.prepare(sql);
+        }
+        return this.statements[sql];
+    }
+
+    columnsFor(collection) {
+        this.assertCollection(collection);
+        return SCHEMA[collection].columns;
+    }
+
+    serialize(collection, doc) {
+        const row = { id: doc.id, doc: JSON.stringify(doc) };
+        for (const [column, fieldPath] of Object.entries(this.columnsFor(collection))) {
+            row[column] = toColumnValue(getPath(doc, fieldPath));
+        }
+        return row;
+    }
+
+    deserialize(row) {
+        return reviveDates(JSON.parse(row.doc));
+    }
+
+    // Translate the indexable part of a query into a WHERE clause
+    buildWhere(collection, query) {
+        const columns = this.columnsFor(collection);
+        const pathToColumn = Object.fromEntries(Object.entries(columns).map(([column, fieldPath]) => [fieldPath, column]));
+        const clauses = [];
+        const params = [];
+
+        for (const [key, condition] of Object.entries(query)) {
+            const column = key === 'id' ? 'id' : pathToColumn[key];
+            if (!column) continue;
+
+            if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+                if (Array.isArray(condition.$in)) {
+                    clauses.push(`${column} IN (${condition.$in.map(() => '?').join(', ')})`);
+                    params.push(...condition.$in.map(toColumnValue));
+                }
+            } else if (condition === null) {
+                clauses.push(`${column} IS NULL`);
+            } else {
+                clauses.push(`${column} = ?`);
+                params.push(toColumnValue(condition));
+            }
+        }
+
+        const bounds = extractBounds(query);
+        const near = extractNear(query);
+        const box = bounds || (near && Number.isFinite(near.maxDistance) ? this.radiusBox(near) : null);
+        if (box && SCHEMA[collection].spatial) {
+            // R*Tree boxes are rounded outwards; exact bounds are re-checked in JS
+            clauses.push(`rowid IN (SELECT id FROM ${collection}_rtree WHERE max_lat >= ? AND min_lat <= ? AND max_lng >= ? AND min_lng <= ?)`);
+            params.push(box.south, box.north, box.west, box.east);
+        }
+
+        return {
+            where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    // Bounding box that fully contains a radius search
+    radiusBox({ latitude, longitude, maxDistance }) {
+        const latDelta = maxDistance / METERS_PER_DEGREE;
+        const lngDelta = maxDistance / (METERS_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+        return {
+            south: latitude - latDelta,
+            north: latitude + latDelta,
+            west: longitude - lngDelta,
+            east: longitude + lngDelta
+        };
+    }
+
+    selectMatching(collection, query) {
+        this.ensureConnected();
+        const { where, params } = this.buildWhere(collection, query);
+        const rows = this.statement(`SELECT doc FROM ${collection} ${where}`).all(...params);
+        return rows.map(row => this.deserialize(row)).filter(doc => matchesQuery(doc, query));
+    }
+
+    async find(collection, query = {}, options = {}) {
+        let results = this.selectMatching(collection, query);
+
+        const near = extractNear(query);
+        if (near) {
+            results = this.withDistance(results, near)
+                .filter(({ distance }) => distance <= near.maxDistance)
+                .map(({ doc }) => doc);
+        }
+
+        results = sortDocuments(results, options.sort);
+        return paginate(results, options);
+    }
+
+    // Pages through the table by primary key, one batch of rows at a time
+    async * iterate(collection, query = {}, options = {}) {
+        this.ensureConnected();
+        const { batchSize = 500 } = options;
+        const { where, params } = this.buildWhere(collection, query);
+
+        let after = null;
+        for (;;) {
+            const clause = after === null ? where : `${where ? `${where} AND` : 'WHERE'} id > ?`;
+            const rows = this.statement(`SELECT id, doc FROM ${collection} ${clause} ORDER BY id LIMIT ?`)
+                .all(...params, ...(after === null ? [] : [after]), batchSize);
+            if (rows.length === 0) return;
+
+            after = rows[rows.length - 1].id;
+            const docs = rows.map(row => this.deserialize(row)).filter(doc => matchesQuery(doc, query));
+            if (docs.length > 0) yield docs;
+            if (rows.length < batchSize) return;
+        }
+    }
+
+    withDistance(docs, center) {
+        return docs
+            .filter(doc => doc.coordinates)
+            .map(doc => ({
+                doc,
+                distance: distanceMeters(center.latitude, center.longitude, doc.coordinates.latitude, doc.coordinates.longitude)
+            }))
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    async findById(collection, id) {
+        return this.findByIdSync(collection, id);
+    }
+
+    findByIdSync(collection, id) {
+        this.ensureConnected();
+        this.assertCollection(collection);
+        const row = this.statement(`SELECT doc FROM ${collection} WHERE id = ?`).get(id);
+        return row ? this.deserialize(row) : null;
+    }
+
+    async insert(collection, doc) {
+        this.ensureConnected();
+        const row = this.serialize(collection, doc);
+        const columns = Object.keys(row);
+        const insertRow = this.statement(`INSERT INTO ${collection} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`);
+
+        this.db.transaction(() => {
+            const { lastInsertRowid } = insertRow.run(row);
+            this.syncSpatialIndex(collection, lastInsertRowid, row);
+        })();
+        this.syncTextIndex(collection, doc.id, doc);
+        this.bumpRevision(collection);
+        return doc;
+    }
+
+    async update(collection, id, changes) {
+        this.ensureConnected();
+        const existing = await this.findById(collection, id);
+        if (!existing) return null;
+
+        const updated = Object.assign(existing, JSON.parse(JSON.stringify(changes)), { id });
+        reviveDates(updated);
+        const row = this.serialize(collection, updated);
+        const assignments = Object.keys(row).filter(c => c !== 'id').map(c => `${c} = @${c}`);
+
+        this.db.transaction(() => {
+            this.statement(`UPDATE ${collection} SET ${assignments.join(', ')} WHERE id = @id`).run(row);
+            const { rowid } = this.statement(`SELECT rowid FROM ${collection} WHERE id = ?`).get(id);
+            this.syncSpatialIndex(collection, rowid, row);
+        })();
+        this.syncTextIndex(collection, id, updated);
+        this.bumpRevision(collection);
+        return updated;
+    }
+
+    // Insert or replace many documents in one transaction
+    upsertManySync(collection, docs) {
+        this.ensureConnected();
+        const columns = ['id', 'doc', ...Object.keys(this.columnsFor(collection))];
+        const insertRow = this.statement(`INSERT INTO ${collection} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`);
+        const updateRow = this.statement(`UPDATE ${collection} SET ${columns.slice(1).map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`);
+        const findRowid = this.statement(`SELECT rowid FROM ${collection} WHERE id = ?`);
+
+        this.db.transaction(() => {
+            for (const doc of docs) {
+                const row = this.serialize(collection, doc);
+                const existing = findRowid.get(doc.id);
+                if (existing) {
+                    updateRow.run(row);
+                    this.syncSpatialIndex(collection, existing.rowid, row);
+                } else {
+                    const { lastInsertRowid } = insertRow.run(row);
+                    this.syncSpatialIndex(collection, lastInsertRowid, row);
+                }
+            }
+        })();
+        docs.forEach(doc => this.syncTextIndex(collection, doc.id, doc));
+        this.bumpRevision(collection);
+        return docs.length;
+    }
+
+    async delete(collection, id) {
+        return this.deleteSync(collection, id);
+    }
+
+    deleteSync(collection, id) {
+        this.ensureConnected();
+        this.assertCollection(collection);
+
+        const deleted = this.db.transaction(() => {
+            const existing = this.statement(`SELECT rowid FROM ${collection} WHERE id = ?`).get(id);
+            if (!existing) return false;
+            this.statement(`DELETE FROM ${collection} WHERE id = ?`).run(id);
+            this.syncSpatialIndex(collection, existing.rowid, {});
+            return true;
+        })();
+        if (deleted) {
+            this.syncTextIndex(collection, id, null);
+            this.bumpRevision(collection);
+        }
+        return deleted;
+    }
+
+    // BEGIN IMMEDIATE ... COMMIT around work; the per-write transactions inside
+    // become savepoints. Text indexes live in memory, so on rollback they are
+    // re-synced from the restored rows.
+    async transaction(work) {
+        return this.exclusive(async () => {
+            this.ensureConnected();
+            const touched = [];
+            const track = (collection, id) => touched.push({ collection, id });
+
+            const tx = {
+                find: (collection, query, options) => this.find(collection, query, options),
+                findById: (collection, id) => this.findById(collection, id),
+                insert: (collection, doc) => {
+                    track(collection, doc.id);
+                    return this.insert(collection, doc);
+                },
+                update: (collection, id, changes) => {
+                    track(collection, id);
+                    return this.update(collection, id, changes);
+                },
+                delete: (collection, id) => {
+                    track(collection, id);
+                    return this.delete(collection, id);
+                }
+            };
+
+            this.db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await work(tx);
+                this.db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                if (this.db.inTransaction) this.db.exec('ROLLBACK');
+                touched.forEach(({ collection, id }) => {
+                    this.syncTextIndex(collection, id, this.findByIdSync(collection, id));
+                    this.bumpRevision(collection);
+                });
+                throw error;
+            }
+        });
+    }
+
+    async count(collection, query = {}) {
+        if (Object.keys(query).length === 0) {
+            return this.countSync(collection);
+        }
+        return (await this.find(collection, query)).length;
+    }
+
+    countSync(collection) {
+        this.ensureConnected();
+        this.assertCollection(collection);
+        return this.statement(`SELECT COUNT(*) AS count FROM ${collection}`).get().count;
+    }
+
+    async aggregate(collection, pipeline = []) {
+        // Push a leading $match down to SQL, run the rest in JS
+        const [first, ...rest] = pipeline;
+        if (first && first.$match) {
+            return applyPipeline(this.selectMatching(collection, first.$match), rest);
+        }
+        return applyPipeline(this.selectMatching(collection, {}), pipeline);
+    }
+
+    async findInBounds(collection, bounds, options = {}) {
+        return this.findInBoundsSync(collection, bounds, options);
+    }
+
+    findInBoundsSync(collection, bounds, options = {}) {
+        const results = this.selectMatching(collection, { ...options.query, spatialBounds: bounds });
+        return paginate(sortDocuments(results, options.sort), options);
+    }
+
+    // Searches a growing radius until enough matches are inside it, so k-nearest
+    // queries without a maxDistance never scan the whole table
+    async findNear(collection, center, maxDistanceMeters = Infinity, options = {}) {
+        return this.findNearSync(collection, center, maxDistanceMeters, options);
+    }
+
+    findNearSync(collection, center, maxDistanceMeters = Infinity, options = {}) {
+        const { skip = 0, limit } = options;
+        const wanted = limit ? skip + limit : Infinity;
+        const maxRadius = Math.min(maxDistanceMeters, MAX_SEARCH_RADIUS);
+        let radius = Number.isFinite(wanted) ? Math.min(KNN_INITIAL_RADIUS, maxRadius) : maxRadius;
+
+        while (true) {
+            const box = this.radiusBox({ ...center, maxDistance: radius });
+            const candidates = this.selectMatching(collection, { ...options.query, spatialBounds: box });
+            const matches = this.withDistance(candidates, center)
+                .filter(({ doc, distance }) => distance <= radius && (!options.filter || options.filter(doc)));
+
+            if (matches.length >= wanted || radius >= maxRadius) {
+                return paginate(matches, options).map(({ doc, distance }) => ({ ...doc, distance }));
+            }
+            radius = Math.min(radius * 4, maxRadius);
+        }
+    }
+
+    // Ranks ids in memory, then loads documents best-first in batches until
+    // `limit` of them pass the query filters
+    async search(collection, text, options = {}) {
+        this.ensureConnected();
+        const index = this.textIndexes[collection];
+        if (!index) return [];
+
+        const query = options.query || {};
+        const limit = options.limit || Infinity;
+        const ranked = index.search(text);
+        const results = [];
+
+        for (let start = 0; start < ranked.length && results.length < limit; start += SEARCH_FETCH_BATCH) {
+            const batch = ranked.slice(start, start + SEARCH_FETCH_BATCH);
+            const rows = this.db.prepare(`SELECT doc FROM ${collection} WHERE id IN (${batch.map(() => '?').join(', ')})`)
+                .all(...batch.map(hit => hit.id));
+            const docs = new Map(rows.map(row => {
+                const doc = this.deserialize(row);
+                return [doc.id, doc];
+            }));
+
+            for (const { id, score } of batch) {
+                const doc = docs.get(id);
+                if (doc && matchesQuery(doc, query)) {
+                    results.push({ ...doc, score });
+                    if (results.length >= limit) break;
+                }
+            }
+        }
+        return results;
+    }
+
+    getStats() {
+        const counts = {};
+        if (this.db) {
+            for (const collection of Object.keys(SCHEMA)) {
+                counts[collection] = this.statement(`SELECT COUNT(*) AS count FROM ${collection}`).get().count;
+            }
+        }
+        return {
+            adapter: this.name,
+            filename: this.options.filename || ':memory:',
+            connected: Boolean(this.db),
+            ...counts
+        };
+    }
+}
+
+module.exports = SqliteAdapter;
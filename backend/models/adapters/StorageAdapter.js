@@ -0,0 +1,136 @@
+// Storage adapter contract
+// Every backend (in-memory, SQLite, ...) implements these methods so the
+// models never touch a concrete data structure. All methods are async.
+//
+// Collections: 'users', 'toilets', 'reviews', 'trash', 'audit', 'revisions', 'photos',
+//   'incidents', 'claims', 'sessions'
+// Queries use the Mongo-flavoured subset documented in ./query.js
+
+const COLLECTIONS = ['users', 'toilets', 'reviews', 'trash', 'audit', 'revisions', 'photos', 'incidents', 'claims', 'sessions'];
+
+class StorageAdapter {
+    constructor(options = {}) {
+        this.options = options;
+        this.name = 'abstract';
+        this.revisions = {};
+        this.transactionQueue = Promise.resolve();
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+
+    assertCollection(collection) {
+        if (!COLLECTIONS.includes(collection)) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+    }
+
+    // Open connections / load data
+    async connect() {}
+
+    // Flush and release resources
+    async close() {}
+
+    // Find documents matching a query. options: { sort, limit, skip }
+    async find(collection, query = {}, options = {}) {
+        throw this.notImplemented('find');
+    }
+
+    // options: { promote: false } reads an archived toilet without moving it
+    // back into memory (memory adapter; others have no archive tier)
+    async findById(collection, id, options = {}) {
+        throw this.notImplemented('findById');
+    }
+
+    // Documents matching a query in id order, yielded as arrays of up to
+    // options.batchSize (default 500), for reading a large result without
+    // holding it all. $near is not supported.
+    async * iterate(collection, query = {}, options = {}) {
+        throw this.notImplemented('iterate');
+    }
+
+    async findOne(collection, query = {}) {
+        const [doc] = await this.find(collection, query, { limit: 1 });
+        return doc || null;
+    }
+
+    // Insert a new document and return the stored record
+    async insert(collection, doc) {
+        throw this.notImplemented('insert');
+    }
+
+    // Merge changes into an existing document; returns the record or null
+    async update(collection, id, changes) {
+        throw this.notImplemented('update');
+    }
+
+    // Returns true when a document was removed
+    async delete(collection, id) {
+        throw this.notImplemented('delete');
+    }
+
+    async count(collection, query = {}) {
+        throw this.notImplemented('count');
+    }
+
+    // Run work(tx) atomically and return its result. tx has findById, find,
+    // insert, update and delete; either every write made through it lands or,
+    // if work throws, none does. Transactions run one at a time, so a
+    // read-modify-write inside one cannot interleave with another.
+    async transaction(work) {
+        throw this.notImplemented('transaction');
+    }
+
+    // Queue fn behind any transaction already running
+    exclusive(fn) {
+        const run = this.transactionQueue.then(fn);
+        this.transactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    // Run a pipeline of $match/$sort/$sample/$skip/$limit/$group stages
+    async aggregate(collection, pipeline = []) {
+        throw this.notImplemented('aggregate');
+    }
+
+    // Bounding-box query; bounds: { south, west, north, east }
+    async findInBounds(collection, bounds, options = {}) {
+        throw this.notImplemented('findInBounds');
+    }
+
+    // Radius query around { latitude, longitude }; results sorted by distance
+    // and carry a `distance` field in meters. options: { query, skip, limit }
+    async findNear(collection, center, maxDistanceMeters = Infinity, options = {}) {
+        throw this.notImplemented('findNear');
+    }
+
+    // k nearest documents, optionally capped by options.maxDistance
+    async findNearest(collection, center, k, options = {}) {
+        const { maxDistance = Infinity, ...rest } = options;
+        return this.findNear(collection, center, maxDistance, { ...rest, limit: k });
+    }
+
+    // Counter that changes whenever a collection is written to. Caches of
+    // derived data (map clusters, tiles) key on it instead of tracking writes.
+    revision(collection) {
+        return this.revisions[collection] || 0;
+    }
+
+    bumpRevision(collection) {
+        this.revisions[collection] = this.revision(collection) + 1;
+    }
+
+    // Ranked full-text search; results carry a relevance `score`, best first.
+    // options: { query, limit }
+    async search(collection, text, options = {}) {
+        throw this.notImplemented('search');
+    }
+
+    getStats() {
+        return { adapter: this.name };
+    }
+}
+
+module.exports = StorageAdapter;
+module.exports.COLLECTIONS = COLLECTIONS;
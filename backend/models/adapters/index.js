@@ -0,0 +1,76 @@
+// Storage adapter registry
+// STORAGE_ADAPTER=memory (default) | sqlite selects the backend at startup
+
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const MemoryAdapter = require('./MemoryAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+const { PERSISTENCE_CONFIG } = require('../persistence');
+
+const STORAGE_CONFIG = {
+    ADAPTER: process.env.STORAGE_ADAPTER || 'memory',
+    SQLITE_PATH: process.env.SQLITE_PATH || path.join(PERSISTENCE_CONFIG.DATA_DIR, 'toilets.sqlite'),
+    PERSIST: process.env.PERSISTENCE_ENABLED !== 'false',
+    ARCHIVE: process.env.ARCHIVE_ENABLED !== 'false' // cold tier for toilets evicted from memory
+};
+
+const ADAPTERS = {
+    memory: MemoryAdapter,
+    sqlite: SqliteAdapter
+};
+
+let activeAdapter = null;
+
+function createAdapter(name = STORAGE_CONFIG.ADAPTER, options = {}) {
+    const Adapter = ADAPTERS[name];
+    if (!Adapter) {
+        throw new Error(`Unknown storage adapter "${name}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    const defaults = name === 'sqlite'
+        ? { filename: STORAGE_CONFIG.SQLITE_PATH }
+        : {};
+    return new Adapter({ ...defaults, ...options });
+}
+
+// The adapter the models read and write through; memory until configured
+function getAdapter() {
+    if (!activeAdapter) {
+        activeAdapter = createAdapter('memory');
+    }
+    return activeAdapter;
+}
+
+function setAdapter(adapter) {
+    if (!(adapter instanceof StorageAdapter)) {
+        throw new Error('Storage adapter must extend StorageAdapter');
+    }
+    activeAdapter = adapter;
+    return adapter;
+}
+
+// Create, connect and activate the adapter named in the environment
+async function initializeStorage(options = {}) {
+    const name = options.adapter || STORAGE_CONFIG.ADAPTER;
+    const adapterOptions = name === 'memory'
+        ? { persist: STORAGE_CONFIG.PERSIST, archive: STORAGE_CONFIG.PERSIST && STORAGE_CONFIG.ARCHIVE, ...options }
+        : options;
+
+    const adapter = createAdapter(name, adapterOptions);
+    await adapter.connect();
+    setAdapter(adapter);
+
+    console.log(`[STORAGE] Using ${adapter.name} storage adapter`);
+    return adapter;
+}
+
+module.exports = {
+    STORAGE_CONFIG,
+    StorageAdapter,
+    MemoryAdapter,
+    SqliteAdapter,
+    createAdapter,
+    getAdapter,
+    setAdapter,
+    initializeStorage
+};
@@ -0,0 +1,271 @@
+// Shared Mongo-flavoured query helpers used by every storage adapter
+// Supports the subset the models and routes rely on: equality, $in/$nin,
+// $ne, $gt/$gte/$lt/$lte, $exists, $or/$and, $geoWithin.$box, $near and pipelines.
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastSynced', 'deletedAt'];
+
+// Option keys that may be mixed into legacy query objects
+const QUERY_OPTION_KEYS = ['sort', 'limit', 'skip'];
+
+// Read a dot-separated path ("metadata.confidence_score")
+const getPath = (doc, fieldPath) => {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+const isOperatorObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && Object.keys(value).some(key => key.startsWith('$'));
+};
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const matchesCondition = (value, condition) => {
+    if (condition === null) {
+        return value === null || value === undefined;
+    }
+    if (!isOperatorObject(condition)) {
+        if (Array.isArray(value)) return value.includes(condition);
+        return comparable(value) === comparable(condition);
+    }
+
+    for (const [operator, operand] of Object.entries(condition)) {
+        switch (operator) {
+            case '$in':
+                if (Array.isArray(value) ? !value.some(v => operand.includes(v)) : !operand.includes(value)) return false;
+                break;
+            case '$nin':
+                if (Array.isArray(value) ? value.some(v => operand.includes(v)) : operand.includes(value)) return false;
+                break;
+            case '$ne':
+                if (comparable(value) === comparable(operand)) return false;
+                break;
+            case '$gt':
+                if (value == null || !(comparable(value) > comparable(operand))) return false;
+                break;
+            case '$gte':
+                if (value == null || !(comparable(value) >= comparable(operand))) return false;
+                break;
+            case '$lt':
+                if (value == null || !(comparable(value) < comparable(operand))) return false;
+                break;
+            case '$lte':
+                if (value == null || !(comparable(value) <= comparable(operand))) return false;
+                break;
+            case '$exists':
+                if ((value !== undefined && value !== null) !== Boolean(operand)) return false;
+                break;
+            case '$all':
+                if (!Array.isArray(value) || !operand.every(v => value.includes(v))) return false;
+                break;
+            default:
+                // Geo operators are resolved by the adapter before filtering
+                break;
+        }
+    }
+    return true;
+};
+
+// Normalise a bounds filter from $geoWithin.$box or the legacy spatialBounds key
+const extractBounds = (query) => {
+    if (query.spatialBounds) {
+        return query.spatialBounds;
+    }
+    if (query.coordinates && query.coordinates.$geoWithin && query.coordinates.$geoWithin.$box) {
+        const box = query.coordinates.$geoWithin.$box; // [[west, south], [east, north]]
+        return { south: box[0][1], west: box[0][0], north: box[1][1], east: box[1][0] };
+    }
+    return null;
+};
+
+// Normalise a $near filter into { latitude, longitude, maxDistance }
+const extractNear = (query) => {
+    const near = query.coordinates && query.coordinates.$near;
+    if (!near || !near.$geometry || near.$geometry.type !== 'Point') return null;
+    const [longitude, latitude] = near.$geometry.coordinates;
+    return { latitude, longitude, maxDistance: near.$maxDistance || Infinity };
+};
+
+const inBounds = (doc, bounds) => {
+    if (!doc.coordinates) return false;
+    const { latitude: lat, longitude: lng } = doc.coordinates;
+    return lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+};
+
+// Haversine distance in meters
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+    const R = 6371000; // Earth's radius in meters
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const matchesQuery = (doc, query = {}) => {
+    for (const [key, condition] of Object.entries(query)) {
+        if (QUERY_OPTION_KEYS.includes(key) || key === 'spatialBounds') continue;
+        if (key === 'coordinates' && isOperatorObject(condition)) continue; // geo handled separately
+        if (key === '$or') {
+            if (!condition.some(sub => matchesQuery(doc, sub))) return false;
+            continue;
+        }
+        if (key === '$and') {
+            if (!condition.every(sub => matchesQuery(doc, sub))) return false;
+            continue;
+        }
+        if (!matchesCondition(getPath(doc, key), condition)) return false;
+    }
+
+    const bounds = extractBounds(query);
+    if (bounds && !inBounds(doc, bounds)) return false;
+
+    return true;
+};
+
+// Split legacy { ...filter, sort, limit, skip } objects
+const splitQuery = (query = {}) => {
+    const filter = {};
+    const options = {};
+    for (const [key, value] of Object.entries(query)) {
+        if (QUERY_OPTION_KEYS.includes(key)) {
+            options[key] = value;
+        } else {
+            filter[key] = value;
+        }
+    }
+    return { filter, options };
+};
+
+const sortDocuments = (docs, sort) => {
+    if (!sort) return docs;
+    return docs.sort((a, b) => {
+        for (const [field, order] of Object.entries(sort)) {
+            const aVal = comparable(getPath(a, field)) || 0;
+            const bVal = comparable(getPath(b, field)) || 0;
+            if (aVal !== bVal) {
+                if (typeof aVal === 'string' || typeof bVal === 'string') {
+                    return order === 1 ? String(aVal).localeCompare(String(bVal)) : String(bVal).localeCompare(String(aVal));
+                }
+                return order === 1 ? aVal - bVal : bVal - aVal;
+            }
+        }
+        return 0;
+    });
+};
+
+const paginate = (docs, { skip = 0, limit } = {}) => {
+    if (!limit && !skip) return docs;
+    return docs.slice(skip, limit ? skip + limit : undefined);
+};
+
+const resolveExpression = (doc, expression) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getPath(doc, expression.substring(1));
+    }
+    return expression;
+};
+
+const groupDocuments = (docs, spec) => {
+    const { _id: idExpression, ...accumulators } = spec;
+    const groups = new Map();
+
+    for (const doc of docs) {
+        const groupId = idExpression === null ? null : resolveExpression(doc, idExpression);
+        const key = JSON.stringify(groupId);
+        if (!groups.has(key)) groups.set(key, { _id: groupId, docs: [] });
+        groups.get(key).docs.push(doc);
+    }
+
+    return Array.from(groups.values()).map(({ _id, docs: members }) => {
+        const result = { _id };
+        for (const [field, accumulator] of Object.entries(accumulators)) {
+            const [operator, expression] = Object.entries(accumulator)[0];
+            const values = members.map(doc => resolveExpression(doc, expression)).filter(v => typeof v === 'number');
+
+            switch (operator) {
+                case '$avg':
+                    result[field] = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+                    break;
+                case '$sum':
+                    result[field] = typeof expression === 'number'
+                        ? members.length * expression
+                        : values.reduce((sum, v) => sum + v, 0);
+                    break;
+                case '$min':
+                    result[field] = values.length ? Math.min(...values) : null;
+                    break;
+                case '$max':
+                    result[field] = values.length ? Math.max(...values) : null;
+                    break;
+            }
+        }
+        return result;
+    });
+};
+
+// Run an aggregation pipeline over an array of documents
+const applyPipeline = (docs, pipeline = []) => {
+    let results = docs.slice();
+
+    for (const stage of pipeline) {
+        if (stage.$match) {
+            results = results.filter(doc => matchesQuery(doc, stage.$match));
+        }
+
+        if (stage.$sample) {
+            // Partial Fisher-Yates shuffle for an unbiased sample
+            const sampleSize = Math.min(stage.$sample.size, results.length);
+            for (let i = 0; i < sampleSize; i++) {
+                const j = i + Math.floor(Math.random() * (results.length - i));
+                [results[i], results[j]] = [results[j], results[i]];
+            }
+            results = results.slice(0, sampleSize);
+        }
+
+        if (stage.$sort) {
+            results = sortDocuments(results, stage.$sort);
+        }
+
+        if (stage.$skip) {
+            results = results.slice(stage.$skip);
+        }
+
+        if (stage.$limit) {
+            results = results.slice(0, stage.$limit);
+        }
+
+        if (stage.$group) {
+            results = groupDocuments(results, stage.$group);
+        }
+    }
+
+    return results;
+};
+
+// Revive ISO date strings written by JSON.stringify
+const reviveDates = (doc) => {
+    for (const field of DATE_FIELDS) {
+        if (typeof doc[field] === 'string') {
+            const date = new Date(doc[field]);
+            if (!isNaN(date.getTime())) doc[field] = date;
+        }
+    }
+    return doc;
+};
+
+module.exports = {
+    getPath,
+    matchesQuery,
+    splitQuery,
+    sortDocuments,
+    paginate,
+    applyPipeline,
+    extractBounds,
+    extractNear,
+    inBounds,
+    distanceMeters,
+    reviveDates
+};
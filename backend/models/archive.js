@@ -0,0 +1,158 @@
+// Cold storage tier for toilets evicted from memory
+// optimizeMemory() hands the lowest-priority toilets to this archive, an
+// SQLite file with an R*Tree over their coordinates. Lookups that miss the hot
+// tier fall through to it: geo queries and peeks read cold toilets in place,
+// while findById promotes the toilet back into memory. Text search only covers the
+// hot tier, so the archive skips building a text index.
+
+const path = require('path');
+const storage = require('./storage');
+const persistence = require('./persistence');
+const SqliteAdapter = require('./adapters/SqliteAdapter');
+
+const ARCHIVE_CONFIG = {
+    PATH: process.env.ARCHIVE_PATH || path.join(persistence.PERSISTENCE_CONFIG.DATA_DIR, 'archive.sqlite')
+};
+
+class ToiletArchive {
+    constructor() {
+        this.store = null;
+        this.filename = null;
+        this.stats = { archived: 0, promoted: 0, coldReads: 0 };
+    }
+
+    get enabled() {
+        return Boolean(this.store);
+    }
+
+    async open(options = {}) {
+        if (this.store) return this.getStats();
+
+        this.filename = options.filename || ARCHIVE_CONFIG.PATH;
+        const store = new SqliteAdapter({ filename: this.filename, textIndex: false });
+        await store.connect();
+        this.store = store;
+
+        this.reconcile();
+        storage.toiletOperations.archive = this;
+
+        console.log(`[ARCHIVE] Cold tier ready at ${this.filename} with ${this.count()} toilets`);
+        return this.getStats();
+    }
+
+    async close() {
+        if (!this.store) return;
+        if (storage.toiletOperations.archive === this) {
+            storage.toiletOperations.archive = null;
+        }
+        await this.store.close();
+        this.store = null;
+    }
+
+    // A crash between writing one tier and clearing the other can leave a toilet
+    // in both. The hot copy is never older, so the cold one is dropped.
+    reconcile() {
+        const { idMap } = storage.toiletOperations;
+        const duplicates = this.store.statement('SELECT id FROM toilets').all()
+            .map(row => row.id)
+            .filter(id => idMap.has(id));
+
+        duplicates.forEach(id => this.store.deleteSync('toilets', id));
+        if (duplicates.length > 0) {
+            console.log(`[ARCHIVE] Dropped ${duplicates.length} archived toilets that are also in memory`);
+        }
+    }
+
+    // Called by optimizeMemory() before the toilets leave the hot tier
+    evict(toilets) {
+        this.store.upsertManySync('toilets', toilets.map(toilet => ({ ...toilet })));
+
+        // The WAL/snapshot only describe the hot tier from here on
+        for (const toilet of toilets) {
+            persistence.record('toilets', 'delete', { id: toilet.id })
+                .catch(error => console.error('[ARCHIVE] Failed to record eviction:', error.message));
+        }
+        this.stats.archived += toilets.length;
+    }
+
+    // Move an archived toilet back into memory; null when it is not archived
+    promote(id) {
+        const doc = this.store.findByIdSync('toilets', id);
+        if (!doc) return null;
+
+        const toilet = persistence.hydrate('toilets', doc);
+
+        // Hot tier first, so a crash in between leaves a duplicate rather than a loss
+        storage.toilets.push(toilet);
+        persistence.record('toilets', 'upsert', toilet)
+            .catch(error => console.error('[ARCHIVE] Failed to record promotion:', error.message));
+        this.store.deleteSync('toilets', id);
+
+        this.stats.promoted++;
+        return toilet;
+    }
+
+    // Read an archived toilet without moving it; null when it is not archived
+    peek(id) {
+        const doc = this.store.findByIdSync('toilets', id);
+        if (!doc) return null;
+
+        this.stats.coldReads++;
+        return persistence.hydrate('toilets', doc);
+    }
+
+    remove(id) {
+        return this.store.deleteSync('toilets', id);
+    }
+
+    // Every archived toilet as stored, for full backups
+    async all() {
+        return this.store ? this.store.find('toilets') : [];
+    }
+
+    // Empty the tier; a restore brings the whole dataset back into memory
+    clear() {
+        if (!this.store) return 0;
+        const ids = this.store.statement('SELECT id FROM toilets').all().map(row => row.id);
+        ids.forEach(id => this.store.deleteSync('toilets', id));
+        return ids.length;
+    }
+
+    findInBounds(bounds, limit = Infinity) {
+        const docs = this.store.findInBoundsSync('toilets', bounds, Number.isFinite(limit) ? { limit } : {});
+        this.stats.coldReads += docs.length;
+        return docs.map(doc => persistence.hydrate('toilets', doc));
+    }
+
+    // [{ toilet, distance }] closest first, same shape as toiletOperations.findNearest()
+    findNearest(latitude, longitude, options = {}) {
+        const { limit = Infinity, maxDistance = Infinity, filter } = options;
+        const matches = this.store.findNearSync('toilets', { latitude, longitude }, maxDistance, {
+            limit: Number.isFinite(limit) ? limit : undefined,
+            filter
+        });
+
+        this.stats.coldReads += matches.length;
+        return matches.map(({ distance, ...doc }) => ({ toilet: persistence.hydrate('toilets', doc), distance }));
+    }
+
+    count() {
+        return this.store ? this.store.countSync('toilets') : 0;
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            filename: this.filename,
+            toilets: this.count(),
+            ...this.stats
+        };
+    }
+}
+
+// Singleton shared by storage and the memory adapter
+const toiletArchive = new ToiletArchive();
+
+module.exports = toiletArchive;
+module.exports.ToiletArchive = ToiletArchive;
+module.exports.ARCHIVE_CONFIG = ARCHIVE_CONFIG;
@@ -0,0 +1,159 @@
+// Temporary closures of a toilet (renovation, a festival, weekly deep cleaning)
+// Stored on the toilet as a list of
+// { id, start, end, reason, recurring }
+// with `start` and `end` ISO timestamps and `reason` shown to visitors (null
+// when none was given). `recurring` is null for a one-off closure, 'weekly'
+// for the same hours every week or 'yearly' for the same dates every year;
+// a recurring closure repeats from its first window on for ever.
+
+const RECURRENCES = ['weekly', 'yearly'];
+
+const MAX_CLOSURES = 20;
+const MAX_REASON_LENGTH = 200;
+
+// Closures starting within this many days are announced ahead
+const NOTICE_DAYS = parseInt(process.env.CLOSURE_NOTICE_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const shiftYears = (date, years) => {
+    const shifted = new Date(date);
+    shifted.setUTCFullYear(shifted.getUTCFullYear() + years);
+    return shifted;
+};
+
+const span = (start, end) => ({ start: new Date(start), end: new Date(end) });
+
+// The window of a closure in effect at `now`, or else its next one; null once
+// a one-off closure is over
+const occurrence = (closure, now = new Date()) => {
+    const start = new Date(closure.start);
+    const end = new Date(closure.end);
+    if (now < start) return span(start, end);
+    if (!closure.recurring) return now < end ? span(start, end) : null;
+
+    if (closure.recurring === 'weekly') {
+        const weeks = Math.floor((now - start) / WEEK_MS);
+        const current = span(start.getTime() + weeks * WEEK_MS, end.getTime() + weeks * WEEK_MS);
+        return now < current.end
+            ? current
+            : span(current.start.getTime() + WEEK_MS, current.end.getTime() + WEEK_MS);
+    }
+
+    let years = now.getUTCFullYear() - start.getUTCFullYear();
+    if (shiftYears(start, years) > now) years -= 1;
+    const current = span(shiftYears(start, years), shiftYears(end, years));
+    return now < current.end ? current : span(shiftYears(start, years + 1), shiftYears(end, years + 1));
+};
+
+/**
+ * The closure a toilet is under, or else the next one starting within
+ * NOTICE_DAYS
+ * @param {Array} closures - The toilet's closures
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { closed, reason, start, end, recurring } with the
+ *   window's start and end as ISO strings; null when there is nothing to show
+ */
+const status = (closures, now = new Date()) => {
+    let current = null;
+    let next = null;
+
+    (closures || []).forEach(closure => {
+        const upcoming = occurrence(closure, now);
+        if (!upcoming) return;
+
+        if (upcoming.start <= now) {
+            // Of overlapping closures, the one lasting longest says when the toilet reopens
+            if (!current || upcoming.end > current.window.end) current = { closure, window: upcoming };
+        } else if (!next || upcoming.start < next.window.start) {
+            next = { closure, window: upcoming };
+        }
+    });
+
+    const shown = current || (next && next.window.start - now <= NOTICE_DAYS * DAY_MS ? next : null);
+    if (!shown) return null;
+
+    return {
+        closed: shown === current,
+        reason: shown.closure.reason || null,
+        start: shown.window.start.toISOString(),
+        end: shown.window.end.toISOString(),
+        recurring: shown.closure.recurring || null
+    };
+};
+
+const isClosed = (closures, now = new Date()) => {
+    const current = status(closures, now);
+    return Boolean(current && current.closed);
+};
+
+const newId = () => Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+
+/**
+ * Validate closures sent by a client
+ * @param {Array|null} value - [{ id?, start, end, reason?, recurring? }]
+ * @returns {Object} { closures } in start order, or { errors }
+ */
+const normalize = (value) => {
+    if (value === null || value === undefined) return { closures: [] };
+    if (!Array.isArray(value)) return { errors: ['Closures must be a list'] };
+    if (value.length > MAX_CLOSURES) return { errors: [`A toilet can have at most ${MAX_CLOSURES} closures`] };
+
+    const errors = [];
+    const closures = value.map((item, index) => {
+        const label = `Closure ${index + 1}`;
+        if (!item || typeof item !== 'object') {
+            errors.push(`${label} must be an object`);
+            return null;
+        }
+
+        const start = new Date(item.start);
+        const end = new Date(item.end);
+        if (!item.start || !item.end || isNaN(start) || isNaN(end)) {
+            errors.push(`${label}: start and end must be dates`);
+            return null;
+        }
+        if (end <= start) {
+            errors.push(`${label}: end must be after start`);
+        }
+
+        const recurring = item.recurring || null;
+        if (recurring && !RECURRENCES.includes(recurring)) {
+            errors.push(`${label}: recurring must be one of: ${RECURRENCES.join(', ')}`);
+        } else if (recurring === 'weekly' && end - start >= WEEK_MS) {
+            errors.push(`${label}: a weekly closure must be shorter than a week`);
+        } else if (recurring === 'yearly' && shiftYears(start, 1) <= end) {
+            errors.push(`${label}: a yearly closure must be shorter than a year`);
+        }
+
+        if (item.reason !== undefined && item.reason !== null && typeof item.reason !== 'string') {
+            errors.push(`${label}: reason must be text`);
+        }
+        const reason = typeof item.reason === 'string' ? item.reason.trim() : '';
+        if (reason.length > MAX_REASON_LENGTH) {
+            errors.push(`${label}: reason must be at most ${MAX_REASON_LENGTH} characters`);
+        }
+
+        return {
+            id: typeof item.id === 'string' && item.id ? item.id : newId(),
+            start: start.toISOString(),
+            end: end.toISOString(),
+            reason: reason || null,
+            recurring
+        };
+    });
+
+    if (errors.length > 0) return { errors };
+    return { closures: closures.sort((a, b) => a.start.localeCompare(b.start)) };
+};
+
+module.exports = {
+    RECURRENCES,
+    MAX_CLOSURES,
+    NOTICE_DAYS,
+    occurrence,
+    status,
+    isClosed,
+    normalize
+};
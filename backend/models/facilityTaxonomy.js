@@ -0,0 +1,225 @@
+// Facility taxonomy
+// The facility ids a toilet's `facilities` may hold, grouped into categories,
+// with display names and icons for clients. Each facility lists the aliases
+// older records and other data sources use for it (mapped to the id on
+// input) and the OSM tags that set it during public data sync.
+
+const CATEGORIES = [
+    { id: 'accessibility', name: 'Accessibility' },
+    { id: 'family', name: 'Family' },
+    { id: 'fixtures', name: 'Toilets' },
+    { id: 'hygiene', name: 'Hygiene' },
+    { id: 'amenities', name: 'Amenities' },
+    { id: 'access', name: 'Access' }
+];
+
+// osm: [key, values]; a tag holding a ;-separated list matches on any item
+const FACILITIES = [
+    {
+        id: 'wheelchair',
+        category: 'accessibility',
+        name: 'Wheelchair Accessible',
+        icon: '♿',
+        aliases: ['handicap', 'handicap_accessible', 'wheelchair_accessible', 'disabled_access', 'accessible', 'disabled'],
+        osm: ['wheelchair', ['yes', 'designated']]
+    },
+    {
+        id: 'baby_change',
+        category: 'family',
+        name: 'Baby Change',
+        icon: '👶',
+        aliases: ['changing_table', 'diaper_facility', 'baby_changing'],
+        osm: ['changing_table', ['yes']]
+    },
+    {
+        id: 'seated_toilet',
+        category: 'fixtures',
+        name: 'Western Toilet',
+        icon: '🚽',
+        aliases: ['western_toilet', 'western', 'seated'],
+        osm: ['toilets:position', ['seated']]
+    },
+    {
+        id: 'squat_toilet',
+        category: 'fixtures',
+        name: 'Indian (Squat) Toilet',
+        icon: '🕳️',
+        aliases: ['indian_toilet', 'indian', 'squat'],
+        osm: ['toilets:position', ['squat']]
+    },
+    {
+        id: 'urinal',
+        category: 'fixtures',
+        name: 'Urinal',
+        icon: '🚹',
+        aliases: ['urinals'],
+        osm: ['toilets:position', ['urinal']]
+    },
+    {
+        id: 'handwashing',
+        category: 'hygiene',
+        name: 'Handwashing',
+        icon: '🧼',
+        aliases: ['hand_washing', 'sink', 'soap'],
+        osm: ['toilets:handwashing', ['yes']]
+    },
+    {
+        id: 'toilet_paper',
+        category: 'hygiene',
+        name: 'Toilet Paper',
+        icon: '🧻',
+        aliases: ['paper', 'tissue'],
+        osm: ['toilets:paper_supplied', ['yes']]
+    },
+    {
+        id: 'bidet',
+        category: 'hygiene',
+        name: 'Bidet',
+        icon: '🪣',
+        aliases: ['health_faucet', 'jet_spray'],
+        osm: ['bidet', ['yes']]
+    },
+    {
+        id: 'paper_towel',
+        category: 'hygiene',
+        name: 'Paper Towels',
+        icon: '📄',
+        aliases: ['paper_towels'],
+        osm: ['toilets:hand_drying', ['paper_towel']]
+    },
+    {
+        id: 'hand_dryer',
+        category: 'hygiene',
+        name: 'Hand Dryer',
+        icon: '💨',
+        aliases: ['dryer', 'hand_dryers'],
+        osm: ['toilets:hand_drying', ['electric_hand_dryer']]
+    },
+    {
+        id: 'shower',
+        category: 'amenities',
+        name: 'Shower',
+        icon: '🚿',
+        aliases: ['showers', 'bathing'],
+        osm: ['shower', ['yes']]
+    },
+    {
+        id: 'drinking_water',
+        category: 'amenities',
+        name: 'Drinking Water',
+        icon: '🚰',
+        aliases: ['water', 'potable_water'],
+        osm: ['drinking_water', ['yes']]
+    },
+    {
+        id: 'unisex',
+        category: 'access',
+        name: 'Unisex',
+        icon: '🚻',
+        aliases: ['shared', 'common', 'gender_neutral', 'all_gender'],
+        osm: ['unisex', ['yes']]
+    },
+    {
+        id: 'fee_required',
+        category: 'access',
+        name: 'Fee Required',
+        icon: '💰',
+        aliases: ['fee', 'paid', 'pay_and_use'],
+        osm: ['fee', ['yes']]
+    },
+    {
+        id: 'public_access',
+        category: 'access',
+        name: 'Open to Public',
+        icon: '🌐',
+        aliases: ['public'],
+        osm: ['access', ['yes', 'public']]
+    },
+    {
+        id: 'private_access',
+        category: 'access',
+        name: 'Private Access',
+        icon: '🔒',
+        aliases: ['private'],
+        osm: ['access', ['private']]
+    }
+];
+
+// Values that used to be stored as facilities but now live elsewhere on the
+// toilet; they are dropped rather than rejected
+const RETIRED = ['opening_hours_available'];
+
+// "Baby Change" / "baby-change" -> "baby_change"
+const slug = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const byName = new Map();
+FACILITIES.forEach(facility => {
+    byName.set(facility.id, facility.id);
+    facility.aliases.forEach(alias => byName.set(alias, facility.id));
+});
+
+/**
+ * Facility id for an id or alias
+ * @returns {string|null} null when the value is not in the taxonomy
+ */
+const canonical = (value) => byName.get(slug(value)) || null;
+
+// A facility id and its aliases, for matching records not yet migrated
+const namesFor = (id) => {
+    const facility = FACILITIES.find(entry => entry.id === id);
+    return facility ? [facility.id, ...facility.aliases] : [id];
+};
+
+/**
+ * Facilities from request input, with aliases mapped to ids
+ * @returns {Object} { facilities } (deduplicated, in input order) or { errors }
+ */
+const normalize = (values) => {
+    if (values === null || values === undefined) return { facilities: [] };
+    if (!Array.isArray(values)) return { errors: ['Facilities must be an array'] };
+
+    const unknown = values.filter(value => !canonical(value) && !RETIRED.includes(slug(value)));
+    if (unknown.length > 0) {
+        return { errors: [`Unknown facilities: ${unknown.join(', ')}`] };
+    }
+    return { facilities: canonicalize(values) };
+};
+
+// Facilities from data sources and stored records: aliases mapped, anything
+// outside the taxonomy dropped
+const canonicalize = (values = []) => {
+    const ids = (Array.isArray(values) ? values : []).map(canonical).filter(Boolean);
+    return [...new Set(ids)];
+};
+
+/**
+ * Facilities set by OSM tags
+ * @returns {string[]} Facility ids, in taxonomy order
+ */
+const fromOsmTags = (tags = {}) => FACILITIES
+    .filter(({ osm: [key, values] }) => {
+        if (typeof tags[key] !== 'string') return false;
+        return tags[key].split(';').some(item => values.includes(item.trim().toLowerCase()));
+    })
+    .map(facility => facility.id);
+
+// The taxonomy as served to clients
+const describe = () => ({
+    categories: CATEGORIES,
+    facilities: FACILITIES.map(({ osm: [key, values], ...facility }) => ({
+        ...facility,
+        osmTags: values.map(value => `${key}=${value}`)
+    }))
+});
+
+module.exports = {
+    CATEGORIES,
+    FACILITIES,
+    RETIRED,
+    canonical,
+    namesFor,
+    normalize,
+    canonicalize,
+    fromOsmTags,
+    describe
+};
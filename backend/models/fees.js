@@ -0,0 +1,176 @@
+// Fees of a toilet
+// Stored on the toilet as
+// { required, amount, currency, unit, paymentMethods, customersOnly }
+// where `amount` is in currency units, ₹5 being 5 (null when a fee is charged
+// but its amount is unknown, 0 when free), `unit` says whether it is paid once per
+// visit or separately per service (urinal, toilet, bath) and `customersOnly`
+// marks toilets reserved for customers of the place that runs them. A toilet
+// with no known fee details has fee null; `required` is null when other
+// details are known but not whether a fee is charged.
+//
+// Read from OSM as:
+//   fee=yes|no
+//   charge=5 INR | INR 5 | ₹5 | Rs. 5/use | 2 INR (urinal); 5 INR (toilet)
+//   payment:cash=yes, payment:upi=yes, payment:cards=yes, ...
+//   access=customers
+
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'INR';
+
+const UNITS = ['per_use', 'per_service'];
+const PAYMENT_METHODS = ['cash', 'upi', 'card'];
+
+// OSM payment:* keys for each payment method
+const OSM_PAYMENT_KEYS = {
+    cash: ['cash', 'coins', 'notes'],
+    upi: ['upi', 'bhim', 'paytm', 'phonepe', 'google_pay'],
+    card: ['cards', 'credit_cards', 'debit_cards', 'contactless', 'visa', 'mastercard', 'rupay']
+};
+
+const CURRENCY_SYMBOLS = {
+    '₹': 'INR',
+    rs: 'INR',
+    'rs.': 'INR',
+    $: 'USD',
+    '€': 'EUR',
+    '£': 'GBP'
+};
+
+// Fees above this are treated as typos
+const MAX_AMOUNT = 10000;
+
+const currencyCode = (text) => {
+    const token = text.trim().toLowerCase();
+    if (CURRENCY_SYMBOLS[token]) return CURRENCY_SYMBOLS[token];
+    return /^[a-z]{3}$/.test(token) ? token.toUpperCase() : null;
+};
+
+// "5 INR", "INR 5", "₹5", "Rs. 2.50/use" -> { amount, currency }; null otherwise
+const parseAmount = (text) => {
+    const value = text.replace(/\(.*?\)/g, '').replace(/\s*(?:\/|per\s+)\s*(?:use|visit|entry)\b/i, '').trim();
+    const match = value.match(/^([^\d\s.]*\.?)\s*(\d+(?:\.\d+)?)\s*([^\d\s]*)$/);
+    if (!match) return null;
+
+    const [, before, number, after] = match;
+    const symbol = before || after;
+    const currency = symbol ? currencyCode(symbol) : DEFAULT_CURRENCY;
+    if (!currency) return null;
+
+    return { amount: Number(number), currency };
+};
+
+/**
+ * Fee from the OSM charge tag. Several charges (one per service) are kept as
+ * the cheapest, charged per service.
+ * @returns {Object|null} { amount, currency, unit }, null when unreadable
+ */
+const parseCharge = (charge) => {
+    const amounts = String(charge).split(';').map(part => part.trim()).filter(Boolean).map(parseAmount);
+    if (amounts.length === 0 || amounts.includes(null)) return null;
+
+    const currencies = new Set(amounts.map(({ currency }) => currency));
+    if (currencies.size > 1) return null;
+
+    const values = amounts.map(({ amount }) => amount);
+    return {
+        amount: Math.min(...values),
+        currency: amounts[0].currency,
+        unit: new Set(values).size > 1 ? 'per_service' : 'per_use'
+    };
+};
+
+const paymentMethodsFromTags = (tags) => PAYMENT_METHODS.filter(method =>
+    OSM_PAYMENT_KEYS[method].some(key => tags[`payment:${key}`] === 'yes')
+);
+
+/**
+ * Fee from OSM tags
+ * @returns {Object|null} The stored fee shape, null when the tags say nothing
+ * about fees
+ */
+const fromOsmTags = (tags = {}) => {
+    const fee = typeof tags.fee === 'string' ? tags.fee.toLowerCase() : null;
+    const charge = tags.charge ? parseCharge(tags.charge) : null;
+    const paymentMethods = paymentMethodsFromTags(tags);
+    const customersOnly = tags.access === 'customers';
+
+    if (!fee && !charge && paymentMethods.length === 0 && !customersOnly) return null;
+
+    // A charge implies a fee even when fee=* is missing; fee=no wins over a
+    // stale charge
+    const required = fee === 'no' ? false : fee === 'yes' || (charge ? charge.amount > 0 : null);
+
+    return {
+        required,
+        amount: required === false ? 0 : (charge ? charge.amount : null),
+        currency: charge ? charge.currency : DEFAULT_CURRENCY,
+        unit: charge ? charge.unit : 'per_use',
+        paymentMethods,
+        customersOnly
+    };
+};
+
+/**
+ * Fee from request input: { required, amount, currency, unit, paymentMethods,
+ * customersOnly } (all optional), or null/'' to clear it
+ * @returns {Object} { fee } (null when cleared) or { errors }
+ */
+const normalize = (value) => {
+    if (value === null || value === undefined || value === '') return { fee: null };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { errors: ['Fee must be an object with required, amount, currency, unit and paymentMethods'] };
+    }
+
+    const errors = [];
+
+    const required = value.required === undefined ? null : value.required;
+    if (required !== null && typeof required !== 'boolean') {
+        errors.push('Fee required must be true, false or null');
+    }
+
+    let amount = required === false ? 0 : null;
+    if (value.amount !== undefined && value.amount !== null && value.amount !== '') {
+        amount = Number(value.amount);
+        if (!Number.isFinite(amount) || amount < 0 || amount > MAX_AMOUNT) {
+            errors.push(`Fee amount must be a number between 0 and ${MAX_AMOUNT}`);
+        } else if (required === false && amount > 0) {
+            errors.push('A free toilet cannot have a fee amount');
+        }
+    }
+
+    const currency = value.currency ? String(value.currency).trim().toUpperCase() : DEFAULT_CURRENCY;
+    if (!/^[A-Z]{3}$/.test(currency)) {
+        errors.push('Fee currency must be a 3-letter currency code');
+    }
+
+    const unit = value.unit || 'per_use';
+    if (!UNITS.includes(unit)) {
+        errors.push(`Fee unit must be one of: ${UNITS.join(', ')}`);
+    }
+
+    const paymentMethods = value.paymentMethods || [];
+    if (!Array.isArray(paymentMethods) || paymentMethods.some(method => !PAYMENT_METHODS.includes(method))) {
+        errors.push(`Payment methods must be a list of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        fee: {
+            required,
+            amount,
+            currency,
+            unit,
+            paymentMethods: PAYMENT_METHODS.filter(method => paymentMethods.includes(method)),
+            customersOnly: value.customersOnly === true
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    UNITS,
+    PAYMENT_METHODS,
+    parseCharge,
+    fromOsmTags,
+    normalize
+};
@@ -0,0 +1,345 @@
+// Opening hours of a toilet
+// Read from and written back as OSM `opening_hours` syntax, limited to the
+// forms toilets are tagged with in practice:
+//   24/7
+//   Mo-Fr 08:00-20:00; Sa,Su 10:00-14:00
+//   06:00-12:00,16:00-23:00        (every day)
+//   Mo-Su 22:00-02:00              (past midnight)
+//   Mo-Sa 09:00-18:00; PH off      (public holidays)
+// As in OSM, a later rule replaces earlier ones on the days it names, and a
+// day no rule names is closed. Stored on the toilet as
+// { osm, timezone, alwaysOpen, rules: [{ days, holiday, intervals: [{ open, close }] }] }
+// with `osm` the canonical form, `days` OSM weekday abbreviations and times
+// local "HH:MM" in `timezone`.
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const DAY_MINUTES = 24 * 60;
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+// Open toilets closing within this many minutes are reported as closing soon
+const CLOSING_SOON_MINUTES = parseInt(process.env.CLOSING_SOON_MINUTES, 10) || 30;
+
+const STATES = ['open', 'closing_soon', 'closed', 'unknown'];
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+// Public holidays as local YYYY-MM-DD dates; PH rules apply on these
+let holidays = new Set();
+
+const setHolidays = (dates = []) => {
+    holidays = new Set(dates.map(date => String(date).trim()).filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date)));
+};
+
+setHolidays((process.env.PUBLIC_HOLIDAYS || '').split(','));
+
+const toMinutes = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+const toTime = (minutes) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// "mo" -> "Mo", "ph" -> "PH"
+const dayName = (text) => {
+    const name = text.trim();
+    if (name.toUpperCase() === 'PH') return 'PH';
+    return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+};
+
+const parseDays = (selector) => {
+    const days = new Set();
+    let holiday = false;
+
+    for (const item of selector.split(',')) {
+        const [from, to, ...rest] = item.split('-').map(dayName);
+        if (rest.length > 0) return { error: `Invalid day range "${item.trim()}"` };
+
+        if (from === 'PH' && to === undefined) {
+            holiday = true;
+            continue;
+        }
+
+        const start = WEEKDAYS.indexOf(from);
+        const end = to === undefined ? start : WEEKDAYS.indexOf(to);
+        if (start === -1) return { error: `Unknown day "${from}"` };
+        if (end === -1) return { error: `Unknown day "${to}"` };
+
+        // Ranges may wrap round the week (Fr-Mo)
+        for (let day = start; ; day = (day + 1) % 7) {
+            days.add(WEEKDAYS[day]);
+            if (day === end) break;
+        }
+    }
+
+    return { days: WEEKDAYS.filter(day => days.has(day)), holiday };
+};
+
+const parseTimes = (text) => {
+    const value = text.trim().toLowerCase();
+    if (value === '') return { intervals: [{ open: '00:00', close: '24:00' }] };
+    if (value === 'off' || value === 'closed') return { intervals: [] };
+
+    const intervals = [];
+    for (const span of value.split(',')) {
+        const [open, close, ...rest] = span.split('-').map(time => time.trim());
+        if (rest.length > 0 || !close || !TIME_PATTERN.test(open) || !TIME_PATTERN.test(close)) {
+            return { error: `Unsupported time range "${span.trim()}"` };
+        }
+        if (toMinutes(open) >= DAY_MINUTES) return { error: `"${open}" is not a valid opening time` };
+        if (toMinutes(open) === toMinutes(close)) return { error: `"${span.trim()}" opens and closes at the same time` };
+        intervals.push({ open, close });
+    }
+    return { intervals };
+};
+
+// One ";"-separated rule: an optional day selector, then times or "off"
+const parseRule = (text) => {
+    const match = text.match(/^(?:([A-Za-z]{2}(?:\s*[,-]\s*[A-Za-z]{2})*)(?![A-Za-z]))?\s*(.*)$/);
+    if (!match || (!match[1] && !match[2])) return { error: 'Expected days and/or times' };
+
+    let days = WEEKDAYS;
+    let holiday = false;
+    if (match[1]) {
+        const selector = parseDays(match[1]);
+        if (selector.error) return selector;
+        ({ days, holiday } = selector);
+    }
+
+    const times = parseTimes(match[2]);
+    if (times.error) return times;
+
+    return { rule: { days, holiday, intervals: times.intervals } };
+};
+
+// ["Mo","Tu","We","Fr"] -> "Mo-We,Fr"
+const formatDays = (days) => {
+    const indexes = days.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+    const parts = [];
+    let start = 0;
+    for (let i = 1; i <= indexes.length; i++) {
+        if (i < indexes.length && indexes[i] === indexes[i - 1] + 1) continue;
+        const run = indexes.slice(start, i).map(index => WEEKDAYS[index]);
+        parts.push(run.length >= 3 ? `${run[0]}-${run[run.length - 1]}` : run.join(','));
+        start = i;
+    }
+    return parts.join(',');
+};
+
+/**
+ * Write opening hours back as an OSM opening_hours value
+ * @param {Object} hours - Structured opening hours
+ * @returns {string} e.g. "Mo-Fr 08:00-20:00; PH off"
+ */
+const format = (hours) => {
+    if (hours.alwaysOpen) return '24/7';
+    return hours.rules.map(rule => {
+        const selector = [
+            rule.days.length === 7 && !rule.holiday ? '' : formatDays(rule.days),
+            rule.holiday ? 'PH' : ''
+        ].filter(Boolean).join(',');
+        const times = rule.intervals.length === 0
+            ? 'off'
+            : rule.intervals.map(({ open, close }) => `${open}-${close}`).join(',');
+        return selector ? `${selector} ${times}` : times;
+    }).join('; ');
+};
+
+/**
+ * Parse an OSM opening_hours value
+ * @param {string} text - e.g. "Mo-Fr 08:00-20:00; Sa 10:00-14:00; PH off"
+ * @param {string} timezone - IANA timezone the times are in
+ * @returns {Object} { hours } or { errors } when the value is not understood
+ */
+const parse = (text, timezone = DEFAULT_TIMEZONE) => {
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { errors: ['Opening hours must be a non-empty string'] };
+    }
+
+    const errors = [];
+    if (!isValidTimezone(timezone)) errors.push(`Unknown timezone "${timezone}"`);
+
+    const value = text.trim();
+    if (value === '24/7') {
+        return errors.length > 0 ? { errors } : { hours: { osm: '24/7', timezone, alwaysOpen: true, rules: [] } };
+    }
+
+    const rules = [];
+    value.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const result = parseRule(part);
+        if (result.error) {
+            errors.push(`"${part}": ${result.error}`);
+        } else {
+            rules.push(result.rule);
+        }
+    });
+
+    if (errors.length > 0) return { errors };
+
+    const hours = { osm: '', timezone, alwaysOpen: false, rules };
+    hours.osm = format(hours);
+    return { hours };
+};
+
+/**
+ * Opening hours from request input: an OSM string, { osm, timezone }, or
+ * null/'' to clear them
+ * @returns {Object} { hours } (null when cleared) or { errors }
+ */
+const normalize = (value) => {
+    if (value === null || value === undefined || value === '') return { hours: null };
+    if (typeof value === 'string') return parse(value);
+    if (typeof value === 'object' && typeof value.osm === 'string') {
+        return parse(value.osm, value.timezone || DEFAULT_TIMEZONE);
+    }
+    return { errors: ['Opening hours must be an OSM opening_hours string or { osm, timezone }'] };
+};
+
+// Formatting the local time is the expensive part of a status check, so
+// formatters are kept per timezone
+const formatters = new Map();
+
+const localTime = (date, timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: WEEKDAYS.indexOf(parts.weekday.substring(0, 2)),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+};
+
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+};
+
+// Intervals of the last rule that applies to a day
+const daySchedule = (rules, weekday, isHoliday) => {
+    let intervals = [];
+    rules.forEach(rule => {
+        if (rule.days.includes(WEEKDAYS[weekday]) || (rule.holiday && isHoliday)) {
+            intervals = rule.intervals;
+        }
+    });
+    return intervals;
+};
+
+/**
+ * Whether a toilet is open at a moment, in the toilet's own timezone
+ * @param {Object|string|null} value - Structured opening hours (an OSM string is parsed first)
+ * @param {Date} now - Moment to check
+ * @returns {Object} { state: 'open' | 'closing_soon' | 'closed' | 'unknown',
+ * nextChange: local "HH:MM" (prefixed with the weekday when not today) at
+ * which it closes or next opens, or null, minutesToChange }
+ */
+const status = (value, now = new Date()) => {
+    const hours = typeof value === 'string' ? parse(value).hours : value;
+    if (!hours) return { state: 'unknown', nextChange: null, minutesToChange: null };
+    if (hours.alwaysOpen) return { state: 'open', nextChange: null, minutesToChange: null };
+
+    const local = localTime(now, hours.timezone || DEFAULT_TIMEZONE);
+
+    // Open spans from yesterday (for hours past midnight) to a week ahead, in
+    // minutes from today's local midnight, with touching spans merged
+    const spans = [];
+    for (let offset = -1; offset <= 7; offset++) {
+        const weekday = (local.weekday + offset + 7) % 7;
+        const isHoliday = holidays.has(addDays(local.date, offset));
+        daySchedule(hours.rules, weekday, isHoliday).forEach(({ open, close }) => {
+            const start = offset * DAY_MINUTES + toMinutes(open);
+            let end = offset * DAY_MINUTES + toMinutes(close);
+            if (end <= start) end += DAY_MINUTES;
+            spans.push([start, end]);
+        });
+    }
+    spans.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    spans.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    const label = (minutes) => {
+        const offset = Math.floor(minutes / DAY_MINUTES);
+        const time = toTime(minutes - offset * DAY_MINUTES);
+        return offset === 0 ? time : `${WEEKDAYS[(local.weekday + offset) % 7]} ${time}`;
+    };
+
+    const current = merged.find(([start, end]) => start <= local.minutes && local.minutes < end);
+    if (current) {
+        // Open for the whole week ahead
+        if (current[1] >= 8 * DAY_MINUTES) return { state: 'open', nextChange: null, minutesToChange: null };
+
+        const minutesToChange = current[1] - local.minutes;
+        return {
+            state: minutesToChange <= CLOSING_SOON_MINUTES ? 'closing_soon' : 'open',
+            nextChange: label(current[1]),
+            minutesToChange
+        };
+    }
+
+    const next = merged.find(([start]) => start > local.minutes);
+    return {
+        state: 'closed',
+        nextChange: next ? label(next[0]) : null,
+        minutesToChange: next ? next[0] - local.minutes : null
+    };
+};
+
+// OSM form of stored opening hours; older records may hold the raw string
+const osmValue = (value) => {
+    if (!value) return null;
+    return typeof value === 'string' ? value : value.osm;
+};
+
+// true when open (or closing soon), false when closed, null when unknown
+const isOpen = (openingStatus) => {
+    if (openingStatus.state === 'unknown') return null;
+    return openingStatus.state !== 'closed';
+};
+
+module.exports = {
+    WEEKDAYS,
+    STATES,
+    DEFAULT_TIMEZONE,
+    CLOSING_SOON_MINUTES,
+    parse,
+    format,
+    normalize,
+    status,
+    isOpen,
+    osmValue,
+    setHolidays
+};
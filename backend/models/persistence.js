@@ -0,0 +1,343 @@
+// Durable persistence for the in-memory storage collections
+// Append-only write-ahead log (WAL) plus periodic compacted snapshots
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('./storage');
+const { reviveDates } = require('./adapters/query');
+
+const PERSISTENCE_CONFIG = {
+    DATA_DIR: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    SNAPSHOT_FILE: 'snapshot.json',
+    WAL_FILE: 'wal.log',
+    SNAPSHOT_INTERVAL: parseInt(process.env.SNAPSHOT_INTERVAL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    COMPACT_THRESHOLD: parseInt(process.env.WAL_COMPACT_THRESHOLD, 10) || 10000, // WAL entries before compaction
+    FSYNC: process.env.WAL_FSYNC !== 'false' // fsync every WAL append
+};
+
+const SNAPSHOT_VERSION = 1;
+
+// Short content checksum used to detect torn or corrupted records
+const checksum = (payload) => crypto.createHash('sha256').update(payload).digest('hex').substring(0, 16);
+
+class PersistenceManager {
+    constructor() {
+        this.enabled = false;
+        this.dataDir = null;
+        this.walFd = null;
+        this.seq = 0;
+        this.walEntries = 0;
+        this.snapshotTimer = null;
+        this.compacting = null;
+        this.lastSnapshotAt = null;
+
+        // collection name -> { records, hydrate }
+        this.collections = new Map();
+    }
+
+    // Models register the array they live in and how to rebuild instances from JSON
+    registerModel(name, records, hydrate = (data) => data) {
+        this.collections.set(name, { records, hydrate });
+    }
+
+    // Turn a plain stored document back into its model instance
+    hydrate(name, data) {
+        const collection = this.collections.get(name);
+        return collection ? collection.hydrate(reviveDates({ ...data })) : data;
+    }
+
+    // Load snapshot, replay WAL and start appending. Safe to call once per process.
+    async init(options = {}) {
+        if (this.enabled) return this.getStats();
+
+        this.dataDir = options.dataDir || PERSISTENCE_CONFIG.DATA_DIR;
+        this.snapshotInterval = options.snapshotInterval || PERSISTENCE_CONFIG.SNAPSHOT_INTERVAL;
+        this.compactThreshold = options.compactThreshold || PERSISTENCE_CONFIG.COMPACT_THRESHOLD;
+        this.fsync = options.fsync !== undefined ? options.fsync : PERSISTENCE_CONFIG.FSYNC;
+
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        console.log(`[PERSISTENCE] Loading data from ${this.dataDir}`);
+
+        // Stage records by id so replay stays O(n) on large datasets
+        this.staged = new Map();
+        for (const [name, { records }] of this.collections) {
+            this.staged.set(name, new Map(records.map(r => [r.id, r])));
+        }
+
+        const snapshotSeq = this.loadSnapshot();
+        const replayed = this.replayWal(snapshotSeq);
+        this.materialize();
+        storage.toiletOperations.rebuildIndexes();
+
+        this.walFd = fs.openSync(this.walPath(), 'a');
+        this.enabled = true;
+
+        if (this.snapshotInterval > 0) {
+            this.snapshotTimer = setInterval(() => {
+                this.compact().catch(error => console.error('[PERSISTENCE] Scheduled snapshot failed:', error.message));
+            }, this.snapshotInterval);
+            this.snapshotTimer.unref();
+        }
+
+        const stats = this.getStats();
+        console.log(`[PERSISTENCE] Restored ${stats.users} users, ${stats.toilets} toilets, ${stats.reviews} reviews (replayed ${replayed} WAL entries)`);
+        return stats;
+    }
+
+    snapshotPath() {
+        return path.join(this.dataDir, PERSISTENCE_CONFIG.SNAPSHOT_FILE);
+    }
+
+    walPath() {
+        return path.join(this.dataDir, PERSISTENCE_CONFIG.WAL_FILE);
+    }
+
+    // Returns the WAL sequence number the snapshot covers (0 if none)
+    loadSnapshot() {
+        const file = this.snapshotPath();
+        if (!fs.existsSync(file)) return 0;
+
+        const raw = fs.readFileSync(file, 'utf8');
+        const snapshot = JSON.parse(raw);
+
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+        }
+        if (checksum(JSON.stringify(snapshot.collections)) !== snapshot.checksum) {
+            throw new Error('Snapshot checksum mismatch');
+        }
+
+        for (const [name, docs] of Object.entries(snapshot.collections)) {
+            for (const doc of docs) {
+                this.applyUpsert(name, doc);
+            }
+        }
+
+        this.seq = snapshot.seq;
+        this.lastSnapshotAt = new Date(snapshot.createdAt);
+        return snapshot.seq;
+    }
+
+    // Replays WAL entries newer than the snapshot, truncating any torn tail
+    replayWal(afterSeq) {
+        const file = this.walPath();
+        if (!fs.existsSync(file)) return 0;
+
+        const content = fs.readFileSync(file, 'utf8');
+        let offset = 0;
+        let replayed = 0;
+
+        while (offset < content.length) {
+            const newline = content.indexOf('\n', offset);
+            if (newline === -1) break; // incomplete final write
+
+            const line = content.substring(offset, newline);
+            const entry = this.parseEntry(line);
+            if (!entry) break;
+
+            if (entry.seq > afterSeq) {
+                this.applyEntry(entry);
+                replayed++;
+            }
+            this.seq = Math.max(this.seq, entry.seq);
+            this.walEntries++;
+            offset = newline + 1;
+        }
+
+        const validBytes = Buffer.byteLength(content.substring(0, offset), 'utf8');
+        if (validBytes < Buffer.byteLength(content, 'utf8')) {
+            console.warn(`[PERSISTENCE] Discarding corrupted WAL tail after byte ${validBytes}`);
+            fs.truncateSync(file, validBytes);
+        }
+
+        return replayed;
+    }
+
+    // WAL line format: "<checksum> <json>"
+    parseEntry(line) {
+        const separator = line.indexOf(' ');
+        if (separator === -1) return null;
+
+        const payload = line.substring(separator + 1);
+        if (checksum(payload) !== line.substring(0, separator)) return null;
+
+        try {
+            return JSON.parse(payload);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    applyEntry(entry) {
+        if (entry.op === 'upsert') {
+            this.applyUpsert(entry.collection, entry.doc);
+        } else if (entry.op === 'delete') {
+            this.applyDelete(entry.collection, entry.id);
+        } else if (entry.op === 'batch') {
+            entry.ops.forEach(op => this.applyEntry(op));
+        }
+    }
+
+    applyUpsert(name, doc) {
+        const collection = this.collections.get(name);
+        if (!collection) return;
+
+        const record = collection.hydrate(reviveDates({ ...doc }));
+        this.staged.get(name).set(record.id, record);
+    }
+
+    applyDelete(name, id) {
+        const records = this.staged.get(name);
+        if (records) records.delete(id);
+    }
+
+    // Move staged records into the live arrays
+    materialize() {
+        for (const [name, { records }] of this.collections) {
+            const loaded = Array.from(this.staged.get(name).values());
+            records.splice(0, records.length);
+            // Bypass the indexing push; indexes are rebuilt once after load
+            for (const record of loaded) {
+                Array.prototype.push.call(records, record);
+            }
+        }
+        this.staged = null;
+    }
+
+    // Append a change to the WAL. No-op until init() has run.
+    async record(collection, op, payload) {
+        if (!this.enabled) return;
+        this.append({ seq: ++this.seq, ts: Date.now(), ...this.change(collection, op, payload) });
+    }
+
+    // Append several changes as one WAL entry, so replay applies all or none
+    // of them. changes: [{ collection, op, payload }]
+    async recordBatch(changes) {
+        if (!this.enabled || changes.length === 0) return;
+        this.append({
+            seq: ++this.seq,
+            ts: Date.now(),
+            op: 'batch',
+            ops: changes.map(({ collection, op, payload }) => this.change(collection, op, payload))
+        });
+    }
+
+    change(collection, op, payload) {
+        return op === 'delete'
+            ? { collection, op, id: payload.id }
+            : { collection, op, doc: { ...payload } };
+    }
+
+    append(entry) {
+        const json = JSON.stringify(entry);
+        fs.writeSync(this.walFd, `${checksum(json)} ${json}\n`);
+        if (this.fsync) fs.fsyncSync(this.walFd);
+        this.walEntries++;
+
+        if (this.walEntries >= this.compactThreshold && !this.compacting) {
+            setImmediate(() => {
+                this.compact().catch(error => console.error('[PERSISTENCE] Compaction failed:', error.message));
+            });
+        }
+    }
+
+    // Write a full snapshot atomically, then truncate the WAL it covers
+    async compact() {
+        if (!this.enabled) return null;
+        if (this.compacting) return this.compacting;
+
+        this.compacting = (async () => {
+            const collections = {};
+            for (const [name, { records }] of this.collections) {
+                collections[name] = records.map(r => ({ ...r }));
+            }
+
+            const snapshot = {
+                version: SNAPSHOT_VERSION,
+                seq: this.seq,
+                createdAt: new Date().toISOString(),
+                checksum: checksum(JSON.stringify(collections)),
+                collections
+            };
+
+            const tmpFile = `${this.snapshotPath()}.tmp`;
+            const fd = fs.openSync(tmpFile, 'w');
+            try {
+                fs.writeSync(fd, JSON.stringify(snapshot));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tmpFile, this.snapshotPath());
+
+            // Entries up to snapshot.seq are now redundant; any later ones stay
+            this.rewriteWalAfter(snapshot.seq);
+            this.lastSnapshotAt = new Date(snapshot.createdAt);
+
+            console.log(`[PERSISTENCE] Snapshot written at seq ${snapshot.seq}`);
+            return snapshot.seq;
+        })();
+
+        try {
+            return await this.compacting;
+        } finally {
+            this.compacting = null;
+        }
+    }
+
+    rewriteWalAfter(seq) {
+        const content = fs.readFileSync(this.walPath(), 'utf8');
+        const remaining = content.split('\n').filter(line => {
+            const entry = line && this.parseEntry(line);
+            return entry && entry.seq > seq;
+        });
+
+        fs.closeSync(this.walFd);
+        const tmpFile = `${this.walPath()}.tmp`;
+        fs.writeFileSync(tmpFile, remaining.map(line => `${line}\n`).join(''));
+        fs.renameSync(tmpFile, this.walPath());
+        this.walFd = fs.openSync(this.walPath(), 'a');
+        this.walEntries = remaining.length;
+    }
+
+    // Flush a final snapshot and release file handles
+    async close({ snapshot = true } = {}) {
+        if (!this.enabled) return;
+
+        if (snapshot) {
+            await this.compact();
+        }
+        if (this.snapshotTimer) {
+            clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+        fs.closeSync(this.walFd);
+        this.walFd = null;
+        this.enabled = false;
+        this.seq = 0;
+        this.walEntries = 0;
+    }
+
+    getStats() {
+        const counts = {};
+        for (const [name, { records }] of this.collections) {
+            counts[name] = records.length;
+        }
+        return {
+            enabled: this.enabled,
+            dataDir: this.dataDir,
+            seq: this.seq,
+            walEntries: this.walEntries,
+            lastSnapshotAt: this.lastSnapshotAt,
+            ...counts
+        };
+    }
+}
+
+// Export singleton instance
+const persistence = new PersistenceManager();
+
+module.exports = persistence;
+module.exports.PersistenceManager = PersistenceManager;
+module.exports.PERSISTENCE_CONFIG = PERSISTENCE_CONFIG;
@@ -0,0 +1,129 @@
+// Roles and what they may do
+// Each permission maps the roles holding it to the scope it is granted in:
+// 'any' for every resource, 'own' only for the user's own: toilets they
+// operate (toilet.operatorIds, set when an ownership claim is approved; see
+// services/ClaimService.js) and reviews they wrote (review.userId). Roles
+// missing from a permission do not have it.
+// Anonymous requests are checked as `guest`, which cannot be assigned.
+//
+//   user         a signed-in visitor; may claim the toilets they run
+//   reviewer     a trusted contributor whose review photos skip moderation
+//   moderator    moderates reviews and photos and handles incidents
+//                (neither may claim toilets; see services/ClaimService.js)
+//   operator     manages the toilets of their business
+//   admin        manages toilets, data and users
+//   super-admin  an admin who may also appoint admins
+
+const GUEST = 'guest';
+const ROLES = ['user', 'reviewer', 'moderator', 'operator', 'admin', 'super-admin'];
+
+// Users may assign roles ranked below their own; super-admins may assign any
+const RANKS = { guest: 0, user: 1, reviewer: 2, operator: 2, moderator: 3, admin: 4, 'super-admin': 5 };
+
+const EVERYONE = [GUEST, ...ROLES];
+const STAFF = ['moderator', 'admin', 'super-admin'];
+const ADMINS = ['admin', 'super-admin'];
+
+const grant = (roles, scope = 'any') => Object.fromEntries(roles.map(role => [role, scope]));
+
+const PERMISSIONS = {
+    // Public map data, kept open to everyone
+    'toilet:read': grant(EVERYONE),
+    'toilet:export': grant(EVERYONE),
+    'toilet:contribute': grant(EVERYONE), // suggest an unverified public toilet, refresh public data
+    'toilet:create': grant(ADMINS),
+    'toilet:update': { ...grant(['operator'], 'own'), ...grant(ADMINS) },
+    'toilet:delete': grant(ADMINS),
+    'toilet:history': grant(STAFF),
+    'toilet:rollback': grant(ADMINS),
+
+    'review:read': grant(EVERYONE),
+    'review:submit': grant(EVERYONE),
+    // Authors may change their reviews; anonymous reviews belong to nobody,
+    // so guests are refused rather than asked to sign in
+    'review:update': { ...grant(EVERYONE, 'own'), ...grant(STAFF) },
+    'review:delete': { ...grant(EVERYONE, 'own'), ...grant(STAFF) },
+    'review:export': grant(STAFF),
+
+    'photo:upload': grant(ADMINS),
+    'photo:publish': grant(['reviewer', ...STAFF]),
+    'photo:moderate': grant(STAFF),
+
+    'incident:report': grant(EVERYONE),
+    'incident:read': { ...grant(['operator'], 'own'), ...grant(STAFF) },
+    'incident:resolve': { ...grant(['operator'], 'own'), ...grant(STAFF) },
+
+    // Roles an approved claim lets manage the toilet (see ClaimService.canOperate)
+    'claim:create': grant(['user', 'operator', ...ADMINS]),
+    'claim:review': grant(ADMINS),
+
+    'data:ingest': grant(ADMINS),
+    'system:read': grant(EVERYONE), // SLO and cache statistics
+    'cache:invalidate': grant(ADMINS),
+    'trash:manage': grant(ADMINS),
+    'audit:read': grant(ADMINS),
+    'backup:manage': grant(ADMINS),
+    'user:manage': grant(ADMINS)
+};
+
+// Toilet fields an operator may change on a toilet they operate; the rest
+// (position, type, verification, sync bookkeeping) stay with admins
+const OPERATOR_FIELDS = ['name', 'location', 'description', 'facilities', 'openingHours', 'fee', 'closures'];
+
+// Toilet fields an admin may change. Ratings and review counts follow the
+// reviews, operators follow claims, and ids and timestamps are the server's.
+const ADMIN_FIELDS = [...OPERATOR_FIELDS, 'coordinates', 'type', 'verified', 'source', 'sourceId', 'lastSynced'];
+
+const roleOf = (user) => (user ? user.role : GUEST);
+
+/**
+ * The scope a user holds a permission in
+ * @param {Object|null} user - Signed-in user; null for anonymous requests
+ * @param {string} permission - e.g. 'toilet:update'
+ * @returns {string|null} 'any', 'own' or null when not granted
+ */
+const scope = (user, permission) => {
+    if (!PERMISSIONS[permission]) return null;
+    return PERMISSIONS[permission][roleOf(user)] || null;
+};
+
+const operates = (user, toilet) => Boolean(user && toilet && (toilet.operatorIds || []).includes(user.id));
+
+const wrote = (user, review) => Boolean(user && review && review.userId && review.userId === user.id);
+
+// Whether a resource is the user's own: a toilet they operate or a review they wrote
+const owns = (user, resource) => operates(user, resource) || wrote(user, resource);
+
+// Whether a user may act on a resource; without one only 'any' grants count
+const can = (user, permission, resource = null) => {
+    const granted = scope(user, permission);
+    return granted === 'any' || (granted === 'own' && owns(user, resource));
+};
+
+// Whether a user may give someone `role`, or take it away from them
+const canAssign = (user, role) => {
+    if (!user || !ROLES.includes(role) || !can(user, 'user:manage')) return false;
+    return user.role === 'super-admin' || RANKS[role] < RANKS[user.role];
+};
+
+// The permissions a role holds, with their scope, for clients to adapt to
+const permissionsOf = (role) => Object.fromEntries(
+    Object.entries(PERMISSIONS)
+        .filter(([, roles]) => roles[role])
+        .map(([permission, roles]) => [permission, roles[role]])
+);
+
+module.exports = {
+    GUEST,
+    ROLES,
+    RANKS,
+    PERMISSIONS,
+    OPERATOR_FIELDS,
+    ADMIN_FIELDS,
+    scope,
+    operates,
+    owns,
+    can,
+    canAssign,
+    permissionsOf
+};
@@ -0,0 +1,302 @@
+// Inverted text index for toilet search
+// Tokens are normalised (case, diacritics, common Indian transliteration
+// variants, abbreviations and old/new city names) so "Bombay Chowpatty" and
+// "mumbai chaupati" meet at the same terms. Queries match exact terms,
+// prefixes of longer terms and near-misses within a small edit distance.
+
+// Relative weight of a term by the field it came from
+const FIELD_WEIGHTS = {
+    name: 3,
+    location: 2,
+    facilities: 1,
+    description: 1
+};
+
+// Match quality multipliers
+const MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: [1, 0.6, 0.4] // by edit distance
+};
+
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+const MAX_PREFIX_EXPANSIONS = 50;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'at', 'in', 'near',
+    'toilet', 'toilets', 'restroom', 'restrooms', 'washroom', 'washrooms'
+]);
+
+// Abbreviations and renamed cities, applied before phonetic folding
+const TOKEN_ALIASES = {
+    rd: 'road',
+    stn: 'station',
+    mkt: 'market',
+    opp: 'opposite',
+    hosp: 'hospital',
+    bldg: 'building',
+    bombay: 'mumbai',
+    bangalore: 'bengaluru',
+    madras: 'chennai',
+    calcutta: 'kolkata',
+    poona: 'pune',
+    gurgaon: 'gurugram',
+    baroda: 'vadodara',
+    trivandrum: 'thiruvananthapuram',
+    benares: 'varanasi',
+    banaras: 'varanasi',
+    simla: 'shimla',
+    mysore: 'mysuru',
+    mangalore: 'mangaluru',
+    pondicherry: 'puducherry',
+    orissa: 'odisha',
+    cochin: 'kochi',
+    calicut: 'kozhikode',
+    vizag: 'visakhapatnam',
+    cawnpore: 'kanpur'
+};
+
+// Collapse spelling variants of romanised Indian words:
+// chowpatty/chaupati, bhavan/bawan, shivaji/sivaji, gandhi/gandi, colaba/kolaba
+const foldPhonetic = (token) => {
+    if (!/^[a-z0-9]+$/.test(token)) return token; // leave non-Latin scripts alone
+
+    return token
+        .replace(/x/g, 'ks')
+        .replace(/ph/g, 'f')
+        .replace(/ow/g, 'au')
+        .replace(/ee/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/([a-z])\1+/g, '$1')
+        .replace(/([bcdgjkpt])h/g, '$1')
+        .replace(/sh/g, 's')
+        .replace(/c(?=[aou])/g, 'k')
+        .replace(/w/g, 'v')
+        .replace(/q/g, 'k')
+        .replace(/z/g, 'j')
+        .replace(/([a-z])\1+/g, '$1')
+        .replace(/y$/, 'i');
+};
+
+// Lowercase, strip Latin diacritics and split on anything that is not a letter,
+// digit or combining mark (Indic vowel signs are marks)
+const tokenize = (text) => {
+    if (text === null || text === undefined) return [];
+    const value = Array.isArray(text) ? text.join(' ') : String(text);
+
+    return value
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+};
+
+const normalizeToken = (token) => foldPhonetic(TOKEN_ALIASES[token] || token);
+
+// Text -> normalised search terms (stop words removed, duplicates kept once)
+const normalize = (text) => {
+    const terms = tokenize(text)
+        .filter(token => !STOP_WORDS.has(token))
+        .map(normalizeToken)
+        .filter(Boolean);
+    return Array.from(new Set(terms));
+};
+
+// Optimal string alignment distance, giving up once it exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const maxEditsFor = (term) => {
+    if (term.length < MIN_FUZZY_LENGTH) return 0;
+    return term.length >= 8 ? 2 : 1;
+};
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Map(id -> field weight)
+        this.documents = new Map(); // id -> terms
+        this.sortedTerms = null; // vocabulary for prefix lookups, rebuilt lazily
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    get termCount() {
+        return this.postings.size;
+    }
+
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+        this.sortedTerms = null;
+    }
+
+    // fields: { name, location, description, facilities }
+    add(id, fields) {
+        this.remove(id);
+
+        const termWeights = new Map();
+        for (const [field, value] of Object.entries(fields)) {
+            const weight = FIELD_WEIGHTS[field] || 1;
+            for (const term of normalize(value)) {
+                termWeights.set(term, Math.max(termWeights.get(term) || 0, weight));
+            }
+        }
+
+        for (const [term, weight] of termWeights) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.sortedTerms = null;
+            }
+            this.postings.get(term).set(id, weight);
+        }
+        this.documents.set(id, Array.from(termWeights.keys()));
+    }
+
+    remove(id) {
+        const terms = this.documents.get(id);
+        if (!terms) return false;
+
+        for (const term of terms) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        }
+        this.documents.delete(id);
+        return true;
+    }
+
+    // Index terms a query term can stand for, with their match weight
+    expand(queryTerm) {
+        const expansions = new Map();
+        if (this.postings.has(queryTerm)) {
+            expansions.set(queryTerm, MATCH_WEIGHTS.exact);
+        }
+
+        if (queryTerm.length >= MIN_PREFIX_LENGTH) {
+            for (const term of this.termsWithPrefix(queryTerm)) {
+                if (!expansions.has(term)) expansions.set(term, MATCH_WEIGHTS.prefix);
+            }
+        }
+
+        const maxEdits = maxEditsFor(queryTerm);
+        if (maxEdits > 0) {
+            for (const term of this.postings.keys()) {
+                if (expansions.has(term)) continue;
+                const distance = editDistance(queryTerm, term, maxEdits);
+                if (distance <= maxEdits) {
+                    expansions.set(term, MATCH_WEIGHTS.fuzzy[distance]);
+                }
+            }
+        }
+        return expansions;
+    }
+
+    termsWithPrefix(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = Array.from(this.postings.keys()).sort();
+        }
+
+        // Binary search for the first term >= prefix
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTerms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const matches = [];
+        for (let i = low; i < this.sortedTerms.length && matches.length < MAX_PREFIX_EXPANSIONS; i++) {
+            if (!this.sortedTerms[i].startsWith(prefix)) break;
+            matches.push(this.sortedTerms[i]);
+        }
+        return matches;
+    }
+
+    // [{ id, score, matchedTerms }] best first. Each query term contributes its
+    // best match (field weight x match quality x IDF); documents missing some
+    // query terms are penalised by the square of the share they do match.
+    // options: { limit, filter(id) }
+    search(text, options = {}) {
+        const { limit = Infinity, filter } = options;
+        const queryTerms = normalize(text);
+        if (queryTerms.length === 0) return [];
+
+        const totalDocuments = Math.max(this.documents.size, 1);
+        const scores = new Map(); // id -> { score, matchedTerms }
+
+        queryTerms.forEach((queryTerm) => {
+            const best = new Map(); // id -> best contribution for this query term
+
+            for (const [term, matchWeight] of this.expand(queryTerm)) {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + totalDocuments / posting.size);
+                for (const [id, fieldWeight] of posting) {
+                    const contribution = matchWeight * fieldWeight * idf;
+                    if (contribution > (best.get(id) || 0)) best.set(id, contribution);
+                }
+            }
+
+            for (const [id, contribution] of best) {
+                const entry = scores.get(id) || { score: 0, matchedTerms: 0 };
+                entry.score += contribution;
+                entry.matchedTerms++;
+                scores.set(id, entry);
+            }
+        });
+
+        const results = [];
+        for (const [id, { score, matchedTerms }] of scores) {
+            if (filter && !filter(id)) continue;
+            const coverage = matchedTerms / queryTerms.length;
+            results.push({ id, score: score * coverage * coverage, matchedTerms });
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        return Number.isFinite(limit) ? results.slice(0, limit) : results;
+    }
+}
+
+// Text fields of a toilet that are searchable
+const searchableFields = (toilet) => ({
+    name: toilet.name,
+    location: toilet.location,
+    description: toilet.description,
+    facilities: toilet.facilities
+});
+
+module.exports = SearchIndex;
+module.exports.normalize = normalize;
+module.exports.tokenize = tokenize;
+module.exports.editDistance = editDistance;
+module.exports.searchableFields = searchableFields;
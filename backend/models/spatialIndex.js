@@ -0,0 +1,504 @@
+// R-tree spatial index for toilet coordinates
+// Dynamic R-tree (R*-style split, no forced reinsert) over latitude/longitude
+// points with STR bulk loading, bounding-box search and best-first
+// k-nearest-neighbour search ordered by great-circle distance.
+//
+// Distances are compared as haversine values ("h" = sin²(d / 2R)) and only
+// converted to meters for the final results. Boxes crossing the antimeridian
+// are not supported (not needed for the regions we serve).
+
+const EARTH_RADIUS = 6371000; // meters
+const RAD = Math.PI / 180;
+const DEFAULT_MAX_ENTRIES = 16;
+
+// ---- bounding box helpers (x = longitude, y = latitude) ----
+
+const createNode = (children = []) => ({
+    children,
+    height: 1,
+    leaf: true,
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity
+});
+
+const extend = (a, b) => {
+    a.minX = Math.min(a.minX, b.minX);
+    a.minY = Math.min(a.minY, b.minY);
+    a.maxX = Math.max(a.maxX, b.maxX);
+    a.maxY = Math.max(a.maxY, b.maxY);
+    return a;
+};
+
+// Bounding box of node.children[from..to)
+const distBBox = (node, from, to, target = createNode()) => {
+    target.minX = Infinity;
+    target.minY = Infinity;
+    target.maxX = -Infinity;
+    target.maxY = -Infinity;
+    for (let i = from; i < to; i++) {
+        extend(target, node.children[i]);
+    }
+    return target;
+};
+
+const calcBBox = (node) => distBBox(node, 0, node.children.length, node);
+
+const bboxArea = (a) => (a.maxX - a.minX) * (a.maxY - a.minY);
+const bboxMargin = (a) => (a.maxX - a.minX) + (a.maxY - a.minY);
+
+const enlargedArea = (a, b) => {
+    return (Math.max(b.maxX, a.maxX) - Math.min(b.minX, a.minX)) *
+           (Math.max(b.maxY, a.maxY) - Math.min(b.minY, a.minY));
+};
+
+const intersectionArea = (a, b) => {
+    const minX = Math.max(a.minX, b.minX);
+    const minY = Math.max(a.minY, b.minY);
+    const maxX = Math.min(a.maxX, b.maxX);
+    const maxY = Math.min(a.maxY, b.maxY);
+    return Math.max(0, maxX - minX) * Math.max(0, maxY - minY);
+};
+
+const contains = (a, b) => a.minX <= b.minX && a.minY <= b.minY && b.maxX <= a.maxX && b.maxY <= a.maxY;
+const intersects = (a, b) => b.minX <= a.maxX && b.minY <= a.maxY && b.maxX >= a.minX && b.maxY >= a.minY;
+
+const compareMinX = (a, b) => a.minX - b.minX;
+const compareMinY = (a, b) => a.minY - b.minY;
+
+// Sort items[left..right] in place
+const sortRange = (items, left, right, compare) => {
+    const sorted = items.slice(left, right + 1).sort(compare);
+    for (let i = 0; i < sorted.length; i++) {
+        items[left + i] = sorted[i];
+    }
+};
+
+// ---- great-circle distance helpers ----
+
+const haverSin = (theta) => {
+    const s = Math.sin(theta / 2);
+    return s * s;
+};
+
+const haverSinDistPartial = (haverSinDLng, cosLat1, lat1, lat2) => {
+    return cosLat1 * Math.cos(lat2 * RAD) * haverSinDLng + haverSin((lat1 - lat2) * RAD);
+};
+
+// Latitude where the great circle from (lat, lng) is closest to a meridian
+const vertexLat = (lat, haverSinDLng) => {
+    const cosDLng = 1 - 2 * haverSinDLng;
+    if (cosDLng <= 0) return lat > 0 ? 90 : -90;
+    return Math.atan(Math.tan(lat * RAD) / cosDLng) / RAD;
+};
+
+// Lower bound of the haversine distance from a point to a node's box
+const boxDist = (lng, lat, cosLat, node) => {
+    if (lng >= node.minX && lng <= node.maxX) {
+        if (lat < node.minY) return haverSin((lat - node.minY) * RAD);
+        if (lat > node.maxY) return haverSin((lat - node.maxY) * RAD);
+        return 0;
+    }
+
+    const haverSinDLng = Math.min(haverSin((lng - node.minX) * RAD), haverSin((lng - node.maxX) * RAD));
+    const extremumLat = vertexLat(lat, haverSinDLng);
+    if (extremumLat > node.minY && extremumLat < node.maxY) {
+        return haverSinDistPartial(haverSinDLng, cosLat, lat, extremumLat);
+    }
+    return Math.min(
+        haverSinDistPartial(haverSinDLng, cosLat, lat, node.minY),
+        haverSinDistPartial(haverSinDLng, cosLat, lat, node.maxY)
+    );
+};
+
+const toMeters = (h) => 2 * EARTH_RADIUS * Math.asin(Math.sqrt(Math.min(1, h)));
+const fromMeters = (meters) => (meters >= Math.PI * EARTH_RADIUS ? Infinity : haverSin(meters / EARTH_RADIUS));
+
+// Binary min-heap keyed by `dist`
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let pos = items.length - 1;
+        while (pos > 0) {
+            const parent = (pos - 1) >> 1;
+            if (items[parent].dist <= item.dist) break;
+            items[pos] = items[parent];
+            pos = parent;
+        }
+        items[pos] = item;
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            let pos = 0;
+            const half = items.length >> 1;
+            while (pos < half) {
+                let child = 2 * pos + 1;
+                if (child + 1 < items.length && items[child + 1].dist < items[child].dist) child++;
+                if (items[child].dist >= last.dist) break;
+                items[pos] = items[child];
+                pos = child;
+            }
+            items[pos] = last;
+        }
+        return top;
+    }
+}
+
+class SpatialIndex {
+    constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+        this.maxEntries = Math.max(4, maxEntries);
+        this.minEntries = Math.max(2, Math.ceil(this.maxEntries * 0.4));
+        this.entries = new Map(); // id -> leaf entry
+        this.root = createNode();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.root = createNode();
+    }
+
+    // Add or move a point; a no-op when it is already indexed at that position
+    insert(id, latitude, longitude) {
+        const existing = this.entries.get(id);
+        if (existing) {
+            if (existing.minY === latitude && existing.minX === longitude) return;
+            this.remove(id);
+        }
+
+        const entry = { id, minX: longitude, minY: latitude, maxX: longitude, maxY: latitude };
+        this.entries.set(id, entry);
+        this.insertItem(entry, this.root.height - 1);
+    }
+
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return false;
+        this.entries.delete(id);
+
+        // Depth-first walk down every branch whose box contains the point
+        const path = [];
+        const indexes = [];
+        let node = this.root;
+        let parent = null;
+        let i = 0;
+        let goingUp = false;
+
+        while (node || path.length) {
+            if (!node) {
+                node = path.pop();
+                parent = path[path.length - 1];
+                i = indexes.pop();
+                goingUp = true;
+            }
+
+            if (node.leaf) {
+                const index = node.children.indexOf(entry);
+                if (index !== -1) {
+                    node.children.splice(index, 1);
+                    path.push(node);
+                    this.condense(path);
+                    return true;
+                }
+            }
+
+            if (!goingUp && !node.leaf && contains(node, entry)) {
+                path.push(node);
+                indexes.push(i);
+                i = 0;
+                parent = node;
+                node = node.children[0];
+            } else if (parent) {
+                i++;
+                node = parent.children[i];
+                goingUp = false;
+            } else {
+                node = null;
+            }
+        }
+        return true;
+    }
+
+    // Replace the whole index using Sort-Tile-Recursive packing
+    load(points) {
+        this.clear();
+        const entries = [];
+        for (const { id, latitude, longitude } of points) {
+            const entry = { id, minX: longitude, minY: latitude, maxX: longitude, maxY: latitude };
+            this.entries.set(id, entry);
+            entries.push(entry);
+        }
+
+        if (entries.length < this.minEntries) {
+            entries.forEach(entry => this.insertItem(entry, this.root.height - 1));
+            return;
+        }
+        this.root = this.build(entries, 0, entries.length - 1, 0);
+    }
+
+    // Ids of points inside { south, west, north, east }
+    search({ south, west, north, east }, limit = Infinity) {
+        const box = { minX: west, minY: south, maxX: east, maxY: north };
+        const result = [];
+        let node = this.root;
+        if (!intersects(box, node)) return result;
+
+        const stack = [];
+        while (node) {
+            for (const child of node.children) {
+                if (!intersects(box, child)) continue;
+                if (node.leaf) {
+                    result.push(child.id);
+                    if (result.length >= limit) return result;
+                } else {
+                    stack.push(child);
+                }
+            }
+            node = stack.pop();
+        }
+        return result;
+    }
+
+    // Closest points first: [{ id, distance }] with distance in meters.
+    // options: { limit, maxDistance (meters), filter(id) }
+    nearest(latitude, longitude, options = {}) {
+        const { limit = Infinity, maxDistance = Infinity, filter } = options;
+        const maxHaverSinDist = fromMeters(maxDistance);
+        const cosLat = Math.cos(latitude * RAD);
+        const results = [];
+        const queue = new MinHeap();
+        let node = this.root;
+
+        while (node) {
+            for (const child of node.children) {
+                const dist = node.leaf
+                    ? haverSinDistPartial(haverSin((longitude - child.minX) * RAD), cosLat, latitude, child.minY)
+                    : boxDist(longitude, latitude, cosLat, child);
+                if (dist <= maxHaverSinDist) {
+                    queue.push({ node: child, isEntry: node.leaf, dist });
+                }
+            }
+
+            // Every entry popped before the next box is closer than anything inside it
+            while (queue.length && queue.items[0].isEntry) {
+                const candidate = queue.pop();
+                if (!filter || filter(candidate.node.id)) {
+                    results.push({ id: candidate.node.id, distance: toMeters(candidate.dist) });
+                    if (results.length >= limit) return results;
+                }
+            }
+
+            const next = queue.length ? queue.pop() : null;
+            node = next ? next.node : null;
+        }
+        return results;
+    }
+
+    getStats() {
+        return {
+            points: this.entries.size,
+            height: this.root.height
+        };
+    }
+
+    // ---- internals ----
+
+    insertItem(item, level) {
+        const insertPath = [];
+        const node = this.chooseSubtree(item, this.root, level, insertPath);
+
+        node.children.push(item);
+        extend(node, item);
+
+        // Split overflowing nodes, then grow the boxes above the last split
+        while (level >= 0) {
+            if (insertPath[level].children.length > this.maxEntries) {
+                this.split(insertPath, level);
+                level--;
+            } else {
+                break;
+            }
+        }
+        for (let i = level; i >= 0; i--) {
+            extend(insertPath[i], item);
+        }
+    }
+
+    chooseSubtree(bbox, node, level, path) {
+        while (true) {
+            path.push(node);
+            if (node.leaf || path.length - 1 === level) break;
+
+            let minArea = Infinity;
+            let minEnlargement = Infinity;
+            let target = null;
+
+            for (const child of node.children) {
+                const area = bboxArea(child);
+                const enlargement = enlargedArea(bbox, child) - area;
+
+                // Least enlargement, then smallest area
+                if (enlargement < minEnlargement || (enlargement === minEnlargement && area < minArea)) {
+                    minEnlargement = enlargement;
+                    minArea = area;
+                    target = child;
+                }
+            }
+            node = target || node.children[0];
+        }
+        return node;
+    }
+
+    split(insertPath, level) {
+        const node = insertPath[level];
+        const M = node.children.length;
+        const m = this.minEntries;
+
+        this.chooseSplitAxis(node, m, M);
+        const splitIndex = this.chooseSplitIndex(node, m, M);
+
+        const newNode = createNode(node.children.splice(splitIndex, node.children.length - splitIndex));
+        newNode.height = node.height;
+        newNode.leaf = node.leaf;
+
+        calcBBox(node);
+        calcBBox(newNode);
+
+        if (level) {
+            insertPath[level - 1].children.push(newNode);
+        } else {
+            this.root = createNode([node, newNode]);
+            this.root.height = node.height + 1;
+            this.root.leaf = false;
+            calcBBox(this.root);
+        }
+    }
+
+    chooseSplitIndex(node, m, M) {
+        let index = null;
+        let minOverlap = Infinity;
+        let minArea = Infinity;
+
+        for (let i = m; i <= M - m; i++) {
+            const bbox1 = distBBox(node, 0, i);
+            const bbox2 = distBBox(node, i, M);
+            const overlap = intersectionArea(bbox1, bbox2);
+            const area = bboxArea(bbox1) + bboxArea(bbox2);
+
+            if (overlap < minOverlap || (overlap === minOverlap && area < minArea)) {
+                minOverlap = overlap;
+                minArea = area;
+                index = i;
+            }
+        }
+        return index === null ? M - m : index;
+    }
+
+    // Sort children along the axis with the smallest total margin
+    chooseSplitAxis(node, m, M) {
+        const xMargin = this.allDistMargin(node, m, M, compareMinX);
+        const yMargin = this.allDistMargin(node, m, M, compareMinY);
+        if (xMargin < yMargin) node.children.sort(compareMinX);
+    }
+
+    allDistMargin(node, m, M, compare) {
+        node.children.sort(compare);
+
+        const leftBBox = distBBox(node, 0, m);
+        const rightBBox = distBBox(node, M - m, M);
+        let margin = bboxMargin(leftBBox) + bboxMargin(rightBBox);
+
+        for (let i = m; i < M - m; i++) {
+            extend(leftBBox, node.children[i]);
+            margin += bboxMargin(leftBBox);
+        }
+        for (let i = M - m - 1; i >= m; i--) {
+            extend(rightBBox, node.children[i]);
+            margin += bboxMargin(rightBBox);
+        }
+        return margin;
+    }
+
+    // Drop empty nodes along a removal path and shrink the remaining boxes
+    condense(path) {
+        for (let i = path.length - 1; i >= 0; i--) {
+            if (path[i].children.length === 0) {
+                if (i > 0) {
+                    const siblings = path[i - 1].children;
+                    siblings.splice(siblings.indexOf(path[i]), 1);
+                } else {
+                    this.root = createNode();
+                }
+            } else {
+                calcBBox(path[i]);
+            }
+        }
+    }
+
+    build(items, left, right, height) {
+        const N = right - left + 1;
+        let M = this.maxEntries;
+
+        if (N <= M) {
+            let leaf = createNode(items.slice(left, right + 1));
+            calcBBox(leaf);
+
+            // Small remainder tiles still have to sit at the same depth as their siblings
+            while (leaf.height < height) {
+                const parent = createNode([leaf]);
+                parent.leaf = false;
+                parent.height = leaf.height + 1;
+                leaf = calcBBox(parent);
+            }
+            return leaf;
+        }
+
+        if (!height) {
+            // Target height of the tree and fan-out of the root
+            height = Math.ceil(Math.log(N) / Math.log(M));
+            M = Math.ceil(N / Math.pow(M, height - 1));
+        }
+
+        const node = createNode();
+        node.leaf = false;
+        node.height = height;
+
+        // Split into vertical slices, then each slice into tiles
+        const N2 = Math.ceil(N / M);
+        const N1 = N2 * Math.ceil(Math.sqrt(M));
+
+        sortRange(items, left, right, compareMinX);
+        for (let i = left; i <= right; i += N1) {
+            const right2 = Math.min(i + N1 - 1, right);
+            sortRange(items, i, right2, compareMinY);
+
+            for (let j = i; j <= right2; j += N2) {
+                const right3 = Math.min(j + N2 - 1, right2);
+                node.children.push(this.build(items, j, right3, height - 1));
+            }
+        }
+
+        calcBBox(node);
+        return node;
+    }
+}
+
+module.exports = SpatialIndex;
+module.exports.EARTH_RADIUS = EARTH_RADIUS;
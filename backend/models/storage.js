@@ -1,15 +1,24 @@
 // SCALABLE In-memory storage for runtime caching - OPTIMIZED FOR LARGE DATASETS
 const fs = require('fs').promises;
 const path = require('path');
+const SpatialIndex = require('./spatialIndex');
+const SearchIndex = require('./searchIndex');
 
 // In-memory storage with performance optimizations
 const users = [];
 const toilets = [];
 const reviews = [];
+const trash = []; // soft-deleted toilets and reviews (see ./Trash.js)
+const audit = []; // append-only log of data-changing actions (see ./AuditLog.js)
+const revisions = []; // toilet change history (see ./ToiletRevision.js)
+const photos = []; // toilet and review photos (see ./Photo.js)
+const incidents = []; // crowd-reported problems with toilets (see ./Incident.js)
+const claims = []; // ownership claims on private toilets (see ./Claim.js)
+const sessions = []; // sign-in sessions and their refresh tokens (see ./Session.js)
 
 // Performance optimizations for large datasets
 const CACHE_CONFIG = {
-    MAX_TOILETS_IN_MEMORY: 50000, // Limit in-memory storage
+    MAX_TOILETS_IN_MEMORY: parseInt(process.env.MAX_TOILETS_IN_MEMORY, 10) || 50000, // Hot tier size; the rest lives in the archive
     COMPRESSION_THRESHOLD: 10000,  // Compress when exceeding this
     INDEX_UPDATE_INTERVAL: 5000,   // Update search indexes every 5 seconds
     BATCH_SIZE: 1000              // Process in batches for performance
@@ -20,40 +29,14 @@ let toiletIndexes = {
     byType: new Map(),           // type -> [toiletIds]
     bySource: new Map(),         // source -> [toiletIds]
     byLocation: new Map(),       // city -> [toiletIds]
-    byCoordinates: null,         // Spatial index (future: R-tree or similar)
-    searchIndex: new Map()       // name/location -> toiletIds
+    byCoordinates: new SpatialIndex(), // R-tree over toilet coordinates
+    searchIndex: new SearchIndex() // inverted index over name/location/description/facilities
 };
 
-// Batch processing for large operations
-const batchProcessor = {
-    queue: [],
-    processing: false,
-
-    async add(operation) {
-        this.queue.push(operation);
-        if (!this.processing) {
-            await this.processQueue();
-        }
-    },
-
-    async processQueue() {
-        if (this.processing || this.queue.length === 0) return;
-
-        this.processing = true;
-
-        try {
-            // Process in batches to avoid blocking
-            const batch = this.queue.splice(0, CACHE_CONFIG.BATCH_SIZE);
-            await Promise.all(batch.map(op => op()));
-        } finally {
-            this.processing = false;
-
-            // Continue processing if more items
-            if (this.queue.length > 0) {
-                setImmediate(() => this.processQueue());
-            }
-        }
-    }
+const hasCoordinates = (toilet) => {
+    return Boolean(toilet.coordinates) &&
+        Number.isFinite(toilet.coordinates.latitude) &&
+        Number.isFinite(toilet.coordinates.longitude);
 };
 
 // Optimized toilet operations for large datasets
@@ -61,21 +44,29 @@ const toiletOperations = {
     // Fast lookup by ID using Map for O(1) access
     idMap: new Map(),
 
+    // Cold tier (see ./archive.js); attaches itself when opened
+    archive: null,
+
+    // Bumped whenever an indexed toilet changes, so derived caches can tell they are stale
+    revision: 0,
+
     // Add toilet with indexing (assumes toilet is already in array)
     add(toilet) {
         this.idMap.set(toilet.id, toilet);
 
-        // Update indexes asynchronously
-        batchProcessor.add(() => this.updateIndexes(toilet));
+        // Index synchronously so queries issued right after a write see it
+        this.updateIndexes(toilet);
 
-        // Memory management for large datasets
+        // Memory management for large datasets (never evict what was just added)
         if (toilets.length > CACHE_CONFIG.MAX_TOILETS_IN_MEMORY) {
-            this.optimizeMemory();
+            this.optimizeMemory([toilet.id]);
         }
     },
 
     // Update search indexes
     updateIndexes(toilet) {
+        this.revision++;
+
         // Type index
         if (!toiletIndexes.byType.has(toilet.type)) {
             toiletIndexes.byType.set(toilet.type, new Set());
@@ -99,9 +90,67 @@ const toiletOperations = {
             toiletIndexes.byLocation.get(city).add(toilet.id);
         }
 
-        // Search index for name and location
-        const searchTerms = `${toilet.name} ${toilet.location}`.toLowerCase();
-        toiletIndexes.searchIndex.set(toilet.id, searchTerms);
+        // Full-text index (replaces any previous terms for this id)
+        toiletIndexes.searchIndex.add(toilet.id, SearchIndex.searchableFields(toilet));
+
+        // Spatial index (moves the point if the coordinates changed)
+        if (hasCoordinates(toilet)) {
+            toiletIndexes.byCoordinates.insert(toilet.id, toilet.coordinates.latitude, toilet.coordinates.longitude);
+        } else {
+            toiletIndexes.byCoordinates.remove(toilet.id);
+        }
+    },
+
+    // Remove a toilet from every index
+    removeFromIndexes(toilet) {
+        this.revision++;
+        this.idMap.delete(toilet.id);
+
+        if (toiletIndexes.byType.has(toilet.type)) {
+            toiletIndexes.byType.get(toilet.type).delete(toilet.id);
+        }
+
+        if (toilet.source && toiletIndexes.bySource.has(toilet.source)) {
+            toiletIndexes.bySource.get(toilet.source).delete(toilet.id);
+        }
+
+        const city = this.extractCity(toilet.location);
+        if (city && toiletIndexes.byLocation.has(city)) {
+            toiletIndexes.byLocation.get(city).delete(toilet.id);
+        }
+
+        toiletIndexes.searchIndex.remove(toilet.id);
+        toiletIndexes.byCoordinates.remove(toilet.id);
+    },
+
+    // Re-index a toilet whose indexed fields may have changed
+    reindex(toilet, previous) {
+        this.removeFromIndexes(previous || toilet);
+        this.idMap.set(toilet.id, toilet);
+        this.updateIndexes(toilet);
+    },
+
+    // Rebuild every index from the toilets array (used after loading from disk)
+    rebuildIndexes() {
+        this.idMap.clear();
+        toiletIndexes.byType.clear();
+        toiletIndexes.bySource.clear();
+        toiletIndexes.byLocation.clear();
+        toiletIndexes.searchIndex.clear();
+
+        // Bulk-load the R-tree; updateIndexes() then finds every point already in place
+        toiletIndexes.byCoordinates.load(toilets.filter(hasCoordinates).map(toilet => ({
+            id: toilet.id,
+            latitude: toilet.coordinates.latitude,
+            longitude: toilet.coordinates.longitude
+        })));
+
+        for (const toilet of toilets) {
+            this.idMap.set(toilet.id, toilet);
+            this.updateIndexes(toilet);
+        }
+
+        console.log(`[STORAGE] Rebuilt indexes for ${toilets.length} toilets`);
     },
 
     // Extract city from location string (simple heuristic)
@@ -121,12 +170,22 @@ const toiletOperations = {
         return null;
     },
 
-    // Memory optimization for large datasets
-    optimizeMemory() {
+    // Memory optimization for large datasets: move the lowest-priority
+    // toilets to the cold archive tier
+    optimizeMemory(protectedIds = []) {
+        if (!this.archive) {
+            if (!this.warnedNoArchive) {
+                console.warn(`[STORAGE] ${toilets.length} toilets exceed the in-memory limit but no archive tier is open; keeping all in memory`);
+                this.warnedNoArchive = true;
+            }
+            return;
+        }
+
         console.log(`[STORAGE] Optimizing memory for ${toilets.length} toilets`);
+        const keep = new Set(protectedIds);
 
-        // Keep only recent/high-rated toilets in memory
-        toilets.sort((a, b) => {
+        // Rank a copy so the live array keeps its order
+        const ranked = toilets.filter(toilet => !keep.has(toilet.id)).sort((a, b) => {
             // Prioritize verified toilets
             if (a.verified !== b.verified) return b.verified - a.verified;
             // Then by rating
@@ -136,13 +195,29 @@ const toiletOperations = {
         });
 
         // Keep top 80% in memory, archive rest
-        const keepCount = Math.floor(CACHE_CONFIG.MAX_TOILETS_IN_MEMORY * 0.8);
-        const archived = toilets.splice(keepCount);
+        const keepCount = Math.max(0, Math.floor(CACHE_CONFIG.MAX_TOILETS_IN_MEMORY * 0.8) - keep.size);
+        const evicted = ranked.slice(keepCount);
+        if (evicted.length === 0) return;
 
-        console.log(`[STORAGE] Archived ${archived.length} toilets, keeping ${toilets.length} in memory`);
+        // Only drop them from memory once the archive holds them
+        try {
+            this.archive.evict(evicted);
+        } catch (error) {
+            console.error('[STORAGE] Archiving failed, keeping toilets in memory:', error.message);
+            return;
+        }
 
-        // In production, archived toilets would be moved to database
-        // For now, they're still accessible but not indexed
+        const evictedIds = new Set(evicted.map(toilet => toilet.id));
+        let write = 0;
+        for (let read = 0; read < toilets.length; read++) {
+            if (!evictedIds.has(toilets[read].id)) {
+                toilets[write++] = toilets[read];
+            }
+        }
+        toilets.length = write;
+        evicted.forEach(toilet => this.removeFromIndexes(toilet));
+
+        console.log(`[STORAGE] Archived ${evicted.length} toilets, keeping ${toilets.length} in memory`);
     },
 
     // Fast query operations using indexes
@@ -161,59 +236,56 @@ const toiletOperations = {
         return ids ? Array.from(ids).map(id => this.idMap.get(id)).filter(Boolean) : [];
     },
 
-    search(query, limit = 50) {
-        const queryLower = query.toLowerCase();
-        const results = [];
+    // Ranked full-text search over hot toilets: [{ toilet, score }] best first
+    // options: { limit, filter(toilet) }
+    search(query, options = {}) {
+        const { limit = 50, filter } = typeof options === 'number' ? { limit: options } : options;
 
-        for (const [id, searchText] of toiletIndexes.searchIndex) {
-            if (searchText.includes(queryLower)) {
+        return toiletIndexes.searchIndex.search(query, {
+            limit,
+            filter: (id) => {
                 const toilet = this.idMap.get(id);
-                if (toilet) {
-                    results.push(toilet);
-                    if (results.length >= limit) break;
-                }
+                return Boolean(toilet) && (!filter || filter(toilet));
             }
-        }
-
-        return results;
+        }).map(({ id, score }) => ({ toilet: this.idMap.get(id), score }));
     },
 
-    // Spatial queries (bounding box)
+    // Spatial queries (bounding box) via the R-tree, topped up from the archive
     findInBounds(south, west, north, east, limit = 1000) {
-        const results = [];
+        const results = toiletIndexes.byCoordinates.search({ south, west, north, east }, limit)
+            .map(id => this.idMap.get(id))
+            .filter(Boolean);
 
-        for (const toilet of toilets) {
-            if (toilet.coordinates) {
-                const { latitude: lat, longitude: lng } = toilet.coordinates;
-                if (lat >= south && lat <= north && lng >= west && lng <= east) {
-                    results.push(toilet);
-                    if (results.length >= limit) break;
-                }
-            }
+        if (this.archive && results.length < limit) {
+            results.push(...this.archive.findInBounds({ south, west, north, east }, limit - results.length));
         }
-
         return results;
     },
 
-    // Find toilets near a point within max distance (simplified)
+    // Toilets within maxDistanceMeters of a point, closest first
     findNear(centerLat, centerLng, maxDistanceMeters, limit = 100) {
-        const results = [];
-
-        for (const toilet of toilets) {
-            if (toilet.coordinates) {
-                const { latitude: lat, longitude: lng } = toilet.coordinates;
-
-                // Simple distance calculation (Haversine approximation)
-                const distance = this.calculateDistance(centerLat, centerLng, lat, lng);
+        return this.findNearest(centerLat, centerLng, { limit, maxDistance: maxDistanceMeters })
+            .map(({ toilet }) => toilet);
+    },
 
-                if (distance <= maxDistanceMeters) {
-                    results.push(toilet);
-                    if (results.length >= limit) break;
-                }
+    // k-nearest-neighbour search: [{ toilet, distance }] sorted by distance in meters.
+    // options: { limit, maxDistance, filter(toilet) } - the filter runs before the limit
+    findNearest(centerLat, centerLng, options = {}) {
+        const { limit = 10, maxDistance = Infinity, filter } = options;
+        const matches = toiletIndexes.byCoordinates.nearest(centerLat, centerLng, {
+            limit,
+            maxDistance,
+            filter: (id) => {
+                const toilet = this.idMap.get(id);
+                return Boolean(toilet) && (!filter || filter(toilet));
             }
-        }
+        });
+        const hot = matches.map(({ id, distance }) => ({ toilet: this.idMap.get(id), distance }));
+        if (!this.archive) return hot;
 
-        return results;
+        // Merge with the archive's own nearest matches
+        const cold = this.archive.findNearest(centerLat, centerLng, { limit, maxDistance, filter });
+        return hot.concat(cold).sort((a, b) => a.distance - b.distance).slice(0, limit);
     },
 
     // Calculate distance between two points in meters (Haversine formula approximation)
@@ -334,8 +406,14 @@ const optimizedToilets = {
         return results;
     },
 
-    findById(id) {
-        return toiletOperations.idMap.get(id) || toilets.find(t => t.id === id);
+    findById(id, options = {}) {
+        const toilet = toiletOperations.idMap.get(id) || toilets.find(t => t.id === id);
+        if (toilet || !toiletOperations.archive) return toilet;
+
+        // Fall through to the cold tier; a hit is promoted back into memory
+        // unless { promote: false } only reads it
+        const { archive } = toiletOperations;
+        return (options.promote === false ? archive.peek(id) : archive.promote(id)) || undefined;
     },
 
     countDocuments(query = {}) {
@@ -433,6 +511,24 @@ const enhancedToilets = new Proxy(toilets, {
             };
         }
 
+        // Keep indexes in sync when records are spliced out (or in)
+        if (prop === 'splice') {
+            return function(...args) {
+                const removed = Array.prototype.splice.apply(target, args);
+                removed.forEach(item => {
+                    if (item && typeof item === 'object') {
+                        toiletOperations.removeFromIndexes(item);
+                    }
+                });
+                args.slice(2).forEach(item => {
+                    if (item && typeof item === 'object') {
+                        toiletOperations.add(item);
+                    }
+                });
+                return removed;
+            };
+        }
+
         // For other array methods and properties, use the original array
         if (typeof target[prop] === 'function' || prop in target) {
             return target[prop];
@@ -440,6 +536,19 @@ const enhancedToilets = new Proxy(toilets, {
 
         // Otherwise use the optimized methods as properties
         return optimizedToilets[prop];
+    },
+
+    set(target, prop, value) {
+        // Truncating via `toilets.length = n` must drop the removed records from indexes
+        if (prop === 'length' && value < target.length) {
+            target.slice(value).forEach(item => {
+                if (item && typeof item === 'object') {
+                    toiletOperations.removeFromIndexes(item);
+                }
+            });
+        }
+        target[prop] = value;
+        return true;
     }
 });
 
@@ -448,19 +557,35 @@ module.exports = {
     users,
     toilets: enhancedToilets, // Export enhanced array with both array methods and optimized operations
     reviews,
+    trash,
+    audit,
+    revisions,
+    photos,
+    incidents,
+    claims,
+    sessions,
     performanceMonitor,
     toiletOperations,
     toiletIndexes,
+    CACHE_CONFIG,
     getStorageStats() {
+        const { archive } = toiletOperations;
         return {
             toilets: performanceMonitor.getStats(),
+            tiers: {
+                hot: toilets.length,
+                cold: archive ? archive.count() : 0,
+                maxHot: CACHE_CONFIG.MAX_TOILETS_IN_MEMORY,
+                archive: archive ? archive.getStats() : null
+            },
             users: users.length,
             reviews: reviews.length,
             indexes: {
                 byType: toiletIndexes.byType.size,
                 bySource: toiletIndexes.bySource.size,
                 byLocation: toiletIndexes.byLocation.size,
-                searchIndex: toiletIndexes.searchIndex.size
+                searchIndex: toiletIndexes.searchIndex.size,
+                spatial: toiletIndexes.byCoordinates.getStats()
             }
         };
     }
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const AuditService = require('../services/AuditService');
+const ExportService = require('../services/ExportService');
+const { protect, authorize } = require('../middleware/auth');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+
+// Audit listing orders, newest first by default
+const AUDIT_SORTS = {
+    newest: [['createdAt', -1], ['id', -1]],
+    oldest: [['createdAt', 1], ['id', 1]]
+};
+
+router.use(protect, authorize('audit:read'));
+
+// Audit entries. Filters: action (comma-separated), actorId, targetType,
+// targetId, from, to (ISO 8601)
+router.get('/', paginationParams({ sorts: AUDIT_SORTS, defaultLimit: 50, maxLimit: 500 }), async (req, res) => {
+    try {
+        const parsed = AuditService.parseFilters(req.query);
+        if (parsed.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid audit filters', errors: parsed.errors });
+        }
+
+        const entries = await AuditService.list(parsed.filters);
+        const page = paginateDocuments(entries, req.pagination);
+
+        res.json({
+            success: true,
+            data: page.data,
+            pagination: {
+                limit: req.pagination.limit,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (err) {
+        console.error('[AUDIT] Error listing audit log:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing audit log' });
+    }
+});
+
+// Export matching entries, oldest first, as CSV or NDJSON (format from the
+// extension or ?format); takes the same filters as the listing
+router.get(['/export', '/export.:format'], async (req, res) => {
+    const format = String(req.params.format || req.query.format || 'csv').toLowerCase();
+    const parsed = AuditService.parseFilters(req.query);
+    const errors = parsed.errors || [];
+    if (!ExportService.AUDIT_FORMATS[format]) {
+        errors.push(`format must be one of: ${Object.keys(ExportService.AUDIT_FORMATS).join(', ')}`);
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid export parameters', errors });
+    }
+
+    try {
+        const entries = (await AuditService.list(parsed.filters)).reverse();
+        console.log(`[EXPORT] Exporting ${entries.length} audit entries as ${format}`);
+
+        res.set({
+            'Content-Type': ExportService.AUDIT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${ExportService.filename('audit', format)}"`,
+            'X-Export-Count': String(entries.length)
+        });
+
+        const stream = ExportService.auditStream(format, entries);
+        stream.on('error', (error) => {
+            console.error('[EXPORT] Error streaming audit export:', error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        console.error('[EXPORT] Error exporting audit log:', err.message);
+        res.status(500).json({ success: false, message: 'Error exporting audit log' });
+    }
+});
+
+module.exports = router;
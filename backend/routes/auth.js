@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuditService = require('../services/AuditService');
+const UserService = require('../services/UserService');
+const SessionService = require('../services/SessionService');
+const { toObject: sessionToObject } = require('../models/Session');
+const { permissionsOf } = require('../models/roles');
 const { protect } = require('../middleware/auth');
 const { validateEmail, validatePassword, sanitizeString } = require('../middleware/validation');
 
@@ -12,7 +16,7 @@ router.post('/register',
     async (req, res) => {
     try {
         console.log('[AUTH] Register attempt with email:', req.body.email);
-        const { email, password } = req.body;
+        const { email, password, inviteToken } = req.body;
 
         // Enhanced input validation
         if (!email || !password) {
@@ -55,25 +59,39 @@ router.post('/register',
             return res.status(400).json({ message: 'User already exists' });
         }
 
+        // New accounts are plain users; an invitation for this email brings its role
+        let invite = null;
+        if (inviteToken) {
+            invite = UserService.readInvite(inviteToken);
+            if (!invite || invite.email !== sanitizedEmail) {
+                console.log('[AUTH] Register failed: Invalid invitation for:', sanitizedEmail);
+                return res.status(400).json({ message: 'Invalid or expired invitation' });
+            }
+        }
+
         // Create new user with sanitized inputs
         user = new User({
             email: sanitizedEmail,
             password: sanitizedPassword,
-            role: 'admin' // For now, all registrations create admin users
+            role: invite ? invite.role : 'user'
         });
 
         await user.save();
-        console.log('[AUTH] Register successful: New user created:', email);
+        console.log('[AUTH] Register successful: New user created:', email, 'as', user.role);
+        await AuditService.record(req, {
+            action: 'user.register',
+            targetType: 'user',
+            targetId: user.id,
+            after: user,
+            details: invite ? { invitedBy: invite.invitedBy } : undefined,
+            actor: user
+        });
 
-        // Create token
-        const token = jwt.sign(
-            { id: user.id },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+        const { token, refreshToken } = await SessionService.start(user, req);
 
         res.status(201).json({
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -116,6 +134,12 @@ router.post('/login',
         const user = await User.findOne({ email: sanitizedEmail });
         if (!user) {
             console.log('[AUTH] Login failed: User not found:', sanitizedEmail);
+            await AuditService.record(req, {
+                action: 'auth.login_failed',
+                targetType: 'user',
+                details: { email: sanitizedEmail, reason: 'unknown_user' },
+                actor: null
+            });
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
@@ -123,19 +147,23 @@ router.post('/login',
         const isMatch = await user.comparePassword(sanitizedPassword);
         if (!isMatch) {
             console.log('[AUTH] Login failed: Invalid password for user:', sanitizedEmail);
+            await AuditService.record(req, {
+                action: 'auth.login_failed',
+                targetType: 'user',
+                targetId: user.id,
+                details: { email: sanitizedEmail, reason: 'wrong_password' },
+                actor: null
+            });
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
         console.log('[AUTH] Login successful:', email);
-        // Create token
-        const token = jwt.sign(
-            { id: user.id },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+        await AuditService.record(req, { action: 'auth.login', targetType: 'user', targetId: user.id, actor: user });
+        const { token, refreshToken } = await SessionService.start(user, req);
 
         res.json({
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -158,11 +186,89 @@ router.get('/me', protect, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
         console.log('[AUTH] /me successful for:', user.email);
-        res.json(user.toObject());
+        res.json({ ...user.toObject(), permissions: permissionsOf(user.role) });
     } catch (err) {
         console.error('[AUTH] Get user error:', err.message);
         res.status(500).json({ message: 'Error getting user data' });
     }
 });
 
+// Swap a refresh token for a new one and a fresh access token:
+// { refreshToken }. A refresh token that was already swapped revokes its
+// session, since someone else has a copy.
+router.post('/refresh', async (req, res) => {
+    try {
+        const result = await SessionService.refresh(req.body.refreshToken);
+        if (result.error) {
+            if (result.reused) {
+                await AuditService.record(req, {
+                    action: 'auth.refresh_reuse',
+                    targetType: 'session',
+                    targetId: result.session.id,
+                    details: { userId: result.session.userId },
+                    actor: null
+                });
+            }
+            return res.status(401).json({ message: result.error });
+        }
+
+        const user = await User.findById(result.userId);
+        if (!user) {
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+
+        res.json({
+            token: SessionService.accessToken(user, result.session),
+            refreshToken: result.refreshToken
+        });
+    } catch (err) {
+        console.error('[AUTH] Refresh error:', err.message);
+        res.status(500).json({ message: 'Error refreshing token' });
+    }
+});
+
+// End the current session, or every session of the user with { all: true }
+router.post('/logout', protect, async (req, res) => {
+    try {
+        const revoked = req.body && req.body.all === true
+            ? await SessionService.revokeAll(req.user.id, 'logout')
+            : (await SessionService.revoke(req.user.id, req.sessionId, 'logout') ? 1 : 0);
+
+        console.log('[AUTH] Logout:', req.user.email, `(${revoked} sessions)`);
+        await AuditService.record(req, { action: 'auth.logout', targetType: 'session', targetId: req.sessionId, details: { revoked } });
+        res.json({ success: true, data: { revoked } });
+    } catch (err) {
+        console.error('[AUTH] Logout error:', err.message);
+        res.status(500).json({ success: false, message: 'Error logging out' });
+    }
+});
+
+// The signed-in user's active sessions, most recently used first; `current`
+// marks the one making the request
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await SessionService.findActive(req.user.id);
+        res.json({ success: true, data: sessions.map(session => sessionToObject(session, req.sessionId)) });
+    } catch (err) {
+        console.error('[AUTH] Error listing sessions:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing sessions' });
+    }
+});
+
+// Sign out one of the user's sessions, e.g. a lost phone
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        const session = await SessionService.revoke(req.user.id, req.params.id, 'revoked');
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        await AuditService.record(req, { action: 'auth.session_revoke', targetType: 'session', targetId: session.id });
+        res.json({ success: true, data: sessionToObject(session, req.sessionId) });
+    } catch (err) {
+        console.error('[AUTH] Error revoking session:', err.message);
+        res.status(500).json({ success: false, message: 'Error revoking session' });
+    }
+});
+
 module.exports = router;
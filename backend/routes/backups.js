@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const BackupService = require('../services/BackupService');
+const AuditService = require('../services/AuditService');
+const { protect, authorize } = require('../middleware/auth');
+
+// Every backup route is admin-only: archives contain password hashes
+router.use(protect, authorize('backup:manage'));
+
+// Backups and restores read the memory adapter's state directly
+const requireSupported = (req, res, next) => {
+    if (!BackupService.supported()) {
+        return res.status(409).json({ success: false, message: 'Backups require the memory storage adapter' });
+    }
+    next();
+};
+
+// List backups, newest first
+router.get('/', (req, res) => {
+    try {
+        res.json({ success: true, backups: BackupService.list() });
+    } catch (err) {
+        console.error('[BACKUP] Error listing backups:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing backups' });
+    }
+});
+
+// Write a backup of the current data
+router.post('/', requireSupported, async (req, res) => {
+    try {
+        const backup = await BackupService.create({ reason: 'manual' });
+        await AuditService.record(req, { action: 'backup.create', targetType: 'backup', targetId: backup.name, details: { counts: backup.counts } });
+        res.status(201).json({ success: true, backup });
+    } catch (err) {
+        console.error('[BACKUP] Error creating backup:', err.message);
+        res.status(500).json({ success: false, message: 'Error creating backup' });
+    }
+});
+
+// Restore from a stored backup ({ name }) or an uploaded archive ({ archive }).
+// With dryRun the archive is validated and the changes reported, nothing more.
+router.post('/restore', requireSupported, async (req, res) => {
+    try {
+        const { name, archive, dryRun = false } = req.body;
+
+        let data = archive;
+        if (!data) {
+            const file = BackupService.resolve(name);
+            if (!file) {
+                return res.status(404).json({ success: false, message: 'Backup not found' });
+            }
+            data = BackupService.readFile(file);
+        }
+
+        const result = await BackupService.restore(data, { dryRun: dryRun === true });
+        if (result.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid backup', errors: result.errors });
+        }
+        if (!result.dryRun) {
+            await AuditService.record(req, {
+                action: 'backup.restore',
+                targetType: 'backup',
+                targetId: name || null,
+                details: { preRestoreBackup: result.preRestoreBackup, plan: result.plan }
+            });
+        }
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('[BACKUP] Error restoring backup:', err.message);
+        res.status(500).json({ success: false, message: 'Error restoring backup' });
+    }
+});
+
+// Download a backup archive
+router.get('/:name', (req, res) => {
+    const file = BackupService.resolve(req.params.name);
+    if (!file) {
+        return res.status(404).json({ success: false, message: 'Backup not found' });
+    }
+    res.download(file, req.params.name);
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const ClaimService = require('../services/ClaimService');
+const AuditService = require('../services/AuditService');
+const Toilet = require('../models/Toilet');
+const User = require('../models/User');
+const { STATUSES, normalizeEvidence, toObject } = require('../models/Claim');
+const { protect, authorize } = require('../middleware/auth');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+
+// Claim listing orders, newest first by default
+const CLAIM_SORTS = {
+    newest: [['createdAt', -1], ['id', -1]],
+    oldest: [['createdAt', 1], ['id', 1]]
+};
+
+router.use(protect);
+
+// Claim a private toilet: { toiletId, evidence: { businessName, phone,
+// contactName?, documentUrl?, note? } }. An admin reviews the claim.
+router.post('/', authorize('claim:create'), async (req, res) => {
+    try {
+        const { toiletId } = req.body;
+        if (!toiletId || typeof toiletId !== 'string') {
+            return res.status(400).json({ success: false, message: 'toiletId is required' });
+        }
+        const input = normalizeEvidence(req.body.evidence);
+        if (input.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid claim evidence', errors: input.errors });
+        }
+
+        const toilet = await Toilet.findById(toiletId, { promote: false });
+        if (!toilet) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+
+        const result = await ClaimService.submit(toilet, req.user, input.evidence);
+        if (result.error) {
+            return res.status(409).json({ success: false, message: result.error });
+        }
+
+        await AuditService.record(req, { action: 'claim.submit', targetType: 'claim', targetId: result.claim.id, after: result.claim });
+        res.status(201).json({ success: true, data: toObject(result.claim) });
+    } catch (err) {
+        console.error('[CLAIM] Error submitting claim:', err.message);
+        res.status(500).json({ success: false, message: 'Error submitting claim' });
+    }
+});
+
+// The signed-in user's claims, newest first; approved ones carry the toilet
+// so operators can manage it
+router.get('/mine', async (req, res) => {
+    try {
+        const data = [];
+        for (const claim of await ClaimService.find({ userId: req.user.id })) {
+            const toilet = await Toilet.findById(claim.toiletId, { promote: false });
+            data.push({
+                ...toObject(claim),
+                toiletName: toilet ? toilet.name : null,
+                toilet: toilet && claim.status === 'approved' ? toilet.toObject() : null
+            });
+        }
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('[CLAIM] Error listing own claims:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing claims' });
+    }
+});
+
+// Claims with their toilet's name and the claimant's email (admin only).
+// ?status= and ?toiletId= narrow the list.
+router.get('/', authorize('claim:review'), paginationParams({ sorts: CLAIM_SORTS, defaultLimit: 50, maxLimit: 200 }), async (req, res) => {
+    try {
+        const { status, toiletId } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const query = {};
+        if (status) query.status = status;
+        if (toiletId) query.toiletId = toiletId;
+
+        const page = paginateDocuments(await ClaimService.find(query), req.pagination);
+        const data = [];
+        for (const claim of page.data) {
+            const [toilet, user] = await Promise.all([Toilet.findById(claim.toiletId, { promote: false }), User.findById(claim.userId)]);
+            data.push({
+                ...toObject(claim),
+                toiletName: toilet ? toilet.name : null,
+                userEmail: user ? user.email : null
+            });
+        }
+
+        res.json({
+            success: true,
+            data,
+            pagination: {
+                limit: req.pagination.limit,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (err) {
+        console.error('[CLAIM] Error listing claims:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing claims' });
+    }
+});
+
+// Approve, reject or revoke a claim (admin only); { note } is shown to the claimant
+const decide = (action, verb) => async (req, res) => {
+    try {
+        const note = typeof req.body.note === 'string' ? req.body.note.trim().substring(0, 500) || null : null;
+        const result = await ClaimService[action](req.params.id, { reviewedBy: req.user.id, note });
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Claim not found' });
+        }
+        if (result.error) {
+            return res.status(409).json({ success: false, message: result.error });
+        }
+
+        await AuditService.record(req, {
+            action: `claim.${action}`,
+            targetType: 'claim',
+            targetId: req.params.id,
+            before: result.before,
+            after: result.claim,
+            details: { toiletId: result.claim.toiletId, userId: result.claim.userId }
+        });
+        res.json({ success: true, data: toObject(result.claim) });
+    } catch (err) {
+        console.error(`[CLAIM] Error ${verb} claim:`, err.message);
+        res.status(500).json({ success: false, message: `Error ${verb} claim` });
+    }
+};
+
+router.post('/:id/approve', authorize('claim:review'), decide('approve', 'approving'));
+router.post('/:id/reject', authorize('claim:review'), decide('reject', 'rejecting'));
+router.post('/:id/revoke', authorize('claim:review'), decide('revoke', 'revoking'));
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const IncidentService = require('../services/IncidentService');
+const AuditService = require('../services/AuditService');
+const Toilet = require('../models/Toilet');
+const { STATUSES, TYPES, toObject } = require('../models/Incident');
+const ClaimService = require('../services/ClaimService');
+const { protect, authorize } = require('../middleware/auth');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+
+// Incident listing orders, most recently reported first by default
+const INCIDENT_SORTS = {
+    newest: [['lastReportedAt', -1], ['id', -1]],
+    oldest: [['lastReportedAt', 1], ['id', 1]]
+};
+
+router.use(protect);
+
+// The toilet an incident was reported on, for operators resolving it
+const incidentToilet = async (req) => {
+    const incident = await IncidentService.findById(req.params.id);
+    return incident ? Toilet.findById(incident.toiletId, { promote: false }) : null;
+};
+
+// Incidents with their toilet's name. ?status=open|resolved|expired, ?type=
+// and ?toiletId= narrow the list; ?active=true keeps only open incidents
+// that have not decayed yet. Operators only see their toilets' incidents.
+router.get('/', authorize('incident:read'), paginationParams({ sorts: INCIDENT_SORTS, defaultLimit: 50, maxLimit: 200 }), async (req, res) => {
+    try {
+        const { status, type, toiletId } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+        if (type && !TYPES.some(incidentType => incidentType.id === type)) {
+            return res.status(400).json({ success: false, message: `type must be one of: ${TYPES.map(incidentType => incidentType.id).join(', ')}` });
+        }
+
+        const query = {};
+        if (status) query.status = status;
+        if (type) query.type = type;
+        if (toiletId) query.toiletId = toiletId;
+        if (req.permissionScope === 'own') {
+            const operated = await ClaimService.operatedToiletIds(req.user.id);
+            query.toiletId = { $in: toiletId ? operated.filter(id => id === toiletId) : operated };
+        }
+
+        const now = new Date();
+        let incidents = await IncidentService.find(query);
+        if (req.query.active === 'true') {
+            incidents = incidents.filter(incident => toObject(incident, now).active);
+        }
+
+        const page = paginateDocuments(incidents, req.pagination);
+        const data = [];
+        for (const incident of page.data) {
+            const toilet = await Toilet.findById(incident.toiletId, { promote: false });
+            data.push({ ...toObject(incident, now), toiletName: toilet ? toilet.name : null });
+        }
+
+        res.json({
+            success: true,
+            data,
+            pagination: {
+                limit: req.pagination.limit,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (err) {
+        console.error('[INCIDENT] Error listing incidents:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing incidents' });
+    }
+});
+
+// Close an incident once it has been dealt with: { resolution } says how
+router.post('/:id/resolve', authorize('incident:resolve', incidentToilet), async (req, res) => {
+    try {
+        const resolution = typeof req.body.resolution === 'string' ? req.body.resolution.trim().substring(0, 500) || null : null;
+        const result = await IncidentService.resolve(req.params.id, { resolvedBy: req.user.id, resolution });
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Incident not found' });
+        }
+        if (result.error) {
+            return res.status(409).json({ success: false, message: result.error });
+        }
+
+        await AuditService.record(req, {
+            action: 'incident.resolve',
+            targetType: 'incident',
+            targetId: req.params.id,
+            before: result.before,
+            after: result.incident
+        });
+        res.json({ success: true, data: toObject(result.incident) });
+    } catch (err) {
+        console.error('[INCIDENT] Error resolving incident:', err.message);
+        res.status(500).json({ success: false, message: 'Error resolving incident' });
+    }
+});
+
+module.exports = router;
@@ -9,7 +9,8 @@ const express = require('express');
 const router = express.Router();
 const PublicToiletExternalDataIngestionAgent = require('../PublicToiletExternalDataIngestionAgent');
 const Toilet = require('../models/Toilet');
-const { protect, admin } = require('../middleware/auth');
+const AuditService = require('../services/AuditService');
+const { protect, authorize } = require('../middleware/auth');
 
 // Initialize the ingestion agent
 const ingestionAgent = new PublicToiletExternalDataIngestionAgent({
@@ -19,7 +20,7 @@ const ingestionAgent = new PublicToiletExternalDataIngestionAgent({
 });
 
 // Maximum Data Ingestion Endpoint
-router.post('/ingest/maximum', async (req, res) => {
+router.post('/ingest/maximum', protect, authorize('data:ingest'), async (req, res) => {
     try {
         const { 
             cities = ['mumbai', 'delhi', 'bangalore', 'chennai', 'pune'],
@@ -94,6 +95,19 @@ router.post('/ingest/maximum', async (req, res) => {
         console.log(`[MAX-DATA]   Target met: ${targetMet ? 'YES' : 'NO'}`);
         console.log(`[MAX-DATA]   Success rate: ${((results.citiesProcessed / cities.length) * 100).toFixed(1)}%`);
 
+        await AuditService.record(req, {
+            action: 'ingestion.run',
+            targetType: 'ingestion',
+            details: {
+                cities,
+                forceRefresh,
+                targetCount,
+                totalIngested: results.totalIngested,
+                citiesProcessed: results.citiesProcessed,
+                errors: results.errors
+            }
+        });
+
         res.json({
             success: true,
             targetMet,
@@ -120,7 +134,7 @@ router.post('/ingest/maximum', async (req, res) => {
 });
 
 // Get Maximum Data Statistics
-router.get('/stats/maximum', async (req, res) => {
+router.get('/stats/maximum', authorize('toilet:read'), async (req, res) => {
     try {
         // Current database stats
         const allToilets = await Toilet.find();
@@ -232,7 +246,7 @@ router.get('/stats/maximum', async (req, res) => {
 });
 
 // Maximum Data Map Endpoint (Optimized for Home Page)
-router.get('/map/maximum', async (req, res) => {
+router.get('/map/maximum', authorize('toilet:read'), async (req, res) => {
     try {
         const {
             showPublic = 'true',
@@ -332,7 +346,7 @@ router.get('/map/maximum', async (req, res) => {
 });
 
 // Trigger Maximum Data Ingestion (Admin Only)
-router.post('/trigger/maximum', protect, admin, async (req, res) => {
+router.post('/trigger/maximum', protect, authorize('data:ingest'), async (req, res) => {
     try {
         console.log('[MAX-DATA] Admin triggered maximum data ingestion');
 
@@ -347,6 +361,12 @@ router.post('/trigger/maximum', protect, admin, async (req, res) => {
         
         console.log(`[MAX-DATA] Job queued: ${jobId}`);
         console.log(`[MAX-DATA] Target: ${targetCount} toilets across ${cities.length} cities`);
+        await AuditService.record(req, {
+            action: 'ingestion.trigger',
+            targetType: 'ingestion',
+            targetId: jobId,
+            details: { cities, targetCount }
+        });
 
         // In a real implementation, you would:
         // 1. Queue this job for background processing
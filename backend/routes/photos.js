@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const PhotoService = require('../services/PhotoService');
+const AuditService = require('../services/AuditService');
+const { STATUSES, toObject } = require('../models/Photo');
+const { protect, authorize } = require('../middleware/auth');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+
+// Moderation queue order, oldest first by default so photos are reviewed in turn
+const PHOTO_SORTS = {
+    oldest: [['createdAt', 1], ['id', 1]],
+    newest: [['createdAt', -1], ['id', -1]]
+};
+
+router.use(protect, authorize('photo:moderate'));
+
+// Photos of every status. ?status=pending|approved|rejected and ?toiletId=
+// narrow the list.
+router.get('/', paginationParams({ sorts: PHOTO_SORTS, defaultLimit: 50, maxLimit: 200 }), async (req, res) => {
+    try {
+        const { status, toiletId } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const query = {};
+        if (status) query.status = status;
+        if (toiletId) query.toiletId = toiletId;
+
+        const page = paginateDocuments(await PhotoService.find(query), req.pagination);
+        res.json({
+            success: true,
+            data: page.data.map(toObject),
+            pagination: {
+                limit: req.pagination.limit,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (err) {
+        console.error('[PHOTO] Error listing photos:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing photos' });
+    }
+});
+
+// The image or thumbnail of a photo of any status, never cached
+router.get('/:id/:variant(image|thumbnail)', async (req, res) => {
+    try {
+        const photo = await PhotoService.findById(req.params.id);
+        if (!photo) {
+            return res.status(404).json({ success: false, message: 'Photo not found' });
+        }
+        PhotoService.send(res, photo, req.params.variant);
+    } catch (err) {
+        console.error('[PHOTO] Error sending photo:', err.message);
+        res.status(500).json({ success: false, message: 'Error fetching photo' });
+    }
+});
+
+// Approve or reject a photo; a rejection may give a reason
+const moderate = (status) => async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().substring(0, 500) || null : null;
+        const result = await PhotoService.moderate(req.params.id, status, { moderatedBy: req.user.id, reason });
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Photo not found' });
+        }
+
+        await AuditService.record(req, {
+            action: status === 'approved' ? 'photo.approve' : 'photo.reject',
+            targetType: 'photo',
+            targetId: req.params.id,
+            before: result.before,
+            after: result.photo
+        });
+        res.json({ success: true, data: toObject(result.photo) });
+    } catch (err) {
+        console.error('[PHOTO] Error moderating photo:', err.message);
+        res.status(500).json({ success: false, message: 'Error moderating photo' });
+    }
+};
+
+router.post('/:id/approve', moderate('approved'));
+router.post('/:id/reject', moderate('rejected'));
+
+// Delete a photo and its files for good
+router.delete('/:id', async (req, res) => {
+    try {
+        const photo = await PhotoService.remove(req.params.id);
+        if (!photo) {
+            return res.status(404).json({ success: false, message: 'Photo not found' });
+        }
+
+        await AuditService.record(req, { action: 'photo.delete', targetType: 'photo', targetId: photo.id, before: photo });
+        res.json({ success: true, message: 'Photo deleted' });
+    } catch (err) {
+        console.error('[PHOTO] Error deleting photo:', err.message);
+        res.status(500).json({ success: false, message: 'Error deleting photo' });
+    }
+});
+
+module.exports = router;
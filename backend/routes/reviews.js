@@ -1,12 +1,72 @@
 const express = require('express');
 const router = express.Router();
 const Review = require('../models/Review');
-const Toilet = require('../models/Toilet');
-const { protect, admin } = require('../middleware/auth');
+const ReviewAggregationService = require('../services/ReviewAggregationService');
+const ExportService = require('../services/ExportService');
+const TrashService = require('../services/TrashService');
+const AuditService = require('../services/AuditService');
+const PhotoService = require('../services/PhotoService');
+const { toObject: photoObject } = require('../models/Photo');
+const { can } = require('../models/roles');
+const { protect, identify, authorize } = require('../middleware/auth');
 const { validateBody, validateReviewData, sanitizeString } = require('../middleware/validation');
+const { photoUpload, multipartNumbers } = require('../middleware/upload');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+
+// Review listing orders, newest first by default
+const REVIEW_SORTS = {
+    newest: [['createdAt', -1], ['id', -1]],
+    oldest: [['createdAt', 1], ['id', 1]],
+    rating: [['rating', -1], ['createdAt', -1], ['id', -1]]
+};
+
+const reviewPagination = paginationParams({ sorts: REVIEW_SORTS, defaultLimit: 50, maxLimit: 200 });
+
+// Reviews as a page when the client sent limit or cursor; otherwise the plain
+// array older clients expect. Each review carries its approved photos, or all
+// of them (with their status) for photo moderators.
+const sendReviews = async (req, res, reviews) => {
+    const { requested, limit } = req.pagination;
+    const page = paginateDocuments(reviews, { ...req.pagination, limit: requested ? limit : Infinity });
+    const photos = await PhotoService.forReviews(page.data.map(r => r.id), { all: can(req.user, 'photo:moderate') });
+    const data = page.data.map(r => ({ ...r.toObject(), photos: photos.get(r.id) || [] }));
+
+    if (!requested) return res.json(data);
+
+    res.json({
+        success: true,
+        data,
+        pagination: {
+            limit,
+            total: page.total,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
+        }
+    });
+};
+
+// Review query from the toiletId and rating (1-5) filters
+const reviewFilter = (req) => {
+    const query = {};
+    if (req.query.toiletId) query.toiletId = req.query.toiletId;
+    if (req.query.rating !== undefined && req.query.rating !== '') {
+        const rating = Number(req.query.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return { error: 'rating must be an integer between 1 and 5' };
+        }
+        query.rating = rating;
+    }
+    return { query };
+};
 
 // Submit a review (public)
+// JSON, or a multipart form with up to PhotoService.MAX_FILES files in
+// `photos`; photos wait for moderation unless the user may publish them
 router.post('/submit',
+    identify,
+    authorize('review:submit'),
+    photoUpload(),
+    multipartNumbers('rating', 'cleanliness', 'maintenance', 'accessibility'),
     sanitizeString('comment', 1000),
     validateBody(validateReviewData),
     async (req, res) => {
@@ -28,48 +88,46 @@ router.post('/submit',
             return res.status(400).json({ message: 'All ratings must be between 1 and 5' });
         }
 
-        // Check if toilet exists
-        console.log('[REVIEW] Looking up toilet:', toiletId);
-        const toilet = await Toilet.findById(toiletId);
-        if (!toilet) {
-            console.log('[REVIEW] Submit failed: Toilet not found:', toiletId);
-            return res.status(404).json({ message: 'Toilet not found' });
+        // Photos are checked first so a bad file rejects the whole review
+        const upload = await PhotoService.prepare(req.files);
+        if (upload.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid photos', errors: upload.errors });
         }
-        console.log('[REVIEW] Found toilet:', toilet.name);
 
-        // Create new review
-        const review = new Review({
+        // Review insert, photo records and toilet stats update happen in one transaction
+        const result = await ReviewAggregationService.submit({
             toiletId,
             rating: parseInt(rating),
             cleanliness: parseInt(cleanliness),
             maintenance: parseInt(maintenance),
             accessibility: parseInt(accessibility),
-            comment: comment || ''
+            comment: comment || '',
+            userId: req.user ? req.user.id : null
+        }, {
+            images: upload.images,
+            photoStatus: can(req.user, 'photo:publish') ? 'approved' : 'pending'
         });
+        if (!result) {
+            console.log('[REVIEW] Submit failed: Toilet not found:', toiletId);
+            return res.status(404).json({ message: 'Toilet not found' });
+        }
+        if (result.closure) {
+            console.log('[REVIEW] Submit refused: Toilet is closed:', toiletId);
+            return res.status(409).json({ success: false, message: 'This toilet is temporarily closed', closure: result.closure });
+        }
 
-        console.log('[REVIEW] Saving review...');
-        await review.save();
+        const { review, toilet, photos } = result;
+        await AuditService.record(req, {
+            action: 'review.create',
+            targetType: 'review',
+            targetId: review.id,
+            after: review,
+            details: photos.length > 0 ? { photos: photos.map(photo => photo.id) } : null
+        });
         console.log('[REVIEW] Successfully submitted review for toilet:', toilet.name);
+        console.log('[REVIEW] Updated toilet stats - Average Rating:', toilet.averageRating, 'Total Reviews:', toilet.totalReviews);
 
-        // Update toilet's average rating and total reviews
-        console.log('[REVIEW] Fetching all reviews for toilet stats update...');
-        const reviews = await Review.find({ toiletId });
-        const totalReviews = reviews.length;
-        console.log('[REVIEW] Found', totalReviews, 'reviews for toilet');
-
-        // Calculate average rating considering all rating aspects
-        const averageRating = reviews.reduce((acc, review) => {
-            return acc + (review.rating + review.cleanliness + review.maintenance + review.accessibility) / 4;
-        }, 0) / totalReviews;
-
-        toilet.averageRating = parseFloat(averageRating.toFixed(1));
-        toilet.totalReviews = totalReviews;
-
-        console.log('[REVIEW] Saving updated toilet stats...');
-        await toilet.save();
-        console.log('[REVIEW] Updated toilet stats - Average Rating:', toilet.averageRating, 'Total Reviews:', totalReviews);
-
-        res.status(201).json({ success: true, review: review.toObject() });
+        res.status(201).json({ success: true, review: { ...review.toObject(), photos: photos.map(photoObject) } });
     } catch (err) {
         console.error('[REVIEW] Error submitting review:', err.message);
         console.error('[REVIEW] Error stack:', err.stack);
@@ -78,10 +136,11 @@ router.post('/submit',
 });
 
 // Get all reviews for a toilet (public)
-router.get('/toilet/:toiletId', async (req, res) => {
+// Paginated with ?limit=&cursor=&sort=newest|oldest|rating
+router.get('/toilet/:toiletId', identify, authorize('review:read'), reviewPagination, async (req, res) => {
     try {
         const reviews = await Review.find({ toiletId: req.params.toiletId });
-        res.json(reviews.map(r => r.toObject()));
+        await sendReviews(req, res, reviews);
     } catch (err) {
         console.error('Error fetching reviews:', err);
         res.status(500).json({ message: 'Error fetching reviews' });
@@ -89,21 +148,76 @@ router.get('/toilet/:toiletId', async (req, res) => {
 });
 
 // Get all reviews (public for demo)
-router.get('/all', async (req, res) => {
+// Filters: toiletId, rating (1-5); paginated like /toilet/:toiletId
+router.get('/all', identify, authorize('review:read'), reviewPagination, async (req, res) => {
     try {
-        console.log('[REVIEW] Fetching all reviews');
-        const reviews = await Review.find();
+        const { query, error } = reviewFilter(req);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        console.log('[REVIEW] Fetching all reviews', query);
+        const reviews = await Review.find(query);
         console.log('[REVIEW] Found', reviews.length, 'reviews');
         // For simplicity, return reviews without populate
-        res.json(reviews.map(r => r.toObject()));
+        await sendReviews(req, res, reviews);
     } catch (err) {
         console.error('[REVIEW] Error fetching all reviews:', err.message);
         res.status(500).json({ message: 'Error fetching reviews' });
     }
 });
 
-// Update a review (public for demo)
+// Export reviews as CSV (moderators and admins), newest first, with the toilet name
+// Takes the same toiletId and rating filters as /all
+router.get(['/export', '/export.csv'], protect, authorize('review:export'), async (req, res) => {
+    try {
+        const { query, error } = reviewFilter(req);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const reviews = await Review.find(query);
+        const toiletNames = await ExportService.toiletNames(reviews);
+        console.log(`[EXPORT] Exporting ${reviews.length} reviews as csv`);
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${ExportService.filename('reviews', 'csv')}"`,
+            'X-Export-Count': String(reviews.length)
+        });
+
+        const stream = ExportService.reviewStream(reviews, toiletNames);
+        stream.on('error', (streamError) => {
+            console.error('[EXPORT] Error streaming review export:', streamError.message);
+            res.destroy(streamError);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        console.error('[EXPORT] Error exporting reviews:', err.message);
+        res.status(500).json({ success: false, message: 'Error exporting reviews' });
+    }
+});
+
+const RATING_LABELS = {
+    rating: 'Rating',
+    cleanliness: 'Cleanliness rating',
+    maintenance: 'Maintenance rating',
+    accessibility: 'Accessibility rating'
+};
+
+// A 1-5 rating sent as a number or numeric string; null when it is anything else
+const parseRating = (raw) => {
+    if (typeof raw !== 'number' && (typeof raw !== 'string' || raw.trim() === '')) return null;
+    const value = Number(raw);
+    return Number.isInteger(value) && value >= 1 && value <= 5 ? value : null;
+};
+
+const reviewOf = (req) => Review.findById(req.params.id);
+
+// Update a review (its author or staff)
 router.put('/:id',
+    identify,
+    authorize('review:update', reviewOf),
     sanitizeString('comment', 1000),
     async (req, res) => {
     try {
@@ -112,84 +226,51 @@ router.put('/:id',
             return res.status(404).json({ message: 'Review not found' });
         }
 
-        const { rating, cleanliness, maintenance, accessibility, comment } = req.body;
+        const { comment } = req.body;
 
-        // Validate rating ranges if provided (1-5)
-        if (rating !== undefined && (rating < 1 || rating > 5)) {
-            return res.status(400).json({ message: 'Rating must be between 1 and 5' });
-        }
-        if (cleanliness !== undefined && (cleanliness < 1 || cleanliness > 5)) {
-            return res.status(400).json({ message: 'Cleanliness rating must be between 1 and 5' });
-        }
-        if (maintenance !== undefined && (maintenance < 1 || maintenance > 5)) {
-            return res.status(400).json({ message: 'Maintenance rating must be between 1 and 5' });
-        }
-        if (accessibility !== undefined && (accessibility < 1 || accessibility > 5)) {
-            return res.status(400).json({ message: 'Accessibility rating must be between 1 and 5' });
+        // Ratings that are sent must be whole numbers from 1 to 5
+        const changes = {};
+        for (const [field, label] of Object.entries(RATING_LABELS)) {
+            if (req.body[field] === undefined) continue;
+            const value = parseRating(req.body[field]);
+            if (value === null) {
+                return res.status(400).json({ message: `${label} must be a whole number between 1 and 5` });
+            }
+            changes[field] = value;
         }
+        if (comment !== undefined) changes.comment = comment;
 
-        // Update review fields
-        if (rating !== undefined) review.rating = parseInt(rating);
-        if (cleanliness !== undefined) review.cleanliness = parseInt(cleanliness);
-        if (maintenance !== undefined) review.maintenance = parseInt(maintenance);
-        if (accessibility !== undefined) review.accessibility = parseInt(accessibility);
-        if (comment !== undefined) review.comment = comment;
-
-        await review.save();
-
-        // Update toilet's average rating
-        const toiletId = review.toiletId;
-        const reviews = await Review.find({ toiletId });
-        const totalReviews = reviews.length;
-
-        const averageRating = reviews.reduce((acc, review) => {
-            return acc + (review.rating + review.cleanliness + review.maintenance + review.accessibility) / 4;
-        }, 0) / totalReviews;
-
-        const toilet = await Toilet.findById(toiletId);
-        toilet.averageRating = parseFloat(averageRating.toFixed(1));
-        toilet.totalReviews = totalReviews;
-        await toilet.save();
+        const before = AuditService.snapshot(review);
+        const updated = await ReviewAggregationService.update(review.id, changes);
+        if (!updated) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+        await AuditService.record(req, { action: 'review.update', targetType: 'review', targetId: review.id, before, after: updated });
 
-        res.json({ success: true, review: review.toObject() });
+        res.json({ success: true, review: updated.toObject() });
     } catch (err) {
         console.error('Error updating review:', err);
         res.status(500).json({ message: 'Error updating review' });
     }
 });
 
-// Delete a review (public for demo)
-router.delete('/:id', async (req, res) => {
+// Delete a review (its author or staff)
+// Moves it to the trash and takes it out of its toilet's rating stats
+router.delete('/:id', identify, authorize('review:delete', reviewOf), async (req, res) => {
     try {
-        const review = await Review.findById(req.params.id);
-        if (!review) {
+        const entry = await TrashService.trashReview(req.params.id, req.user ? req.user.id : null);
+        if (!entry) {
             return res.status(404).json({ message: 'Review not found' });
         }
+        await AuditService.record(req, {
+            action: 'review.delete',
+            targetType: 'review',
+            targetId: req.params.id,
+            before: TrashService.revive(entry),
+            details: { trashId: entry.id }
+        });
 
-        const toiletId = review.toiletId;
-        await review.remove();
-
-        // Update toilet's average rating and total reviews
-        const reviews = await Review.find({ toiletId });
-        const totalReviews = reviews.length;
-
-        if (totalReviews === 0) {
-            const toilet = await Toilet.findById(toiletId);
-            toilet.averageRating = 0;
-            toilet.totalReviews = 0;
-            await toilet.save();
-        } else {
-            const averageRating = reviews.reduce((acc, review) => {
-                return acc + (review.rating + review.cleanliness + review.maintenance + review.accessibility) / 4;
-            }, 0) / totalReviews;
-
-            const toilet = await Toilet.findById(toiletId);
-            toilet.averageRating = parseFloat(averageRating.toFixed(1));
-            toilet.totalReviews = totalReviews;
-            await toilet.save();
-        }
-
-        res.json({ success: true, message: 'Review deleted' });
+        res.json({ success: true, message: 'Review deleted', trashId: entry.id });
     } catch (err) {
         console.error('Error deleting review:', err);
         res.status(500).json({ message: 'Error deleting review' });
@@ -197,7 +278,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get review statistics (public for demo)
-router.get('/stats', async (req, res) => {
+router.get('/stats', authorize('review:read'), async (req, res) => {
     try {
         const totalReviews = await Review.countDocuments();
         const averageRating = await Review.aggregate([
@@ -1,12 +1,102 @@
 const express = require('express');
 const router = express.Router();
 const Toilet = require('../models/Toilet');
+const Review = require('../models/Review');
+const openingHours = require('../models/openingHours');
+const fees = require('../models/fees');
+const closures = require('../models/closures');
+const facilityTaxonomy = require('../models/facilityTaxonomy');
 const PublicToiletService = require('../services/PublicToiletService');
-const { protect, admin } = require('../middleware/auth');
+const ToiletSearchService = require('../services/ToiletSearchService');
+const ToiletTileService = require('../services/ToiletTileService');
+const ToiletImportService = require('../services/ToiletImportService');
+const ExportService = require('../services/ExportService');
+const TrashService = require('../services/TrashService');
+const AuditService = require('../services/AuditService');
+const ToiletRevisionService = require('../services/ToiletRevisionService');
+const PhotoService = require('../services/PhotoService');
+const IncidentService = require('../services/IncidentService');
+const { toObject: photoObject } = require('../models/Photo');
+const Incident = require('../models/Incident');
+const { OPERATOR_FIELDS, ADMIN_FIELDS, can } = require('../models/roles');
+const { protect, identify, authorize } = require('../middleware/auth');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+const { photoUpload } = require('../middleware/upload');
+const { validateBody, validateIncidentData, sanitizeString } = require('../middleware/validation');
 const qrcode = require('qrcode');
 
+// Refresh public toilet data for the viewport without delaying the response
+const syncPublicInBackground = (bounds) => {
+    if (!bounds) return;
+    const { south, west, north, east } = bounds;
+    const boundsString = `(${south},${west},${north},${east})`;
+
+    setImmediate(async () => {
+        try {
+            await PublicToiletService.syncPublicData(boundsString);
+        } catch (error) {
+            console.warn('[TOILET] Background sync failed:', error.message);
+        }
+    });
+};
+
+// Opening hours arrive as an OSM string or { osm, timezone }, fees as a plain
+// object, closures as a list of windows and facilities as taxonomy ids or
+// aliases; all are validated and stored normalized. Operators only change
+// through ownership claims (see routes/claims.js).
+const parseStructuredFields = (body) => {
+    const parsed = { ...body };
+    delete parsed.operatorIds;
+    const errors = [];
+
+    if ('facilities' in body) {
+        const result = facilityTaxonomy.normalize(body.facilities);
+        if (result.errors) errors.push(...result.errors);
+        else parsed.facilities = result.facilities;
+    }
+    if ('openingHours' in body) {
+        const result = openingHours.normalize(body.openingHours);
+        if (result.errors) errors.push(...result.errors);
+        else parsed.openingHours = result.hours;
+    }
+    if ('fee' in body) {
+        const result = fees.normalize(body.fee);
+        if (result.errors) errors.push(...result.errors);
+        else parsed.fee = result.fee;
+    }
+    if ('closures' in body) {
+        const result = closures.normalize(body.closures);
+        if (result.errors) errors.push(...result.errors);
+        else parsed.closures = result.closures;
+    }
+
+    return errors.length > 0 ? { errors } : { body: parsed };
+};
+
+// What a toilet suggested without toilet:create may set
+const SUGGESTION_FIELDS = ['name', 'location', 'description', 'coordinates', 'facilities', 'openingHours', 'fee'];
+
+const pick = (source, fields) => Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]]));
+
+// Revision history order, newest first by default
+const revisionPagination = paginationParams({
+    sorts: {
+        newest: [['number', -1], ['id', -1]],
+        oldest: [['number', 1], ['id', 1]]
+    },
+    defaultLimit: 50,
+    maxLimit: 200
+});
+
+// Map listing order: verified first, then rating, then reviews
+const mapPagination = paginationParams({
+    sorts: { default: [['verified', -1], ['averageRating', -1], ['totalReviews', -1], ['id', 1]] },
+    defaultLimit: 1000,
+    maxLimit: 1000
+});
+
 // Get toilet statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', authorize('toilet:read'), async (req, res) => {
     try {
         const stats = await PublicToiletService.getStats();
         res.json(stats);
@@ -16,8 +106,82 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// Facility taxonomy: the ids `facilities` may hold, by category, with display
+// names, icons, aliases and the OSM tags they come from
+router.get('/facilities', authorize('toilet:read'), (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({ success: true, data: facilityTaxonomy.describe() });
+});
+
+// The problems visitors can report with POST /:id/incidents
+router.get('/incident-types', authorize('toilet:read'), (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+        success: true,
+        data: Incident.TYPES.map(({ id, name, icon, severity }) => ({ id, name, icon, severity }))
+    });
+});
+
+// Full-text search with filters; ranked by relevance, blended with distance when lat/lng are sent
+// (/map/search is the path the map client uses)
+router.get(['/search', '/map/search'], authorize('toilet:read'), async (req, res) => {
+    try {
+        const params = ToiletSearchService.parseParams(req.query);
+        if (params.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid search parameters', errors: params.errors });
+        }
+
+        const { results, total } = await ToiletSearchService.search(params);
+        console.log(`[TOILET] Search "${params.text}" matched ${total} toilets`);
+
+        res.json({
+            success: true,
+            data: results,
+            metadata: {
+                query: params.text,
+                total,
+                limit: params.limit,
+                offset: params.offset,
+                sort: params.sort
+            }
+        });
+    } catch (err) {
+        console.error('[TOILET] Error searching toilets:', err.message);
+        res.status(500).json({ success: false, message: 'Error searching toilets' });
+    }
+});
+
+// Toilets closest to lat/lng with distances in meters; mode=urgent ranks for the nearest usable toilet
+router.get(['/nearby', '/map/nearby'], authorize('toilet:read'), async (req, res) => {
+    try {
+        const params = ToiletSearchService.parseNearbyParams(req.query);
+        if (params.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid nearby parameters', errors: params.errors });
+        }
+
+        const toilets = await ToiletSearchService.nearby(params);
+        console.log(`[TOILET] Nearby (${params.mode}) found ${toilets.length} toilets around ${params.location.latitude},${params.location.longitude}`);
+
+        res.json({
+            success: true,
+            data: toilets,
+            metadata: {
+                center: params.location,
+                radius: Number.isFinite(params.maxDistance) ? params.maxDistance : null,
+                mode: params.mode,
+                count: toilets.length,
+                limit: params.limit,
+                offset: params.offset
+            }
+        });
+    } catch (err) {
+        console.error('[TOILET] Error finding nearby toilets:', err.message);
+        res.status(500).json({ success: false, message: 'Error finding nearby toilets' });
+    }
+});
+
 // Generate QR code for toilet
-router.get('/:id/qr', async (req, res) => {
+router.get('/:id/qr', authorize('toilet:read'), async (req, res) => {
     try {
         const toilet = await Toilet.findById(req.params.id);
         if (!toilet) {
@@ -61,19 +225,25 @@ router.get('/:id/qr', async (req, res) => {
 });
 
 // Get toilets for map display (hybrid public/private system) - SCALABLE VERSION
-router.get('/map', async (req, res) => {
+// Pages with ?limit= and either ?cursor= (metadata.nextCursor) or ?offset=
+// Takes the fee filters of /search (fee, maxFee, payment, customersOnly)
+router.get('/map', authorize('toilet:read'), mapPagination, async (req, res) => {
     try {
         const {
             showPublic = 'true',
             showPrivate = 'true',
             bounds,
-            limit = '1000', // Default limit for performance
             offset = '0',
-            zoom, // Map zoom level for optimization
+            zoom, // Map zoom level; with bounds, low zooms are clustered server-side
             clusters = 'true' // Enable clustering for large datasets
         } = req.query;
+        const openNow = ToiletSearchService.parseBoolean(req.query.openNow) === true;
+        const feeFilter = ToiletSearchService.parseFeeParams(req.query);
+        if (feeFilter.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid fee filter', errors: feeFilter.errors });
+        }
 
-        console.log('[TOILET] Fetching toilets for map - Public:', showPublic, 'Private:', showPrivate, 'Limit:', limit);
+        console.log('[TOILET] Fetching toilets for map - Public:', showPublic, 'Private:', showPrivate, 'Limit:', req.pagination.limit);
 
         const typesToInclude = [];
 
@@ -86,7 +256,7 @@ router.get('/map', async (req, res) => {
             return res.json([]);
         }
 
-        let query = { type: { $in: typesToInclude } };
+        let query = { type: { $in: typesToInclude }, ...feeFilter.filter };
         let toilets = [];
 
         // Apply spatial filtering for bounds (viewport optimization)
@@ -100,88 +270,72 @@ router.get('/map', async (req, res) => {
             }
         }
 
-        // Get toilets with optimized in-memory filtering
-        const limitNum = Math.min(parseInt(limit), 1000);
-        const offsetNum = parseInt(offset);
-
-        toilets = await Toilet.find(query);
+        // Zoomed-out viewports get per-tile clusters instead of raw points.
+        // Cached clusters cannot follow the clock and are built per type only,
+        // so openNow and fee filters always get points.
+        const filtered = openNow || Object.keys(feeFilter.filter).length > 0;
+        const zoomLevel = parseInt(zoom, 10);
+        if (clusters === 'true' && !filtered && query.spatialBounds && Number.isInteger(zoomLevel) && ToiletTileService.shouldCluster(zoomLevel)) {
+            const clustered = await ToiletTileService.clusterBounds(query.spatialBounds, zoomLevel, typesToInclude);
+            if (clustered.error) {
+                return res.status(400).json({ success: false, message: clustered.error });
+            }
 
-        // Apply spatial filtering if bounds provided
-        if (query.spatialBounds) {
-            const { south, west, north, east } = query.spatialBounds;
-            toilets = toilets.filter(toilet => {
-                if (!toilet.coordinates) return false;
-                const lat = toilet.coordinates.latitude;
-                const lng = toilet.coordinates.longitude;
-                return lat >= south && lat <= north && lng >= west && lng <= east;
+            if (showPublic === 'true') syncPublicInBackground(query.spatialBounds);
+
+            const clusterCount = clustered.features.filter(feature => feature.cluster).length;
+            console.log(`[TOILET] Returning ${clusterCount} clusters and ${clustered.features.length - clusterCount} toilets at zoom ${zoomLevel}`);
+
+            return res.json({
+                success: true,
+                data: clustered.features,
+                metadata: {
+                    clustered: true,
+                    zoom: zoomLevel,
+                    tiles: clustered.tiles,
+                    clusters: clusterCount,
+                    points: clustered.features.length - clusterCount,
+                    total: clustered.features.reduce((sum, feature) => sum + (feature.cluster ? feature.count : 1), 0)
+                }
             });
         }
 
-        // Apply sorting (verified first, then rating, then reviews)
-        toilets.sort((a, b) => {
-            if (a.verified !== b.verified) return b.verified - a.verified;
-            if (a.averageRating !== b.averageRating) return (b.averageRating || 0) - (a.averageRating || 0);
-            return (b.totalReviews || 0) - (a.totalReviews || 0);
-        });
+        // Bounds are answered by the spatial index. The opening status goes on
+        // copies: find() may hand back the stored records.
+        const now = new Date();
+        toilets = (await Toilet.find(query)).map(toilet => ToiletSearchService.withOpenStatus({ ...toilet }, now));
+        if (openNow) toilets = toilets.filter(toilet => toilet.openNow === true);
 
-        // Apply pagination
-        const startIndex = offsetNum;
-        const endIndex = startIndex + limitNum;
-        toilets = toilets.slice(startIndex, endIndex);
+        // A cursor takes precedence over offset
+        const offsetNum = Math.max(parseInt(offset, 10) || 0, 0);
+        const page = paginateDocuments(toilets, { ...req.pagination, offset: offsetNum });
+        toilets = page.data;
 
         console.log(`[TOILET] Returning ${toilets.length} toilets (${typesToInclude.join('+')})`);
 
         // If requesting public toilets and bounds provided, trigger background sync
-        if (showPublic === 'true' && bounds && typesToInclude.includes('public')) {
-            try {
-                const boundsArray = bounds.split(',').map(Number);
-                if (boundsArray.length === 4) {
-                    const [south, west, north, east] = boundsArray;
-                    const boundsString = `(${south},${west},${north},${east})`;
-
-                    // Background sync for data freshness (non-blocking)
-                    setImmediate(async () => {
-                        try {
-                            await PublicToiletService.syncPublicData(boundsString);
-                        } catch (error) {
-                            console.warn('[TOILET] Background sync failed:', error.message);
-                        }
-                    });
-                }
-            } catch (error) {
-                console.warn('[TOILET] Bounds parsing failed:', error.message);
-            }
-        }
-
-        // Optimize response payload for large datasets
-        const optimizedToilets = toilets.map(t => ({
-            id: t.id || t._id,
-            name: t.name,
-            location: t.location,
-            coordinates: t.coordinates,
-            facilities: t.facilities,
-            averageRating: t.averageRating,
-            totalReviews: t.totalReviews,
-            type: t.type,
-            source: t.source,
-            verified: t.verified,
-            // Exclude heavy fields for map display
-            // description: t.description, // Commented out for performance
-            // lastSynced: t.lastSynced  // Commented out for performance
+        if (showPublic === 'true') syncPublicInBackground(query.spatialBounds);
+
+        // Optimize response payload for large datasets (no description/lastSynced)
+        const liveStatuses = await IncidentService.liveStatuses(toilets.map(toilet => toilet.id), now);
+        const optimizedToilets = toilets.map(toilet => ({
+            ...ToiletTileService.toMapToilet(toilet),
+            openingStatus: toilet.openingStatus,
+            openNow: toilet.openNow,
+            closure: toilet.closure,
+            liveStatus: liveStatuses.get(toilet.id) || Incident.liveStatus([])
         }));
 
         // Standardize response format
-        const { toilets: storage } = require('../models/storage');
-        const totalCount = storage.countDocuments(query);
-
         const response = {
             success: true,
             data: optimizedToilets,
             metadata: {
-                total: totalCount,
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                hasMore: optimizedToilets.length === parseInt(limit),
+                total: page.total,
+                limit: req.pagination.limit,
+                offset: req.pagination.after ? undefined : offsetNum,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor,
                 returned: optimizedToilets.length
             }
         };
@@ -194,14 +348,351 @@ router.get('/map', async (req, res) => {
     }
 });
 
+// Get one map tile of toilets as GeoJSON (default) or Mapbox Vector Tile.
+// Format comes from the extension (/tiles/12/2881/1818.mvt) or ?format=.
+router.get('/tiles/:z/:x/:y', authorize('toilet:read'), async (req, res) => {
+    try {
+        const { showPublic = 'true', showPrivate = 'true', clusters = 'false' } = req.query;
+        const [, yParam, extension] = req.params.y.match(/^([^.]*)(?:\.(\w+))?$/) || [];
+        const requestedFormat = extension || req.query.format || 'geojson';
+        const format = requestedFormat === 'pbf' ? 'mvt' : requestedFormat;
+
+        if (!ToiletTileService.TILE_CONFIG.FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, message: 'Tile format must be geojson, mvt or pbf' });
+        }
+
+        const z = Number(req.params.z);
+        const x = Number(req.params.x);
+        const y = Number(yParam);
+        if (!ToiletTileService.isValidTile(z, x, y)) {
+            return res.status(400).json({ success: false, message: `Invalid tile ${req.params.z}/${req.params.x}/${req.params.y}` });
+        }
+
+        const types = [];
+        if (showPublic === 'true') types.push('public');
+        if (showPrivate === 'true') types.push('private');
+
+        const tile = await ToiletTileService.getTile(z, x, y, format, { types, clusters: clusters === 'true' });
+
+        if (showPublic === 'true' && z >= ToiletTileService.TILE_CONFIG.SYNC_MIN_ZOOM) {
+            syncPublicInBackground(ToiletTileService.tileBounds(z, x, y));
+        }
+
+        // Short max-age plus the ETag Express derives from the body: clients
+        // revalidate cheaply and unchanged tiles come back as 304
+        res.set('Cache-Control', `public, max-age=${ToiletTileService.TILE_CONFIG.MAX_AGE}`);
+        res.set('X-Tile-Features', String(tile.count));
+        if (tile.truncated) res.set('X-Tile-Truncated', 'true');
+
+        if (format === 'mvt') {
+            res.type('application/vnd.mapbox-vector-tile').send(tile.data);
+        } else {
+            res.type('application/geo+json').send(JSON.stringify(tile.data));
+        }
+    } catch (err) {
+        console.error('[TOILET] Error building map tile:', err.message);
+        res.status(500).json({ success: false, message: 'Error building map tile' });
+    }
+});
+
+// Export toilets as CSV, GeoJSON, KML or GPX (format from the extension or ?format)
+// Filters: type=public|private|all, bounds=south,west,north,east, city
+router.get(['/export', '/export.:format'], authorize('toilet:export'), async (req, res) => {
+    const params = ExportService.parseToiletParams({ ...req.query, format: req.params.format || req.query.format });
+    if (params.errors) {
+        return res.status(400).json({ success: false, message: 'Invalid export parameters', errors: params.errors });
+    }
+
+    try {
+        const count = await ExportService.countToilets(params);
+        console.log(`[EXPORT] Exporting ${count} toilets as ${params.format}`);
+
+        res.set({
+            'Content-Type': ExportService.TOILET_FORMATS[params.format].contentType,
+            'Content-Disposition': `attachment; filename="${ExportService.filename('toilets', params.format)}"`,
+            'X-Export-Count': String(count)
+        });
+
+        const stream = ExportService.toiletStream(params.format, ExportService.findToilets(params));
+        stream.on('error', (error) => {
+            console.error('[EXPORT] Error streaming toilet export:', error.message);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        console.error('[EXPORT] Error exporting toilets:', err.message);
+        res.status(500).json({ success: false, message: 'Error exporting toilets' });
+    }
+});
+
+// Revision history of a toilet (moderators and admins); each revision lists its field changes
+router.get('/:id/revisions', protect, authorize('toilet:history'), revisionPagination, async (req, res) => {
+    try {
+        const toilet = await Toilet.findById(req.params.id);
+        if (!toilet) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+
+        const history = await ToiletRevisionService.list(toilet.id);
+        const page = paginateDocuments(history, req.pagination);
+        res.json({
+            success: true,
+            data: page.data,
+            current: ToiletRevisionService.latest(history),
+            pagination: {
+                limit: req.pagination.limit,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (err) {
+        console.error('[REVISION] Error listing revisions:', err.message);
+        res.status(500).json({ success: false, message: 'Error fetching revision history' });
+    }
+});
+
+// The toilet's tracked fields as of one revision (0 is the original)
+router.get('/:id/revisions/:number', protect, authorize('toilet:history'), async (req, res) => {
+    try {
+        const version = await ToiletRevisionService.version(req.params.id, Number(req.params.number));
+        if (!version) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+        res.json({ success: true, data: version });
+    } catch (err) {
+        console.error('[REVISION] Error fetching revision:', err.message);
+        res.status(500).json({ success: false, message: 'Error fetching revision' });
+    }
+});
+
+// Roll a toilet back to a revision; recorded as a new revision
+router.post('/:id/revisions/:number/rollback', protect, authorize('toilet:rollback'), async (req, res) => {
+    try {
+        const before = await Toilet.findById(req.params.id);
+        const result = await ToiletRevisionService.rollback(req.params.id, Number(req.params.number), { actorId: req.user.id });
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+        if (result.errors) {
+            return res.status(400).json({ success: false, message: 'Cannot roll back', errors: result.errors });
+        }
+
+        await AuditService.record(req, {
+            action: 'toilet.rollback',
+            targetType: 'toilet',
+            targetId: req.params.id,
+            before,
+            after: result.toilet,
+            details: { revision: Number(req.params.number) }
+        });
+        res.json({ success: true, data: result.toilet.toObject(), revision: result.revision });
+    } catch (err) {
+        console.error('[REVISION] Error rolling back toilet:', err.message);
+        res.status(500).json({ success: false, message: 'Error rolling back toilet' });
+    }
+});
+
+// Approved photos of a toilet and of its reviews, newest first
+router.get('/:id/photos', authorize('toilet:read'), async (req, res) => {
+    try {
+        const toilet = await Toilet.findById(req.params.id);
+        if (!toilet) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+
+        // Photos of deleted reviews stay hidden until the review is restored
+        const reviewIds = new Set((await Review.find({ toiletId: toilet.id })).map(review => review.id));
+        const photos = (await PhotoService.find({ toiletId: toilet.id, status: 'approved' }))
+            .filter(photo => !photo.reviewId || reviewIds.has(photo.reviewId));
+
+        res.json({ success: true, data: photos.map(photoObject) });
+    } catch (err) {
+        console.error('[PHOTO] Error listing toilet photos:', err.message);
+        res.status(500).json({ success: false, message: 'Error fetching photos' });
+    }
+});
+
+// Add photos to a toilet (admin only); multipart with the files in `photos`.
+// Admin photos are approved as they are added.
+router.post('/:id/photos', protect, authorize('photo:upload'), photoUpload(), async (req, res) => {
+    try {
+        const toilet = await Toilet.findById(req.params.id);
+        if (!toilet) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, message: 'No photos uploaded' });
+        }
+
+        const upload = await PhotoService.prepare(req.files);
+        if (upload.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid photos', errors: upload.errors });
+        }
+
+        const photos = await PhotoService.store(upload.images, { toiletId: toilet.id, uploadedBy: req.user.id, status: 'approved' });
+        await AuditService.record(req, {
+            action: 'photo.upload',
+            targetType: 'toilet',
+            targetId: toilet.id,
+            details: { photos: photos.map(photo => photo.id) }
+        });
+        res.status(201).json({ success: true, data: photos.map(photoObject) });
+    } catch (err) {
+        console.error('[PHOTO] Error uploading toilet photos:', err.message);
+        res.status(500).json({ success: false, message: 'Error uploading photos' });
+    }
+});
+
+// The image or thumbnail of an approved photo (JPEG, cached for a day)
+const sendApprovedPhoto = (variant) => async (req, res) => {
+    try {
+        const photo = await PhotoService.findById(req.params.photoId);
+        if (!photo || photo.status !== 'approved') {
+            return res.status(404).json({ success: false, message: 'Photo not found' });
+        }
+        PhotoService.send(res, photo, variant, { cache: true });
+    } catch (err) {
+        console.error('[PHOTO] Error sending photo:', err.message);
+        res.status(500).json({ success: false, message: 'Error fetching photo' });
+    }
+};
+
+router.get('/photos/:photoId', authorize('toilet:read'), sendApprovedPhoto('image'));
+router.get('/photos/:photoId/thumbnail', authorize('toilet:read'), sendApprovedPhoto('thumbnail'));
+
+// Toilets with reported problems or closures, for overlaying on cached map
+// tiles: neither can be cached with the tile since both follow the clock.
+// Only toilets whose live status is not 'ok' or that have a current or
+// upcoming closure are listed; ?bounds=south,west,north,east narrows them to
+// a viewport.
+router.get('/live-status', authorize('toilet:read'), async (req, res) => {
+    try {
+        let bounds = null;
+        if (req.query.bounds) {
+            const values = String(req.query.bounds).split(',').map(Number);
+            if (values.length !== 4 || values.some(Number.isNaN)) {
+                return res.status(400).json({ success: false, message: 'bounds must be south,west,north,east' });
+            }
+            const [south, west, north, east] = values;
+            bounds = { south, west, north, east };
+        }
+
+        // One query for the toilets with open incidents or closures on
+        // record, in the viewport when bounds are given
+        const now = new Date();
+        const statuses = await IncidentService.liveStatuses(null, now);
+        const query = { $or: [{ id: { $in: Array.from(statuses.keys()) } }, { 'closures.0': { $exists: true } }] };
+        if (bounds) query.spatialBounds = bounds;
+
+        const data = [];
+        for (const toilet of await Toilet.find(query)) {
+            const liveStatus = statuses.get(toilet.id);
+            const closure = closures.status(toilet.closures, now);
+            if (!liveStatus && !closure) continue;
+            data.push({ toiletId: toilet.id, liveStatus: liveStatus || Incident.liveStatus([]), closure });
+        }
+
+        res.set('Cache-Control', 'no-cache');
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('[INCIDENT] Error fetching live status:', err.message);
+        res.status(500).json({ success: false, message: 'Error fetching live status' });
+    }
+});
+
+// Active incidents of a toilet and its live status
+router.get('/:id/incidents', authorize('toilet:read'), async (req, res) => {
+    try {
+        const toilet = await Toilet.findById(req.params.id);
+        if (!toilet) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+
+        const { incidents, liveStatus } = await IncidentService.forToilet(toilet.id);
+        res.json({ success: true, data: incidents, liveStatus });
+    } catch (err) {
+        console.error('[INCIDENT] Error listing incidents:', err.message);
+        res.status(500).json({ success: false, message: 'Error fetching incidents' });
+    }
+});
+
+// Report a problem with a toilet: { type, note }. No account needed. A
+// problem that is already open is confirmed rather than reported twice.
+router.post('/:id/incidents', identify, authorize('incident:report'), sanitizeString('note', 200), validateBody(validateIncidentData), async (req, res) => {
+    try {
+        const toilet = await Toilet.findById(req.params.id);
+        if (!toilet) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+
+        const { incident, created } = await IncidentService.report(toilet.id, req.body.type, {
+            reporter: IncidentService.reporterKey(req),
+            userId: req.user ? req.user.id : null,
+            note: req.body.note
+        });
+        await AuditService.record(req, {
+            action: created ? 'incident.report' : 'incident.confirm',
+            targetType: 'incident',
+            targetId: incident.id,
+            details: { toiletId: toilet.id, type: incident.type, reports: incident.reports.length }
+        });
+
+        const { liveStatus } = await IncidentService.forToilet(toilet.id);
+        res.status(created ? 201 : 200).json({ success: true, data: Incident.toObject(incident), liveStatus });
+    } catch (err) {
+        console.error('[INCIDENT] Error reporting incident:', err.message);
+        res.status(500).json({ success: false, message: 'Error reporting incident' });
+    }
+});
+
+// Confirm an active incident ("me too")
+router.post('/:id/incidents/:incidentId/confirm', identify, authorize('incident:report'), async (req, res) => {
+    try {
+        const existing = await IncidentService.findById(req.params.incidentId);
+        if (!existing || existing.toiletId !== req.params.id) {
+            return res.status(404).json({ success: false, message: 'Incident not found' });
+        }
+        if (!Incident.isActive(existing)) {
+            return res.status(409).json({ success: false, message: 'Incident is no longer open' });
+        }
+
+        const { incident } = await IncidentService.report(existing.toiletId, existing.type, {
+            reporter: IncidentService.reporterKey(req),
+            userId: req.user ? req.user.id : null
+        });
+        await AuditService.record(req, {
+            action: 'incident.confirm',
+            targetType: 'incident',
+            targetId: incident.id,
+            details: { toiletId: incident.toiletId, type: incident.type, reports: incident.reports.length }
+        });
+
+        const { liveStatus } = await IncidentService.forToilet(incident.toiletId);
+        res.json({ success: true, data: Incident.toObject(incident), liveStatus });
+    } catch (err) {
+        console.error('[INCIDENT] Error confirming incident:', err.message);
+        res.status(500).json({ success: false, message: 'Error confirming incident' });
+    }
+});
+
 // Get single toilet by ID (supports both public and private)
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('toilet:read'), async (req, res) => {
     try {
         const toilet = await Toilet.findById(req.params.id);
         if (!toilet) {
             return res.status(404).json({ success: false, message: 'Toilet not found' });
         }
-        res.json({ success: true, data: toilet.toObject() });
+        const { liveStatus } = await IncidentService.forToilet(toilet.id);
+        res.json({
+            success: true,
+            data: {
+                ...toilet.toObject(),
+                openingStatus: openingHours.status(toilet.openingHours),
+                closure: closures.status(toilet.closures),
+                liveStatus
+            }
+        });
     } catch (err) {
         console.error('Error fetching toilet:', err);
         res.status(500).json({ success: false, message: 'Error fetching toilet details' });
@@ -209,18 +700,24 @@ router.get('/:id', async (req, res) => {
 });
 
 // Add private toilet (admin only - requires authentication)
-router.post('/add-private', protect, admin, async (req, res) => {
+router.post('/add-private', protect, authorize('toilet:create'), async (req, res) => {
     try {
         console.log('[TOILET] Add private toilet request:', req.body.name);
 
+        const input = parseStructuredFields(req.body);
+        if (input.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid toilet data', errors: input.errors });
+        }
+
         const toiletData = {
-            ...req.body,
+            ...input.body,
             type: 'private',
             verified: true
         };
 
         const toilet = new Toilet(toiletData);
         await toilet.save();
+        await AuditService.record(req, { action: 'toilet.create', targetType: 'toilet', targetId: toilet.id, after: toilet });
 
         console.log('[TOILET] Successfully added private toilet:', toilet.name, 'with ID:', toilet.id);
         res.status(201).json(toilet.toObject());
@@ -231,8 +728,52 @@ router.post('/add-private', protect, admin, async (req, res) => {
     }
 });
 
+// Bulk import (admin only)
+// Body: { format: csv|geojson|kml, content, mapping: { field: column }, type }
+// Preview reports per-row errors and duplicates without writing anything.
+router.post('/import/preview', protect, authorize('toilet:create'), async (req, res) => {
+    try {
+        const input = ToiletImportService.read(req.body);
+        if (input.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid import file', errors: input.errors });
+        }
+
+        const preview = await ToiletImportService.preview(input);
+        res.json({ success: true, ...preview });
+    } catch (err) {
+        console.error('[IMPORT] Error previewing import:', err.message);
+        res.status(500).json({ success: false, message: 'Error previewing import' });
+    }
+});
+
+// Commits every valid row in one batch; duplicates are skipped unless
+// skipDuplicates is false. Responds with the import report.
+router.post('/import', protect, authorize('toilet:create'), async (req, res) => {
+    try {
+        const input = ToiletImportService.read(req.body);
+        if (input.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid import file', errors: input.errors });
+        }
+
+        const report = await ToiletImportService.commit(input, { skipDuplicates: req.body.skipDuplicates !== false });
+        await AuditService.record(req, {
+            action: 'toilet.import',
+            targetType: 'toilet',
+            details: {
+                format: report.format,
+                summary: report.summary,
+                toiletIds: report.rows.filter(row => row.status === 'created').map(row => row.toiletId)
+            }
+        });
+        res.status(201).json({ success: true, report });
+    } catch (err) {
+        console.error('[IMPORT] Error importing toilets:', err.message);
+        res.status(500).json({ success: false, message: 'Error importing toilets' });
+    }
+});
+
 // Sync public toilet data (public endpoint for map auto-loading)
-router.post('/sync-public', async (req, res) => {
+router.post('/sync-public', identify, authorize('toilet:contribute'), async (req, res) => {
     try {
         const { bounds, sources = ['osm', 'government'] } = req.body;
 
@@ -243,6 +784,14 @@ router.post('/sync-public', async (req, res) => {
         }
 
         const result = await PublicToiletService.syncPublicData(bounds);
+        // Map panning syncs constantly; only syncs that added toilets are audited
+        if (result.synced > 0) {
+            await AuditService.record(req, {
+                action: 'toilet.sync_public',
+                targetType: 'toilet',
+                details: { bounds, synced: result.synced }
+            });
+        }
         res.json({
             success: true,
             message: `Synced ${result.synced} new public toilets`,
@@ -256,20 +805,26 @@ router.post('/sync-public', async (req, res) => {
 });
 
 // Legacy route for backward compatibility - NO AUTH required for easier testing
-router.post('/add', async (req, res) => {
+// Without toilet:create this only suggests a public toilet: it is stored
+// unverified with just the SUGGESTION_FIELDS, for an admin to verify.
+router.post('/add', identify, authorize('toilet:contribute'), async (req, res) => {
     try {
         console.log('[TOILET] Legacy add toilet request:', req.body.name);
 
-        const toiletData = {
-            ...req.body,
-            type: req.body.type || 'private',
-            verified: true
-        };
+        const input = parseStructuredFields(req.body);
+        if (input.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid toilet data', errors: input.errors });
+        }
+
+        const toiletData = can(req.user, 'toilet:create')
+            ? { ...input.body, type: req.body.type || 'private', verified: true }
+            : { ...pick(input.body, SUGGESTION_FIELDS), type: 'public', verified: false };
 
         const toilet = new Toilet(toiletData);
         await toilet.save();
+        await AuditService.record(req, { action: 'toilet.create', targetType: 'toilet', targetId: toilet.id, after: toilet });
 
-        console.log('[TOILET] Successfully added private toilet (legacy):', toilet.name, 'with ID:', toilet.id);
+        console.log(`[TOILET] Successfully added ${toilet.type} toilet (legacy):`, toilet.name, 'with ID:', toilet.id);
         res.status(201).json({ success: true, data: toilet.toObject() });
 
     } catch (err) {
@@ -279,16 +834,54 @@ router.post('/add', async (req, res) => {
 });
 
 // Legacy PUT route for backward compatibility (REQUIRES AUTH)
-router.put('/:id', protect, admin, async (req, res) => {
+// The previous values are kept as a revision; see /:id/revisions. Admins
+// may change ADMIN_FIELDS; operators may update the toilets they operate,
+// limited to OPERATOR_FIELDS.
+router.put('/:id', protect, authorize('toilet:update', req => Toilet.findById(req.params.id)), async (req, res) => {
     try {
-        const toilet = await Toilet.findById(req.params.id);
+        const existing = await Toilet.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Toilet not found' });
+        }
+
+        const readOnly = Object.keys(req.body).filter(field => !ADMIN_FIELDS.includes(field));
+        if (readOnly.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid toilet data',
+                errors: readOnly.map(field => `${field} cannot be changed`)
+            });
+        }
+
+        const operator = req.permissionScope === 'own';
+        if (operator) {
+            const denied = Object.keys(req.body).filter(field => !OPERATOR_FIELDS.includes(field));
+            if (denied.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Operators can only change a toilet\'s details, hours, fee and closures',
+                    errors: denied.map(field => `${field} cannot be changed`)
+                });
+            }
+        }
+
+        const input = parseStructuredFields(req.body);
+        if (input.errors) {
+            return res.status(400).json({ success: false, message: 'Invalid toilet data', errors: input.errors });
+        }
+
+        const before = AuditService.snapshot(existing);
+        const toilet = await Toilet.findByIdAndUpdate(req.params.id, input.body, { source: operator ? 'operator' : 'admin', actorId: req.user.id });
         if (!toilet) {
             return res.status(404).json({ success: false, message: 'Toilet not found' });
         }
 
-        Object.assign(toilet, req.body);
-        toilet.updatedAt = new Date();
-        await toilet.save();
+        // Verification changes are recorded as their own actions
+        let action = 'toilet.update';
+        if (Boolean(before.verified) !== Boolean(toilet.verified)) {
+            action = toilet.verified ? 'toilet.verify' : 'toilet.unverify';
+        }
+        await AuditService.record(req, { action, targetType: 'toilet', targetId: toilet.id, before, after: toilet });
 
         res.json({ success: true, data: toilet.toObject() });
     } catch (err) {
@@ -298,15 +891,22 @@ router.put('/:id', protect, admin, async (req, res) => {
 });
 
 // Legacy DELETE route for backward compatibility (REQUIRES AUTH)
-router.delete('/:id', protect, admin, async (req, res) => {
+// Moves the toilet and its reviews to the trash; see /api/admin/trash
+router.delete('/:id', protect, authorize('toilet:delete'), async (req, res) => {
     try {
-        const toilet = await Toilet.findById(req.params.id);
-        if (!toilet) {
+        const result = await TrashService.trashToilet(req.params.id, req.user.id);
+        if (!result) {
             return res.status(404).json({ success: false, message: 'Toilet not found' });
         }
+        await AuditService.record(req, {
+            action: 'toilet.delete',
+            targetType: 'toilet',
+            targetId: req.params.id,
+            before: TrashService.revive(result.entry),
+            details: { trashId: result.entry.id, reviews: result.reviews }
+        });
 
-        await toilet.remove();
-        res.json({ success: true, message: 'Toilet deleted successfully' });
+        res.json({ success: true, message: 'Toilet deleted successfully', trashId: result.entry.id });
     } catch (err) {
         console.error('Error deleting toilet (legacy):', err);
         res.status(500).json({ success: false, message: 'Error deleting toilet' });
@@ -314,13 +914,11 @@ router.delete('/:id', protect, admin, async (req, res) => {
 });
 
 // Debug endpoint to check stored data
-router.get('/debug/all', async (req, res) => {
+router.get('/debug/all', authorize('toilet:read'), async (req, res) => {
     try {
         console.log('[DEBUG] Fetching all toilets from storage...');
-        const { toilets: storage } = require('../models/storage');
-        
-        // Get all toilets directly from storage
-        const allToilets = storage.find({});
+        // Get all toilets from the active storage adapter
+        const allToilets = await Toilet.find({});
         console.log('[DEBUG] Found toilets:', allToilets.length);
         
         // Show types distribution
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const TrashService = require('../services/TrashService');
+const AuditService = require('../services/AuditService');
+const { protect, authorize } = require('../middleware/auth');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+
+// Trash listing orders, most recently deleted first by default
+const TRASH_SORTS = {
+    newest: [['deletedAt', -1], ['id', -1]],
+    oldest: [['deletedAt', 1], ['id', 1]]
+};
+
+router.use(protect, authorize('trash:manage'));
+
+// Trashed toilets and reviews. ?collection=toilets|reviews narrows the list;
+// every entry carries the date it will be purged.
+router.get('/', paginationParams({ sorts: TRASH_SORTS, defaultLimit: 50, maxLimit: 200 }), async (req, res) => {
+    try {
+        const { collection } = req.query;
+        if (collection && !TrashService.COLLECTIONS.includes(collection)) {
+            return res.status(400).json({ success: false, message: `collection must be one of: ${TrashService.COLLECTIONS.join(', ')}` });
+        }
+
+        const entries = await TrashService.list({ collection });
+        const page = paginateDocuments(entries, req.pagination);
+        const retention = TrashService.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+        res.json({
+            success: true,
+            data: page.data.map(entry => ({
+                ...entry,
+                purgeAt: new Date(new Date(entry.deletedAt).getTime() + retention)
+            })),
+            retentionDays: TrashService.RETENTION_DAYS,
+            pagination: {
+                limit: req.pagination.limit,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (err) {
+        console.error('[TRASH] Error listing trash:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing trash' });
+    }
+});
+
+// Restore a trashed toilet (with the reviews deleted along with it) or review
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const result = await TrashService.restore(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Trash entry not found' });
+        }
+        if (result.errors) {
+            return res.status(409).json({ success: false, message: 'Cannot restore', errors: result.errors });
+        }
+        const targetType = result.collection === 'toilets' ? 'toilet' : 'review';
+        await AuditService.record(req, {
+            action: `${targetType}.restore`,
+            targetType,
+            targetId: result.id,
+            details: { trashId: req.params.id, reviews: result.reviews }
+        });
+        res.json({ success: true, restored: result });
+    } catch (err) {
+        console.error('[TRASH] Error restoring entry:', err.message);
+        res.status(500).json({ success: false, message: 'Error restoring from trash' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const UserService = require('../services/UserService');
+const AuditService = require('../services/AuditService');
+const { ROLES } = require('../models/roles');
+const { protect, authorize } = require('../middleware/auth');
+const { paginationParams, paginateDocuments } = require('../middleware/pagination');
+
+// User listing orders, newest first by default
+const USER_SORTS = {
+    newest: [['createdAt', -1], ['id', -1]],
+    oldest: [['createdAt', 1], ['id', 1]],
+    email: [['email', 1], ['id', 1]]
+};
+
+router.use(protect, authorize('user:manage'));
+
+// Accounts and their roles; ?role= narrows the list
+router.get('/', paginationParams({ sorts: USER_SORTS, defaultLimit: 50, maxLimit: 200 }), async (req, res) => {
+    try {
+        const { role } = req.query;
+        if (role && !ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        const page = paginateDocuments(await UserService.find(role ? { role } : {}), req.pagination);
+        res.json({
+            success: true,
+            data: page.data.map(user => user.toObject()),
+            pagination: {
+                limit: req.pagination.limit,
+                total: page.total,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
+            }
+        });
+    } catch (err) {
+        console.error('[USER] Error listing users:', err.message);
+        res.status(500).json({ success: false, message: 'Error listing users' });
+    }
+});
+
+// Invite someone to register with a role: { email, role }. The token goes in
+// the invitee's registration as inviteToken; admins may only invite to roles
+// below their own.
+router.post('/invite', async (req, res) => {
+    try {
+        const result = await UserService.invite(req.user, req.body.email, req.body.role);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        await AuditService.record(req, {
+            action: 'user.invite',
+            targetType: 'user',
+            details: { email: result.email, role: result.role }
+        });
+        res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        console.error('[USER] Error inviting user:', err.message);
+        res.status(500).json({ success: false, message: 'Error inviting user' });
+    }
+});
+
+// Change a user's role: { role }. Nobody changes their own role, and admins
+// may only move users between roles below their own.
+router.put('/:id/role', async (req, res) => {
+    try {
+        const result = await UserService.changeRole(req.user, req.params.id, req.body.role);
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        await AuditService.record(req, {
+            action: 'user.role_change',
+            targetType: 'user',
+            targetId: req.params.id,
+            before: result.before,
+            after: result.user
+        });
+        res.json({ success: true, data: result.user.toObject() });
+    } catch (err) {
+        console.error('[USER] Error changing role:', err.message);
+        res.status(500).json({ success: false, message: 'Error changing role' });
+    }
+});
+
+module.exports = router;
@@ -7,23 +7,38 @@ const path = require('path');
 const authRoutes = require('./routes/auth');
 const toiletRoutes = require('./routes/toilets');
 const reviewRoutes = require('./routes/reviews');
+const backupRoutes = require('./routes/backups');
+const trashRoutes = require('./routes/trash');
+const auditRoutes = require('./routes/audit');
+const photoRoutes = require('./routes/photos');
+const incidentRoutes = require('./routes/incidents');
+const claimRoutes = require('./routes/claims');
+const userRoutes = require('./routes/users');
 const maximumDataRoutes = require('./routes/maximumData');
 
 // Services
 const SLOService = require('./services/SLOService');
+const BackupService = require('./services/BackupService');
+const TrashService = require('./services/TrashService');
+const IncidentService = require('./services/IncidentService');
+const AuditService = require('./services/AuditService');
+const UserService = require('./services/UserService');
+const SessionService = require('./services/SessionService');
 const sloServiceInstance = SLOService; // This is the singleton instance
 const { middleware } = SLOService;
 
 // Middleware
 const { authLimiter, apiLimiter, syncLimiter } = require('./middleware/rateLimiter');
 const { CacheManager, CacheWarming } = require('./middleware/cache');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLogger');
 
 // Models for sample data
-const storage = require('./models/storage');
+const { initializeStorage, getAdapter, STORAGE_CONFIG } = require('./models/adapters');
 const Toilet = require('./models/Toilet');
 
 // Auth middleware
-const { protect, admin } = require('./middleware/auth');
+const { protect, authorize } = require('./middleware/auth');
 
 // Load environment variables
 dotenv.config();
@@ -32,35 +47,33 @@ const app = express();
 
 // Middleware
 app.use(cors());
+// Bulk imports post whole files as JSON
+app.use('/api/toilet/import', express.json({ limit: '10mb' }));
+// Restores may upload a whole backup archive
+app.use('/api/admin/backups/restore', express.json({ limit: '200mb' }));
 app.use(express.json());
 
 // SLO Monitoring Middleware
 app.use(middleware);
 
-// Request logging middleware
-app.use((req, res, next) => {
-    const startTime = Date.now();
-    console.log(`[REQUEST] ${req.method} ${req.path} - IP: ${req.ip}`);
-
-    if (req.method !== 'GET' && Object.keys(req.body).length > 0) {
-        console.log(`[REQUEST] Body:`, JSON.stringify(req.body, null, 2));
-    }
-
-    const originalJson = res.json;
-    res.json = function(data) {
-        const duration = Date.now() - startTime;
-        console.log(`[RESPONSE] ${req.method} ${req.path} - Status: ${res.statusCode} - Duration: ${duration}ms`);
-        return originalJson.call(this, data);
-    };
+// Request ids for log and audit correlation
+app.use(requestId);
 
-    next();
-});
+// Request logging middleware
+app.use(requestLogger);
 
 // Serve static files from the frontend
 app.use(express.static(path.join(__dirname, '../')));
 
 // API Routes with rate limiting
 app.use('/api/auth', authLimiter, authRoutes);
+app.use('/api/admin/backups', apiLimiter, backupRoutes);
+app.use('/api/admin/trash', apiLimiter, trashRoutes);
+app.use('/api/admin/audit', apiLimiter, auditRoutes);
+app.use('/api/admin/photos', apiLimiter, photoRoutes);
+app.use('/api/admin/incidents', apiLimiter, incidentRoutes);
+app.use('/api/claims', apiLimiter, claimRoutes);
+app.use('/api/admin/users', apiLimiter, userRoutes);
 app.use('/api/admin', authLimiter, authRoutes);
 app.use('/api/toilet', apiLimiter, toiletRoutes);
 app.use('/api/review', apiLimiter, reviewRoutes);
@@ -70,7 +83,7 @@ app.use('/api/maximum', apiLimiter, maximumDataRoutes);
 app.use('/api/toilet/sync-public', syncLimiter);
 
 // SLO Metrics Endpoint
-app.get('/api/slo/metrics', (req, res) => {
+app.get('/api/slo/metrics', authorize('system:read'), (req, res) => {
     try {
         const metrics = sloServiceInstance.exportMetrics();
         res.json(metrics);
@@ -81,7 +94,7 @@ app.get('/api/slo/metrics', (req, res) => {
 });
 
 // Cache Statistics Endpoint
-app.get('/api/cache/stats', (req, res) => {
+app.get('/api/cache/stats', authorize('system:read'), (req, res) => {
     try {
         const cacheStats = CacheManager.getStats();
         res.json({
@@ -96,7 +109,7 @@ app.get('/api/cache/stats', (req, res) => {
 });
 
 // Cache Invalidation Endpoint (Admin only)
-app.post('/api/cache/invalidate', protect, admin, (req, res) => {
+app.post('/api/cache/invalidate', protect, authorize('cache:invalidate'), async (req, res) => {
     try {
         const { pattern, type } = req.body;
         
@@ -120,7 +133,13 @@ app.post('/api/cache/invalidate', protect, admin, (req, res) => {
             }
             console.log(`[CACHE] Invalidated cache type: ${type}`);
         }
-        
+
+        await AuditService.record(req, {
+            action: 'cache.invalidate',
+            targetType: 'cache',
+            details: { pattern: pattern || null, type: type || null }
+        });
+
         res.json({ success: true, message: 'Cache invalidated successfully' });
     } catch (error) {
         console.error('[CACHE] Error invalidating cache:', error.message);
@@ -148,10 +167,11 @@ async function initializeDynamicDataSystem() {
 
     try {
         // Check existing toilets
-        const existingToilets = storage.toilets.find();
+        const existingToilets = await Toilet.find();
         console.log(`[INIT] Found ${existingToilets.length} existing toilets`);
 
-        if (existingToilets.length < 100) {
+        // Only seed an empty store; persisted data is restored before this runs
+        if (existingToilets.length === 0) {
             console.log('[INIT] Adding seed data for demonstration...');
 
             // Add some initial seed data for demonstration
@@ -160,7 +180,7 @@ async function initializeDynamicDataSystem() {
                     name: 'Central Park Restroom',
                     location: 'Central Park, New York',
                     coordinates: { latitude: 40.7829, longitude: -73.9654 },
-                    facilities: ['handicap', 'baby_change', 'shower', 'paper_towel'],
+                    facilities: ['wheelchair', 'baby_change', 'shower', 'paper_towel'],
                     type: 'private',
                     verified: true
                 },
@@ -168,7 +188,7 @@ async function initializeDynamicDataSystem() {
                     name: 'Times Square Public Toilet',
                     location: 'Times Square, Manhattan',
                     coordinates: { latitude: 40.7580, longitude: -73.9855 },
-                    facilities: ['handicap', 'paper_towel', 'hand_dryer'],
+                    facilities: ['wheelchair', 'paper_towel', 'hand_dryer'],
                     type: 'private',
                     verified: true
                 },
@@ -176,7 +196,8 @@ async function initializeDynamicDataSystem() {
                     name: 'Mumbai Central Railway Station',
                     location: 'Mumbai Central, Dadar, Mumbai',
                     coordinates: { latitude: 18.9700, longitude: 72.8200 },
-                    facilities: ['unisex', 'handicap', 'fee_required'],
+                    facilities: ['unisex', 'wheelchair', 'fee_required'],
+                    fee: { required: true, amount: null, currency: 'INR', unit: 'per_use', paymentMethods: ['cash'], customersOnly: false },
                     type: 'public',
                     source: 'railway_station',
                     verified: true
@@ -185,7 +206,7 @@ async function initializeDynamicDataSystem() {
                     name: 'Chhatrapati Shivaji Terminus',
                     location: 'CST, Fort, Mumbai',
                     coordinates: { latitude: 18.9398, longitude: 72.8354 },
-                    facilities: ['unisex', 'handicap', 'baby_change'],
+                    facilities: ['unisex', 'wheelchair', 'baby_change'],
                     type: 'public',
                     source: 'railway_station',
                     verified: true
@@ -194,7 +215,7 @@ async function initializeDynamicDataSystem() {
                     name: 'Phoenix Mall Public Toilets',
                     location: 'Phoenix Mall, Lower Parel, Mumbai',
                     coordinates: { latitude: 18.9944, longitude: 72.8259 },
-                    facilities: ['unisex', 'handicap', 'baby_change'],
+                    facilities: ['unisex', 'wheelchair', 'baby_change'],
                     type: 'public',
                     source: 'shopping_mall',
                     verified: true
@@ -203,7 +224,7 @@ async function initializeDynamicDataSystem() {
                     name: 'New Delhi Railway Station',
                     location: 'New Delhi Railway Station',
                     coordinates: { latitude: 28.6425, longitude: 77.2197 },
-                    facilities: ['unisex', 'handicap'],
+                    facilities: ['unisex', 'wheelchair'],
                     type: 'public',
                     source: 'railway_station',
                     verified: true
@@ -212,7 +233,7 @@ async function initializeDynamicDataSystem() {
                     name: 'Indira Gandhi International Airport',
                     location: 'Palam, Delhi',
                     coordinates: { latitude: 28.5562, longitude: 77.1000 },
-                    facilities: ['unisex', 'handicap', 'baby_change', 'shower'],
+                    facilities: ['unisex', 'wheelchair', 'baby_change', 'shower'],
                     type: 'public',
                     source: 'airport',
                     verified: true
@@ -300,21 +321,58 @@ console.log('[CONFIG] PORT:', PORT);
 console.log('[CONFIG] JWT_SECRET:', JWT_SECRET ? '***configured***' : 'NOT SET');
 console.log('[CONFIG] NODE_ENV:', process.env.NODE_ENV || 'development');
 
-// Initialize dynamic data fetching system with seed data
-initializeDynamicDataSystem().catch(console.error);
+// Flush and close storage (final snapshot for memory, database handle for SQLite)
+async function shutdown(signal) {
+    console.log(`[SERVER] Received ${signal}, shutting down...`);
+    BackupService.stopSchedule();
+    TrashService.stopSchedule();
+    IncidentService.stopSchedule();
+    SessionService.stopSchedule();
+    try {
+        await getAdapter().close();
+    } catch (error) {
+        console.error('[STORAGE] Error during shutdown:', error.message);
+    }
+    process.exit(0);
+}
 
-// Start cache warming
-CacheWarming.warmCriticalData().catch(console.error);
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-app.listen(PORT, () => {
-    console.log(`\n[SERVER] ✓ Toilet Review System server is running on port ${PORT}`);
-    console.log(`[SERVER] ✓ Access the application at: http://localhost:${PORT}`);
-    console.log(`[SERVER] ✓ Admin panel available at: http://localhost:${PORT}/admin.html`);
-    console.log(`[SERVER] ✓ SLO monitoring active`);
-    console.log(`[SERVER] ✓ Ready to accept connections\n`);
+async function startServer() {
+    // Connect the configured storage backend before anything reads from it
+    await initializeStorage();
+    if (STORAGE_CONFIG.ADAPTER === 'memory' && !STORAGE_CONFIG.PERSIST) {
+        console.log('[PERSISTENCE] Disabled - data will not survive restarts');
+    }
+    // Appoint the first super-admin from SUPER_ADMIN_EMAIL/SUPER_ADMIN_PASSWORD
+    await UserService.bootstrapSuperAdmin();
+    BackupService.startSchedule();
+    TrashService.startSchedule();
+    IncidentService.startSchedule();
+    SessionService.startSchedule();
+
+    // Initialize dynamic data fetching system with seed data
+    await initializeDynamicDataSystem();
+
+    // Start cache warming
+    CacheWarming.warmCriticalData().catch(console.error);
+
+    app.listen(PORT, () => {
+        console.log(`\n[SERVER] ✓ Toilet Review System server is running on port ${PORT}`);
+        console.log(`[SERVER] ✓ Access the application at: http://localhost:${PORT}`);
+        console.log(`[SERVER] ✓ Admin panel available at: http://localhost:${PORT}/admin.html`);
+        console.log(`[SERVER] ✓ SLO monitoring active`);
+        console.log(`[SERVER] ✓ Ready to accept connections\n`);
+
+        // Log SLO targets on startup
+        console.log('[SLO] Service Level Objectives:');
+        console.log('[SLO]', JSON.stringify(sloServiceInstance.getSLOTargets(), null, 2));
+        console.log('');
+    });
+}
 
-    // Log SLO targets on startup
-    console.log('[SLO] Service Level Objectives:');
-    console.log('[SLO]', JSON.stringify(sloServiceInstance.getSLOTargets(), null, 2));
-    console.log('');
+startServer().catch((error) => {
+    console.error('[SERVER] Failed to start:', error);
+    process.exit(1);
 });
@@ -0,0 +1,111 @@
+const { getAdapter } = require('../models/adapters');
+require('../models/AuditLog');
+
+/**
+ * Audit Service
+ * Appends who did what to which record to the audit collection (see
+ * models/AuditLog.js) and reads it back for admins. Routes call record()
+ * after a change succeeds; a failure to record is logged rather than thrown,
+ * since the change has already been made by then.
+ *
+ * Actions are "<target>.<verb>", e.g. toilet.update, review.delete,
+ * auth.login_failed, cache.invalidate.
+ */
+class AuditService {
+    static TARGET_TYPES = ['toilet', 'review', 'photo', 'incident', 'claim', 'user', 'session', 'cache', 'ingestion', 'backup'];
+
+    // Plain, detached copy of a record without secrets; dates become ISO
+    // strings, the same as after a restart
+    static snapshot(doc) {
+        if (doc === null || doc === undefined) return null;
+        const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+        if (plain && typeof plain === 'object') delete plain.password;
+        return plain;
+    }
+
+    /**
+     * Append an entry for a change made by a request
+     * @param {Object} req - Express request; supplies the actor, IP and request id
+     * @param {Object} change - { action, targetType, targetId, before, after, details, actor }
+     * `actor` defaults to req.user and may be null for anonymous requests
+     * @returns {Promise<Object|null>} The entry, or null when it could not be written
+     */
+    static async record(req, { action, targetType, targetId = null, before = null, after = null, details = null, actor = req.user }) {
+        const entry = {
+            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            action,
+            actorId: actor ? actor.id : null,
+            actorEmail: actor ? actor.email : null,
+            actorRole: actor ? actor.role : null,
+            targetType,
+            targetId: targetId === null || targetId === undefined ? null : String(targetId),
+            before: AuditService.snapshot(before),
+            after: AuditService.snapshot(after),
+            details: AuditService.snapshot(details),
+            ip: req.ip || null,
+            requestId: req.id || null,
+            userAgent: req.get('User-Agent') || null,
+            createdAt: new Date()
+        };
+
+        try {
+            await getAdapter().insert('audit', entry);
+            return entry;
+        } catch (error) {
+            console.error(`[AUDIT] Failed to record ${action}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Audit filters from the request query
+     * query: { action: "a,b", actorId, targetType, targetId, from, to } (dates ISO 8601)
+     * Returns { errors } when a parameter is malformed.
+     */
+    static parseFilters(query = {}) {
+        const errors = [];
+        const filters = {};
+
+        if (query.action) filters.action = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+        if (query.actorId) filters.actorId = String(query.actorId);
+        if (query.targetId) filters.targetId = String(query.targetId);
+        if (query.targetType) {
+            if (AuditService.TARGET_TYPES.includes(query.targetType)) {
+                filters.targetType = query.targetType;
+            } else {
+                errors.push(`targetType must be one of: ${AuditService.TARGET_TYPES.join(', ')}`);
+            }
+        }
+
+        ['from', 'to'].forEach(key => {
+            if (!query[key]) return;
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                errors.push(`${key} must be an ISO 8601 date`);
+            } else {
+                filters[key] = date;
+            }
+        });
+
+        return errors.length > 0 ? { errors } : { filters };
+    }
+
+    /**
+     * Entries matching parsed filters, newest first
+     */
+    static async list(filters = {}) {
+        const query = {};
+        if (filters.action) query.action = { $in: filters.action };
+        if (filters.actorId) query.actorId = filters.actorId;
+        if (filters.targetType) query.targetType = filters.targetType;
+        if (filters.targetId) query.targetId = filters.targetId;
+        if (filters.from || filters.to) {
+            query.createdAt = {};
+            if (filters.from) query.createdAt.$gte = filters.from;
+            if (filters.to) query.createdAt.$lte = filters.to;
+        }
+        return getAdapter().find('audit', query, { sort: { createdAt: -1 } });
+    }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,370 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('../models/storage');
+const persistence = require('../models/persistence');
+const toiletArchive = require('../models/archive');
+const { getAdapter } = require('../models/adapters');
+const { CacheManager } = require('../middleware/cache');
+
+// The models register their collections with persistence, which restores
+// need to hydrate records (and the CLI needs to load them at all)
+require('../models/User');
+require('../models/Toilet');
+require('../models/Review');
+require('../models/Trash');
+require('../models/ToiletRevision');
+require('../models/Photo');
+require('../models/Incident');
+require('../models/Claim');
+
+// backup-2024-01-01T02-00-00-000Z-scheduled.json
+const FILE_PATTERN = /^backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-(manual|scheduled|pre-restore)\.json$/;
+
+const sortedIds = (index) => Object.fromEntries(
+    [...index].map(([key, ids]) => [key, [...ids].sort()])
+);
+
+/**
+ * Backup Service
+ * Full backups of the in-memory dataset (users, toilets including the
+ * archive tier, reviews, the trash, toilet revisions, photo records,
+ * incidents, ownership claims and the toilet indexes) as versioned JSON
+ * archives with a SHA-256 checksum. A restore validates the archive, writes a
+ * 'pre-restore' backup of the current data and then swaps every collection in
+ * one synchronous step, so no request sees a mix of old and new records.
+ * Photo image files stay in PhotoService.DIR; only their records are archived.
+ * Archives written before a collection was backed up restore it empty.
+ * Scheduled backups are pruned to the newest RETAIN; manual and pre-restore
+ * backups are kept until removed by hand.
+ */
+class BackupService {
+    static FORMAT = 'toilet-review-backup';
+    static VERSION = 1;
+    // The audit log is left out so a restore cannot rewrite it, and sign-in
+    // sessions so a restore cannot bring back revoked ones
+    static COLLECTIONS = ['users', 'toilets', 'reviews', 'trash', 'revisions', 'photos', 'incidents', 'claims'];
+
+    static DIR = process.env.BACKUP_DIR || path.join(persistence.PERSISTENCE_CONFIG.DATA_DIR, 'backups');
+    static INTERVAL = process.env.BACKUP_INTERVAL_MS !== undefined
+        ? parseInt(process.env.BACKUP_INTERVAL_MS, 10)
+        : 24 * 60 * 60 * 1000; // daily; 0 disables
+    static RETAIN = parseInt(process.env.BACKUP_RETAIN, 10) || 7; // scheduled backups kept
+
+    static timer = null;
+
+    // Backups read and swap the memory adapter's arrays directly
+    static supported() {
+        return getAdapter().name === 'memory';
+    }
+
+    static checksum(archive) {
+        const body = JSON.stringify({ collections: archive.collections, indexes: archive.indexes });
+        return crypto.createHash('sha256').update(body).digest('hex');
+    }
+
+    // Archive of the current data. Call inside exclusive() so no transaction
+    // is half applied.
+    static async snapshot(reason) {
+        const current = await BackupService.current();
+        const collections = Object.fromEntries(
+            Object.entries(current).map(([name, records]) => [name, records.map(record => ({ ...record }))])
+        );
+        const indexes = {
+            byType: sortedIds(storage.toiletIndexes.byType),
+            bySource: sortedIds(storage.toiletIndexes.bySource),
+            byLocation: sortedIds(storage.toiletIndexes.byLocation)
+        };
+
+        const archive = {
+            format: BackupService.FORMAT,
+            version: BackupService.VERSION,
+            createdAt: new Date().toISOString(),
+            reason,
+            counts: Object.fromEntries(BackupService.COLLECTIONS.map(name => [name, collections[name].length])),
+            checksum: null,
+            collections,
+            indexes
+        };
+        archive.checksum = BackupService.checksum(archive);
+        return archive;
+    }
+
+    // Records of every backed-up collection; toilets include the archive tier
+    static async current() {
+        const archived = await toiletArchive.all();
+        return Object.fromEntries(BackupService.COLLECTIONS.map(name => [
+            name,
+            name === 'toilets' ? [...storage.toilets, ...archived] : storage[name]
+        ]));
+    }
+
+    /**
+     * Write a backup of the current data to DIR
+     * @param {Object} options - { reason: 'manual' | 'scheduled' }
+     * @returns {Promise<Object>} Backup metadata (name, createdAt, reason, size, counts, checksum)
+     */
+    static async create({ reason = 'manual' } = {}) {
+        const backup = await getAdapter().exclusive(() => BackupService.write(reason));
+        if (reason === 'scheduled') {
+            BackupService.prune();
+        }
+        return backup;
+    }
+
+    static async write(reason) {
+        const archive = await BackupService.snapshot(reason);
+        const name = `backup-${archive.createdAt.replace(/[:.]/g, '-')}-${reason}.json`;
+        const file = path.join(BackupService.DIR, name);
+
+        // Archives hold password hashes, so only the owner may read them
+        fs.mkdirSync(BackupService.DIR, { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        const fd = fs.openSync(tmpFile, 'w', 0o600);
+        try {
+            fs.writeSync(fd, JSON.stringify(archive));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpFile, file);
+
+        const backup = {
+            name,
+            createdAt: archive.createdAt,
+            reason,
+            size: fs.statSync(file).size,
+            counts: archive.counts,
+            checksum: archive.checksum
+        };
+        console.log(`[BACKUP] Wrote ${name} (${backup.counts.users} users, ${backup.counts.toilets} toilets, ${backup.counts.reviews} reviews)`);
+        return backup;
+    }
+
+    // Backups in DIR, newest first
+    static list() {
+        if (!fs.existsSync(BackupService.DIR)) return [];
+
+        return fs.readdirSync(BackupService.DIR)
+            .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ name, match }) => {
+                const [date, time] = match[1].split('T');
+                const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+                return {
+                    name,
+                    createdAt: `${date}T${hours}:${minutes}:${seconds}.${millis}Z`,
+                    reason: match[2],
+                    size: fs.statSync(path.join(BackupService.DIR, name)).size
+                };
+            })
+            .sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+    }
+
+    // Path of a backup in DIR, or null. Only names list() would return are
+    // accepted, so a name cannot point outside DIR.
+    static resolve(name) {
+        if (typeof name !== 'string' || !FILE_PATTERN.test(name)) return null;
+        const file = path.join(BackupService.DIR, name);
+        return fs.existsSync(file) ? file : null;
+    }
+
+    // Parsed archive from a file; throws when it is not JSON
+    static readFile(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read backup ${path.basename(file)}: ${error.message}`);
+        }
+    }
+
+    // Drop scheduled backups beyond the newest RETAIN; returns the removed names
+    static prune(retain = BackupService.RETAIN) {
+        const expired = BackupService.list()
+            .filter(backup => backup.reason === 'scheduled')
+            .slice(retain);
+
+        expired.forEach(backup => fs.unlinkSync(path.join(BackupService.DIR, backup.name)));
+        if (expired.length > 0) {
+            console.log(`[BACKUP] Pruned ${expired.length} scheduled backups`);
+        }
+        return expired.map(backup => backup.name);
+    }
+
+    /**
+     * Check an archive before restoring it
+     * @returns {{errors: string[], warnings: string[]}} errors make the archive unusable
+     */
+    static validate(archive) {
+        const errors = [];
+        const warnings = [];
+
+        if (!archive || typeof archive !== 'object' || archive.format !== BackupService.FORMAT) {
+            return { errors: ['Not a toilet review backup'], warnings };
+        }
+        if (archive.version !== BackupService.VERSION) {
+            return { errors: [`Unsupported backup version: ${archive.version}`], warnings };
+        }
+        if (!archive.collections || typeof archive.collections !== 'object') {
+            return { errors: ['Backup has no collections'], warnings };
+        }
+        if (BackupService.checksum(archive) !== archive.checksum) {
+            return { errors: ['Backup checksum mismatch; the file is corrupted or was edited'], warnings };
+        }
+
+        const ids = {};
+        BackupService.COLLECTIONS.forEach(name => {
+            const records = BackupService.records(archive, name);
+            if (!Array.isArray(records)) {
+                errors.push(`Collection ${name} is missing`);
+                return;
+            }
+
+            ids[name] = new Set();
+            if (!archive.collections[name]) {
+                warnings.push(`Backup predates ${name}; restoring it leaves none`);
+                return;
+            }
+            records.forEach((record, index) => {
+                if (!record || typeof record.id !== 'string' || record.id === '') {
+                    errors.push(`${name}[${index}] has no id`);
+                } else if (ids[name].has(record.id)) {
+                    errors.push(`${name} contains id ${record.id} more than once`);
+                } else {
+                    ids[name].add(record.id);
+                }
+            });
+
+            if (archive.counts && archive.counts[name] !== records.length) {
+                errors.push(`Collection ${name} has ${records.length} records, expected ${archive.counts[name]}`);
+            }
+        });
+        if (errors.length > 0) return { errors, warnings };
+
+        Object.entries(archive.indexes || {}).forEach(([index, keys]) => {
+            Object.entries(keys || {}).forEach(([key, indexed]) => {
+                const missing = (indexed || []).filter(id => !ids.toilets.has(id));
+                if (missing.length > 0) {
+                    errors.push(`Index ${index}[${key}] refers to ${missing.length} toilets not in the backup`);
+                }
+            });
+        });
+
+        const orphaned = archive.collections.reviews.filter(review => !ids.toilets.has(review.toiletId)).length;
+        if (orphaned > 0) {
+            warnings.push(`${orphaned} reviews belong to toilets not in the backup`);
+        }
+
+        return { errors, warnings };
+    }
+
+    // An archive's records of a collection. Archives written before the
+    // collection was backed up (no count for it either) have none.
+    static records(archive, name) {
+        const records = archive.collections[name];
+        if (records === undefined && archive.counts && archive.counts[name] === undefined) return [];
+        return records;
+    }
+
+    // Per collection: records now, records in the backup, and how many would
+    // be added, removed or changed by restoring it
+    static async plan(archive) {
+        const current = await BackupService.current();
+
+        const plan = {};
+        BackupService.COLLECTIONS.forEach(name => {
+            const existing = new Map(current[name].map(record => [record.id, JSON.stringify(record)]));
+            const incoming = BackupService.records(archive, name);
+            const incomingIds = new Set(incoming.map(record => record.id));
+
+            plan[name] = {
+                current: existing.size,
+                backup: incoming.length,
+                added: incoming.filter(record => !existing.has(record.id)).length,
+                removed: [...existing.keys()].filter(id => !incomingIds.has(id)).length,
+                changed: incoming.filter(record => existing.has(record.id) && existing.get(record.id) !== JSON.stringify(record)).length
+            };
+        });
+        return plan;
+    }
+
+    /**
+     * Replace all data with an archive's contents
+     * @param {Object} archive - Parsed backup
+     * @param {Object} options - { dryRun } validates and plans without writing
+     * @returns {Promise<Object>} { errors } when the archive is unusable, otherwise
+     * { dryRun, plan, warnings } plus restoredAt and preRestoreBackup after a restore
+     */
+    static async restore(archive, { dryRun = false } = {}) {
+        const { errors, warnings } = BackupService.validate(archive);
+        if (errors.length > 0) return { errors };
+
+        // Build every instance up front so a bad record fails before anything changes
+        const records = {};
+        BackupService.COLLECTIONS.forEach(name => {
+            records[name] = BackupService.records(archive, name).map(doc => persistence.hydrate(name, doc));
+        });
+
+        if (dryRun) {
+            return { dryRun: true, plan: await BackupService.plan(archive), warnings };
+        }
+
+        return getAdapter().exclusive(async () => {
+            const plan = await BackupService.plan(archive);
+            const preRestore = await BackupService.write('pre-restore');
+
+            BackupService.swap(records);
+            if (persistence.enabled) {
+                // The snapshot now describes the restored data and the old WAL is dropped
+                await persistence.compact();
+            }
+
+            console.log(`[BACKUP] Restored backup from ${archive.createdAt} (pre-restore copy: ${preRestore.name})`);
+            return { dryRun: false, restoredAt: new Date(), preRestoreBackup: preRestore.name, plan, warnings };
+        });
+    }
+
+    // Synchronous, so requests see either the old or the new data
+    static swap(records) {
+        const adapter = getAdapter();
+        toiletArchive.clear();
+
+        BackupService.COLLECTIONS.forEach(name => {
+            const target = storage[name];
+            target.splice(0, target.length);
+            // Bypass the indexing push; indexes are rebuilt once below
+            for (const record of records[name]) {
+                Array.prototype.push.call(target, record);
+            }
+            adapter.bumpRevision(name);
+        });
+
+        storage.toiletOperations.rebuildIndexes();
+        storage.toiletOperations.revision++;
+        CacheManager.clearPattern('.*');
+    }
+
+    // Write a 'scheduled' backup every interval ms (0 disables)
+    static startSchedule(interval = BackupService.INTERVAL) {
+        BackupService.stopSchedule();
+        if (!(interval > 0) || !BackupService.supported()) return false;
+
+        BackupService.timer = setInterval(() => {
+            BackupService.create({ reason: 'scheduled' })
+                .catch(error => console.error('[BACKUP] Scheduled backup failed:', error.message));
+        }, interval);
+        BackupService.timer.unref();
+
+        console.log(`[BACKUP] Scheduled backups every ${Math.round(interval / 60000)} minutes, keeping ${BackupService.RETAIN}`);
+        return true;
+    }
+
+    static stopSchedule() {
+        if (BackupService.timer) {
+            clearInterval(BackupService.timer);
+            BackupService.timer = null;
+        }
+    }
+}
+
+module.exports = BackupService;
@@ -0,0 +1,166 @@
+const { getAdapter } = require('../models/adapters');
+const { scope } = require('../models/roles');
+
+/**
+ * Claim Service
+ * Ownership claims on private toilets (see models/Claim.js). An approved
+ * claim adds the user to the toilet's operatorIds and gives a plain user the
+ * operator role; revoking it removes both again once the user operates no
+ * other toilet. Admins keep their role either way. Reviewers and moderators
+ * cannot claim toilets: operator rights come with the operator role, and
+ * making them operators would take away their own rights.
+ */
+class ClaimService {
+    /**
+     * Ask to operate a toilet
+     * @param {Object} toilet - The claimed toilet
+     * @param {Object} user - Claiming user
+     * @param {Object} evidence - Normalized evidence (see Claim.normalizeEvidence)
+     * @returns {Promise<Object>} { claim }, or { error } when the toilet cannot be claimed by this user
+     */
+    static async submit(toilet, user, evidence, now = new Date()) {
+        if (toilet.type !== 'private') {
+            return { error: 'Only private toilets can be claimed' };
+        }
+        if ((toilet.operatorIds || []).includes(user.id)) {
+            return { error: 'You already operate this toilet' };
+        }
+
+        return getAdapter().transaction(async (tx) => {
+            const pending = await tx.find('claims', { toiletId: toilet.id, userId: user.id, status: 'pending' });
+            if (pending.length > 0) {
+                return { error: 'You already have a pending claim on this toilet' };
+            }
+
+            const claim = {
+                id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+                toiletId: toilet.id,
+                userId: user.id,
+                status: 'pending',
+                evidence,
+                createdAt: now,
+                reviewedAt: null,
+                reviewedBy: null,
+                decisionNote: null
+            };
+            await tx.insert('claims', claim);
+            console.log(`[CLAIM] ${user.email} claimed toilet ${toilet.id}`);
+            return { claim };
+        });
+    }
+
+    // Whether an approved claim would let the user manage the toilet: plain
+    // users become operators, roles that update toilets keep theirs. Only
+    // these roles hold claim:create, but a role can change while a claim waits.
+    static canOperate(user) {
+        return user.role === 'user' || scope(user, 'toilet:update') !== null;
+    }
+
+    static async findById(id) {
+        return getAdapter().findById('claims', id);
+    }
+
+    /**
+     * Claims matching a query, newest first
+     * @param {Object} query - e.g. { userId, status: 'pending' }
+     */
+    static async find(query = {}) {
+        return getAdapter().find('claims', query, { sort: { createdAt: -1 } });
+    }
+
+    /**
+     * Ids of the toilets a user operates
+     * @param {string} userId - User ID
+     * @returns {Promise<string[]>} Toilet ids
+     */
+    static async operatedToiletIds(userId) {
+        const approved = await ClaimService.find({ userId, status: 'approved' });
+        return [...new Set(approved.map(claim => claim.toiletId))];
+    }
+
+    /**
+     * Approve a pending claim
+     * @param {string} id - Claim ID
+     * @param {Object} meta - { reviewedBy, note, now }
+     * @returns {Promise<Object|null>} { before, claim }, { error } when it cannot be approved, null when not found
+     */
+    static async approve(id, meta = {}) {
+        return ClaimService.decide(id, 'approved', meta, async (tx, claim) => {
+            const toilet = await tx.findById('toilets', claim.toiletId);
+            if (!toilet) return 'The claimed toilet no longer exists';
+            // The claimant's role may have changed since they claimed
+            const user = await tx.findById('users', claim.userId);
+            if (user && !ClaimService.canOperate(user)) return `A ${user.role} cannot operate toilets`;
+
+            const operatorIds = toilet.operatorIds || [];
+            if (!operatorIds.includes(claim.userId)) {
+                await tx.update('toilets', toilet.id, { operatorIds: [...operatorIds, claim.userId] });
+            }
+            if (user && user.role === 'user') {
+                await tx.update('users', user.id, { role: 'operator' });
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Turn down a pending claim
+     * @returns {Promise<Object|null>} As approve()
+     */
+    static async reject(id, meta = {}) {
+        return ClaimService.decide(id, 'rejected', meta);
+    }
+
+    /**
+     * Take back an approved claim, removing the user from the toilet's operators
+     * @returns {Promise<Object|null>} As approve()
+     */
+    static async revoke(id, meta = {}) {
+        return ClaimService.decide(id, 'revoked', meta, async (tx, claim) => {
+            const toilet = await tx.findById('toilets', claim.toiletId);
+            if (toilet) {
+                await tx.update('toilets', toilet.id, {
+                    operatorIds: (toilet.operatorIds || []).filter(userId => userId !== claim.userId)
+                });
+            }
+
+            const others = await tx.find('claims', { userId: claim.userId, status: 'approved' });
+            const user = await tx.findById('users', claim.userId);
+            if (user && user.role === 'operator' && others.every(other => other.id === claim.id)) {
+                await tx.update('users', user.id, { role: 'user' });
+            }
+            return null;
+        });
+    }
+
+    // Moves a claim to `status` from the one status it may come from; `apply`
+    // makes the matching changes elsewhere and returns an error to refuse
+    static async decide(id, status, { reviewedBy = null, note = null, now = new Date() } = {}, apply = null) {
+        const from = status === 'revoked' ? 'approved' : 'pending';
+
+        const result = await getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('claims', id);
+            if (!existing) return null;
+            if (existing.status !== from) return { error: `Only ${from} claims can be ${status}` };
+
+            const error = apply ? await apply(tx, existing) : null;
+            if (error) return { error };
+
+            const before = { ...existing };
+            const claim = await tx.update('claims', id, {
+                status,
+                reviewedAt: now,
+                reviewedBy,
+                decisionNote: note
+            });
+            return { before, claim };
+        });
+
+        if (result && result.claim) {
+            console.log(`[CLAIM] Claim ${id} on toilet ${result.claim.toiletId} ${status}`);
+        }
+        return result;
+    }
+}
+
+module.exports = ClaimService;
@@ -0,0 +1,353 @@
+const { Readable } = require('stream');
+const Toilet = require('../models/Toilet');
+const openingHours = require('../models/openingHours');
+const PublicToiletService = require('./PublicToiletService');
+
+const xmlEscape = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Quote when needed; text that a spreadsheet would run as a formula is
+// prefixed with ' (numbers such as negative longitudes are left alone)
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isoDate = (value) => value ? new Date(value).toISOString() : '';
+
+// Structured fields (fee, closures) as JSON text in flat formats; '' when unset
+const jsonText = (value) => value === null || value === undefined || (Array.isArray(value) && value.length === 0)
+    ? ''
+    : JSON.stringify(value);
+
+/**
+ * Export Service
+ * Serializes toilets (CSV, GeoJSON, KML, GPX), reviews (CSV) and the audit
+ * log (CSV, NDJSON) for download.
+ * Output is produced by generators and piped through a Readable, so a large
+ * export is written out in batches as the client reads it instead of being
+ * built as one string. Toilets are read from storage BATCH_SIZE at a time
+ * as the stream is consumed.
+ */
+class ExportService {
+    static TOILET_FORMATS = {
+        csv: { contentType: 'text/csv; charset=utf-8' },
+        geojson: { contentType: 'application/geo+json; charset=utf-8' },
+        kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8' },
+        gpx: { contentType: 'application/gpx+xml; charset=utf-8' }
+    };
+
+    static TYPES = ['public', 'private', 'all'];
+    static BATCH_SIZE = 500; // records read and serialized per chunk
+
+    static CSV_COLUMNS = [
+        'id', 'name', 'location', 'description', 'latitude', 'longitude', 'type', 'source', 'sourceId',
+        'verified', 'averageRating', 'totalReviews', 'cleanliness', 'maintenance', 'accessibility',
+        'facilities', 'createdAt', 'updatedAt', 'openingHours', 'fee', 'closures'
+    ];
+
+    static REVIEW_CSV_COLUMNS = [
+        'id', 'toiletId', 'toiletName', 'rating', 'cleanliness', 'maintenance', 'accessibility', 'comment', 'createdAt'
+    ];
+
+    static AUDIT_FORMATS = {
+        csv: { contentType: 'text/csv; charset=utf-8' },
+        ndjson: { contentType: 'application/x-ndjson; charset=utf-8' }
+    };
+
+    // before, after and details are written as JSON text
+    static AUDIT_CSV_COLUMNS = [
+        'id', 'createdAt', 'action', 'actorId', 'actorEmail', 'actorRole', 'targetType', 'targetId',
+        'ip', 'requestId', 'userAgent', 'before', 'after', 'details'
+    ];
+
+    /**
+     * Toilet export parameters from the request query
+     * query: { format, type, bounds: "south,west,north,east", city }
+     * Returns { errors } when a parameter is malformed.
+     */
+    static parseToiletParams(query = {}) {
+        const errors = [];
+        const format = String(query.format || 'csv').toLowerCase();
+        const type = query.type || 'all';
+
+        if (!ExportService.TOILET_FORMATS[format]) {
+            errors.push(`format must be one of: ${Object.keys(ExportService.TOILET_FORMATS).join(', ')}`);
+        }
+        if (!ExportService.TYPES.includes(type)) {
+            errors.push('type must be "public", "private" or "all"');
+        }
+
+        let bounds = null;
+        if (query.bounds) {
+            const [south, west, north, east] = String(query.bounds).split(',').map(Number);
+            bounds = { south, west, north, east };
+            if (![south, west, north, east].every(Number.isFinite) || south > north) {
+                errors.push('bounds must be "south,west,north,east"');
+            }
+        }
+
+        if (errors.length > 0) return { errors };
+
+        const city = query.city ? String(query.city).trim().toLowerCase() : null;
+        return { format, type, bounds, city: city || null };
+    }
+
+    static toiletQuery({ type, bounds }) {
+        const query = {};
+        if (type !== 'all') query.type = type;
+        if (bounds) query.spatialBounds = bounds;
+        return query;
+    }
+
+    /**
+     * Toilets matching export parameters, in id order, read BATCH_SIZE at a
+     * time so only one batch is held while an export streams.
+     * A city with a known bounding box (see PublicToiletService) matches the
+     * toilets inside it; any city matches toilets whose location names it.
+     */
+    static async * findToilets(params) {
+        const batches = Toilet.iterate(ExportService.toiletQuery(params), { batchSize: ExportService.BATCH_SIZE });
+        for await (const batch of batches) {
+            for (const toilet of batch) {
+                if (!params.city || ExportService.inCity(toilet, params.city)) yield toilet;
+            }
+        }
+    }
+
+    // How many toilets findToilets() yields; a city filter takes a pass over the matches
+    static async countToilets(params) {
+        if (!params.city) return Toilet.countDocuments(ExportService.toiletQuery(params));
+
+        let count = 0;
+        for await (const batch of Toilet.iterate(ExportService.toiletQuery(params), { batchSize: ExportService.BATCH_SIZE })) {
+            count += batch.filter(toilet => ExportService.inCity(toilet, params.city)).length;
+        }
+        return count;
+    }
+
+    static inCity(toilet, city) {
+        const config = PublicToiletService.REGIONAL_ENDPOINTS[city];
+        if (config && config.bounds && toilet.coordinates) {
+            const { latitude, longitude } = toilet.coordinates;
+            const { south, west, north, east } = config.bounds;
+            if (latitude >= south && latitude <= north && longitude >= west && longitude <= east) return true;
+        }
+        return String(toilet.location || '').toLowerCase().includes(city);
+    }
+
+    static hasPoint(toilet) {
+        return Boolean(toilet.coordinates) &&
+            Number.isFinite(toilet.coordinates.latitude) && Number.isFinite(toilet.coordinates.longitude);
+    }
+
+    // Exported fields of one toilet, shared by every format
+    static toiletRecord(toilet) {
+        const categories = toilet.categoryRatings || {};
+        return {
+            id: toilet.id,
+            name: toilet.name,
+            location: toilet.location,
+            description: toilet.description || '',
+            latitude: ExportService.hasPoint(toilet) ? toilet.coordinates.latitude : null,
+            longitude: ExportService.hasPoint(toilet) ? toilet.coordinates.longitude : null,
+            type: toilet.type,
+            source: toilet.source || null,
+            sourceId: toilet.sourceId || null,
+            verified: Boolean(toilet.verified),
+            averageRating: toilet.averageRating || 0,
+            totalReviews: toilet.totalReviews || 0,
+            cleanliness: categories.cleanliness || 0,
+            maintenance: categories.maintenance || 0,
+            accessibility: categories.accessibility || 0,
+            facilities: toilet.facilities || [],
+            createdAt: isoDate(toilet.createdAt),
+            updatedAt: isoDate(toilet.updatedAt),
+            openingHours: openingHours.osmValue(toilet.openingHours),
+            fee: toilet.fee || null,
+            closures: toilet.closures || []
+        };
+    }
+
+    /**
+     * Readable stream of toilets in an export format
+     * @param {string} format - csv, geojson, kml or gpx
+     * @param {AsyncIterable} toilets - Toilets to export, e.g. findToilets()
+     * @returns {Readable} UTF-8 text stream
+     */
+    static toiletStream(format, toilets) {
+        const serializers = {
+            csv: ExportService.toiletsCsv,
+            geojson: ExportService.toiletsGeoJson,
+            kml: ExportService.toiletsKml,
+            gpx: ExportService.toiletsGpx
+        };
+        return Readable.from(ExportService.batched(serializers[format](toilets)), { objectMode: false });
+    }
+
+    // Join small generator outputs into chunks of about BATCH_SIZE records
+    static async * batched(parts) {
+        let buffer = [];
+        for await (const part of parts) {
+            buffer.push(part);
+            if (buffer.length >= ExportService.BATCH_SIZE) {
+                yield buffer.join('');
+                buffer = [];
+            }
+        }
+        if (buffer.length > 0) yield buffer.join('');
+    }
+
+    static async * toiletsCsv(toilets) {
+        yield ExportService.CSV_COLUMNS.join(',') + '\n';
+        for await (const toilet of toilets) {
+            const record = ExportService.toiletRecord(toilet);
+            record.facilities = record.facilities.join(';');
+            record.fee = jsonText(record.fee);
+            record.closures = jsonText(record.closures);
+            yield ExportService.CSV_COLUMNS.map(column => csvCell(record[column])).join(',') + '\n';
+        }
+    }
+
+    // Toilets without coordinates are kept, with a null geometry
+    static async * toiletsGeoJson(toilets) {
+        yield '{"type":"FeatureCollection","features":[';
+        let first = true;
+        for await (const toilet of toilets) {
+            const { latitude, longitude, ...properties } = ExportService.toiletRecord(toilet);
+            const feature = {
+                type: 'Feature',
+                id: toilet.id,
+                geometry: latitude === null ? null : { type: 'Point', coordinates: [longitude, latitude] },
+                properties
+            };
+            yield (first ? '' : ',') + JSON.stringify(feature);
+            first = false;
+        }
+        yield ']}\n';
+    }
+
+    // Placemarks carry the other fields as ExtendedData; the names match what
+    // the bulk import reads back. Toilets without coordinates are left out.
+    static async * toiletsKml(toilets) {
+        yield '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Toilets</name>\n';
+        for await (const toilet of toilets) {
+            if (!ExportService.hasPoint(toilet)) continue;
+            const { name, location, description, latitude, longitude, ...fields } = ExportService.toiletRecord(toilet);
+            fields.facilities = fields.facilities.join(';');
+            fields.fee = jsonText(fields.fee);
+            fields.closures = jsonText(fields.closures);
+
+            const data = Object.entries(fields)
+                .map(([key, value]) => `<Data name="${key}"><value>${xmlEscape(value)}</value></Data>`)
+                .join('');
+            yield `<Placemark id="${xmlEscape(toilet.id)}"><name>${xmlEscape(name)}</name>` +
+                `<address>${xmlEscape(location)}</address><description>${xmlEscape(description)}</description>` +
+                `<ExtendedData>${data}</ExtendedData>` +
+                `<Point><coordinates>${longitude},${latitude}</coordinates></Point></Placemark>\n`;
+        }
+        yield '</Document></kml>\n';
+    }
+
+    // GPX 1.1 waypoints for GPS devices; toilets without coordinates are left out
+    static async * toiletsGpx(toilets) {
+        yield '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<gpx version="1.1" creator="Toilet Review System" xmlns="http://www.topografix.com/GPX/1/1">\n';
+        for await (const toilet of toilets) {
+            if (!ExportService.hasPoint(toilet)) continue;
+            const record = ExportService.toiletRecord(toilet);
+            const desc = [
+                record.location,
+                record.description,
+                record.totalReviews > 0 ? `Rating ${record.averageRating}/5 (${record.totalReviews} reviews)` : 'No reviews yet',
+                record.facilities.length > 0 ? `Facilities: ${record.facilities.join(', ')}` : '',
+                record.openingHours ? `Opening hours: ${record.openingHours}` : '',
+                record.verified ? 'Verified' : 'Unverified'
+            ].filter(Boolean).join('\n');
+
+            yield `<wpt lat="${record.latitude}" lon="${record.longitude}">` +
+                (record.updatedAt ? `<time>${record.updatedAt}</time>` : '') +
+                `<name>${xmlEscape(record.name)}</name><desc>${xmlEscape(desc)}</desc>` +
+                `<src>${xmlEscape(record.source || 'local')}</src><type>${xmlEscape(record.type)}</type></wpt>\n`;
+        }
+        yield '</gpx>\n';
+    }
+
+    /**
+     * Readable CSV stream of reviews
+     * @param {Array} reviews - Reviews to export
+     * @param {Map} toiletNames - Toilet id to name
+     * @returns {Readable} UTF-8 text stream
+     */
+    static reviewStream(reviews, toiletNames) {
+        return Readable.from(ExportService.batched(ExportService.reviewsCsv(reviews, toiletNames)), { objectMode: false });
+    }
+
+    static * reviewsCsv(reviews, toiletNames) {
+        yield ExportService.REVIEW_CSV_COLUMNS.join(',') + '\n';
+        for (const review of reviews) {
+            const record = {
+                ...review,
+                toiletName: toiletNames.get(review.toiletId) || '',
+                createdAt: isoDate(review.createdAt)
+            };
+            yield ExportService.REVIEW_CSV_COLUMNS.map(column => csvCell(record[column])).join(',') + '\n';
+        }
+    }
+
+    /**
+     * Readable stream of audit entries
+     * @param {string} format - csv or ndjson (one JSON entry per line)
+     * @param {Array} entries - Audit entries
+     * @returns {Readable} UTF-8 text stream
+     */
+    static auditStream(format, entries) {
+        const serialize = format === 'ndjson' ? ExportService.auditNdjson : ExportService.auditCsv;
+        return Readable.from(ExportService.batched(serialize(entries)), { objectMode: false });
+    }
+
+    static * auditCsv(entries) {
+        yield ExportService.AUDIT_CSV_COLUMNS.join(',') + '\n';
+        for (const entry of entries) {
+            const record = {
+                ...entry,
+                createdAt: isoDate(entry.createdAt),
+                before: entry.before ? JSON.stringify(entry.before) : '',
+                after: entry.after ? JSON.stringify(entry.after) : '',
+                details: entry.details ? JSON.stringify(entry.details) : ''
+            };
+            yield ExportService.AUDIT_CSV_COLUMNS.map(column => csvCell(record[column])).join(',') + '\n';
+        }
+    }
+
+    static * auditNdjson(entries) {
+        for (const entry of entries) {
+            yield JSON.stringify(entry) + '\n';
+        }
+    }
+
+    // Names of the toilets the reviews belong to; deleted toilets are left out
+    static async toiletNames(reviews) {
+        const names = new Map();
+        for (const toiletId of new Set(reviews.map(review => review.toiletId))) {
+            const toilet = await Toilet.findById(toiletId, { promote: false });
+            if (toilet) names.set(toiletId, toilet.name);
+        }
+        return names;
+    }
+
+    // attachment; filename="toilets-2024-01-01.csv"
+    static filename(prefix, extension) {
+        return `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+}
+
+module.exports = ExportService;
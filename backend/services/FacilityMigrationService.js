@@ -0,0 +1,45 @@
+const Toilet = require('../models/Toilet');
+const facilityTaxonomy = require('../models/facilityTaxonomy');
+
+/**
+ * Facility Migration Service
+ * Rewrites the facilities of stored toilets in taxonomy ids (see
+ * models/facilityTaxonomy.js): aliases are mapped and values outside the
+ * taxonomy dropped. Each rewrite goes through Toilet.findByIdAndUpdate, so
+ * the previous list is kept as a 'migration' revision. Running it again
+ * changes nothing.
+ */
+class FacilityMigrationService {
+    /**
+     * @param {Object} options - { dryRun, actorId }
+     * @returns {Promise<Object>} { dryRun, scanned, changed, mapped, dropped }
+     * where mapped counts toilets per "alias -> id" and dropped per value
+     */
+    static async migrate({ dryRun = false, actorId = null } = {}) {
+        const toilets = await Toilet.find({});
+        const report = { dryRun, scanned: toilets.length, changed: 0, mapped: {}, dropped: {} };
+        const count = (counts, key) => { counts[key] = (counts[key] || 0) + 1; };
+
+        for (const toilet of toilets) {
+            const current = Array.isArray(toilet.facilities) ? toilet.facilities : [];
+            const facilities = facilityTaxonomy.canonicalize(current);
+            if (JSON.stringify(facilities) === JSON.stringify(current)) continue;
+
+            current.forEach(value => {
+                const id = facilityTaxonomy.canonical(value);
+                if (!id) count(report.dropped, value);
+                else if (id !== value) count(report.mapped, `${value} -> ${id}`);
+            });
+            report.changed++;
+
+            if (!dryRun) {
+                await Toilet.findByIdAndUpdate(toilet.id, { facilities }, { source: 'migration', actorId });
+            }
+        }
+
+        console.log(`[MIGRATION] Facilities: ${report.changed} of ${report.scanned} toilets ${dryRun ? 'would change' : 'updated'}`);
+        return report;
+    }
+}
+
+module.exports = FacilityMigrationService;
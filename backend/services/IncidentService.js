@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { getAdapter } = require('../models/adapters');
+const { isActive, liveStatus, toObject } = require('../models/Incident');
+
+/**
+ * Incident Service
+ * Records crowd reports of problems with toilets and works out each toilet's
+ * live status from them (see models/Incident.js). A report of a problem that
+ * is already open on the toilet confirms it; each reporter counts once per
+ * incident, and reporting again only refreshes their report.
+ */
+class IncidentService {
+    static EXPIRE_INTERVAL = parseInt(process.env.INCIDENT_EXPIRE_INTERVAL_MS, 10) || 15 * 60 * 1000;
+    static timer = null;
+
+    /**
+     * Who is reporting: the signed-in user, or a hash of the IP address so
+     * anonymous reporters are told apart without storing their address
+     * @param {Object} req - Express request
+     * @returns {string} Reporter key
+     */
+    static reporterKey(req) {
+        if (req.user) return `user:${req.user.id}`;
+        const hash = crypto.createHash('sha256').update(`${process.env.JWT_SECRET || ''}:${req.ip}`).digest('hex');
+        return `ip:${hash.substring(0, 16)}`;
+    }
+
+    /**
+     * Report a problem with a toilet
+     * @param {string} toiletId - Toilet ID
+     * @param {string} type - Incident type id (see Incident.TYPES)
+     * @param {Object} meta - { reporter, userId, note, now }
+     * @returns {Promise<Object>} { incident, created }
+     */
+    static async report(toiletId, type, { reporter, userId = null, note = null, now = new Date() }) {
+        const result = await getAdapter().transaction(async (tx) => {
+            let current = null;
+            for (const incident of await tx.find('incidents', { toiletId, type, status: 'open' })) {
+                if (isActive(incident, now)) {
+                    current = incident;
+                } else {
+                    // Decayed away since the last sweep; a new report starts afresh
+                    await tx.update('incidents', incident.id, { status: 'expired', expiredAt: now });
+                }
+            }
+
+            if (current) {
+                const reports = current.reports.filter(report => report.reporter !== reporter);
+                reports.push({ reporter, userId, at: now });
+                const incident = await tx.update('incidents', current.id, { reports, lastReportedAt: now });
+                return { incident, created: false };
+            }
+
+            const incident = {
+                id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+                toiletId,
+                type,
+                status: 'open',
+                note: note || null,
+                reports: [{ reporter, userId, at: now }],
+                createdAt: now,
+                lastReportedAt: now,
+                expiredAt: null,
+                resolvedAt: null,
+                resolvedBy: null,
+                resolution: null
+            };
+            await tx.insert('incidents', incident);
+            return { incident, created: true };
+        });
+
+        console.log(`[INCIDENT] ${result.created ? 'Opened' : 'Confirmed'} ${type} on toilet ${toiletId} (${result.incident.reports.length} reports)`);
+        return result;
+    }
+
+    static async findById(id) {
+        return getAdapter().findById('incidents', id);
+    }
+
+    /**
+     * Incidents matching a query, most recently reported first
+     * @param {Object} query - e.g. { toiletId, status: 'open' }
+     */
+    static async find(query = {}) {
+        return getAdapter().find('incidents', query, { sort: { lastReportedAt: -1 } });
+    }
+
+    /**
+     * Active incidents and live status of one toilet
+     * @returns {Promise<Object>} { incidents (as returned by the API, most recently reported first), liveStatus }
+     */
+    static async forToilet(toiletId, now = new Date()) {
+        const open = await IncidentService.find({ toiletId, status: 'open' });
+        return {
+            incidents: open.filter(incident => isActive(incident, now)).map(incident => toObject(incident, now)),
+            liveStatus: liveStatus(open, now)
+        };
+    }
+
+    /**
+     * Live status of toilets that have open incidents
+     * @param {string[]|null} toiletIds - Toilets to look up; null for every toilet
+     * @returns {Promise<Map>} toilet id -> live status, for toilets that are not 'ok'
+     */
+    static async liveStatuses(toiletIds = null, now = new Date()) {
+        const statuses = new Map();
+        if (toiletIds && toiletIds.length === 0) return statuses;
+
+        const query = { status: 'open' };
+        if (toiletIds) query.toiletId = { $in: toiletIds };
+
+        const byToilet = new Map();
+        for (const incident of await IncidentService.find(query)) {
+            if (!byToilet.has(incident.toiletId)) byToilet.set(incident.toiletId, []);
+            byToilet.get(incident.toiletId).push(incident);
+        }
+        byToilet.forEach((toiletIncidents, toiletId) => {
+            const status = liveStatus(toiletIncidents, now);
+            if (status.state !== 'ok') statuses.set(toiletId, status);
+        });
+        return statuses;
+    }
+
+    /**
+     * Close an incident that has been dealt with
+     * @param {string} id - Incident ID
+     * @param {Object} meta - { resolvedBy, resolution, now }
+     * @returns {Promise<Object|null>} { before, incident }, { error } when already resolved, null when not found
+     */
+    static async resolve(id, { resolvedBy = null, resolution = null, now = new Date() } = {}) {
+        return getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('incidents', id);
+            if (!existing) return null;
+            if (existing.status === 'resolved') return { error: 'Incident is already resolved' };
+
+            const before = { ...existing };
+            const incident = await tx.update('incidents', id, {
+                status: 'resolved',
+                resolvedAt: now,
+                resolvedBy,
+                resolution
+            });
+            return { before, incident };
+        });
+    }
+
+    /**
+     * Mark open incidents whose reports have decayed as expired
+     * @returns {Promise<number>} Incidents expired
+     */
+    static async expire({ now = new Date() } = {}) {
+        const expired = await getAdapter().transaction(async (tx) => {
+            const stale = (await tx.find('incidents', { status: 'open' })).filter(incident => !isActive(incident, now));
+            for (const incident of stale) {
+                await tx.update('incidents', incident.id, { status: 'expired', expiredAt: now });
+            }
+            return stale.length;
+        });
+
+        if (expired > 0) {
+            console.log(`[INCIDENT] Expired ${expired} incidents`);
+        }
+        return expired;
+    }
+
+    static startSchedule(interval = IncidentService.EXPIRE_INTERVAL) {
+        IncidentService.stopSchedule();
+        IncidentService.timer = setInterval(() => {
+            IncidentService.expire().catch(error => console.error('[INCIDENT] Expiry failed:', error.message));
+        }, interval);
+        IncidentService.timer.unref();
+    }
+
+    static stopSchedule() {
+        if (IncidentService.timer) {
+            clearInterval(IncidentService.timer);
+            IncidentService.timer = null;
+        }
+    }
+}
+
+module.exports = IncidentService;
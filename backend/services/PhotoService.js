@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const persistence = require('../models/persistence');
+const { toObject } = require('../models/Photo');
+const { getAdapter } = require('../models/adapters');
+
+/**
+ * Photo Service
+ * Stores photos of toilets and reviews (see models/Photo.js). Uploads are
+ * decoded and re-encoded as JPEG, which applies the EXIF orientation and
+ * drops all metadata (GPS position, camera, timestamps), and get a square
+ * thumbnail. Every file of an upload is checked before anything is written,
+ * so a bad file rejects the whole upload.
+ */
+class PhotoService {
+    static DIR = process.env.PHOTO_DIR || path.join(persistence.PERSISTENCE_CONFIG.DATA_DIR, 'photos');
+    static MAX_BYTES = parseInt(process.env.PHOTO_MAX_BYTES, 10) || 5 * 1024 * 1024; // per file
+    static MAX_FILES = parseInt(process.env.PHOTO_MAX_FILES, 10) || 4; // per upload
+    static MAX_PIXELS = 40 * 1000 * 1000; // decompression bomb guard
+    static MAX_DIMENSION = 1600; // longest side of the stored image
+    static THUMBNAIL_SIZE = 320;
+    static FORMATS = ['jpeg', 'png', 'webp'];
+    static VARIANTS = ['image', 'thumbnail'];
+
+    static filePath(id, variant = 'image') {
+        return path.join(PhotoService.DIR, variant === 'thumbnail' ? `${id}-thumb.jpg` : `${id}.jpg`);
+    }
+
+    /**
+     * Decode, validate and re-encode uploaded files
+     * @param {Array} files - multer files ({ originalname, buffer })
+     * @returns {Promise<Object>} { images: [{ image, thumbnail, width, height }] } or { errors }
+     */
+    static async prepare(files = []) {
+        const images = [];
+        const errors = [];
+
+        for (const file of files) {
+            try {
+                const input = sharp(file.buffer, { limitInputPixels: PhotoService.MAX_PIXELS });
+                const { format } = await input.metadata();
+                if (!PhotoService.FORMATS.includes(format)) {
+                    throw new Error('unsupported format');
+                }
+
+                const image = await input.clone()
+                    .rotate()
+                    .resize(PhotoService.MAX_DIMENSION, PhotoService.MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+                    .jpeg({ quality: 82, mozjpeg: true })
+                    .toBuffer({ resolveWithObject: true });
+                const thumbnail = await input.clone()
+                    .rotate()
+                    .resize(PhotoService.THUMBNAIL_SIZE, PhotoService.THUMBNAIL_SIZE, { fit: 'cover' })
+                    .jpeg({ quality: 75 })
+                    .toBuffer();
+
+                images.push({ image: image.data, thumbnail, width: image.info.width, height: image.info.height });
+            } catch (error) {
+                errors.push(error.message === 'Input image exceeds pixel limit'
+                    ? `${file.originalname} is too large (at most ${PhotoService.MAX_PIXELS / 1e6} megapixels)`
+                    : `${file.originalname} is not a JPEG, PNG or WebP image`);
+            }
+        }
+
+        return errors.length > 0 ? { errors } : { images };
+    }
+
+    /**
+     * Write prepared images to disk and store their records
+     * @param {Array} images - From prepare()
+     * @param {Object} meta - { toiletId, reviewId, uploadedBy, status }
+     * @returns {Promise<Array>} The photo records
+     */
+    static async store(images, meta) {
+        if (images.length === 0) return [];
+
+        const photos = PhotoService.writeFiles(images, meta);
+        try {
+            await getAdapter().transaction(tx => PhotoService.insert(tx, photos));
+        } catch (error) {
+            PhotoService.removeFiles(photos);
+            throw error;
+        }
+        return photos;
+    }
+
+    /**
+     * Write prepared images to disk
+     * @param {Array} images - From prepare()
+     * @param {Object} meta - { toiletId, reviewId, uploadedBy, status }
+     * @returns {Array} Their photo records, not yet stored; see insert()
+     */
+    static writeFiles(images, { toiletId, reviewId = null, uploadedBy = null, status = 'pending' }) {
+        if (images.length === 0) return [];
+
+        fs.mkdirSync(PhotoService.DIR, { recursive: true });
+        const now = new Date();
+        return images.map(({ image, thumbnail, width, height }) => {
+            const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+            fs.writeFileSync(PhotoService.filePath(id), image);
+            fs.writeFileSync(PhotoService.filePath(id, 'thumbnail'), thumbnail);
+            return {
+                id,
+                toiletId,
+                reviewId,
+                status,
+                width,
+                height,
+                size: image.length,
+                uploadedBy,
+                moderatedBy: status === 'approved' ? uploadedBy : null,
+                moderatedAt: status === 'approved' ? now : null,
+                rejectionReason: null,
+                createdAt: now
+            };
+        });
+    }
+
+    // Store the records of written photos as part of a storage transaction;
+    // the caller removes their files if it fails
+    static async insert(tx, photos) {
+        for (const photo of photos) {
+            await tx.insert('photos', photo);
+        }
+        if (photos.length > 0) {
+            const [{ status, toiletId, reviewId }] = photos;
+            console.log(`[PHOTO] Stored ${photos.length} ${status} photos for toilet ${toiletId}${reviewId ? ` (review ${reviewId})` : ''}`);
+        }
+    }
+
+    /**
+     * Photos matching a query, newest first
+     * @param {Object} query - e.g. { toiletId, status: 'approved' }
+     */
+    static async find(query = {}) {
+        return getAdapter().find('photos', query, { sort: { createdAt: -1 } });
+    }
+
+    static async findById(id) {
+        return getAdapter().findById('photos', id);
+    }
+
+    /**
+     * Photos of a set of reviews, grouped by review id
+     * @param {string[]} reviewIds - Reviews to look up
+     * @param {Object} options - { all } includes unapproved photos (for admins)
+     * @returns {Promise<Map>} review id -> photos as returned by the API
+     */
+    static async forReviews(reviewIds, { all = false } = {}) {
+        const byReview = new Map();
+        if (reviewIds.length === 0) return byReview;
+
+        const query = { reviewId: { $in: reviewIds } };
+        if (!all) query.status = 'approved';
+        for (const photo of await PhotoService.find(query)) {
+            if (!byReview.has(photo.reviewId)) byReview.set(photo.reviewId, []);
+            byReview.get(photo.reviewId).push(toObject(photo));
+        }
+        return byReview;
+    }
+
+    /**
+     * Approve or reject a photo
+     * @param {string} id - Photo id
+     * @param {string} status - 'approved' or 'rejected'
+     * @param {Object} meta - { moderatedBy, reason }
+     * @returns {Promise<Object|null>} { before, photo }, null when the photo does not exist
+     */
+    static async moderate(id, status, { moderatedBy = null, reason = null } = {}) {
+        return getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('photos', id);
+            if (!existing) return null;
+
+            const before = { ...existing };
+            const photo = await tx.update('photos', id, {
+                status,
+                moderatedBy,
+                moderatedAt: new Date(),
+                rejectionReason: status === 'rejected' ? reason : null
+            });
+            return { before, photo };
+        });
+    }
+
+    /**
+     * Delete a photo record and its files
+     * @returns {Promise<Object|null>} The deleted record, null when it does not exist
+     */
+    static async remove(id) {
+        const photo = await getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('photos', id);
+            if (existing) await tx.delete('photos', id);
+            return existing ? { ...existing } : null;
+        });
+        if (photo) PhotoService.removeFiles([photo]);
+        return photo;
+    }
+
+    // Files of deleted photos; already-missing files are ignored
+    static removeFiles(photos) {
+        photos.forEach(photo => {
+            PhotoService.VARIANTS.forEach(variant => {
+                fs.rmSync(PhotoService.filePath(photo.id, variant), { force: true });
+            });
+        });
+    }
+
+    /**
+     * Send a photo's image or thumbnail
+     * @param {Object} res - Express response
+     * @param {Object} photo - Photo record
+     * @param {string} variant - 'image' or 'thumbnail'
+     * @param {Object} options - { cache } sets a public Cache-Control header
+     */
+    static send(res, photo, variant, { cache = false } = {}) {
+        res.set('Cache-Control', cache ? 'public, max-age=86400' : 'private, no-store');
+        res.type('jpeg');
+        res.sendFile(PhotoService.filePath(photo.id, variant), (error) => {
+            if (error && !res.headersSent) {
+                console.error(`[PHOTO] Missing file for photo ${photo.id}:`, error.message);
+                res.status(404).json({ success: false, message: 'Photo not found' });
+            }
+        });
+    }
+}
+
+module.exports = PhotoService;
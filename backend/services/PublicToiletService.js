@@ -1,4 +1,8 @@
 const Toilet = require('../models/Toilet');
+const { TRACKED_FIELDS } = require('../models/ToiletRevision');
+const openingHours = require('../models/openingHours');
+const fees = require('../models/fees');
+const facilityTaxonomy = require('../models/facilityTaxonomy');
 const fetch = require('node-fetch');
 const { CacheManager, cacheKeys, cacheStrategies } = require('../middleware/cache');
 
@@ -297,6 +301,8 @@ class PublicToiletService {
                         longitude: element.lon
                     },
                     facilities: this.parseOSMFacilities(element.tags),
+                    openingHours: this.parseOSMOpeningHours(element.tags),
+                    fee: fees.fromOsmTags(element.tags),
                     type: 'public',
                     source: 'osm',
                     sourceId: element.id.toString(),
@@ -328,26 +334,18 @@ class PublicToiletService {
         return parts.length > 0 ? parts.join(' ') : 'Location not specified';
     }
 
-    // Parse facilities from OSM tags
+    // Parse facilities from OSM tags (see models/facilityTaxonomy.js); fee=yes
+    // still sets fee_required, with the details in the toilet's fee
     static parseOSMFacilities(tags) {
-        const facilities = [];
-
-        // Common OSM toilet tags
-        if (tags.unisex === 'yes') facilities.push('unisex');
-        if (tags.fee === 'yes') facilities.push('fee_required');
-        if (tags.access === 'private') facilities.push('private_access');
-        if (tags.wheelchair === 'yes') facilities.push('wheelchair_accessible');
-
-        // Parse opening hours if available
-        if (tags.opening_hours) {
-            facilities.push('opening_hours_available');
-        }
-
-        // Parse other amenities
-        if (tags.changing_table === 'yes') facilities.push('baby_change');
-        if (tags.drinking_water === 'yes') facilities.push('drinking_water');
+        return facilityTaxonomy.fromOsmTags(tags);
+    }
 
-        return facilities;
+    // Structured opening hours from the OSM opening_hours tag; values outside
+    // the supported syntax are dropped (parseOSMFacilities still flags that hours exist)
+    static parseOSMOpeningHours(tags) {
+        if (!tags.opening_hours) return null;
+        const { hours } = openingHours.parse(tags.opening_hours);
+        return hours || null;
     }
 
     // Enhanced public toilet data fetcher with map integration
@@ -504,6 +502,8 @@ class PublicToiletService {
                                `${element.tags.amenity || 'Public facility'} in ${city}`,
                     coordinates: coordinates,
                     facilities: this.parseAdvancedFacilities(element.tags),
+                    openingHours: this.parseOSMOpeningHours(element.tags),
+                    fee: fees.fromOsmTags(element.tags),
                     type: 'public',
                     source: `regional_${city.toLowerCase()}`,
                     sourceId: `regional_${element.id}`,
@@ -539,17 +539,16 @@ class PublicToiletService {
             for (const fieldName of fieldNames) {
                 const value = this.extractField(tags, fieldName);
                 if (value === 'yes' || value === true || value === 1) {
-                    facilities.push(facilityType === 'wheelchair' ? 'handicap' : facilityType);
+                    facilities.push(facilityType);
                     break;
                 }
             }
         }
         
         // Additional OSM-specific parsing
-        if (tags.opening_hours) facilities.push('opening_hours_available');
         if (tags.fee && tags.fee !== 'no') facilities.push('fee_required');
         
-        return [...new Set(facilities)]; // Remove duplicates
+        return facilityTaxonomy.canonicalize(facilities); // Taxonomy ids, without duplicates
     }
     
     // Deduplicate and validate toilet data
@@ -767,7 +766,7 @@ class PublicToiletService {
             
             // Parse facilities
             const facilities = [];
-            if (record.wheelchair === 'yes' || record.handicap === 'yes') facilities.push('handicap');
+            if (record.wheelchair === 'yes' || record.handicap === 'yes') facilities.push('wheelchair');
             if (record.baby_change === 'yes' || record.changing_table === 'yes') facilities.push('baby_change');
             if (record.unisex === 'yes') facilities.push('unisex');
             if (record.fee === 'yes' || record.paid === 'yes') facilities.push('fee_required');
@@ -914,7 +913,8 @@ class PublicToiletService {
                         name: 'Mumbai Central Railway Station Toilets',
                         location: 'Mumbai Central, Dadar, Mumbai',
                         coordinates: { latitude: 18.9700, longitude: 72.8200 },
-                        facilities: ['unisex', 'handicap', 'fee_required'],
+                        facilities: ['unisex', 'wheelchair', 'fee_required'],
+                        fee: { required: true, amount: null, currency: 'INR', unit: 'per_use', paymentMethods: ['cash'], customersOnly: false },
                         type: 'public',
                         source: 'railway_station',
                         sourceId: 'mumbai_central_railway',
@@ -924,7 +924,7 @@ class PublicToiletService {
                         name: 'Chhatrapati Shivaji Terminus Toilets',
                         location: 'CST, Fort, Mumbai',
                         coordinates: { latitude: 18.9398, longitude: 72.8354 },
-                        facilities: ['unisex', 'handicap', 'baby_change'],
+                        facilities: ['unisex', 'wheelchair', 'baby_change'],
                         type: 'public',
                         source: 'railway_station',
                         sourceId: 'cst_mumbai',
@@ -934,7 +934,7 @@ class PublicToiletService {
                         name: 'Chhatrapati Shivaji Maharaj International Airport',
                         location: 'Santacruz, Mumbai',
                         coordinates: { latitude: 19.0896, longitude: 72.8656 },
-                        facilities: ['unisex', 'handicap', 'baby_change', 'shower'],
+                        facilities: ['unisex', 'wheelchair', 'baby_change', 'shower'],
                         type: 'public',
                         source: 'airport',
                         sourceId: 'csmia_mumbai',
@@ -946,7 +946,7 @@ class PublicToiletService {
                         name: 'New Delhi Railway Station Toilets',
                         location: 'New Delhi Railway Station',
                         coordinates: { latitude: 28.6425, longitude: 77.2197 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'railway_station',
                         sourceId: 'ndls_delhi',
@@ -956,7 +956,7 @@ class PublicToiletService {
                         name: 'Indira Gandhi International Airport',
                         location: 'Palam, Delhi',
                         coordinates: { latitude: 28.5562, longitude: 77.1000 },
-                        facilities: ['unisex', 'handicap', 'baby_change', 'shower'],
+                        facilities: ['unisex', 'wheelchair', 'baby_change', 'shower'],
                         type: 'public',
                         source: 'airport',
                         sourceId: 'igis_delhi',
@@ -968,7 +968,7 @@ class PublicToiletService {
                         name: 'Pune Railway Station Toilets',
                         location: 'Pune Railway Station',
                         coordinates: { latitude: 18.5289, longitude: 73.8744 },
-                        facilities: ['unisex', 'handicap', 'baby_change'],
+                        facilities: ['unisex', 'wheelchair', 'baby_change'],
                         type: 'public',
                         source: 'railway_station',
                         sourceId: 'pune_railway',
@@ -996,7 +996,7 @@ class PublicToiletService {
                         name: 'Phoenix Mall Public Toilets',
                         location: 'Phoenix Mall, Lower Parel, Mumbai',
                         coordinates: { latitude: 18.9944, longitude: 72.8259 },
-                        facilities: ['unisex', 'handicap', 'baby_change'],
+                        facilities: ['unisex', 'wheelchair', 'baby_change'],
                         type: 'public',
                         source: 'shopping_mall',
                         sourceId: 'phoenix_mall_mumbai',
@@ -1006,7 +1006,7 @@ class PublicToiletService {
                         name: 'Inorbit Mall Public Facilities',
                         location: 'Inorbit Mall, Malad, Mumbai',
                         coordinates: { latitude: 19.1774, longitude: 72.8376 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'shopping_mall',
                         sourceId: 'inorbit_mall_mumbai',
@@ -1018,7 +1018,7 @@ class PublicToiletService {
                         name: 'Select Citywalk Mall Public Toilets',
                         location: 'Select Citywalk, Saket, Delhi',
                         coordinates: { latitude: 28.5275, longitude: 77.2197 },
-                        facilities: ['unisex', 'handicap', 'baby_change'],
+                        facilities: ['unisex', 'wheelchair', 'baby_change'],
                         type: 'public',
                         source: 'shopping_mall',
                         sourceId: 'citywalk_delhi',
@@ -1030,7 +1030,7 @@ class PublicToiletService {
                         name: 'Pune Central Mall Public Facilities',
                         location: 'Pune Central, JM Road, Pune',
                         coordinates: { latitude: 18.5314, longitude: 73.8759 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'shopping_mall',
                         sourceId: 'pune_central_mall',
@@ -1058,7 +1058,7 @@ class PublicToiletService {
                         name: 'IIT Bombay Campus Public Toilets',
                         location: 'IIT Bombay, Powai, Mumbai',
                         coordinates: { latitude: 19.1334, longitude: 72.9133 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'educational_institution',
                         sourceId: 'iit_bombay',
@@ -1068,7 +1068,7 @@ class PublicToiletService {
                         name: 'University of Mumbai Public Facilities',
                         location: 'University of Mumbai, Fort, Mumbai',
                         coordinates: { latitude: 18.9481, longitude: 72.8232 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'educational_institution',
                         sourceId: 'mu_mumbai',
@@ -1080,7 +1080,7 @@ class PublicToiletService {
                         name: 'JNU Campus Public Toilets',
                         location: 'Jawaharlal Nehru University, Delhi',
                         coordinates: { latitude: 28.5406, longitude: 77.1661 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'educational_institution',
                         sourceId: 'jnu_delhi',
@@ -1090,7 +1090,7 @@ class PublicToiletService {
                         name: 'DU North Campus Public Facilities',
                         location: 'University of Delhi, Delhi',
                         coordinates: { latitude: 28.6892, longitude: 77.2147 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'educational_institution',
                         sourceId: 'du_delhi',
@@ -1102,7 +1102,7 @@ class PublicToiletService {
                         name: 'COEP Public Facilities',
                         location: 'College of Engineering Pune',
                         coordinates: { latitude: 18.5293, longitude: 73.8560 },
-                        facilities: ['unisex', 'handicap'],
+                        facilities: ['unisex', 'wheelchair'],
                         type: 'public',
                         source: 'educational_institution',
                         sourceId: 'coep_pune',
@@ -1331,9 +1331,9 @@ class PublicToiletService {
                 longitude: parseFloat(toilet.longitude || toilet.lng)
             },
             facilities: [
-                toilet.has_urinals === 'yes' ? 'urinals' : null,
+                toilet.has_urinals === 'yes' ? 'urinal' : null,
                 toilet.has_baby_change === 'yes' ? 'baby_change' : null,
-                toilet.wheelchair_friendly === 'yes' ? 'handicap' : null,
+                toilet.wheelchair_friendly === 'yes' ? 'wheelchair' : null,
                 toilet.has_drinking_water === 'yes' ? 'drinking_water' : null
             ].filter(Boolean),
             type: 'public',
@@ -1384,7 +1384,7 @@ class PublicToiletService {
                     name: 'Municipal Toilet Complex - CST',
                     location: 'Near Chhatrapati Shivaji Terminus, Mumbai',
                     coordinates: { latitude: 18.9398, longitude: 72.8354 },
-                    facilities: ['unisex', 'handicap', 'baby_change'],
+                    facilities: ['unisex', 'wheelchair', 'baby_change'],
                     type: 'public',
                     source: 'government_mock',
                     sourceId: 'gov_mumbai_cst_001',
@@ -1395,7 +1395,7 @@ class PublicToiletService {
                     name: 'Bandra Reclamation Public Toilet',
                     location: 'Bandra Reclamation, Mumbai',
                     coordinates: { latitude: 19.0544, longitude: 72.8204 },
-                    facilities: ['unisex', 'handicap'],
+                    facilities: ['unisex', 'wheelchair'],
                     type: 'public',
                     source: 'government_mock',
                     sourceId: 'gov_mumbai_bandra_001',
@@ -1406,7 +1406,7 @@ class PublicToiletService {
                     name: 'Juhu Beach Public Facilities',
                     location: 'Juhu Beach, Mumbai',
                     coordinates: { latitude: 19.0994, longitude: 72.8261 },
-                    facilities: ['unisex', 'shower', 'handicap'],
+                    facilities: ['unisex', 'shower', 'wheelchair'],
                     type: 'public',
                     source: 'government_mock',
                     sourceId: 'gov_mumbai_juhu_001',
@@ -1419,7 +1419,7 @@ class PublicToiletService {
                     name: 'Connaught Place Public Toilet',
                     location: 'Connaught Place, New Delhi',
                     coordinates: { latitude: 28.6315, longitude: 77.2167 },
-                    facilities: ['unisex', 'handicap', 'baby_change'],
+                    facilities: ['unisex', 'wheelchair', 'baby_change'],
                     type: 'public',
                     source: 'government_mock',
                     sourceId: 'gov_delhi_cp_001',
@@ -1432,7 +1432,7 @@ class PublicToiletService {
                     name: 'Pune Railway Station Toilet Complex',
                     location: 'Pune Railway Station, Pune',
                     coordinates: { latitude: 18.5289, longitude: 73.8744 },
-                    facilities: ['unisex', 'handicap', 'baby_change'],
+                    facilities: ['unisex', 'wheelchair', 'baby_change'],
                     type: 'public',
                     source: 'government_mock',
                     sourceId: 'gov_pune_railway_001',
@@ -1446,7 +1446,7 @@ class PublicToiletService {
             name: 'Municipal Toilet Complex',
             location: `Near Central Station, ${city}`,
             coordinates: { latitude: 19.0760, longitude: 72.8777 },
-            facilities: ['unisex', 'handicap'],
+            facilities: ['unisex', 'wheelchair'],
             type: 'public',
             source: 'government_mock',
             sourceId: `gov_${city}_001`,
@@ -1472,6 +1472,8 @@ class PublicToiletService {
                         longitude: element.lon
                     },
                     facilities: this.parseOSMFacilities(element.tags),
+                    openingHours: this.parseOSMOpeningHours(element.tags),
+                    fee: fees.fromOsmTags(element.tags),
                     type: 'public',
                     source: 'geofabrik_osm',
                     sourceId: `geofabrik_${element.id}`,
@@ -1556,6 +1558,8 @@ class PublicToiletService {
                             longitude: element.lon
                         },
                         facilities: this.parseOSMFacilities(element.tags),
+                        openingHours: this.parseOSMOpeningHours(element.tags),
+                        fee: fees.fromOsmTags(element.tags),
                         type: 'public',
                         source: 'planet_osm',
                         sourceId: `planet_${element.id}`,
@@ -1632,6 +1636,11 @@ class PublicToiletService {
         }
     }
 
+    // Sources name facilities their own way; only taxonomy ids are stored
+    static withTaxonomyFacilities(toiletData) {
+        return { ...toiletData, facilities: facilityTaxonomy.canonicalize(toiletData.facilities) };
+    }
+
     // Enhanced sync public data with intelligent regional calling and rate management
     static async syncPublicData(bounds, options = {}) {
         console.log('[PUBLIC-API] Starting enhanced public data sync...');
@@ -1657,18 +1666,23 @@ class PublicToiletService {
                     const regionalEndpoint = this.getRegionalEndpoint(city);
                     const publicToilets = await this.fetchFromRegionalAPI(city, bounds, regionalEndpoint);
                     
-                    for (const toiletData of publicToilets) {
+                    for (const fetched of publicToilets) {
+                        const toiletData = this.withTaxonomyFacilities(fetched);
                         const existing = await Toilet.findOne({
                             sourceId: toiletData.sourceId,
                             source: toiletData.source
                         });
 
-                        if (!existing || forceRefresh) {
+                        if (!existing) {
                             const toilet = new Toilet(toiletData);
                             await toilet.save();
                             syncResults.regional++;
                             totalSynced++;
                             console.log(`[PUBLIC-API] Added regional toilet: ${toilet.name}`);
+                        } else if (forceRefresh) {
+                            await this.refreshToilet(existing, toiletData);
+                            syncResults.regional++;
+                            totalSynced++;
                         } else {
                             existing.lastSynced = new Date();
                             await existing.save();
@@ -1692,18 +1706,23 @@ class PublicToiletService {
                     console.log(`[PUBLIC-API] Syncing from ${source.name}...`);
                     const publicToilets = await source.fetch();
 
-                    for (const toiletData of publicToilets) {
+                    for (const fetched of publicToilets) {
+                        const toiletData = this.withTaxonomyFacilities(fetched);
                         const existing = await Toilet.findOne({
                             sourceId: toiletData.sourceId,
                             source: toiletData.source
                         });
 
-                        if (!existing || forceRefresh) {
+                        if (!existing) {
                             const toilet = new Toilet(toiletData);
                             await toilet.save();
                             syncResults[source.resultKey]++;
                             totalSynced++;
                             console.log(`[PUBLIC-API] Added ${source.name} toilet: ${toilet.name}`);
+                        } else if (forceRefresh) {
+                            await this.refreshToilet(existing, toiletData);
+                            syncResults[source.resultKey]++;
+                            totalSynced++;
                         } else {
                             existing.lastSynced = new Date();
                             await existing.save();
@@ -1749,7 +1768,21 @@ class PublicToiletService {
             };
         }
     }
-    
+
+    // Overwrite a synced toilet with the source's current data. Only the
+    // descriptive fields are taken, so ratings survive; the old values are
+    // kept as a 'sync' revision.
+    static async refreshToilet(existing, toiletData) {
+        const changes = { lastSynced: new Date() };
+        TRACKED_FIELDS.forEach(field => {
+            if (toiletData[field] !== undefined) changes[field] = toiletData[field];
+        });
+
+        const toilet = await Toilet.findByIdAndUpdate(existing.id, changes, { source: 'sync' });
+        console.log(`[PUBLIC-API] Refreshed ${toiletData.source} toilet: ${existing.name}`);
+        return toilet;
+    }
+
     // Intelligent cache invalidation based on sync results
     static async invalidateRelevantCaches(city, bounds) {
         try {
@@ -1779,8 +1812,7 @@ class PublicToiletService {
     // Get toilet statistics
     static async getStats() {
         try {
-            const { toilets: storage } = require('../models/storage');
-            const allToilets = storage.find();
+            const allToilets = await Toilet.find();
             const publicToilets = allToilets.filter(t => t.type === 'public');
             const privateToilets = allToilets.filter(t => t.type === 'private');
 
@@ -1833,10 +1865,10 @@ class PublicToiletService {
 
         // Common facility mappings from various APIs
         if (record.unisex === 'yes' || record.unisex === true) facilities.push('unisex');
-        if (record.handicap === 'yes' || record.handicap_accessible === 'yes' || record.wheelchair_friendly === 'yes') facilities.push('handicap');
+        if (record.handicap === 'yes' || record.handicap_accessible === 'yes' || record.wheelchair_friendly === 'yes') facilities.push('wheelchair');
         if (record.baby_change === 'yes' || record.changing_table === 'yes') facilities.push('baby_change');
         if (record.shower === 'yes') facilities.push('shower');
-        if (record.urinals === 'yes') facilities.push('urinals');
+        if (record.urinals === 'yes') facilities.push('urinal');
         if (record.drinking_water === 'yes') facilities.push('drinking_water');
         if (record.paper_towel === 'yes') facilities.push('paper_towel');
         if (record.hand_dryer === 'yes') facilities.push('hand_dryer');
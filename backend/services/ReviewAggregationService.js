@@ -0,0 +1,171 @@
+const Review = require('../models/Review');
+const { getAdapter } = require('../models/adapters');
+const closures = require('../models/closures');
+const PhotoService = require('./PhotoService');
+
+/**
+ * Review Aggregation Service
+ * Keeps each toilet's rating stats up to date as reviews are written.
+ * Every toilet carries ratingStats ({ count, sums }) and the averages derived
+ * from it, so a review write adjusts the sums by that one review instead of
+ * re-reading every review of the toilet. The review, its photos and the
+ * toilet are written in one storage transaction.
+ */
+class ReviewAggregationService {
+    // Review scores kept as running sums on each toilet
+    static CATEGORIES = ['rating', 'cleanliness', 'maintenance', 'accessibility'];
+
+    static emptyStats() {
+        const sums = {};
+        ReviewAggregationService.CATEGORIES.forEach(category => { sums[category] = 0; });
+        return { count: 0, sums };
+    }
+
+    // Stats for a toilet written before ratingStats existed
+    static async statsFromReviews(tx, toiletId) {
+        const reviews = await tx.find('reviews', { toiletId });
+        return reviews.reduce(
+            (stats, review) => ReviewAggregationService.applyDelta(stats, null, review),
+            ReviewAggregationService.emptyStats()
+        );
+    }
+
+    // New stats with `removed` taken out and `added` put in; either may be null
+    static applyDelta(stats, removed, added) {
+        const next = { count: stats.count, sums: { ...stats.sums } };
+        if (removed) {
+            next.count -= 1;
+            ReviewAggregationService.CATEGORIES.forEach(category => { next.sums[category] -= Number(removed[category]) || 0; });
+        }
+        if (added) {
+            next.count += 1;
+            ReviewAggregationService.CATEGORIES.forEach(category => { next.sums[category] += Number(added[category]) || 0; });
+        }
+        return next;
+    }
+
+    // Toilet fields derived from stats. averageRating keeps its historical
+    // meaning: the mean of all four scores across every review.
+    static toiletFields(stats) {
+        const round = value => parseFloat(value.toFixed(1));
+        const average = category => stats.count > 0 ? round(stats.sums[category] / stats.count) : 0;
+        const total = ReviewAggregationService.CATEGORIES.reduce((sum, category) => sum + stats.sums[category], 0);
+
+        return {
+            ratingStats: stats,
+            averageRating: stats.count > 0 ? round(total / (stats.count * ReviewAggregationService.CATEGORIES.length)) : 0,
+            totalReviews: stats.count,
+            categoryRatings: {
+                overall: average('rating'),
+                cleanliness: average('cleanliness'),
+                maintenance: average('maintenance'),
+                accessibility: average('accessibility')
+            }
+        };
+    }
+
+    // Apply a review change to its toilet's stats. A toilet that has been
+    // deleted has no stats to keep, so the review write goes ahead alone.
+    static async updateToilet(tx, toiletId, removed, added) {
+        const toilet = await tx.findById('toilets', toiletId);
+        if (!toilet) {
+            console.log('[REVIEW] Toilet', toiletId, 'no longer exists; skipping rating update');
+            return null;
+        }
+
+        const stats = toilet.ratingStats || await ReviewAggregationService.statsFromReviews(tx, toiletId);
+        const fields = ReviewAggregationService.toiletFields(
+            ReviewAggregationService.applyDelta(stats, removed, added)
+        );
+        return tx.update('toilets', toiletId, { ...fields, updatedAt: new Date() });
+    }
+
+    /**
+     * Store a new review and fold it into its toilet's ratings
+     * @param {Object} data - The review
+     * @param {Object} options - { images, photoStatus }: photos from
+     *   PhotoService.prepare(), stored in the same transaction as the review
+     * @returns {Promise<{review: Review, toilet: Object, photos: Array}|{closure: Object}|null>} null when the
+     *   toilet does not exist, { closure } when it is closed (see models/closures.js)
+     */
+    static async submit(data, { images = [], photoStatus = 'pending' } = {}) {
+        let photos = [];
+        try {
+            return await getAdapter().transaction(async (tx) => {
+                const toilet = await tx.findById('toilets', data.toiletId);
+                if (!toilet) return null;
+
+                // Nobody can have visited a toilet while it is closed
+                const closure = closures.status(toilet.closures);
+                if (closure && closure.closed) return { closure };
+
+                const review = new Review(data);
+                // Stats are read before the insert so a legacy rebuild does not count it twice
+                const updated = await ReviewAggregationService.updateToilet(tx, review.toiletId, null, review);
+                await tx.insert('reviews', review);
+
+                photos = PhotoService.writeFiles(images, {
+                    toiletId: review.toiletId,
+                    reviewId: review.id,
+                    uploadedBy: review.userId,
+                    status: photoStatus
+                });
+                await PhotoService.insert(tx, photos);
+                return { review, toilet: updated, photos };
+            });
+        } catch (error) {
+            PhotoService.removeFiles(photos);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply changes to a review and adjust its toilet's ratings by the difference
+     * @returns {Promise<Review|null>} The updated review, or null when it does not exist
+     */
+    static async update(reviewId, changes) {
+        return getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('reviews', reviewId);
+            if (!existing) return null;
+
+            const previous = { ...existing };
+            const next = { ...existing, ...changes };
+            await ReviewAggregationService.updateToilet(tx, existing.toiletId, previous, next);
+            const review = await tx.update('reviews', reviewId, changes);
+            return Object.assign(new Review(review), review);
+        });
+    }
+
+    /**
+     * Delete a review and take it out of its toilet's ratings
+     * @returns {Promise<boolean>} false when the review does not exist
+     */
+    static async remove(reviewId) {
+        return getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('reviews', reviewId);
+            if (!existing) return false;
+
+            await ReviewAggregationService.updateToilet(tx, existing.toiletId, existing, null);
+            return tx.delete('reviews', reviewId);
+        });
+    }
+
+    /**
+     * Recompute a toilet's ratings from its reviews
+     * @returns {Promise<Object|null>} The updated toilet, or null when it does not exist
+     */
+    static async rebuild(toiletId) {
+        return getAdapter().transaction(async (tx) => {
+            const toilet = await tx.findById('toilets', toiletId);
+            if (!toilet) return null;
+
+            const stats = await ReviewAggregationService.statsFromReviews(tx, toiletId);
+            return tx.update('toilets', toiletId, {
+                ...ReviewAggregationService.toiletFields(stats),
+                updatedAt: new Date()
+            });
+        });
+    }
+}
+
+module.exports = ReviewAggregationService;
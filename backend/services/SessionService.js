@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getAdapter } = require('../models/adapters');
+const { isActive } = require('../models/Session');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Session Service
+ * Sign-in sessions (see models/Session.js). A login gets a short-lived access
+ * token and a refresh token; refreshing swaps the refresh token for a new one
+ * and issues a fresh access token. Presenting a refresh token that was
+ * already swapped means it was copied, so the whole session is revoked and
+ * both the thief and the user have to sign in again.
+ */
+class SessionService {
+    static ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+    static REFRESH_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000;
+    // Swapped refresh tokens remembered per session to recognise reuse
+    static REUSE_WINDOW = 50;
+    static PURGE_INTERVAL = 60 * 60 * 1000;
+    static timer = null;
+
+    /**
+     * Start a session for a user who just signed in
+     * @param {Object} user - Signed-in user
+     * @param {Object} req - Express request; supplies the IP and user agent
+     * @returns {Promise<Object>} { session, token, refreshToken }
+     */
+    static async start(user, req = null, now = new Date()) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            id: crypto.randomUUID(),
+            userId: user.id,
+            refreshHash: hash(secret),
+            rotatedHashes: [],
+            createdAt: now,
+            lastUsedAt: now,
+            expiresAt: new Date(now.getTime() + SessionService.REFRESH_TTL),
+            revokedAt: null,
+            revokedReason: null,
+            ip: req ? req.ip || null : null,
+            userAgent: req && req.get ? req.get('User-Agent') || null : null
+        };
+        await getAdapter().insert('sessions', session);
+
+        return { session, token: SessionService.accessToken(user, session), refreshToken: `${session.id}.${secret}` };
+    }
+
+    static accessToken(user, session) {
+        return jwt.sign({ id: user.id, sid: session.id }, process.env.JWT_SECRET, { expiresIn: SessionService.ACCESS_TTL });
+    }
+
+    /**
+     * Whether an access token's session can still be used
+     * @param {string} sessionId - `sid` of the access token
+     * @param {string} userId - `id` of the access token
+     * @returns {Promise<boolean>} Session status
+     */
+    static async verify(sessionId, userId, now = new Date()) {
+        if (!sessionId) return false;
+        const session = await getAdapter().findById('sessions', sessionId);
+        return isActive(session, now) && session.userId === userId;
+    }
+
+    /**
+     * Swap a refresh token for a new one and a fresh access token
+     * @param {string} refreshToken - "<session id>.<secret>"
+     * @returns {Promise<Object>} { session, userId, refreshToken }, or { error }
+     * with `reused: true` when a swapped token came back and the session was revoked
+     */
+    static async refresh(refreshToken, now = new Date()) {
+        const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+        if (!sessionId || !secret) return { error: 'Invalid refresh token' };
+
+        return getAdapter().transaction(async (tx) => {
+            const session = await tx.findById('sessions', sessionId);
+            if (!isActive(session, now)) return { error: 'Invalid refresh token' };
+
+            const presented = hash(secret);
+            if (presented !== session.refreshHash) {
+                if (!(session.rotatedHashes || []).includes(presented)) return { error: 'Invalid refresh token' };
+
+                await tx.update('sessions', session.id, { revokedAt: now, revokedReason: 'reuse' });
+                console.log(`[SESSION] Refresh token reused, revoked session ${session.id} of user ${session.userId}`);
+                return { error: 'Refresh token already used; please sign in again', reused: true, session };
+            }
+
+            const next = crypto.randomBytes(32).toString('base64url');
+            const updated = await tx.update('sessions', session.id, {
+                refreshHash: hash(next),
+                rotatedHashes: [...(session.rotatedHashes || []), presented].slice(-SessionService.REUSE_WINDOW),
+                lastUsedAt: now
+            });
+            return { session: updated, userId: session.userId, refreshToken: `${session.id}.${next}` };
+        });
+    }
+
+    /**
+     * A user's sessions that can still be used, most recently used first
+     * @param {string} userId - User ID
+     */
+    static async findActive(userId, now = new Date()) {
+        return (await getAdapter().find('sessions', { userId, revokedAt: null }))
+            .filter(session => isActive(session, now))
+            .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+    }
+
+    /**
+     * End one of a user's sessions
+     * @param {string} userId - Owner of the session
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - 'logout' or 'revoked' (see Session.REVOKE_REASONS)
+     * @returns {Promise<Object|null>} The revoked session, null when the user has no such active session
+     */
+    static async revoke(userId, sessionId, reason, now = new Date()) {
+        const session = await getAdapter().findById('sessions', sessionId);
+        if (!isActive(session, now) || session.userId !== userId) return null;
+        return getAdapter().update('sessions', sessionId, { revokedAt: now, revokedReason: reason });
+    }
+
+    /**
+     * End all of a user's sessions but `keepId`
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    static async revokeAll(userId, reason, { keepId = null, now = new Date() } = {}) {
+        const sessions = (await SessionService.findActive(userId, now)).filter(session => session.id !== keepId);
+        for (const session of sessions) {
+            await getAdapter().update('sessions', session.id, { revokedAt: now, revokedReason: reason });
+        }
+        return sessions.length;
+    }
+
+    /**
+     * Delete sessions that expired or were revoked
+     * @returns {Promise<number>} Number of sessions deleted
+     */
+    static async purge(now = new Date()) {
+        const purged = await getAdapter().transaction(async (tx) => {
+            const stale = (await tx.find('sessions')).filter(session => !isActive(session, now));
+            for (const session of stale) {
+                await tx.delete('sessions', session.id);
+            }
+            return stale.length;
+        });
+
+        if (purged > 0) {
+            console.log(`[SESSION] Purged ${purged} sessions`);
+        }
+        return purged;
+    }
+
+    static startSchedule(interval = SessionService.PURGE_INTERVAL) {
+        SessionService.stopSchedule();
+        SessionService.timer = setInterval(() => {
+            SessionService.purge().catch(error => console.error('[SESSION] Purge failed:', error.message));
+        }, interval);
+        SessionService.timer.unref();
+    }
+
+    static stopSchedule() {
+        if (SessionService.timer) {
+            clearInterval(SessionService.timer);
+            SessionService.timer = null;
+        }
+    }
+}
+
+module.exports = SessionService;
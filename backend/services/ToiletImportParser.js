@@ -0,0 +1,219 @@
+/**
+ * Toilet Import Parser
+ * Turns uploaded CSV, GeoJSON and KML text into records of raw values:
+ * { row, values, point }. `row` is the line (CSV) or feature/placemark number
+ * used in error reports, `values` maps column or property names to strings
+ * and `point` holds coordinates read from a geometry (of type `geometryType`)
+ * when the format has one.
+ * Throws an Error with a user-facing message when the file cannot be read.
+ */
+class ToiletImportParser {
+    static parse(format, content) {
+        switch (format) {
+            case 'csv': return ToiletImportParser.parseCsv(content);
+            case 'geojson': return ToiletImportParser.parseGeoJson(content);
+            case 'kml': return ToiletImportParser.parseKml(content);
+            default: throw new Error(`Unsupported import format: ${format}`);
+        }
+    }
+
+    // RFC 4180 CSV with a header row. The delimiter (comma, semicolon or tab)
+    // is whichever appears most often in the header.
+    static parseCsv(content) {
+        const text = String(content).replace(/^\uFEFF/, '');
+        const delimiter = ToiletImportParser.detectDelimiter(text);
+        const lines = ToiletImportParser.splitCsv(text, delimiter);
+
+        const header = lines.shift();
+        if (!header || header.cells.every(cell => cell.trim() === '')) {
+            throw new Error('CSV file has no header row');
+        }
+
+        const columns = header.cells.map(cell => cell.trim());
+        const records = lines
+            .filter(line => line.cells.some(cell => cell.trim() !== ''))
+            .map(line => {
+                const values = {};
+                columns.forEach((column, index) => {
+                    values[column] = line.cells[index] !== undefined ? line.cells[index].trim() : '';
+                });
+                return { row: line.number, values, point: null };
+            });
+
+        return { columns, records };
+    }
+
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const counts = [',', ';', '\t'].map(delimiter => ({
+            delimiter,
+            count: firstLine.split(delimiter).length - 1
+        }));
+        const [best] = counts.sort((a, b) => b.count - a.count);
+        return best.count > 0 ? best.delimiter : ',';
+    }
+
+    // Lines of cells, keeping the 1-based line number each record starts on.
+    // Quoted cells may contain delimiters, doubled quotes and newlines.
+    static splitCsv(text, delimiter) {
+        const lines = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let lineNumber = 1;
+        let startLine = 1;
+
+        const endCell = () => {
+            cells.push(cell);
+            cell = '';
+        };
+        const endLine = () => {
+            endCell();
+            lines.push({ number: startLine, cells });
+            cells = [];
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') lineNumber++;
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                endCell();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endLine();
+                lineNumber++;
+                startLine = lineNumber;
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) throw new Error(`Unterminated quoted field starting on line ${startLine}`);
+        if (cell !== '' || cells.length > 0) endLine();
+        return lines;
+    }
+
+    // FeatureCollection, a single Feature or an array of Features. Property
+    // values are kept as given; arrays (e.g. facilities) are joined by ';',
+    // objects and lists of objects (fee, closures) become JSON text.
+    static parseGeoJson(content) {
+        let data;
+        try {
+            data = typeof content === 'string' ? JSON.parse(content) : content;
+        } catch (error) {
+            throw new Error('GeoJSON file is not valid JSON');
+        }
+
+        let features;
+        if (Array.isArray(data)) features = data;
+        else if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) features = data.features;
+        else if (data && data.type === 'Feature') features = [data];
+        else throw new Error('GeoJSON must be a FeatureCollection or Feature');
+
+        const columns = new Set();
+        const records = features.map((feature, index) => {
+            const values = {};
+            Object.entries((feature && feature.properties) || {}).forEach(([key, value]) => {
+                columns.add(key);
+                values[key] = ToiletImportParser.stringValue(value);
+            });
+
+            const geometry = feature && feature.geometry;
+            let point = null;
+            if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+                point = { latitude: Number(geometry.coordinates[1]), longitude: Number(geometry.coordinates[0]) };
+            }
+            return { row: index + 1, values, point, geometryType: geometry ? geometry.type : null };
+        });
+
+        return { columns: [...columns], records };
+    }
+
+    // Placemarks with a Point. Values come from <name>, <description>,
+    // <address> and <ExtendedData> (Data/value and SchemaData/SimpleData).
+    static parseKml(content) {
+        const text = String(content);
+        if (!/<kml[\s>]/i.test(text)) throw new Error('KML file has no <kml> root element');
+
+        const columns = new Set();
+        const placemarks = text.match(/<Placemark\b[^>]*>[\s\S]*?<\/Placemark>/gi) || [];
+
+        const records = placemarks.map((placemark, index) => {
+            const values = {};
+            const set = (key, value) => {
+                columns.add(key);
+                values[key] = value;
+            };
+
+            ['name', 'description', 'address'].forEach(tag => {
+                const value = ToiletImportParser.kmlTag(placemark, tag);
+                if (value !== null) set(tag, value);
+            });
+
+            const dataPattern = /<Data\b[^>]*\bname="([^"]*)"[^>]*>[\s\S]*?<value>([\s\S]*?)<\/value>[\s\S]*?<\/Data>/gi;
+            const simplePattern = /<SimpleData\b[^>]*\bname="([^"]*)"[^>]*>([\s\S]*?)<\/SimpleData>/gi;
+            let match;
+            while ((match = dataPattern.exec(placemark)) !== null) set(match[1], ToiletImportParser.kmlText(match[2]));
+            while ((match = simplePattern.exec(placemark)) !== null) set(match[1], ToiletImportParser.kmlText(match[2]));
+
+            let point = null;
+            const pointMatch = placemark.match(/<Point\b[^>]*>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i);
+            if (pointMatch) {
+                // KML coordinates are lon,lat[,alt]
+                const [longitude, latitude] = pointMatch[1].trim().split(',').map(Number);
+                point = { latitude, longitude };
+            }
+
+            const geometry = placemark.match(/<(Point|LineString|Polygon|MultiGeometry)\b/i);
+            return { row: index + 1, values, point, geometryType: geometry ? geometry[1] : null };
+        });
+
+        return { columns: [...columns], records };
+    }
+
+    static kmlTag(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+        return match ? ToiletImportParser.kmlText(match[1]) : null;
+    }
+
+    // Element text with CDATA unwrapped, markup stripped and entities decoded
+    static kmlText(raw) {
+        const text = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+        const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+                if (code[0] === '#') {
+                    const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                    return String.fromCodePoint(value);
+                }
+                return entities[code.toLowerCase()] !== undefined ? entities[code.toLowerCase()] : entity;
+            })
+            .trim();
+    }
+
+    static stringValue(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) {
+            return value.some(item => item !== null && typeof item === 'object') ? JSON.stringify(value) : value.join(';');
+        }
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value).trim();
+    }
+}
+
+module.exports = ToiletImportParser;
@@ -0,0 +1,274 @@
+const Toilet = require('../models/Toilet');
+const openingHours = require('../models/openingHours');
+const facilityTaxonomy = require('../models/facilityTaxonomy');
+const fees = require('../models/fees');
+const closures = require('../models/closures');
+const { getAdapter } = require('../models/adapters');
+const { distanceMeters } = require('../models/adapters/query');
+const { validateToiletData } = require('../middleware/validation');
+const ToiletImportParser = require('./ToiletImportParser');
+
+/**
+ * Toilet Import Service
+ * Bulk import of toilets from partner files. A file is read into rows, each
+ * row is mapped onto toilet fields, validated with validateToiletData and
+ * checked for duplicates against existing toilets and earlier rows. preview()
+ * reports what would happen; commit() inserts every importable row in one
+ * storage transaction and returns a per-row report.
+ */
+class ToiletImportService {
+    static FORMATS = ['csv', 'geojson', 'kml'];
+    static FIELDS = ['name', 'location', 'description', 'latitude', 'longitude', 'facilities', 'openingHours', 'type', 'fee', 'closures'];
+    static MAX_ROWS = 5000;
+    static DUPLICATE_RADIUS = 25; // meters
+
+    // Column names recognised for each field when no mapping is given
+    static COLUMN_ALIASES = {
+        name: ['name', 'title', 'toilet_name', 'facility_name'],
+        location: ['location', 'address', 'addr', 'street', 'addr_street'],
+        description: ['description', 'notes', 'details', 'remarks'],
+        latitude: ['latitude', 'lat', 'y'],
+        longitude: ['longitude', 'lon', 'lng', 'long', 'x'],
+        facilities: ['facilities', 'amenities', 'features'],
+        openingHours: ['openinghours', 'opening_hours', 'hours'],
+        type: ['type', 'toilet_type', 'access'],
+        // JSON text, as written by the toilet export
+        fee: ['fee'],
+        closures: ['closures']
+    };
+
+    /**
+     * Parse and check an import request
+     * body: { format, content, mapping, type } where mapping is { field: column }
+     * and type is the toilet type for rows without one.
+     * Returns { errors } when the request or file is unusable.
+     */
+    static read(body = {}) {
+        const { format, content, mapping = {}, type = 'private' } = body;
+
+        if (!ToiletImportService.FORMATS.includes(format)) {
+            return { errors: [`format must be one of: ${ToiletImportService.FORMATS.join(', ')}`] };
+        }
+        if (typeof content !== 'string' || content.trim() === '') {
+            return { errors: ['content must be the text of the uploaded file'] };
+        }
+        if (!['public', 'private'].includes(type)) {
+            return { errors: ['type must be either "public" or "private"'] };
+        }
+
+        let parsed;
+        try {
+            parsed = ToiletImportParser.parse(format, content);
+        } catch (error) {
+            return { errors: [error.message] };
+        }
+
+        if (parsed.records.length === 0) {
+            return { errors: ['The file contains no toilets'] };
+        }
+        if (parsed.records.length > ToiletImportService.MAX_ROWS) {
+            return { errors: [`A file may contain at most ${ToiletImportService.MAX_ROWS} toilets`] };
+        }
+
+        const errors = [];
+        const resolved = { ...ToiletImportService.guessMapping(parsed.columns) };
+        Object.entries(mapping || {}).forEach(([field, column]) => {
+            if (!ToiletImportService.FIELDS.includes(field)) {
+                errors.push(`Unknown mapping field: ${field}`);
+            } else if (column && !parsed.columns.includes(column)) {
+                errors.push(`Column "${column}" mapped to ${field} is not in the file`);
+            } else {
+                resolved[field] = column || null;
+            }
+        });
+        if (errors.length > 0) return { errors };
+
+        return { format, columns: parsed.columns, mapping: resolved, records: parsed.records, defaultType: type };
+    }
+
+    // { field: column } for every field with a recognisable column
+    static guessMapping(columns) {
+        const mapping = {};
+        ToiletImportService.FIELDS.forEach(field => {
+            const aliases = ToiletImportService.COLUMN_ALIASES[field];
+            mapping[field] = columns.find(column => {
+                return aliases.includes(column.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_'));
+            }) || null;
+        });
+        return mapping;
+    }
+
+    // Toilet fields for one record
+    static toToiletData(record, mapping, defaultType) {
+        const value = field => mapping[field] ? String(record.values[mapping[field]] || '').trim() : '';
+        const number = text => text === '' ? NaN : Number(text);
+
+        const data = {
+            name: value('name'),
+            location: value('location'),
+            description: value('description'),
+            facilities: ToiletImportService.splitFacilities(value('facilities')),
+            openingHours: value('openingHours') || null, // OSM syntax, parsed on import
+            type: value('type').toLowerCase() || defaultType,
+            fee: ToiletImportService.parseJson(value('fee'), null),
+            closures: ToiletImportService.parseJson(value('closures'), [])
+        };
+
+        if (record.point) {
+            data.coordinates = record.point;
+        } else if (value('latitude') !== '' || value('longitude') !== '') {
+            data.coordinates = { latitude: number(value('latitude')), longitude: number(value('longitude')) };
+        }
+        return data;
+    }
+
+    // JSON text, or the text itself when it is not JSON so validation reports it
+    static parseJson(text, empty) {
+        if (text === '') return empty;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // "Wheelchair; Baby change" -> ['wheelchair', 'baby_change']
+    static splitFacilities(text) {
+        const facilities = text
+            .split(/[;|,]/)
+            .map(item => item.trim().toLowerCase().replace(/[\s-]+/g, '_'))
+            .filter(Boolean);
+        return [...new Set(facilities)];
+    }
+
+    static rowErrors(record, data) {
+        if (record.geometryType && record.geometryType !== 'Point') {
+            return [`Only Point geometries can be imported (got ${record.geometryType})`];
+        }
+
+        const { errors } = validateToiletData(data);
+        if (!data.coordinates) errors.push('Coordinates are required');
+
+        const hours = openingHours.normalize(data.openingHours);
+        if (hours.errors) errors.push(...hours.errors.map(error => `Opening hours ${error}`));
+        const fee = fees.normalize(data.fee);
+        if (fee.errors) errors.push(...fee.errors);
+        const closed = closures.normalize(data.closures);
+        if (closed.errors) errors.push(...closed.errors);
+        return errors;
+    }
+
+    static normalizeName(name) {
+        return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    // An existing toilet or earlier row with the same name within DUPLICATE_RADIUS
+    static async findDuplicate(data, accepted) {
+        const name = ToiletImportService.normalizeName(data.name);
+        const { latitude, longitude } = data.coordinates;
+
+        const nearby = await Toilet.findNear(data.coordinates, ToiletImportService.DUPLICATE_RADIUS);
+        const existing = nearby.find(toilet => ToiletImportService.normalizeName(toilet.name || '') === name);
+        if (existing) return { id: existing.id, name: existing.name };
+
+        const earlier = accepted.find(row => row.name === name &&
+            distanceMeters(latitude, longitude, row.latitude, row.longitude) <= ToiletImportService.DUPLICATE_RADIUS);
+        return earlier ? { row: earlier.row } : null;
+    }
+
+    // Every row with status 'valid', 'invalid' or 'duplicate'
+    static async evaluate(input) {
+        const accepted = [];
+        const rows = [];
+
+        for (const record of input.records) {
+            const data = ToiletImportService.toToiletData(record, input.mapping, input.defaultType);
+            const errors = ToiletImportService.rowErrors(record, data);
+
+            if (errors.length > 0) {
+                rows.push({ row: record.row, status: 'invalid', errors, toilet: data });
+                continue;
+            }
+
+            const duplicateOf = await ToiletImportService.findDuplicate(data, accepted);
+            rows.push({ row: record.row, status: duplicateOf ? 'duplicate' : 'valid', errors: [], duplicateOf, toilet: data });
+            accepted.push({
+                row: record.row,
+                name: ToiletImportService.normalizeName(data.name),
+                ...data.coordinates
+            });
+        }
+        return rows;
+    }
+
+    static summarize(rows) {
+        const count = status => rows.filter(row => row.status === status).length;
+        return {
+            total: rows.length,
+            valid: count('valid'),
+            invalid: count('invalid'),
+            duplicates: count('duplicate')
+        };
+    }
+
+    /**
+     * What an import would do, without writing anything
+     * @returns {Promise<{format, columns, mapping, summary, rows}>}
+     */
+    static async preview(input) {
+        const rows = await ToiletImportService.evaluate(input);
+        return {
+            format: input.format,
+            columns: input.columns,
+            mapping: input.mapping,
+            summary: ToiletImportService.summarize(rows),
+            rows
+        };
+    }
+
+    /**
+     * Insert all valid rows (and duplicates unless skipDuplicates) in one
+     * transaction. Imported toilets are verified, like admin-added ones.
+     * @returns {Promise<Object>} Report with a status per row: 'created',
+     * 'invalid' or 'duplicate' (skipped)
+     */
+    static async commit(input, { skipDuplicates = true } = {}) {
+        const rows = await ToiletImportService.evaluate(input);
+        const importable = rows.filter(row => row.status === 'valid' || (!skipDuplicates && row.status === 'duplicate'));
+
+        await getAdapter().transaction(async (tx) => {
+            for (const row of importable) {
+                const toilet = new Toilet({
+                    ...row.toilet,
+                    openingHours: openingHours.normalize(row.toilet.openingHours).hours,
+                    facilities: facilityTaxonomy.canonicalize(row.toilet.facilities),
+                    fee: fees.normalize(row.toilet.fee).fee,
+                    closures: closures.normalize(row.toilet.closures).closures,
+                    verified: true
+                });
+                await tx.insert('toilets', toilet);
+                row.status = 'created';
+                row.toiletId = toilet.id;
+            }
+        });
+
+        const summary = ToiletImportService.summarize(rows);
+        const report = {
+            importedAt: new Date(),
+            format: input.format,
+            summary: {
+                total: summary.total,
+                created: importable.length,
+                invalid: summary.invalid,
+                duplicates: rows.filter(row => row.duplicateOf).length,
+                skipped: summary.duplicates
+            },
+            rows
+        };
+
+        console.log(`[IMPORT] Imported ${importable.length} of ${rows.length} toilets from ${input.format}`);
+        return report;
+    }
+}
+
+module.exports = ToiletImportService;
@@ -0,0 +1,94 @@
+const Toilet = require('../models/Toilet');
+const { recordRevision, trackedFields } = require('../models/ToiletRevision');
+const { getAdapter } = require('../models/adapters');
+
+/**
+ * Toilet Revision Service
+ * Reads a toilet's revision history (see models/ToiletRevision.js) and rolls
+ * it back. A version is rebuilt by starting from the current toilet and
+ * undoing every later revision, newest first. A rollback is itself stored as
+ * a new revision, so it can be rolled back too.
+ */
+class ToiletRevisionService {
+    /**
+     * Revisions of a toilet, newest first
+     */
+    static async list(toiletId) {
+        return getAdapter().find('revisions', { toiletId }, { sort: { number: -1 } });
+    }
+
+    // Tracked fields as they were right after revision `number`
+    static stateAt(current, history, number) {
+        const state = trackedFields(current);
+        history
+            .filter(revision => revision.number > number)
+            .sort((a, b) => b.number - a.number)
+            .forEach(revision => {
+                revision.changes.forEach(({ field, from }) => {
+                    state[field] = from;
+                });
+            });
+        return state;
+    }
+
+    static latest(history) {
+        return history.reduce((max, revision) => Math.max(max, revision.number), 0);
+    }
+
+    /**
+     * A toilet as it was at one revision
+     * @returns {Promise<Object|null>} { revision, toilet } (revision is null for
+     * 0, the toilet before its first change), or null when either is unknown
+     */
+    static async version(toiletId, number) {
+        const current = await getAdapter().findById('toilets', toiletId);
+        if (!current) return null;
+
+        const history = await ToiletRevisionService.list(toiletId);
+        const revision = history.find(entry => entry.number === number) || null;
+        if (number !== 0 && !revision) return null;
+
+        return { revision, toilet: ToiletRevisionService.stateAt(current, history, number) };
+    }
+
+    /**
+     * Put a toilet's tracked fields back to how they were at a revision
+     * @param {string} toiletId - Toilet to roll back
+     * @param {number} number - Revision to return to; 0 is the original
+     * @param {Object} options - { actorId } for the new revision
+     * @returns {Promise<Object|null>} null when the toilet does not exist,
+     * { errors } for an unknown or current revision, otherwise { toilet, revision }
+     */
+    static async rollback(toiletId, number, { actorId = null } = {}) {
+        const result = await getAdapter().transaction(async (tx) => {
+            const existing = await tx.findById('toilets', toiletId);
+            if (!existing) return null;
+
+            const history = await tx.find('revisions', { toiletId });
+            const latest = ToiletRevisionService.latest(history);
+            if (!Number.isInteger(number) || number < 0 || number > latest) {
+                return { errors: [`Revision must be between 0 and ${latest}`] };
+            }
+            if (number === latest) {
+                return { errors: [`Revision ${number} is the current version`] };
+            }
+
+            const before = trackedFields(existing);
+            const { id, ...target } = ToiletRevisionService.stateAt(existing, history, number);
+            const updated = await tx.update('toilets', id, { ...target, updatedAt: new Date() });
+            const revision = await recordRevision(tx, before, trackedFields(updated), {
+                source: 'rollback',
+                actorId,
+                rolledBackTo: number
+            });
+            return { revision };
+        });
+
+        if (!result || result.errors) return result;
+
+        console.log(`[REVISION] Toilet ${toiletId} rolled back to revision ${number}`);
+        return { toilet: await Toilet.findById(toiletId), revision: result.revision };
+    }
+}
+
+module.exports = ToiletRevisionService;
@@ -0,0 +1,350 @@
+const Toilet = require('../models/Toilet');
+const openingHours = require('../models/openingHours');
+const closures = require('../models/closures');
+const fees = require('../models/fees');
+const facilityTaxonomy = require('../models/facilityTaxonomy');
+const { distanceMeters } = require('../models/adapters/query');
+
+/**
+ * Toilet search: full-text relevance from the search index, blended with
+ * distance when the caller sends a location, plus the structured filters the
+ * search panel exposes (type, facilities, accessibility, rating, verified,
+ * has reviews, open now, fee). Also answers "what is near me", either strictly by distance
+ * or in urgent mode, which trades a little distance for a better chance the
+ * toilet is usable.
+ *
+ * Query parameters are parsed here so the search and nearby routes agree on
+ * their meaning.
+ */
+class ToiletSearchService {
+    static DEFAULT_LIMIT = 20;
+    static MAX_LIMIT = 100;
+    static SORTS = ['relevance', 'distance', 'rating', 'reviews'];
+    static NEARBY_MODES = ['distance', 'urgent'];
+
+    // Step-free access, under every name records may still carry
+    static ACCESSIBLE_FACILITIES = facilityTaxonomy.namesFor('wheelchair');
+
+    // Distance decay for blended ranking: at this distance a result keeps
+    // 0.6 + 0.4 / e of its text relevance
+    static DISTANCE_DECAY_METERS = 5000;
+
+    // Urgent mode: walking-scale distance decay, and how many of the nearest
+    // toilets are re-ranked (per result requested, with a floor)
+    static URGENT_DECAY_METERS = 500;
+    static URGENT_CANDIDATES_PER_RESULT = 5;
+    static URGENT_MIN_CANDIDATES = 50;
+
+    /**
+     * Turn request query parameters into adapter filters and search options.
+     * Returns { errors } when a parameter is malformed.
+     */
+    static parseParams(params = {}) {
+        const errors = [];
+        const filter = {};
+
+        const text = typeof params.q === 'string' ? params.q.trim().substring(0, 200) : '';
+
+        if (params.type && params.type !== 'all') {
+            if (!['public', 'private'].includes(params.type)) {
+                errors.push('type must be "public", "private" or "all"');
+            } else {
+                filter.type = params.type;
+            }
+        }
+
+        // Facilities are matched by id or alias, so records not yet migrated
+        // to the taxonomy still match
+        const facilities = ToiletSearchService.parseList(params.facilities);
+        const unknownFacilities = facilities.filter(name => !facilityTaxonomy.canonical(name));
+        if (unknownFacilities.length > 0) {
+            errors.push(`Unknown facilities: ${unknownFacilities.join(', ')}`);
+        } else if (facilities.length > 0) {
+            filter.$and = facilities.map(name => ({
+                facilities: { $in: facilityTaxonomy.namesFor(facilityTaxonomy.canonical(name)) }
+            }));
+        }
+        if (ToiletSearchService.parseBoolean(params.accessible)) {
+            filter.facilities = { ...filter.facilities, $in: ToiletSearchService.ACCESSIBLE_FACILITIES };
+        }
+
+        const minRatingParam = params.minRating !== undefined ? params.minRating : params.rating;
+        if (minRatingParam !== undefined && minRatingParam !== '' && minRatingParam !== 'all') {
+            const minRating = Number(minRatingParam);
+            if (!Number.isFinite(minRating) || minRating < 0 || minRating > 5) {
+                errors.push('minRating must be a number between 0 and 5');
+            } else if (minRating > 0) {
+                filter.averageRating = { $gte: minRating };
+            }
+        }
+
+        const verified = ToiletSearchService.parseBoolean(params.verified);
+        if (verified !== undefined) filter.verified = verified;
+
+        if (ToiletSearchService.parseBoolean(params.hasReviews)) {
+            filter.totalReviews = { $gt: 0 };
+        }
+
+        const feeFilter = ToiletSearchService.parseFeeParams(params);
+        if (feeFilter.errors) errors.push(...feeFilter.errors);
+        else Object.assign(filter, feeFilter.filter);
+
+        // Opening status depends on the time of the request, so it is applied
+        // to results rather than passed to the adapter
+        const openNow = ToiletSearchService.parseBoolean(params.openNow) === true;
+
+        let location = null;
+        if (params.lat !== undefined || params.lng !== undefined) {
+            const latitude = Number(params.lat);
+            const longitude = Number(params.lng);
+            if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+                !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+                errors.push('lat and lng must be valid coordinates');
+            } else {
+                location = { latitude, longitude };
+            }
+        }
+
+        // radius is in meters; the search panel's distance select sends km
+        let maxDistance = Infinity;
+        if (params.radius !== undefined && params.radius !== '') {
+            maxDistance = Number(params.radius);
+        } else if (params.distance !== undefined && params.distance !== '' && params.distance !== 'all') {
+            maxDistance = Number(params.distance) * 1000;
+        }
+        if (Number.isNaN(maxDistance) || maxDistance <= 0) {
+            errors.push('radius must be a positive number of meters');
+        } else if (Number.isFinite(maxDistance) && !location) {
+            errors.push('lat and lng are required when filtering by distance');
+        }
+
+        const sort = params.sort || 'relevance';
+        if (!ToiletSearchService.SORTS.includes(sort)) {
+            errors.push(`sort must be one of: ${ToiletSearchService.SORTS.join(', ')}`);
+        }
+        if (sort === 'distance' && !location) {
+            errors.push('lat and lng are required to sort by distance');
+        }
+
+        const limit = Math.min(Math.max(parseInt(params.limit, 10) || ToiletSearchService.DEFAULT_LIMIT, 1), ToiletSearchService.MAX_LIMIT);
+        const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+
+        if (errors.length > 0) return { errors };
+        return { text, filter, location, maxDistance, sort, limit, offset, openNow };
+    }
+
+    /**
+     * Nearby takes the same filters, but needs a location and sorts by
+     * distance. mode=urgent switches to the urgent ranking.
+     */
+    static parseNearbyParams(params = {}) {
+        if (params.lat === undefined || params.lng === undefined) {
+            return { errors: ['lat and lng are required'] };
+        }
+
+        const errors = [];
+        const mode = params.mode || (ToiletSearchService.parseBoolean(params.urgent) ? 'urgent' : 'distance');
+        if (!ToiletSearchService.NEARBY_MODES.includes(mode)) {
+            errors.push(`mode must be one of: ${ToiletSearchService.NEARBY_MODES.join(', ')}`);
+        }
+
+        const parsed = ToiletSearchService.parseParams({ ...params, q: undefined, sort: 'distance' });
+        if (parsed.errors) errors.push(...parsed.errors);
+
+        if (errors.length > 0) return { errors };
+        return { ...parsed, mode };
+    }
+
+    /**
+     * Fee filters, shared with the map route. Toilets whose fee is unknown
+     * match none of them.
+     *   fee=free|paid
+     *   maxFee=N       free, or paid with a known amount of at most N
+     *   payment=upi    free, or payable with every listed method
+     *   customersOnly=false  leaves out toilets reserved for customers
+     * @returns {Object} { filter } or { errors }
+     */
+    static parseFeeParams(params = {}) {
+        const errors = [];
+        const filter = {};
+
+        if (params.fee && params.fee !== 'all') {
+            if (!['free', 'paid'].includes(params.fee)) {
+                errors.push('fee must be "free", "paid" or "all"');
+            } else {
+                filter['fee.required'] = params.fee === 'paid';
+            }
+        }
+
+        if (params.maxFee !== undefined && params.maxFee !== '') {
+            const maxFee = Number(params.maxFee);
+            if (!Number.isFinite(maxFee) || maxFee < 0) {
+                errors.push('maxFee must be a non-negative number');
+            } else {
+                filter['fee.amount'] = { $lte: maxFee };
+            }
+        }
+
+        const payment = ToiletSearchService.parseList(params.payment);
+        if (payment.some(method => !fees.PAYMENT_METHODS.includes(method))) {
+            errors.push(`payment must be a list of: ${fees.PAYMENT_METHODS.join(', ')}`);
+        } else if (payment.length > 0) {
+            filter.$or = [{ 'fee.required': false }, { 'fee.paymentMethods': { $all: payment } }];
+        }
+
+        if (ToiletSearchService.parseBoolean(params.customersOnly) === false) {
+            filter['fee.customersOnly'] = { $ne: true };
+        }
+
+        if (errors.length > 0) return { errors };
+        return { filter };
+    }
+
+    static parseList(value) {
+        if (value === undefined || value === null) return [];
+        const items = Array.isArray(value) ? value : String(value).split(',');
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+
+    static parseBoolean(value) {
+        if (value === true || value === 'true' || value === '1') return true;
+        if (value === false || value === 'false' || value === '0') return false;
+        return undefined;
+    }
+
+    /**
+     * Run a parsed search. Returns { results, total } where each result is a
+     * toilet with `score` (text relevance, 0 without a query), `openNow` and
+     * `openingStatus` and, when a location was given, `distance` in meters.
+     */
+    static async search(options) {
+        const { text, filter, location, maxDistance, sort, limit, offset, openNow } = options;
+        const now = new Date();
+        let results;
+
+        if (text) {
+            results = await Toilet.search(text, { query: filter });
+            if (location) {
+                results = results
+                    .filter(toilet => toilet.coordinates)
+                    .map(toilet => {
+                        toilet.distance = distanceMeters(
+                            location.latitude, location.longitude,
+                            toilet.coordinates.latitude, toilet.coordinates.longitude
+                        );
+                        return toilet;
+                    })
+                    .filter(toilet => toilet.distance <= maxDistance);
+            }
+        } else if (location) {
+            results = await Toilet.findNear(location, maxDistance, { query: filter });
+        } else {
+            // Copies, since find() may hand back the stored records
+            results = (await Toilet.find(filter)).map(toilet => ({ ...toilet }));
+        }
+
+        results.forEach(toilet => {
+            ToiletSearchService.withOpenStatus(toilet, now);
+            toilet.score = toilet.score || 0;
+            toilet.relevance = ToiletSearchService.rank(toilet, Boolean(text), location);
+        });
+        if (openNow) results = results.filter(toilet => toilet.openNow === true);
+        results.sort(ToiletSearchService.comparator(sort));
+
+        return {
+            total: results.length,
+            results: results.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Toilets around options.location, closest first, each with `distance` in
+     * meters, `openingStatus` and `openNow` (true, false or null when unknown).
+     * With options.openNow only toilets known to be open are returned. In
+     * urgent mode the nearest candidates are re-ranked by `urgency` and
+     * toilets known to be closed are dropped.
+     */
+    static async nearby(options) {
+        const { filter, location, maxDistance, limit, offset, mode, openNow } = options;
+        const now = new Date();
+
+        if (mode !== 'urgent' && openNow) {
+            const results = await Toilet.findNear(location, maxDistance, { query: filter });
+            return results
+                .map(toilet => ToiletSearchService.withOpenStatus(toilet, now))
+                .filter(toilet => toilet.openNow === true)
+                .slice(offset, offset + limit);
+        }
+
+        if (mode !== 'urgent') {
+            const results = await Toilet.findNear(location, maxDistance, { query: filter, skip: offset, limit });
+            return results.map(toilet => ToiletSearchService.withOpenStatus(toilet, now));
+        }
+
+        const candidates = await Toilet.findNear(location, maxDistance, {
+            query: filter,
+            limit: Math.max((offset + limit) * ToiletSearchService.URGENT_CANDIDATES_PER_RESULT, ToiletSearchService.URGENT_MIN_CANDIDATES)
+        });
+
+        return candidates
+            .map(toilet => {
+                ToiletSearchService.withOpenStatus(toilet, now);
+                toilet.urgency = ToiletSearchService.urgency(toilet);
+                return toilet;
+            })
+            .filter(toilet => (openNow ? toilet.openNow === true : toilet.openNow !== false))
+            .sort((a, b) => b.urgency - a.urgency || a.distance - b.distance)
+            .slice(offset, offset + limit);
+    }
+
+    // Sets `openingStatus` ({ state, nextChange, minutesToChange }), `closure`
+    // (the current or next closure, see models/closures.js) and `openNow`
+    // (true, false, or null when the hours are unknown) on a result. A toilet
+    // under a closure is not open whatever its hours say.
+    static withOpenStatus(toilet, now = new Date()) {
+        toilet.openingStatus = openingHours.status(toilet.openingHours, now);
+        toilet.closure = closures.status(toilet.closures, now);
+        toilet.openNow = toilet.closure && toilet.closure.closed ? false : openingHours.isOpen(toilet.openingStatus);
+        return toilet;
+    }
+
+    // 0..1, dominated by walking distance. Unrated toilets count as average and
+    // unknown opening hours as a coin flip, so neither hides a close toilet.
+    static urgency(toilet) {
+        const proximity = Math.exp(-toilet.distance / ToiletSearchService.URGENT_DECAY_METERS);
+        const rating = toilet.averageRating ? toilet.averageRating / 5 : 0.5;
+        const verified = toilet.verified ? 1 : 0;
+        const open = toilet.openNow === true ? 1 : 0.5;
+
+        return 0.55 * proximity + 0.2 * rating + 0.1 * verified + 0.15 * open;
+    }
+
+    // Text score decayed by distance; without a query, proximity and rating stand in
+    static rank(toilet, hasText, location) {
+        const proximity = location && toilet.distance !== undefined
+            ? Math.exp(-toilet.distance / ToiletSearchService.DISTANCE_DECAY_METERS)
+            : null;
+
+        if (hasText) {
+            return proximity === null ? toilet.score : toilet.score * (0.6 + 0.4 * proximity);
+        }
+        const rating = (toilet.averageRating || 0) / 5;
+        return proximity === null ? rating : 0.7 * proximity + 0.3 * rating;
+    }
+
+    static comparator(sort) {
+        const byRelevance = (a, b) => b.relevance - a.relevance;
+        switch (sort) {
+            case 'distance':
+                return (a, b) => a.distance - b.distance || byRelevance(a, b);
+            case 'rating':
+                return (a, b) => (b.averageRating || 0) - (a.averageRating || 0) || byRelevance(a, b);
+            case 'reviews':
+                return (a, b) => (b.totalReviews || 0) - (a.totalReviews || 0) || byRelevance(a, b);
+            default:
+                return byRelevance;
+        }
+    }
+}
+
+module.exports = ToiletSearchService;
@@ -0,0 +1,323 @@
+const Toilet = require('../models/Toilet');
+const VectorTileEncoder = require('./VectorTileEncoder');
+const openingHours = require('../models/openingHours');
+const { CacheManager, cacheKeys } = require('../middleware/cache');
+
+/**
+ * Web Mercator tile helpers and server-side clustering for the map.
+ *
+ * Clusters are computed per 256px tile on a fixed pixel grid, so a tile's
+ * clusters do not depend on the viewport that asked for them and can be
+ * cached. Cache keys include the toilet revision, so any write makes every
+ * cached tile stale without explicit invalidation.
+ *
+ * The same tiles are served whole by /tiles/{z}/{x}/{y} as GeoJSON or
+ * Mapbox Vector Tiles. Every toilet belongs to exactly one tile per zoom.
+ */
+class ToiletTileService {
+    static TILE_SIZE = 256;
+    static MAX_LATITUDE = 85.05112878; // Web Mercator limit
+
+    static CLUSTER_CONFIG = {
+        GRID_SIZE: 64,     // Cluster cell size in pixels (4x4 cells per tile)
+        MIN_POINTS: 2,     // Smaller cells are returned as individual toilets
+        MAX_ZOOM: 16,      // At this zoom and above toilets are never clustered
+        MAX_TILES: 64      // Tiles a single clustered request may cover
+    };
+
+    static TILE_CONFIG = {
+        FORMATS: ['geojson', 'mvt'],
+        LAYER: 'toilets',
+        EXTENT: 4096,        // MVT coordinate resolution per tile
+        MAX_FEATURES: 2000,  // Toilets per tile; the best are kept when over
+        MAX_AGE: 60,         // Seconds browsers may reuse a tile before revalidating
+        SYNC_MIN_ZOOM: 12    // Tiles at least this small trigger a public data sync
+    };
+
+    // Lat/lng -> global pixel coordinates at zoom z
+    static project(latitude, longitude, z) {
+        const scale = ToiletTileService.TILE_SIZE * Math.pow(2, z);
+        const lat = Math.max(Math.min(latitude, ToiletTileService.MAX_LATITUDE), -ToiletTileService.MAX_LATITUDE);
+        const sin = Math.sin(lat * Math.PI / 180);
+
+        return {
+            x: (longitude + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    // Global pixel coordinates at zoom z -> lat/lng
+    static unproject(x, y, z) {
+        const scale = ToiletTileService.TILE_SIZE * Math.pow(2, z);
+        const n = Math.PI - 2 * Math.PI * y / scale;
+
+        return {
+            latitude: 180 / Math.PI * Math.atan(Math.sinh(n)),
+            longitude: x / scale * 360 - 180
+        };
+    }
+
+    static tileBounds(z, x, y) {
+        const size = ToiletTileService.TILE_SIZE;
+        const northWest = ToiletTileService.unproject(x * size, y * size, z);
+        const southEast = ToiletTileService.unproject((x + 1) * size, (y + 1) * size, z);
+
+        return {
+            south: southEast.latitude,
+            west: northWest.longitude,
+            north: northWest.latitude,
+            east: southEast.longitude
+        };
+    }
+
+    static isValidTile(z, x, y) {
+        const count = Math.pow(2, z);
+        return [z, x, y].every(Number.isInteger) && z >= 0 && z <= 22 &&
+            x >= 0 && x < count && y >= 0 && y < count;
+    }
+
+    // Tiles at zoom z covering bounds, as [{ z, x, y }]
+    static tilesForBounds(bounds, z) {
+        const size = ToiletTileService.TILE_SIZE;
+        const max = Math.pow(2, z) - 1;
+        const clamp = value => Math.min(Math.max(value, 0), max);
+
+        const northWest = ToiletTileService.project(bounds.north, bounds.west, z);
+        const southEast = ToiletTileService.project(bounds.south, bounds.east, z);
+        const minX = clamp(Math.floor(northWest.x / size));
+        const maxX = clamp(Math.floor(southEast.x / size));
+        const minY = clamp(Math.floor(northWest.y / size));
+        const maxY = clamp(Math.floor(southEast.y / size));
+
+        const tiles = [];
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                tiles.push({ z, x, y });
+            }
+        }
+        return tiles;
+    }
+
+    static shouldCluster(zoom) {
+        return zoom < ToiletTileService.CLUSTER_CONFIG.MAX_ZOOM;
+    }
+
+    /**
+     * Clusters and single toilets for every tile covering bounds at zoom.
+     * types: toilet types to include. Returns { features, tiles } or
+     * { error } when the viewport spans too many tiles for the zoom.
+     */
+    static async clusterBounds(bounds, zoom, types) {
+        const tiles = ToiletTileService.tilesForBounds(bounds, zoom);
+        if (tiles.length > ToiletTileService.CLUSTER_CONFIG.MAX_TILES) {
+            return { error: `Bounds cover ${tiles.length} tiles at zoom ${zoom}; zoom in or request fewer tiles (max ${ToiletTileService.CLUSTER_CONFIG.MAX_TILES})` };
+        }
+
+        const features = [];
+        for (const tile of tiles) {
+            features.push(...await ToiletTileService.clusterTile(tile.z, tile.x, tile.y, types));
+        }
+        return { features, tiles: tiles.length };
+    }
+
+    // Cached clusters for one tile
+    static async clusterTile(z, x, y, types) {
+        const key = cacheKeys.clusterTile(`${z}/${x}/${y}`, types, Toilet.revision());
+        return CacheManager.getOrSet(key, () => ToiletTileService.computeClusters(z, x, y, types), 'TOILET_DATA');
+    }
+
+    // Toilets whose pixel position falls inside the tile, with that position.
+    // Points on a shared tile edge belong to one tile only.
+    static async toiletsInTile(z, x, y, types) {
+        const size = ToiletTileService.TILE_SIZE;
+        const toilets = await Toilet.find({
+            type: { $in: types },
+            spatialBounds: ToiletTileService.tileBounds(z, x, y)
+        });
+
+        const points = [];
+        for (const toilet of toilets) {
+            const point = ToiletTileService.project(toilet.coordinates.latitude, toilet.coordinates.longitude, z);
+            if (Math.floor(point.x / size) === x && Math.floor(point.y / size) === y) {
+                points.push({ toilet, point });
+            }
+        }
+        return points;
+    }
+
+    static async computeClusters(z, x, y, types) {
+        const { GRID_SIZE, MIN_POINTS } = ToiletTileService.CLUSTER_CONFIG;
+
+        const cells = new Map();
+        for (const { toilet, point } of await ToiletTileService.toiletsInTile(z, x, y, types)) {
+            const cell = `${Math.floor(point.x / GRID_SIZE)}/${Math.floor(point.y / GRID_SIZE)}`;
+            if (!cells.has(cell)) cells.set(cell, []);
+            cells.get(cell).push(toilet);
+        }
+
+        const features = [];
+        for (const [cell, members] of cells) {
+            if (members.length < MIN_POINTS) {
+                features.push(...members.map(ToiletTileService.toMapToilet));
+            } else {
+                features.push(ToiletTileService.buildCluster(`${z}/${cell}`, members, z));
+            }
+        }
+        return features;
+    }
+
+    static buildCluster(id, toilets, zoom) {
+        let latitudeSum = 0;
+        let longitudeSum = 0;
+        let ratingSum = 0;
+        let rated = 0;
+        let publicCount = 0;
+        const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+
+        for (const toilet of toilets) {
+            const { latitude, longitude } = toilet.coordinates;
+            latitudeSum += latitude;
+            longitudeSum += longitude;
+            bounds.south = Math.min(bounds.south, latitude);
+            bounds.north = Math.max(bounds.north, latitude);
+            bounds.west = Math.min(bounds.west, longitude);
+            bounds.east = Math.max(bounds.east, longitude);
+
+            if (toilet.averageRating > 0) {
+                ratingSum += toilet.averageRating;
+                rated++;
+            }
+            if (toilet.type === 'public') publicCount++;
+        }
+
+        return {
+            id: `cluster:${id}`,
+            cluster: true,
+            count: toilets.length,
+            coordinates: {
+                latitude: latitudeSum / toilets.length,
+                longitude: longitudeSum / toilets.length
+            },
+            averageRating: rated > 0 ? Math.round(ratingSum / rated * 10) / 10 : null,
+            ratedCount: rated,
+            publicCount,
+            privateCount: toilets.length - publicCount,
+            bounds,
+            expansionZoom: ToiletTileService.expansionZoom(bounds, zoom)
+        };
+    }
+
+    // First zoom at which the cluster's outermost toilets land in different
+    // grid cells, i.e. where zooming in actually splits it
+    static expansionZoom(bounds, zoom) {
+        const { GRID_SIZE, MAX_ZOOM } = ToiletTileService.CLUSTER_CONFIG;
+
+        for (let z = zoom + 1; z < MAX_ZOOM; z++) {
+            const northWest = ToiletTileService.project(bounds.north, bounds.west, z);
+            const southEast = ToiletTileService.project(bounds.south, bounds.east, z);
+            if (Math.floor(northWest.x / GRID_SIZE) !== Math.floor(southEast.x / GRID_SIZE) ||
+                Math.floor(northWest.y / GRID_SIZE) !== Math.floor(southEast.y / GRID_SIZE)) {
+                return z;
+            }
+        }
+        return MAX_ZOOM;
+    }
+
+    /**
+     * One whole tile as GeoJSON or MVT. options: { types, clusters } where
+     * clusters groups nearby toilets below CLUSTER_CONFIG.MAX_ZOOM.
+     * Returns { data, count, truncated }; data is a FeatureCollection object
+     * for geojson and a Buffer for mvt.
+     */
+    static async getTile(z, x, y, format, options) {
+        const { types, clusters = false } = options;
+        const key = cacheKeys.tile(`${z}/${x}/${y}`, format, { types, clusters }, Toilet.revision());
+
+        return CacheManager.getOrSet(key, async () => {
+            const { features, truncated } = clusters && ToiletTileService.shouldCluster(z)
+                ? { features: await ToiletTileService.clusterTile(z, x, y, types), truncated: false }
+                : await ToiletTileService.tileToilets(z, x, y, types);
+
+            const data = format === 'mvt'
+                ? ToiletTileService.toVectorTile(z, x, y, features)
+                : ToiletTileService.toGeoJSON(z, x, y, features, truncated);
+            return { data, count: features.length, truncated };
+        }, 'TOILET_DATA');
+    }
+
+    // Map toilets in the tile, verified and best rated first when capped
+    static async tileToilets(z, x, y, types) {
+        const { MAX_FEATURES } = ToiletTileService.TILE_CONFIG;
+        const toilets = (await ToiletTileService.toiletsInTile(z, x, y, types)).map(({ toilet }) => toilet);
+
+        if (toilets.length <= MAX_FEATURES) {
+            return { features: toilets.map(ToiletTileService.toMapToilet), truncated: false };
+        }
+
+        toilets.sort((a, b) => (b.verified ? 1 : 0) - (a.verified ? 1 : 0) ||
+            (b.averageRating || 0) - (a.averageRating || 0) ||
+            (b.totalReviews || 0) - (a.totalReviews || 0));
+        return { features: toilets.slice(0, MAX_FEATURES).map(ToiletTileService.toMapToilet), truncated: true };
+    }
+
+    // Map toilets and clusters -> properties without the position
+    static featureProperties(feature) {
+        const { coordinates, ...properties } = feature;
+        return properties;
+    }
+
+    static toGeoJSON(z, x, y, features, truncated) {
+        return {
+            type: 'FeatureCollection',
+            tile: { z, x, y },
+            truncated,
+            features: features.map(feature => ({
+                type: 'Feature',
+                id: feature.id,
+                geometry: {
+                    type: 'Point',
+                    coordinates: [feature.coordinates.longitude, feature.coordinates.latitude]
+                },
+                properties: ToiletTileService.featureProperties(feature)
+            }))
+        };
+    }
+
+    static toVectorTile(z, x, y, features) {
+        const { LAYER, EXTENT } = ToiletTileService.TILE_CONFIG;
+        const size = ToiletTileService.TILE_SIZE;
+
+        return VectorTileEncoder.encode([{
+            name: LAYER,
+            extent: EXTENT,
+            features: features.map(feature => {
+                const point = ToiletTileService.project(feature.coordinates.latitude, feature.coordinates.longitude, z);
+                return {
+                    x: (point.x - x * size) / size * EXTENT,
+                    y: (point.y - y * size) / size * EXTENT,
+                    properties: ToiletTileService.featureProperties(feature)
+                };
+            })
+        }]);
+    }
+
+    // Same lightweight shape /map returns for individual toilets
+    static toMapToilet(toilet) {
+        return {
+            id: toilet.id || toilet._id,
+            name: toilet.name,
+            location: toilet.location,
+            coordinates: toilet.coordinates,
+            facilities: toilet.facilities,
+            openingHours: openingHours.osmValue(toilet.openingHours),
+            fee: toilet.fee || null,
+            averageRating: toilet.averageRating,
+            totalReviews: toilet.totalReviews,
+            type: toilet.type,
+            source: toilet.source,
+            verified: toilet.verified
+        };
+    }
+}
+
+module.exports = ToiletTileService;
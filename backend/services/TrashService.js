@@ -0,0 +1,199 @@
+const persistence = require('../models/persistence');
+const { trashId } = require('../models/Trash');
+const { getAdapter } = require('../models/adapters');
+const ReviewAggregationService = require('./ReviewAggregationService');
+const PhotoService = require('./PhotoService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash Service
+ * Soft deletion for toilets and reviews. Deleting moves the record into the
+ * trash collection (see models/Trash.js) in one storage transaction; a
+ * toilet takes its reviews with it. Restoring puts the record back, which
+ * re-indexes it and recomputes the affected ratings. Entries older than
+ * RETENTION_DAYS are purged for good by a scheduled job.
+ */
+class TrashService {
+    static COLLECTIONS = ['toilets', 'reviews'];
+    static RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+    static PURGE_INTERVAL = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000; // hourly
+
+    static timer = null;
+
+    static entry(collection, record, { deletedBy = null, cascadedFrom = null } = {}) {
+        const deletedAt = new Date();
+        return {
+            id: trashId(collection, record.id),
+            collection,
+            recordId: record.id,
+            record: { ...record, deletedAt, deletedBy },
+            deletedAt,
+            deletedBy,
+            cascadedFrom
+        };
+    }
+
+    // The record as it was before deletion, as a model instance
+    static revive(entry) {
+        const { deletedAt, deletedBy, ...record } = entry.record;
+        return persistence.hydrate(entry.collection, record);
+    }
+
+    /**
+     * Move a toilet and its reviews to the trash
+     * @param {string} toiletId - Toilet to delete
+     * @param {string|null} deletedBy - Id of the user deleting it
+     * @returns {Promise<{entry: Object, reviews: number}|null>} null when the toilet does not exist
+     */
+    static async trashToilet(toiletId, deletedBy = null) {
+        return getAdapter().transaction(async (tx) => {
+            const toilet = await tx.findById('toilets', toiletId);
+            if (!toilet) return null;
+
+            const reviews = await tx.find('reviews', { toiletId });
+            for (const review of reviews) {
+                await tx.delete('reviews', review.id);
+                await tx.insert('trash', TrashService.entry('reviews', review, { deletedBy, cascadedFrom: toiletId }));
+            }
+
+            const entry = TrashService.entry('toilets', toilet, { deletedBy });
+            await tx.delete('toilets', toiletId);
+            await tx.insert('trash', entry);
+
+            console.log(`[TRASH] Toilet ${toiletId} and ${reviews.length} reviews moved to trash`);
+            return { entry, reviews: reviews.length };
+        });
+    }
+
+    /**
+     * Move a review to the trash and take it out of its toilet's ratings
+     * @returns {Promise<Object|null>} The trash entry, or null when the review does not exist
+     */
+    static async trashReview(reviewId, deletedBy = null) {
+        return getAdapter().transaction(async (tx) => {
+            const review = await tx.findById('reviews', reviewId);
+            if (!review) return null;
+
+            await ReviewAggregationService.updateToilet(tx, review.toiletId, review, null);
+            const entry = TrashService.entry('reviews', review, { deletedBy });
+            await tx.delete('reviews', reviewId);
+            await tx.insert('trash', entry);
+            return entry;
+        });
+    }
+
+    /**
+     * Trash entries, newest first
+     * @param {Object} filter - { collection: 'toilets' | 'reviews' }
+     */
+    static async list({ collection } = {}) {
+        const query = collection ? { collection } : {};
+        return getAdapter().find('trash', query, { sort: { deletedAt: -1 } });
+    }
+
+    /**
+     * Put a trashed record back. A toilet brings back the reviews trashed with
+     * it and has its ratings recomputed; a review is added back into its
+     * toilet's ratings.
+     * @returns {Promise<Object|null>} null when the entry does not exist,
+     * { errors } when it cannot be restored, otherwise { collection, id, reviews }
+     */
+    static async restore(entryId) {
+        return getAdapter().transaction(async (tx) => {
+            const entry = await tx.findById('trash', entryId);
+            if (!entry) return null;
+
+            const record = TrashService.revive(entry);
+            if (await tx.findById(entry.collection, record.id)) {
+                return { errors: [`A ${entry.collection === 'toilets' ? 'toilet' : 'review'} with id ${record.id} already exists`] };
+            }
+
+            let reviews = 0;
+            if (entry.collection === 'toilets') {
+                await tx.insert('toilets', record);
+
+                const cascaded = await tx.find('trash', { collection: 'reviews', cascadedFrom: record.id });
+                for (const reviewEntry of cascaded) {
+                    await tx.insert('reviews', TrashService.revive(reviewEntry));
+                    await tx.delete('trash', reviewEntry.id);
+                }
+                reviews = cascaded.length;
+
+                const stats = await ReviewAggregationService.statsFromReviews(tx, record.id);
+                await tx.update('toilets', record.id, ReviewAggregationService.toiletFields(stats));
+            } else {
+                if (!await tx.findById('toilets', record.toiletId)) {
+                    const toiletTrashed = await tx.findById('trash', trashId('toilets', record.toiletId));
+                    return {
+                        errors: [toiletTrashed
+                            ? 'The toilet this review belongs to is in the trash; restore the toilet first'
+                            : 'The toilet this review belongs to no longer exists']
+                    };
+                }
+                // Stats are read before the insert so a legacy rebuild does not count it twice
+                await ReviewAggregationService.updateToilet(tx, record.toiletId, null, record);
+                await tx.insert('reviews', record);
+            }
+
+            await tx.delete('trash', entry.id);
+            console.log(`[TRASH] Restored ${entry.collection} ${record.id}${reviews ? ` with ${reviews} reviews` : ''}`);
+            return { collection: entry.collection, id: record.id, reviews };
+        });
+    }
+
+    /**
+     * Permanently delete entries trashed more than retentionDays ago
+     * @returns {Promise<number>} Entries purged
+     */
+    static async purge({ now = new Date(), retentionDays = TrashService.RETENTION_DAYS } = {}) {
+        const cutoff = new Date(now.getTime() - retentionDays * DAY);
+
+        const photos = [];
+        const purged = await getAdapter().transaction(async (tx) => {
+            const expired = await tx.find('trash', { deletedAt: { $lt: cutoff } });
+            for (const entry of expired) {
+                await tx.delete('trash', entry.id);
+                // A purged toilet's revision history and incidents go with it
+                if (entry.collection === 'toilets') {
+                    for (const revision of await tx.find('revisions', { toiletId: entry.recordId })) {
+                        await tx.delete('revisions', revision.id);
+                    }
+                    for (const incident of await tx.find('incidents', { toiletId: entry.recordId })) {
+                        await tx.delete('incidents', incident.id);
+                    }
+                }
+                // ...and so do the photos of a purged toilet or review
+                const field = entry.collection === 'toilets' ? 'toiletId' : 'reviewId';
+                for (const photo of await tx.find('photos', { [field]: entry.recordId })) {
+                    await tx.delete('photos', photo.id);
+                    photos.push(photo);
+                }
+            }
+            return expired.length;
+        });
+        PhotoService.removeFiles(photos);
+
+        if (purged > 0) {
+            console.log(`[TRASH] Purged ${purged} entries deleted before ${cutoff.toISOString()}`);
+        }
+        return purged;
+    }
+
+    static startSchedule(interval = TrashService.PURGE_INTERVAL) {
+        TrashService.stopSchedule();
+        TrashService.timer = setInterval(() => {
+            TrashService.purge().catch(error => console.error('[TRASH] Purge failed:', error.message));
+        }, interval);
+        TrashService.timer.unref();
+    }
+
+    static stopSchedule() {
+        if (TrashService.timer) {
+            clearInterval(TrashService.timer);
+            TrashService.timer = null;
+        }
+    }
+}
+
+module.exports = TrashService;
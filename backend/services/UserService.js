@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { ROLES, canAssign } = require('../models/roles');
+const { getAdapter } = require('../models/adapters');
+
+/**
+ * User Service
+ * Role management on top of models/roles.js: invitations for new accounts
+ * with a role, role changes by admins and the first super-admin. New
+ * accounts are plain users unless they register with an invitation.
+ *
+ * Invitations are signed tokens ({ purpose: 'invite', email, role }) rather
+ * than stored records, so they cannot be withdrawn; they expire after
+ * INVITE_TTL.
+ */
+class UserService {
+    static INVITE_TTL = process.env.INVITE_TTL || '7d';
+
+    /**
+     * Find users
+     * @param {Object} query - Adapter query, e.g. { role: 'admin' }
+     * @returns {Promise<Array>} Users
+     */
+    static async find(query = {}) {
+        return (await getAdapter().find('users', query)).map(data => Object.assign(new User(data), data));
+    }
+
+    /**
+     * Invite someone to register with a role
+     * @param {Object} inviter - Signed-in user sending the invitation
+     * @param {string} email - Invitee's email address
+     * @param {string} role - Role they will get
+     * @returns {Promise<Object>} { token, email, role }, or { error, status }
+     */
+    static async invite(inviter, email, role) {
+        const address = String(email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+            return { error: 'Please provide a valid email address', status: 400 };
+        }
+        if (!ROLES.includes(role)) {
+            return { error: `role must be one of: ${ROLES.join(', ')}`, status: 400 };
+        }
+        if (!canAssign(inviter, role)) {
+            return { error: `You cannot give the ${role} role`, status: 403 };
+        }
+        if (await User.findOne({ email: address })) {
+            return { error: 'This email already has an account; change its role instead', status: 409 };
+        }
+
+        const token = jwt.sign(
+            { purpose: 'invite', email: address, role, invitedBy: inviter.id },
+            process.env.JWT_SECRET,
+            { expiresIn: UserService.INVITE_TTL }
+        );
+        console.log(`[USER] ${inviter.email} invited ${address} as ${role}`);
+        return { token, email: address, role };
+    }
+
+    /**
+     * Read an invitation token sent with a registration
+     * @param {string} token - Invitation token
+     * @returns {Object|null} { email, role, invitedBy }, null when invalid or expired
+     */
+    static readInvite(token) {
+        try {
+            const invite = jwt.verify(token, process.env.JWT_SECRET);
+            if (invite.purpose !== 'invite' || !ROLES.includes(invite.role)) return null;
+            return { email: invite.email, role: invite.role, invitedBy: invite.invitedBy };
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Give a user another role
+     * @param {Object} actor - Signed-in user making the change
+     * @param {string} userId - User to change
+     * @param {string} role - New role
+     * @returns {Promise<Object|null>} { before, user }, { error, status }, or null when the user is not found
+     */
+    static async changeRole(actor, userId, role) {
+        if (!ROLES.includes(role)) {
+            return { error: `role must be one of: ${ROLES.join(', ')}`, status: 400 };
+        }
+        if (userId === actor.id) {
+            return { error: 'You cannot change your own role', status: 403 };
+        }
+
+        const existing = await User.findById(userId);
+        if (!existing) return null;
+        if (!canAssign(actor, existing.role) || !canAssign(actor, role)) {
+            return { error: `You cannot change a ${existing.role} into a ${role}`, status: 403 };
+        }
+
+        const before = existing.toObject();
+        const user = await User.findByIdAndUpdate(userId, { role });
+        console.log(`[USER] ${actor.email} changed ${user.email} from ${before.role} to ${role}`);
+        return { before, user };
+    }
+
+    /**
+     * Make sure there is a super-admin: promotes the account with `email`, or
+     * creates it with `password`. Does nothing once any super-admin exists,
+     * unless `force` is set (the command line appoints more).
+     * @param {Object} options - { email, password, force }; default to SUPER_ADMIN_EMAIL and SUPER_ADMIN_PASSWORD
+     * @returns {Promise<Object|null>} { user, created }, null when nothing was done
+     */
+    static async bootstrapSuperAdmin({ email = process.env.SUPER_ADMIN_EMAIL, password = process.env.SUPER_ADMIN_PASSWORD, force = false } = {}) {
+        if (!email) return null;
+        if (!force && await getAdapter().findOne('users', { role: 'super-admin' })) return null;
+
+        const address = email.trim().toLowerCase();
+        const existing = await User.findOne({ email: address });
+        if (existing) {
+            const user = await User.findByIdAndUpdate(existing.id, { role: 'super-admin' });
+            console.log(`[USER] Promoted ${user.email} to super-admin`);
+            return { user, created: false };
+        }
+
+        if (!password || password.length < 8) {
+            throw new Error(`No account for ${address}; a password of at least 8 characters is needed to create it`);
+        }
+        const user = await new User({ email: address, password, role: 'super-admin' }).save();
+        console.log(`[USER] Created super-admin ${user.email}`);
+        return { user, created: true };
+    }
+}
+
+module.exports = UserService;
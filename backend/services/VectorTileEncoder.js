@@ -0,0 +1,147 @@
+/**
+ * Minimal Mapbox Vector Tile (v2) encoder for point layers.
+ *
+ * Only what the toilet tiles need: one or more layers of Point features with
+ * scalar properties. Nested values (arrays, objects) are JSON-encoded strings,
+ * as most MVT producers do. Spec: https://github.com/mapbox/vector-tile-spec
+ */
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+
+// MVT geometry
+const POINT = 1;
+const MOVE_TO = 1;
+
+class ProtobufWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    varint(value) {
+        // Values above 2^31 lose precision with bitwise ops, so use arithmetic
+        let remaining = value;
+        while (remaining >= 0x80) {
+            this.bytes.push((remaining % 0x80) | 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        this.bytes.push(remaining);
+        return this;
+    }
+
+    tag(field, wireType) {
+        return this.varint((field << 3) | wireType);
+    }
+
+    uint(field, value) {
+        return this.tag(field, VARINT).varint(value);
+    }
+
+    bytesField(field, bytes) {
+        this.tag(field, LENGTH_DELIMITED).varint(bytes.length);
+        for (const byte of bytes) this.bytes.push(byte);
+        return this;
+    }
+
+    string(field, value) {
+        return this.bytesField(field, Buffer.from(value, 'utf8'));
+    }
+
+    message(field, writer) {
+        return this.bytesField(field, writer.bytes);
+    }
+
+    packed(field, values) {
+        const inner = new ProtobufWriter();
+        values.forEach(value => inner.varint(value));
+        return this.bytesField(field, inner.bytes);
+    }
+
+    double(field, value) {
+        const buffer = Buffer.alloc(8);
+        buffer.writeDoubleLE(value);
+        this.tag(field, FIXED64);
+        for (const byte of buffer) this.bytes.push(byte);
+        return this;
+    }
+
+    toBuffer() {
+        return Buffer.from(this.bytes);
+    }
+}
+
+const zigzag = (value) => (value << 1) ^ (value >> 31);
+
+// Tile.Value: string = 1, double = 3, uint = 5, sint = 6, bool = 7
+const encodeValue = (value) => {
+    const writer = new ProtobufWriter();
+    if (typeof value === 'boolean') {
+        writer.uint(7, value ? 1 : 0);
+    } else if (typeof value === 'number' && Number.isInteger(value) && Math.abs(value) < 2 ** 31) {
+        if (value >= 0) writer.uint(5, value);
+        else writer.uint(6, zigzag(value));
+    } else if (typeof value === 'number') {
+        writer.double(3, value);
+    } else {
+        writer.string(1, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    return writer;
+};
+
+class VectorTileEncoder {
+    static DEFAULT_EXTENT = 4096;
+
+    /**
+     * layers: [{ name, extent, features: [{ x, y, properties }] }] where x/y
+     * are already in tile coordinates (0..extent). Returns a Buffer.
+     */
+    static encode(layers) {
+        const tile = new ProtobufWriter();
+        for (const layer of layers) {
+            tile.message(3, VectorTileEncoder.encodeLayer(layer));
+        }
+        return tile.toBuffer();
+    }
+
+    static encodeLayer({ name, extent = VectorTileEncoder.DEFAULT_EXTENT, features }) {
+        const keys = new Map();
+        const values = new Map();
+        const indexOf = (map, key) => {
+            if (!map.has(key)) map.set(key, map.size);
+            return map.get(key);
+        };
+
+        const layer = new ProtobufWriter();
+        layer.uint(15, 2); // version
+        layer.string(1, name);
+
+        for (const { x, y, properties } of features) {
+            const tags = [];
+            for (const [key, value] of Object.entries(properties)) {
+                if (value === null || value === undefined) continue;
+                const encodedValue = encodeValue(value);
+                tags.push(indexOf(keys, key), indexOf(values, Buffer.from(encodedValue.bytes).toString('latin1')));
+            }
+
+            const feature = new ProtobufWriter();
+            if (tags.length > 0) feature.packed(2, tags);
+            feature.uint(3, POINT);
+            feature.packed(4, [(MOVE_TO & 0x7) | (1 << 3), zigzag(Math.round(x)), zigzag(Math.round(y))]);
+            layer.message(2, feature);
+        }
+
+        for (const key of keys.keys()) {
+            layer.string(3, key);
+        }
+        for (const value of values.keys()) {
+            layer.bytesField(4, Buffer.from(value, 'latin1'));
+        }
+        layer.uint(5, extent);
+
+        return layer;
+    }
+}
+
+module.exports = VectorTileEncoder;
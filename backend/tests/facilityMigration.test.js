@@ -0,0 +1,56 @@
+const FacilityMigrationService = require('../services/FacilityMigrationService');
+const Toilet = require('../models/Toilet');
+const { revisions, toiletOperations } = require('../models/storage');
+
+describe('FacilityMigrationService', () => {
+    let legacy;
+    let current;
+
+    beforeEach(async () => {
+        toiletOperations.rebuildIndexes();
+
+        legacy = new Toilet({
+            name: 'Legacy Toilet',
+            location: 'Andheri, Mumbai',
+            coordinates: { latitude: 19.1197, longitude: 72.8468 },
+            facilities: ['handicap', 'wheelchair_accessible', 'opening_hours_available', 'baby_change']
+        });
+        await legacy.save();
+
+        current = new Toilet({
+            name: 'Current Toilet',
+            location: 'Bandra, Mumbai',
+            coordinates: { latitude: 19.0596, longitude: 72.8295 },
+            facilities: ['wheelchair', 'shower']
+        });
+        await current.save();
+    });
+
+    test('should report the changes without writing on a dry run', async () => {
+        const report = await FacilityMigrationService.migrate({ dryRun: true });
+
+        expect(report).toEqual({
+            dryRun: true,
+            scanned: 2,
+            changed: 1,
+            mapped: { 'handicap -> wheelchair': 1, 'wheelchair_accessible -> wheelchair': 1 },
+            dropped: { opening_hours_available: 1 }
+        });
+        expect((await Toilet.findById(legacy.id)).facilities).toContain('handicap');
+        expect(revisions).toHaveLength(0);
+    });
+
+    test('should rewrite facilities in taxonomy ids and keep the old list as a revision', async () => {
+        await FacilityMigrationService.migrate({ actorId: 'admin-1' });
+
+        expect((await Toilet.findById(legacy.id)).facilities).toEqual(['wheelchair', 'baby_change']);
+        expect((await Toilet.findById(current.id)).facilities).toEqual(['wheelchair', 'shower']);
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0]).toMatchObject({ toiletId: legacy.id, source: 'migration', actorId: 'admin-1' });
+        expect(revisions[0].changes[0].from).toEqual(['handicap', 'wheelchair_accessible', 'opening_hours_available', 'baby_change']);
+
+        // Migrated data is left alone
+        const again = await FacilityMigrationService.migrate();
+        expect(again.changed).toBe(0);
+    });
+});
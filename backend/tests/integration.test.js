@@ -148,7 +148,7 @@ describe('Integration Tests - Full Application Flow', () => {
                 .expect(200);
 
             expect(meResponse.body.email).toBe('user@example.com');
-            expect(meResponse.body.role).toBe('admin');
+            expect(meResponse.body.role).toBe('user');
 
             // 11. Submit another review
             const reviewData2 = {
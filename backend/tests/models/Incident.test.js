@@ -0,0 +1,59 @@
+const Incident = require('../../models/Incident');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Incident', () => {
+    const now = new Date('2024-06-01T12:00:00Z');
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR);
+
+    const incident = (type, reportAges, status = 'open') => ({
+        id: 'incident-1',
+        toiletId: 'toilet-1',
+        type,
+        status,
+        note: null,
+        reports: reportAges.map((age, i) => ({ reporter: `ip:${i}`, userId: null, at: hoursAgo(age) })),
+        createdAt: hoursAgo(Math.max(...reportAges)),
+        lastReportedAt: hoursAgo(Math.min(...reportAges))
+    });
+
+    test('should give every type a severity and a half-life', () => {
+        Incident.TYPES.forEach(type => {
+            expect(['degraded', 'unavailable']).toContain(type.severity);
+            expect(type.halfLifeHours).toBeGreaterThan(0);
+        });
+        expect(Incident.findType('locked').severity).toBe('unavailable');
+        expect(Incident.findType('sauna')).toBeNull();
+    });
+
+    test('should halve a report\'s weight every half-life', () => {
+        // locked: 4 hour half-life
+        expect(Incident.weight(incident('locked', [0]), now)).toBeCloseTo(1);
+        expect(Incident.weight(incident('locked', [4]), now)).toBeCloseTo(0.5);
+        expect(Incident.weight(incident('locked', [0, 4]), now)).toBeCloseTo(1.5);
+    });
+
+    test('should expire incidents once their reports have decayed', () => {
+        expect(Incident.isActive(incident('locked', [3]), now)).toBe(true);
+        expect(Incident.isActive(incident('locked', [5]), now)).toBe(false);
+        expect(Incident.isActive(incident('out_of_order', [5]), now)).toBe(true);
+        expect(Incident.isActive(incident('locked', [0], 'resolved'), now)).toBe(false);
+
+        const object = Incident.toObject(incident('locked', [2]), now);
+        expect(object.active).toBe(true);
+        expect(object.reports).toBe(1);
+        expect(new Date(object.expiresAt) - now).toBeCloseTo(2 * HOUR, -3);
+    });
+
+    test('should only mark a toilet unavailable once a blocking problem is confirmed', () => {
+        expect(Incident.liveStatus([], now)).toEqual({ state: 'ok', incidents: [] });
+
+        const single = Incident.liveStatus([incident('locked', [0])], now);
+        expect(single.state).toBe('degraded');
+        expect(single.incidents[0]).toMatchObject({ type: 'locked', reports: 1, confirmed: false });
+
+        expect(Incident.liveStatus([incident('locked', [0, 1])], now).state).toBe('unavailable');
+        expect(Incident.liveStatus([incident('no_water', [0, 1, 2])], now).state).toBe('degraded');
+        expect(Incident.liveStatus([incident('locked', [9, 10])], now)).toEqual({ state: 'ok', incidents: [] });
+    });
+});
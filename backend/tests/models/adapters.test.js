@@ -0,0 +1,251 @@
+const { MemoryAdapter, SqliteAdapter, setAdapter, createAdapter } = require('../../models/adapters');
+const Toilet = require('../../models/Toilet');
+const Review = require('../../models/Review');
+const User = require('../../models/User');
+
+const makeToilet = (overrides = {}) => ({
+    id: Math.random().toString(36).substr(2, 9),
+    name: 'Adapter Toilet',
+    location: 'Bandra, Mumbai',
+    coordinates: { latitude: 19.0596, longitude: 72.8295 },
+    facilities: ['wheelchair'],
+    type: 'public',
+    source: 'osm',
+    sourceId: 'node/1',
+    verified: false,
+    averageRating: 3,
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    ...overrides
+});
+
+// Every backend must pass the same contract
+describe.each([
+    ['memory', () => new MemoryAdapter()],
+    ['sqlite', () => new SqliteAdapter({ filename: ':memory:' })]
+])('%s storage adapter', (name, factory) => {
+    let adapter;
+
+    beforeEach(async () => {
+        adapter = factory();
+        await adapter.connect();
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+    });
+
+    test('should insert, find by id, update and delete', async () => {
+        const doc = makeToilet({ id: 'a1' });
+        await adapter.insert('toilets', doc);
+
+        const found = await adapter.findById('toilets', 'a1');
+        expect(found.name).toBe('Adapter Toilet');
+        expect(found.createdAt).toBeInstanceOf(Date);
+
+        const updated = await adapter.update('toilets', 'a1', { name: 'Renamed', verified: true });
+        expect(updated.name).toBe('Renamed');
+        expect((await adapter.findById('toilets', 'a1')).verified).toBe(true);
+
+        expect(await adapter.delete('toilets', 'a1')).toBe(true);
+        expect(await adapter.findById('toilets', 'a1')).toBeNull();
+        expect(await adapter.delete('toilets', 'a1')).toBe(false);
+    });
+
+    test('should commit transaction writes together and roll them back on error', async () => {
+        await adapter.insert('toilets', makeToilet({ id: 'tx1', name: 'Before' }));
+
+        const result = await adapter.transaction(async (tx) => {
+            await tx.update('toilets', 'tx1', { name: 'Committed' });
+            await tx.insert('toilets', makeToilet({ id: 'tx2' }));
+            return 'done';
+        });
+        expect(result).toBe('done');
+        expect((await adapter.findById('toilets', 'tx1')).name).toBe('Committed');
+        expect(await adapter.findById('toilets', 'tx2')).not.toBeNull();
+
+        await expect(adapter.transaction(async (tx) => {
+            await tx.update('toilets', 'tx1', { name: 'Rolled back', verified: true });
+            await tx.insert('toilets', makeToilet({ id: 'tx3', name: 'Rolled back' }));
+            await tx.delete('toilets', 'tx2');
+            throw new Error('abort');
+        })).rejects.toThrow('abort');
+
+        const restored = await adapter.findById('toilets', 'tx1');
+        expect(restored.name).toBe('Committed');
+        expect(restored.verified).toBe(false);
+        expect(await adapter.findById('toilets', 'tx2')).not.toBeNull();
+        expect(await adapter.findById('toilets', 'tx3')).toBeNull();
+        expect((await adapter.search('toilets', 'rolled back')).map(t => t.id)).toEqual([]);
+    });
+
+    test('should filter with equality, $in, nested paths and options', async () => {
+        await adapter.insert('toilets', makeToilet({ id: 't1', type: 'public', averageRating: 4, metadata: { confidence_score: 0.9 } }));
+        await adapter.insert('toilets', makeToilet({ id: 't2', type: 'private', averageRating: 5, metadata: { confidence_score: 0.4 } }));
+        await adapter.insert('toilets', makeToilet({ id: 't3', type: 'public', averageRating: 2, sourceId: 'node/3' }));
+
+        expect((await adapter.find('toilets', { type: 'public' })).map(t => t.id).sort()).toEqual(['t1', 't3']);
+        expect(await adapter.count('toilets', { type: { $in: ['public', 'private'] } })).toBe(3);
+        expect((await adapter.find('toilets', { 'metadata.confidence_score': { $gte: 0.5 } })).map(t => t.id)).toEqual(['t1']);
+
+        const sorted = await adapter.find('toilets', {}, { sort: { averageRating: -1 }, skip: 1, limit: 1 });
+        expect(sorted.map(t => t.id)).toEqual(['t1']);
+
+        const one = await adapter.findOne('toilets', { source: 'osm', sourceId: 'node/3' });
+        expect(one.id).toBe('t3');
+    });
+
+    test('should iterate matches in id order, a batch at a time', async () => {
+        for (const id of ['i4', 'i2', 'i5', 'i1', 'i3']) {
+            await adapter.insert('toilets', makeToilet({ id, type: id === 'i3' ? 'private' : 'public' }));
+        }
+
+        const batches = [];
+        for await (const batch of adapter.iterate('toilets', { type: 'public' }, { batchSize: 2 })) {
+            batches.push(batch.map(t => t.id));
+        }
+        expect(batches.flat()).toEqual(['i1', 'i2', 'i4', 'i5']);
+        expect(batches.every(batch => batch.length <= 2)).toBe(true);
+    });
+
+    test('should answer bounding box and radius queries', async () => {
+        await adapter.insert('toilets', makeToilet({ id: 'near', coordinates: { latitude: 19.0600, longitude: 72.8300 } }));
+        await adapter.insert('toilets', makeToilet({ id: 'mid', coordinates: { latitude: 19.0700, longitude: 72.8300 } }));
+        await adapter.insert('toilets', makeToilet({ id: 'far', coordinates: { latitude: 28.6139, longitude: 77.2090 } }));
+
+        const inBox = await adapter.findInBounds('toilets', { south: 19, west: 72.8, north: 19.1, east: 72.9 });
+        expect(inBox.map(t => t.id).sort()).toEqual(['mid', 'near']);
+
+        const nearby = await adapter.findNear('toilets', { latitude: 19.0596, longitude: 72.8295 }, 2000);
+        expect(nearby.map(t => t.id)).toEqual(['near', 'mid']);
+        expect(nearby[0].distance).toBeLessThan(nearby[1].distance);
+
+        const viaQuery = await adapter.find('toilets', {
+            coordinates: { $near: { $geometry: { type: 'Point', coordinates: [72.8295, 19.0596] }, $maxDistance: 500 } }
+        });
+        expect(viaQuery.map(t => t.id)).toEqual(['near']);
+    });
+
+    test('should return k nearest neighbours without a radius', async () => {
+        await adapter.insert('toilets', makeToilet({ id: 'mumbai', coordinates: { latitude: 19.0760, longitude: 72.8777 } }));
+        await adapter.insert('toilets', makeToilet({ id: 'pune', type: 'private', coordinates: { latitude: 18.5204, longitude: 73.8567 } }));
+        await adapter.insert('toilets', makeToilet({ id: 'delhi', coordinates: { latitude: 28.6139, longitude: 77.2090 } }));
+
+        const center = { latitude: 19.0596, longitude: 72.8295 };
+        const nearest = await adapter.findNearest('toilets', center, 2);
+        expect(nearest.map(t => t.id)).toEqual(['mumbai', 'pune']);
+        expect(nearest[1].distance).toBeGreaterThan(100000);
+
+        const publicOnly = await adapter.findNearest('toilets', center, 2, { query: { type: 'public' } });
+        expect(publicOnly.map(t => t.id)).toEqual(['mumbai', 'delhi']);
+
+        const capped = await adapter.findNearest('toilets', center, 3, { maxDistance: 200000 });
+        expect(capped.map(t => t.id)).toEqual(['mumbai', 'pune']);
+    });
+
+    test('should rank text search results and keep them in step with writes', async () => {
+        await adapter.insert('toilets', makeToilet({ id: 's1', name: 'Bandra Station' }));
+        await adapter.insert('toilets', makeToilet({ id: 's2', name: 'Linking Road', type: 'private' }));
+
+        const hits = await adapter.search('toilets', 'bandra');
+        expect(hits.map(doc => doc.id)).toEqual(['s1', 's2']);
+        expect(hits[0].score).toBeGreaterThan(hits[1].score);
+
+        const filtered = await adapter.search('toilets', 'mumbai', { query: { type: 'private' } });
+        expect(filtered.map(doc => doc.id)).toEqual(['s2']);
+
+        await adapter.update('toilets', 's2', { name: 'Carter Road' });
+        expect((await adapter.search('toilets', 'carter')).map(doc => doc.id)).toEqual(['s2']);
+
+        await adapter.delete('toilets', 's1');
+        expect(await adapter.search('toilets', 'station')).toEqual([]);
+    });
+
+    test('should aggregate with $match and $group', async () => {
+        await adapter.insert('reviews', { id: 'r1', toiletId: 'x', rating: 4, createdAt: new Date() });
+        await adapter.insert('reviews', { id: 'r2', toiletId: 'x', rating: 2, createdAt: new Date() });
+        await adapter.insert('reviews', { id: 'r3', toiletId: 'y', rating: 5, createdAt: new Date() });
+
+        const result = await adapter.aggregate('reviews', [
+            { $match: { toiletId: 'x' } },
+            { $group: { _id: '$toiletId', avg: { $avg: '$rating' }, count: { $sum: 1 } } }
+        ]);
+        expect(result).toEqual([{ _id: 'x', avg: 3, count: 2 }]);
+    });
+
+    test('should reject unknown collections', async () => {
+        await expect(adapter.find('widgets', {})).rejects.toThrow('Unknown collection');
+    });
+});
+
+describe('Memory storage adapter', () => {
+    test('should not lose a plain write made while a transaction rolls back', async () => {
+        const adapter = new MemoryAdapter();
+        await adapter.insert('toilets', makeToilet({ id: 'mx1', name: 'Before' }));
+
+        let updated;
+        let release;
+        const started = new Promise(resolve => { updated = resolve; });
+        const paused = new Promise(resolve => { release = resolve; });
+        const rolledBack = adapter.transaction(async (tx) => {
+            await tx.update('toilets', 'mx1', { name: 'Rolled back' });
+            updated();
+            await paused;
+            throw new Error('abort');
+        });
+
+        await started;
+        const written = adapter.update('toilets', 'mx1', { verified: true });
+        release();
+
+        await expect(rolledBack).rejects.toThrow('abort');
+        await written;
+        expect(await adapter.findById('toilets', 'mx1')).toMatchObject({ name: 'Before', verified: true });
+        await adapter.delete('toilets', 'mx1');
+    });
+});
+
+describe('Models on the SQLite adapter', () => {
+    let adapter;
+
+    beforeEach(async () => {
+        adapter = createAdapter('sqlite', { filename: ':memory:' });
+        await adapter.connect();
+        setAdapter(adapter);
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+        setAdapter(new MemoryAdapter());
+    });
+
+    test('should round-trip models as class instances', async () => {
+        const toilet = await new Toilet(makeToilet({ id: 'sql-1' })).save();
+        await new Review({ toiletId: toilet.id, rating: 4, cleanliness: 4, maintenance: 3, accessibility: 5 }).save();
+
+        const found = await Toilet.findOne({ id: 'sql-1' });
+        expect(found).toBeInstanceOf(Toilet);
+        expect(await Toilet.countDocuments({ type: { $in: ['public'] } })).toBe(1);
+
+        const reviews = await Review.find({ toiletId: 'sql-1' });
+        expect(reviews).toHaveLength(1);
+        expect(reviews[0]).toBeInstanceOf(Review);
+
+        await Toilet.findByIdAndUpdate('sql-1', { averageRating: 4 });
+        expect((await Toilet.findById('sql-1')).averageRating).toBe(4);
+
+        expect(await found.remove()).toBe(true);
+        expect(await Toilet.findById('sql-1')).toBeNull();
+    });
+
+    test('should enforce unique user emails', async () => {
+        const user = await new User({ email: 'sqlite@example.com', password: 'password123' }).save();
+        expect(await (await User.findOne({ email: 'sqlite@example.com' })).comparePassword('password123')).toBe(true);
+
+        await expect(new User({ email: 'sqlite@example.com', password: 'other' }).save()).rejects.toThrow('Email already exists');
+        expect((await User.findById(user.id)).email).toBe('sqlite@example.com');
+    });
+
+    test('should reject unknown adapter names', () => {
+        expect(() => createAdapter('mongo')).toThrow('Unknown storage adapter');
+    });
+});
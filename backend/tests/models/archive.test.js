@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const toiletArchive = require('../../models/archive');
+const persistence = require('../../models/persistence');
+const Toilet = require('../../models/Toilet');
+const { toilets, toiletOperations, CACHE_CONFIG, getStorageStats } = require('../../models/storage');
+
+const createToilet = (index, overrides = {}) => new Toilet({
+    name: `Toilet ${index}`,
+    location: `Area ${index}, Mumbai`,
+    coordinates: { latitude: 19.0 + index * 0.001, longitude: 72.8 },
+    type: 'public',
+    averageRating: index,
+    ...overrides
+}).save();
+
+describe('Toilet archive tier', () => {
+    const originalLimit = CACHE_CONFIG.MAX_TOILETS_IN_MEMORY;
+    let dataDir;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toilet-archive-'));
+        await toiletArchive.open({ filename: path.join(dataDir, 'archive.sqlite') });
+        CACHE_CONFIG.MAX_TOILETS_IN_MEMORY = 10;
+    });
+
+    afterEach(async () => {
+        CACHE_CONFIG.MAX_TOILETS_IN_MEMORY = originalLimit;
+        await toiletArchive.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    // Toilets 1..11 with rating = index: adding the 11th evicts the three lowest rated
+    const fillPastLimit = async () => {
+        const created = [];
+        for (let i = 1; i <= 11; i++) {
+            created.push(await createToilet(i));
+        }
+        return created;
+    };
+
+    test('should move the lowest-priority toilets to the archive', async () => {
+        const created = await fillPastLimit();
+
+        expect(toilets).toHaveLength(8);
+        expect(toiletArchive.count()).toBe(3);
+        expect(toiletOperations.idMap.has(created[0].id)).toBe(false);
+
+        // The toilet that triggered eviction always stays hot
+        expect(toiletOperations.idMap.has(created[10].id)).toBe(true);
+
+        const stats = getStorageStats();
+        expect(stats.tiers).toMatchObject({ hot: 8, cold: 3, maxHot: 10 });
+        expect(stats.tiers.archive.archived).toBe(3);
+    });
+
+    test('should promote an archived toilet back into memory on findById', async () => {
+        const created = await fillPastLimit();
+
+        const found = await Toilet.findById(created[0].id);
+        expect(found).toBeInstanceOf(Toilet);
+        expect(found.name).toBe('Toilet 1');
+
+        expect(toiletOperations.idMap.has(created[0].id)).toBe(true);
+        expect(toiletArchive.count()).toBe(2);
+        expect(getStorageStats().tiers.archive.promoted).toBe(1);
+    });
+
+    test('should read an archived toilet without promoting it when asked to', async () => {
+        const created = await fillPastLimit();
+
+        const found = await Toilet.findById(created[0].id, { promote: false });
+        expect(found).toBeInstanceOf(Toilet);
+        expect(found.name).toBe('Toilet 1');
+
+        expect(toiletOperations.idMap.has(created[0].id)).toBe(false);
+        expect(toiletArchive.count()).toBe(3);
+    });
+
+    test('should include archived toilets in bounds and nearest queries', async () => {
+        const created = await fillPastLimit();
+
+        const inBounds = toiletOperations.findInBounds(18.9, 72.7, 19.1, 72.9, Infinity);
+        expect(inBounds).toHaveLength(11);
+
+        const nearest = toiletOperations.findNearest(19.0, 72.8, { limit: 2 });
+        expect(nearest.map(r => r.toilet.id)).toEqual([created[0].id, created[1].id]);
+        expect(nearest[0].distance).toBeLessThan(nearest[1].distance);
+
+        // Geo reads do not promote
+        expect(toiletArchive.count()).toBe(3);
+
+        const viaModel = await Toilet.find({ spatialBounds: { south: 18.9, west: 72.7, north: 19.002, east: 72.9 } });
+        expect(viaModel.map(t => t.id).sort()).toEqual([created[0].id, created[1].id].sort());
+    });
+
+    test('should delete archived toilets', async () => {
+        const created = await fillPastLimit();
+        const archived = new Toilet({ ...created[1] });
+
+        expect(await archived.remove()).toBe(true);
+        expect(toiletArchive.count()).toBe(2);
+        expect(await Toilet.findById(created[1].id)).toBeNull();
+    });
+
+    test('should keep everything in memory when no archive is open', async () => {
+        await toiletArchive.close();
+        await fillPastLimit();
+
+        expect(toilets).toHaveLength(11);
+    });
+
+    test('should drop archived copies of toilets that are also in memory on open', async () => {
+        const created = await fillPastLimit();
+        await toiletArchive.close();
+
+        // Simulate a crash after archiving but before the hot copy was dropped
+        toilets.push(new Toilet({ ...created[0] }));
+        await toiletArchive.open({ filename: path.join(dataDir, 'archive.sqlite') });
+
+        expect(toiletArchive.count()).toBe(2);
+        expect(toiletOperations.idMap.has(created[0].id)).toBe(true);
+    });
+
+    test('should record evictions and promotions in the WAL', async () => {
+        await persistence.init({ dataDir, snapshotInterval: -1, fsync: false });
+        try {
+            const created = await fillPastLimit();
+            await Toilet.findById(created[0].id);
+
+            // Restart the hot tier from disk: evicted toilets stay out, promoted ones come back
+            await persistence.close({ snapshot: false });
+            toilets.splice(0, toilets.length);
+            await persistence.init({ dataDir, snapshotInterval: -1, fsync: false });
+
+            expect(toilets).toHaveLength(9);
+            expect(toiletOperations.idMap.has(created[0].id)).toBe(true);
+            expect(toiletOperations.idMap.has(created[1].id)).toBe(false);
+        } finally {
+            await persistence.close({ snapshot: false });
+        }
+    });
+});
@@ -0,0 +1,55 @@
+const closures = require('../../models/closures');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('closures', () => {
+    const now = new Date('2024-06-05T12:00:00Z'); // a Wednesday
+    const at = (days) => new Date(now.getTime() + days * DAY).toISOString();
+
+    test('should validate and order closures', () => {
+        const { closures: stored } = closures.normalize([
+            { start: at(10), end: at(12), reason: '  Festival  ' },
+            { id: 'reno', start: at(1), end: at(3), recurring: null }
+        ]);
+        expect(stored.map(closure => closure.id)[0]).toBe('reno');
+        expect(stored[1]).toMatchObject({ reason: 'Festival', recurring: null });
+        expect(stored[1].id).toEqual(expect.any(String));
+
+        expect(closures.normalize(null)).toEqual({ closures: [] });
+        expect(closures.normalize('soon').errors).toEqual(['Closures must be a list']);
+        expect(closures.normalize([{ start: at(2), end: at(1) }]).errors[0]).toMatch(/end must be after start/);
+        expect(closures.normalize([{ start: 'tomorrow', end: at(1) }]).errors[0]).toMatch(/must be dates/);
+        expect(closures.normalize([{ start: at(0), end: at(1), recurring: 'daily' }]).errors[0]).toMatch(/recurring must be one of/);
+        expect(closures.normalize([{ start: at(0), end: at(8), recurring: 'weekly' }]).errors[0]).toMatch(/shorter than a week/);
+    });
+
+    test('should report a current closure, or one coming up soon', () => {
+        const current = closures.status([{ start: at(-1), end: at(2), reason: 'Renovation' }], now);
+        expect(current).toEqual({ closed: true, reason: 'Renovation', start: at(-1), end: at(2), recurring: null });
+        expect(closures.isClosed([{ start: at(-1), end: at(2) }], now)).toBe(true);
+
+        const soon = closures.status([{ start: at(3), end: at(4) }], now);
+        expect(soon).toMatchObject({ closed: false, start: at(3) });
+
+        expect(closures.status([{ start: at(30), end: at(31) }], now)).toBeNull();
+        expect(closures.status([{ start: at(-5), end: at(-4) }], now)).toBeNull();
+        expect(closures.status([], now)).toBeNull();
+    });
+
+    test('should repeat weekly closures every week', () => {
+        // Closed Mondays 09:00-13:00 since the start of the year
+        const weekly = [{ start: '2024-01-01T09:00:00Z', end: '2024-01-01T13:00:00Z', recurring: 'weekly' }];
+
+        expect(closures.isClosed(weekly, new Date('2024-06-03T10:00:00Z'))).toBe(true);
+        expect(closures.isClosed(weekly, new Date('2024-06-03T14:00:00Z'))).toBe(false);
+        expect(closures.status(weekly, now)).toMatchObject({ closed: false, start: '2024-06-10T09:00:00.000Z' });
+    });
+
+    test('should repeat yearly closures on the same dates', () => {
+        const festival = [{ start: '2022-10-20T00:00:00Z', end: '2022-10-27T00:00:00Z', recurring: 'yearly', reason: 'Festival' }];
+
+        expect(closures.isClosed(festival, new Date('2024-10-22T00:00:00Z'))).toBe(true);
+        expect(closures.isClosed(festival, new Date('2024-11-01T00:00:00Z'))).toBe(false);
+        expect(closures.occurrence(festival[0], new Date('2024-11-01T00:00:00Z')).start.toISOString()).toBe('2025-10-20T00:00:00.000Z');
+    });
+});
@@ -0,0 +1,53 @@
+const facilityTaxonomy = require('../../models/facilityTaxonomy');
+
+describe('facilityTaxonomy', () => {
+    test('should give every facility a known category, an icon and unique names', () => {
+        const categories = facilityTaxonomy.CATEGORIES.map(category => category.id);
+        const names = facilityTaxonomy.FACILITIES.flatMap(facility => [facility.id, ...facility.aliases]);
+
+        facilityTaxonomy.FACILITIES.forEach(facility => {
+            expect(categories).toContain(facility.category);
+            expect(facility.icon).toBeTruthy();
+        });
+        expect(new Set(names).size).toBe(names.length);
+    });
+
+    test('should map aliases and display names to ids', () => {
+        expect(facilityTaxonomy.canonical('handicap')).toBe('wheelchair');
+        expect(facilityTaxonomy.canonical('Baby Change')).toBe('baby_change');
+        expect(facilityTaxonomy.canonical('wheelchair-accessible')).toBe('wheelchair');
+        expect(facilityTaxonomy.canonical('jacuzzi')).toBeNull();
+        expect(facilityTaxonomy.namesFor('wheelchair')).toEqual(expect.arrayContaining(['wheelchair', 'handicap', 'accessible']));
+    });
+
+    test('should reject unknown facilities and drop retired ones', () => {
+        expect(facilityTaxonomy.normalize(['handicap', 'wheelchair', 'shower', 'opening_hours_available'])).toEqual({
+            facilities: ['wheelchair', 'shower']
+        });
+        expect(facilityTaxonomy.normalize(['shower', 'jacuzzi', 'sauna']).errors).toEqual(['Unknown facilities: jacuzzi, sauna']);
+        expect(facilityTaxonomy.normalize('shower').errors).toEqual(['Facilities must be an array']);
+        expect(facilityTaxonomy.canonicalize(['handicap', 'jacuzzi'])).toEqual(['wheelchair']);
+    });
+
+    test('should read facilities from OSM tags', () => {
+        expect(facilityTaxonomy.fromOsmTags({
+            wheelchair: 'designated',
+            changing_table: 'yes',
+            'toilets:position': 'seated;urinal',
+            'toilets:hand_drying': 'paper_towel',
+            unisex: 'no',
+            access: 'customers'
+        })).toEqual(['wheelchair', 'baby_change', 'seated_toilet', 'urinal', 'paper_towel']);
+        expect(facilityTaxonomy.fromOsmTags({ amenity: 'toilets' })).toEqual([]);
+    });
+
+    test('should describe the taxonomy with OSM tags instead of matchers', () => {
+        const { categories, facilities } = facilityTaxonomy.describe();
+        const wheelchair = facilities.find(facility => facility.id === 'wheelchair');
+
+        expect(categories).toEqual(facilityTaxonomy.CATEGORIES);
+        expect(wheelchair).toMatchObject({ category: 'accessibility', name: 'Wheelchair Accessible', icon: '♿' });
+        expect(wheelchair.osmTags).toEqual(['wheelchair=yes', 'wheelchair=designated']);
+        expect(wheelchair.osm).toBeUndefined();
+    });
+});
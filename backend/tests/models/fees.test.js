@@ -0,0 +1,76 @@
+const fees = require('../../models/fees');
+
+describe('fees', () => {
+    describe('parseCharge', () => {
+        test('should read amounts with a currency before or after', () => {
+            expect(fees.parseCharge('5 INR')).toEqual({ amount: 5, currency: 'INR', unit: 'per_use' });
+            expect(fees.parseCharge('INR 5')).toEqual({ amount: 5, currency: 'INR', unit: 'per_use' });
+            expect(fees.parseCharge('₹10')).toEqual({ amount: 10, currency: 'INR', unit: 'per_use' });
+            expect(fees.parseCharge('Rs. 2.50/use')).toEqual({ amount: 2.5, currency: 'INR', unit: 'per_use' });
+            expect(fees.parseCharge('€0.50 per use').currency).toBe('EUR');
+            expect(fees.parseCharge('5').currency).toBe('INR');
+        });
+
+        test('should keep the cheapest of several charges as per service', () => {
+            expect(fees.parseCharge('2 INR (urinal); 5 INR (toilet)')).toEqual({ amount: 2, currency: 'INR', unit: 'per_service' });
+        });
+
+        test('should give up on charges it cannot read', () => {
+            expect(fees.parseCharge('5-10 INR')).toBeNull();
+            expect(fees.parseCharge('1 USD; 5 INR')).toBeNull();
+            expect(fees.parseCharge('cheap')).toBeNull();
+        });
+    });
+
+    describe('fromOsmTags', () => {
+        test('should combine fee, charge, payment and access tags', () => {
+            expect(fees.fromOsmTags({
+                fee: 'yes',
+                charge: '5 INR',
+                'payment:coins': 'yes',
+                'payment:upi': 'yes',
+                'payment:cards': 'no',
+                access: 'customers'
+            })).toEqual({
+                required: true,
+                amount: 5,
+                currency: 'INR',
+                unit: 'per_use',
+                paymentMethods: ['cash', 'upi'],
+                customersOnly: true
+            });
+        });
+
+        test('should treat fee=no as free and a charge alone as paid', () => {
+            expect(fees.fromOsmTags({ fee: 'no', charge: '5 INR' })).toMatchObject({ required: false, amount: 0 });
+            expect(fees.fromOsmTags({ charge: '₹2' })).toMatchObject({ required: true, amount: 2 });
+            expect(fees.fromOsmTags({ fee: 'yes' })).toMatchObject({ required: true, amount: null });
+        });
+
+        test('should return null when no tag mentions fees', () => {
+            expect(fees.fromOsmTags({ amenity: 'toilets', wheelchair: 'yes' })).toBeNull();
+            expect(fees.fromOsmTags()).toBeNull();
+        });
+    });
+
+    describe('normalize', () => {
+        test('should fill in defaults and order payment methods', () => {
+            expect(fees.normalize({ required: true, amount: '5', paymentMethods: ['upi', 'cash'] })).toEqual({
+                fee: { required: true, amount: 5, currency: 'INR', unit: 'per_use', paymentMethods: ['cash', 'upi'], customersOnly: false }
+            });
+            expect(fees.normalize({ required: false }).fee).toMatchObject({ amount: 0, paymentMethods: [] });
+            expect(fees.normalize({ customersOnly: true }).fee).toMatchObject({ required: null, amount: null, customersOnly: true });
+            expect(fees.normalize(null)).toEqual({ fee: null });
+        });
+
+        test('should reject malformed fees', () => {
+            expect(fees.normalize('5 INR').errors).toHaveLength(1);
+            expect(fees.normalize({ required: 'yes' }).errors[0]).toContain('required');
+            expect(fees.normalize({ required: true, amount: -1 }).errors[0]).toContain('amount');
+            expect(fees.normalize({ required: false, amount: 5 }).errors[0]).toContain('free');
+            expect(fees.normalize({ required: true, currency: 'rupees' }).errors[0]).toContain('currency');
+            expect(fees.normalize({ required: true, unit: 'per_hour' }).errors[0]).toContain('unit');
+            expect(fees.normalize({ required: true, paymentMethods: ['cheque'] }).errors[0]).toContain('Payment methods');
+        });
+    });
+});
@@ -0,0 +1,99 @@
+const openingHours = require('../../models/openingHours');
+
+// 2026-10-19 is a Monday; Asia/Kolkata is UTC+05:30
+const ist = (localTime) => new Date(`${localTime}+05:30`);
+
+describe('openingHours', () => {
+    afterEach(() => {
+        openingHours.setHolidays([]);
+    });
+
+    describe('parse', () => {
+        test('should parse OSM rules into days and intervals', () => {
+            const { hours } = openingHours.parse('Mo-Fr 08:00-20:00; Sa,Su 10:00-14:00; PH off');
+
+            expect(hours).toMatchObject({ timezone: 'Asia/Kolkata', alwaysOpen: false });
+            expect(hours.rules).toEqual([
+                { days: ['Mo', 'Tu', 'We', 'Th', 'Fr'], holiday: false, intervals: [{ open: '08:00', close: '20:00' }] },
+                { days: ['Sa', 'Su'], holiday: false, intervals: [{ open: '10:00', close: '14:00' }] },
+                { days: [], holiday: true, intervals: [] }
+            ]);
+        });
+
+        test('should emit a canonical OSM value', () => {
+            expect(openingHours.parse('mo-sa 09:00-18:00 ; ph off').hours.osm).toBe('Mo-Sa 09:00-18:00; PH off');
+            expect(openingHours.parse('06:00-12:00, 16:00-23:00').hours.osm).toBe('06:00-12:00,16:00-23:00');
+            expect(openingHours.parse('Mo,Tu,We,Fr 07:00-09:00').hours.osm).toBe('Mo-We,Fr 07:00-09:00');
+            expect(openingHours.parse('Su').hours.osm).toBe('Su 00:00-24:00');
+            expect(openingHours.parse(' 24/7 ').hours).toEqual({ osm: '24/7', timezone: 'Asia/Kolkata', alwaysOpen: true, rules: [] });
+        });
+
+        test('should reject syntax it does not support', () => {
+            expect(openingHours.parse('Mo-Fr 08:00+').errors[0]).toContain('Unsupported time range');
+            expect(openingHours.parse('Xy 08:00-10:00').errors[0]).toContain('Unknown day "Xy"');
+            expect(openingHours.parse('Mo 25:00-26:00').errors).toHaveLength(1);
+            expect(openingHours.parse('sunrise-sunset').errors).toHaveLength(1);
+            expect(openingHours.parse('10:00-12:00', 'Mars/Olympus').errors).toEqual(['Unknown timezone "Mars/Olympus"']);
+            expect(openingHours.normalize(42).errors).toHaveLength(1);
+        });
+
+        test('should accept { osm, timezone } and clear on null', () => {
+            const { hours } = openingHours.normalize({ osm: 'Mo-Fr 09:00-17:00', timezone: 'Europe/London' });
+            expect(hours.timezone).toBe('Europe/London');
+            expect(openingHours.normalize(null)).toEqual({ hours: null });
+            expect(openingHours.normalize('')).toEqual({ hours: null });
+        });
+    });
+
+    describe('status', () => {
+        const weekdays = openingHours.parse('Mo-Fr 08:00-20:00; Sa 10:00-14:00; PH off').hours;
+
+        test('should report open, closing soon and closed in local time', () => {
+            expect(openingHours.status(weekdays, ist('2026-10-19T09:00'))).toEqual({
+                state: 'open', nextChange: '20:00', minutesToChange: 660
+            });
+            expect(openingHours.status(weekdays, ist('2026-10-19T19:45')).state).toBe('closing_soon');
+            expect(openingHours.status(weekdays, ist('2026-10-19T21:00'))).toEqual({
+                state: 'closed', nextChange: 'Tu 08:00', minutesToChange: 660
+            });
+            expect(openingHours.status(weekdays, ist('2026-10-18T12:00'))).toMatchObject({
+                state: 'closed', nextChange: 'Mo 08:00'
+            });
+        });
+
+        test('should use the timezone of the opening hours', () => {
+            const london = openingHours.normalize({ osm: 'Mo-Fr 09:00-17:00', timezone: 'Europe/London' }).hours;
+
+            // 10:00 in Mumbai is 05:30 in London (BST)
+            expect(openingHours.status(london, ist('2026-10-19T10:00')).state).toBe('closed');
+            expect(openingHours.status(london, ist('2026-10-19T15:00')).state).toBe('open');
+        });
+
+        test('should close on public holidays with a PH rule', () => {
+            openingHours.setHolidays(['2026-10-19']);
+
+            expect(openingHours.status(weekdays, ist('2026-10-19T09:00'))).toMatchObject({
+                state: 'closed', nextChange: 'Tu 08:00'
+            });
+        });
+
+        test('should follow hours past midnight and round the clock', () => {
+            const night = openingHours.parse('Mo-Su 22:00-02:00').hours;
+            expect(openingHours.status(night, ist('2026-10-20T01:00'))).toMatchObject({ state: 'open', nextChange: '02:00' });
+            expect(openingHours.status(night, ist('2026-10-20T01:45')).state).toBe('closing_soon');
+
+            // Back-to-back days never close, so there is no closing time
+            expect(openingHours.status(openingHours.parse('00:00-24:00').hours, ist('2026-10-19T23:50'))).toEqual({
+                state: 'open', nextChange: null, minutesToChange: null
+            });
+            expect(openingHours.status('24/7').state).toBe('open');
+        });
+
+        test('should be unknown without usable hours', () => {
+            expect(openingHours.status(null).state).toBe('unknown');
+            expect(openingHours.status('by appointment').state).toBe('unknown');
+            expect(openingHours.isOpen(openingHours.status(null))).toBeNull();
+            expect(openingHours.isOpen(openingHours.status('off'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const persistence = require('../../models/persistence');
+const Toilet = require('../../models/Toilet');
+const Review = require('../../models/Review');
+const User = require('../../models/User');
+const { getAdapter } = require('../../models/adapters');
+const TrashService = require('../../services/TrashService');
+const { users, toilets, reviews, trash, toiletOperations, toiletIndexes } = require('../../models/storage');
+
+const clearStorage = () => {
+    users.splice(0, users.length);
+    toilets.splice(0, toilets.length);
+    reviews.splice(0, reviews.length);
+    trash.splice(0, trash.length);
+    toiletOperations.rebuildIndexes();
+};
+
+// Simulate a process restart: drop in-memory state and reload from disk
+const restart = async (dataDir, options = {}) => {
+    await persistence.close({ snapshot: options.snapshot || false });
+    clearStorage();
+    await persistence.init({ dataDir, snapshotInterval: -1 });
+};
+
+describe('Persistence (WAL + snapshots)', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toilet-persistence-'));
+        await persistence.init({ dataDir, snapshotInterval: -1, fsync: false });
+    });
+
+    afterEach(async () => {
+        await persistence.close({ snapshot: false });
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('should restore toilets, reviews and users after restart', async () => {
+        const toilet = new Toilet({
+            name: 'Persistent Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            type: 'private'
+        });
+        await toilet.save();
+
+        await new Review({
+            toiletId: toilet.id,
+            rating: 4,
+            cleanliness: 4,
+            maintenance: 3,
+            accessibility: 5,
+            comment: 'Still here after restart'
+        }).save();
+
+        await new User({ email: 'admin@example.com', password: 'password123', role: 'admin' }).save();
+
+        await restart(dataDir);
+
+        expect(toilets).toHaveLength(1);
+        expect(reviews).toHaveLength(1);
+        expect(users).toHaveLength(1);
+
+        const restored = await Toilet.findById(toilet.id);
+        expect(restored.name).toBe('Persistent Toilet');
+        expect(restored.createdAt).toBeInstanceOf(Date);
+
+        const [review] = await Review.find({ toiletId: toilet.id });
+        expect(review.toObject().comment).toBe('Still here after restart');
+
+        const user = await User.findOne({ email: 'admin@example.com' });
+        expect(await user.comparePassword('password123')).toBe(true);
+    });
+
+    test('should rebuild secondary indexes from disk', async () => {
+        await new Toilet({ name: 'Station Toilet', location: 'CST, Mumbai', type: 'public', source: 'osm' }).save();
+
+        await restart(dataDir);
+
+        const [toilet] = toilets;
+        expect(toiletOperations.idMap.get(toilet.id)).toBe(toilet);
+        expect(toiletIndexes.byType.get('public').has(toilet.id)).toBe(true);
+        expect(toiletIndexes.bySource.get('osm').has(toilet.id)).toBe(true);
+        expect(toiletIndexes.byLocation.get('mumbai').has(toilet.id)).toBe(true);
+    });
+
+    test('should replay deletes and updates', async () => {
+        const keep = new Toilet({ name: 'Keep', location: 'Pune' });
+        const drop = new Toilet({ name: 'Drop', location: 'Pune' });
+        await keep.save();
+        await drop.save();
+
+        await Toilet.findByIdAndUpdate(keep.id, { name: 'Kept' });
+        await drop.remove();
+
+        await restart(dataDir);
+
+        expect(toilets).toHaveLength(1);
+        expect(toilets[0].name).toBe('Kept');
+    });
+
+    test('should replay a transaction as one batch', async () => {
+        const toilet = new Toilet({ name: 'Batched', location: 'Pune' });
+        await toilet.save();
+
+        await getAdapter().transaction(async (tx) => {
+            await tx.insert('reviews', new Review({ toiletId: toilet.id, rating: 5, cleanliness: 5, maintenance: 5, accessibility: 5 }));
+            await tx.update('toilets', toilet.id, { totalReviews: 1 });
+        });
+
+        const wal = fs.readFileSync(path.join(dataDir, 'wal.log'), 'utf8').trim().split('\n');
+        expect(wal[wal.length - 1]).toContain('"op":"batch"');
+
+        await restart(dataDir);
+
+        expect(reviews).toHaveLength(1);
+        expect(toilets[0].totalReviews).toBe(1);
+    });
+
+    test('should keep trashed records deleted after restart', async () => {
+        const toilet = new Toilet({ name: 'Trashed', location: 'Nagpur' });
+        await toilet.save();
+        await TrashService.trashToilet(toilet.id, 'admin-1');
+
+        await restart(dataDir);
+
+        expect(toilets).toHaveLength(0);
+        expect(trash).toHaveLength(1);
+        expect(trash[0].deletedAt).toBeInstanceOf(Date);
+        expect(await TrashService.purge({ now: new Date(Date.now() + 31 * 24 * 60 * 60 * 1000), retentionDays: 30 })).toBe(1);
+    });
+
+    test('should ignore a torn trailing WAL record', async () => {
+        await new Toilet({ name: 'Committed', location: 'Delhi' }).save();
+
+        await persistence.close({ snapshot: false });
+        fs.appendFileSync(path.join(dataDir, 'wal.log'), '0000 {"seq":99,"collection":"toi');
+        clearStorage();
+        await persistence.init({ dataDir, snapshotInterval: -1 });
+
+        expect(toilets).toHaveLength(1);
+        expect(toilets[0].name).toBe('Committed');
+
+        // The torn bytes are truncated so new appends stay readable
+        await new Toilet({ name: 'After Crash', location: 'Delhi' }).save();
+        await restart(dataDir);
+        expect(toilets.map(t => t.name).sort()).toEqual(['After Crash', 'Committed']);
+    });
+
+    test('should compact the WAL into a snapshot', async () => {
+        await new Toilet({ name: 'Snapshotted', location: 'Chennai' }).save();
+
+        await persistence.compact();
+
+        expect(fs.existsSync(path.join(dataDir, 'snapshot.json'))).toBe(true);
+        expect(fs.readFileSync(path.join(dataDir, 'wal.log'), 'utf8')).toBe('');
+
+        await new Toilet({ name: 'After Snapshot', location: 'Chennai' }).save();
+        await restart(dataDir);
+
+        expect(toilets.map(t => t.name).sort()).toEqual(['After Snapshot', 'Snapshotted']);
+    });
+
+    test('should reject a snapshot with a bad checksum', async () => {
+        await new Toilet({ name: 'Tampered', location: 'Bangalore' }).save();
+        await persistence.close({ snapshot: true });
+
+        const snapshotFile = path.join(dataDir, 'snapshot.json');
+        const snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+        snapshot.collections.toilets[0].name = 'Changed';
+        fs.writeFileSync(snapshotFile, JSON.stringify(snapshot));
+
+        clearStorage();
+        await expect(persistence.init({ dataDir, snapshotInterval: -1 })).rejects.toThrow('checksum');
+    });
+});
@@ -0,0 +1,43 @@
+const roles = require('../../models/roles');
+
+describe('roles', () => {
+    const admin = { id: 'a1', role: 'admin' };
+    const operator = { id: 'o1', role: 'operator' };
+    const user = { id: 'u1', role: 'user' };
+    const owned = { id: 't1', operatorIds: ['o1'] };
+    const unowned = { id: 't2' };
+
+    test('should grant permissions in the scope of the role', () => {
+        expect(roles.scope(admin, 'toilet:update')).toBe('any');
+        expect(roles.scope(operator, 'toilet:update')).toBe('own');
+        expect(roles.scope(user, 'toilet:update')).toBeNull();
+        expect(roles.scope(user, 'claim:create')).toBe('any');
+        expect(roles.scope(null, 'claim:create')).toBeNull();
+        expect(roles.scope({ id: 'r1', role: 'reviewer' }, 'claim:create')).toBeNull();
+        expect(roles.scope(admin, 'toilet:fly')).toBeNull();
+    });
+
+    test('should limit operators to the toilets they operate', () => {
+        expect(roles.can(operator, 'toilet:update', owned)).toBe(true);
+        expect(roles.can(operator, 'toilet:update', unowned)).toBe(false);
+        expect(roles.can(operator, 'toilet:update')).toBe(false);
+        expect(roles.can(admin, 'toilet:update', unowned)).toBe(true);
+        expect(roles.can(operator, 'claim:review', owned)).toBe(false);
+    });
+
+    test('should check anonymous requests as guests', () => {
+        expect(roles.can(null, 'toilet:read')).toBe(true);
+        expect(roles.can(null, 'review:export')).toBe(false);
+        expect(roles.can({ id: 'm1', role: 'moderator' }, 'review:export')).toBe(true);
+        expect(roles.permissionsOf('guest')).not.toHaveProperty('claim:create');
+    });
+
+    test('should only let users assign roles ranked below their own', () => {
+        const superAdmin = { id: 's1', role: 'super-admin' };
+        expect(roles.canAssign(admin, 'moderator')).toBe(true);
+        expect(roles.canAssign(admin, 'admin')).toBe(false);
+        expect(roles.canAssign(superAdmin, 'super-admin')).toBe(true);
+        expect(roles.canAssign(superAdmin, 'guest')).toBe(false);
+        expect(roles.canAssign(operator, 'user')).toBe(false);
+    });
+});
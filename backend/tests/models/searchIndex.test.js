@@ -0,0 +1,89 @@
+const SearchIndex = require('../../models/searchIndex');
+const { normalize, editDistance } = require('../../models/searchIndex');
+const { toiletOperations } = require('../../models/storage');
+const Toilet = require('../../models/Toilet');
+
+const ids = (results) => results.map(r => r.id);
+
+describe('SearchIndex', () => {
+    describe('normalize', () => {
+        test('should lowercase, strip diacritics and drop stop words', () => {
+            expect(normalize('Café near the Toilet, Rd. 5')).toEqual(normalize('cafe road 5'));
+            expect(normalize('the toilet')).toEqual([]);
+        });
+
+        test('should fold common transliteration variants together', () => {
+            expect(normalize('Chowpatty')).toEqual(normalize('chaupati'));
+            expect(normalize('Shivaji')).toEqual(normalize('sivaji'));
+            expect(normalize('Gandhi')).toEqual(normalize('gandi'));
+            expect(normalize('Colaba')).toEqual(normalize('kolaba'));
+        });
+
+        test('should map old city names to current ones', () => {
+            expect(normalize('Bombay')).toEqual(normalize('Mumbai'));
+            expect(normalize('Bangalore')).toEqual(normalize('bengaluru'));
+        });
+
+        test('should keep non-Latin scripts', () => {
+            expect(normalize('मुंबई सेंट्रल')).toHaveLength(2);
+        });
+    });
+
+    test('editDistance should count transpositions as one edit', () => {
+        expect(editDistance('station', 'staiton', 2)).toBe(1);
+        expect(editDistance('market', 'marker', 2)).toBe(1);
+        expect(editDistance('abc', 'xyz', 1)).toBe(2);
+    });
+
+    describe('search', () => {
+        let index;
+
+        beforeEach(() => {
+            index = new SearchIndex();
+            index.add('cst', { name: 'CST Station Toilet', location: 'Fort, Mumbai', facilities: ['wheelchair'] });
+            index.add('chowpatty', { name: 'Girgaon Chowpatty', location: 'Marine Drive, Bombay' });
+            index.add('market', { name: 'Crawford Market', location: 'Fort, Mumbai', description: 'Near the station' });
+        });
+
+        test('should weight name matches above location and description', () => {
+            expect(ids(index.search('station'))).toEqual(['cst', 'market']);
+        });
+
+        test('should match prefixes and typos', () => {
+            expect(ids(index.search('craw'))).toEqual(['market']);
+            expect(ids(index.search('staiton'))).toEqual(['cst', 'market']);
+        });
+
+        test('should match transliteration variants and old city names', () => {
+            expect(ids(index.search('chaupati mumbai'))[0]).toBe('chowpatty');
+        });
+
+        test('should rank documents matching every term first', () => {
+            expect(ids(index.search('fort market'))[0]).toBe('market');
+        });
+
+        test('should honour filter and forget removed documents', () => {
+            expect(ids(index.search('fort', { filter: id => id !== 'cst' }))).toEqual(['market']);
+
+            index.remove('market');
+            expect(ids(index.search('crawford'))).toEqual([]);
+            expect(index.size).toBe(2);
+        });
+    });
+
+    test('toilet writes should keep the storage search index in step', async () => {
+        const toilet = await new Toilet({
+            name: 'Dadar Station',
+            location: 'Dadar West, Mumbai',
+            coordinates: { latitude: 19.018, longitude: 72.843 }
+        }).save();
+
+        expect(toiletOperations.search('dadar').map(r => r.toilet.id)).toEqual([toilet.id]);
+
+        await Toilet.findByIdAndUpdate(toilet.id, { name: 'Matunga Station' });
+        expect(toiletOperations.search('matunga')).toHaveLength(1);
+
+        await toilet.remove();
+        expect(toiletOperations.search('matunga')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,152 @@
+const SpatialIndex = require('../../models/spatialIndex');
+const { toiletOperations, toiletIndexes } = require('../../models/storage');
+const { distanceMeters } = require('../../models/adapters/query');
+const Toilet = require('../../models/Toilet');
+
+// Deterministic pseudo-random points spread over India
+const seededRandom = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+};
+
+const randomPoints = (count, random) => Array.from({ length: count }, (_, i) => ({
+    id: `p${i}`,
+    latitude: 8 + random() * 25,
+    longitude: 68 + random() * 29
+}));
+
+const bruteForceBounds = (points, { south, west, north, east }) => points
+    .filter(p => p.latitude >= south && p.latitude <= north && p.longitude >= west && p.longitude <= east)
+    .map(p => p.id)
+    .sort();
+
+const bruteForceNearest = (points, latitude, longitude, limit, maxDistance) => points
+    .map(p => ({ id: p.id, distance: distanceMeters(latitude, longitude, p.latitude, p.longitude) }))
+    .filter(p => p.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+
+// Every leaf must sit at the same depth
+const leafDepths = (node, depth = 1) => (node.leaf ? [depth] : node.children.flatMap(child => leafDepths(child, depth + 1)));
+
+describe('SpatialIndex (R-tree)', () => {
+    describe.each(['insert', 'load'])('built with %s', (mode) => {
+        let index;
+        let points;
+        let random;
+
+        beforeEach(() => {
+            random = seededRandom(42);
+            points = randomPoints(2000, random);
+            index = new SpatialIndex();
+            if (mode === 'load') {
+                index.load(points);
+            } else {
+                points.forEach(p => index.insert(p.id, p.latitude, p.longitude));
+            }
+        });
+
+        test('should stay balanced', () => {
+            expect(index.size).toBe(2000);
+            expect(new Set(leafDepths(index.root)).size).toBe(1);
+        });
+
+        test('should match a linear scan for bounding boxes', () => {
+            for (let i = 0; i < 50; i++) {
+                const south = 8 + random() * 25;
+                const west = 68 + random() * 29;
+                const bounds = { south, west, north: south + random() * 4, east: west + random() * 4 };
+                expect(index.search(bounds).sort()).toEqual(bruteForceBounds(points, bounds));
+            }
+        });
+
+        test('should return the true k nearest points sorted by distance', () => {
+            for (let i = 0; i < 50; i++) {
+                const latitude = 8 + random() * 25;
+                const longitude = 68 + random() * 29;
+                const limit = 1 + Math.floor(random() * 15);
+                const maxDistance = random() < 0.5 ? Infinity : random() * 200000;
+
+                const expected = bruteForceNearest(points, latitude, longitude, limit, maxDistance);
+                const actual = index.nearest(latitude, longitude, { limit, maxDistance });
+
+                expect(actual.map(r => r.id)).toEqual(expected.map(r => r.id));
+                actual.forEach((result, j) => expect(result.distance).toBeCloseTo(expected[j].distance, 3));
+            }
+        });
+
+        test('should apply the filter before the limit', () => {
+            const even = (id) => Number(id.substring(1)) % 2 === 0;
+            const results = index.nearest(19.07, 72.87, { limit: 5, filter: even });
+
+            expect(results).toHaveLength(5);
+            expect(results.every(r => even(r.id))).toBe(true);
+        });
+
+        test('should keep results correct after removals and moves', () => {
+            points.slice(0, 800).forEach(p => index.remove(p.id));
+            const remaining = points.slice(800);
+            remaining.slice(0, 200).forEach(p => {
+                p.latitude = 8 + random() * 25;
+                index.insert(p.id, p.latitude, p.longitude);
+            });
+
+            expect(index.size).toBe(1200);
+            expect(new Set(leafDepths(index.root)).size).toBe(1);
+
+            const bounds = { south: 15, west: 72, north: 22, east: 80 };
+            expect(index.search(bounds).sort()).toEqual(bruteForceBounds(remaining, bounds));
+
+            const expected = bruteForceNearest(remaining, 19.07, 72.87, 10, Infinity);
+            expect(index.nearest(19.07, 72.87, { limit: 10 }).map(r => r.id)).toEqual(expected.map(r => r.id));
+        });
+    });
+
+    test('should handle an empty index', () => {
+        const index = new SpatialIndex();
+        expect(index.search({ south: -90, west: -180, north: 90, east: 180 })).toEqual([]);
+        expect(index.nearest(0, 0, { limit: 3 })).toEqual([]);
+        expect(index.remove('missing')).toBe(false);
+    });
+});
+
+describe('Toilet spatial queries', () => {
+    const createToilet = (name, latitude, longitude, type = 'public') => new Toilet({
+        name,
+        location: `${name}, Mumbai`,
+        coordinates: { latitude, longitude },
+        type
+    }).save();
+
+    test('should index toilets on save and drop them on remove', async () => {
+        const toilet = await createToilet('Indexed', 19.0596, 72.8295);
+        expect(toiletIndexes.byCoordinates.size).toBe(1);
+
+        await toilet.remove();
+        expect(toiletIndexes.byCoordinates.size).toBe(0);
+        expect(toiletOperations.findInBounds(19, 72.8, 19.1, 72.9)).toEqual([]);
+    });
+
+    test('should move a toilet in the index when its coordinates change', async () => {
+        const toilet = await createToilet('Moving', 19.0596, 72.8295);
+        await Toilet.findByIdAndUpdate(toilet.id, { coordinates: { latitude: 28.6139, longitude: 77.2090 } });
+
+        expect(toiletOperations.findInBounds(19, 72.8, 19.1, 72.9)).toEqual([]);
+        expect(toiletOperations.findInBounds(28.5, 77.1, 28.7, 77.3).map(t => t.id)).toEqual([toilet.id]);
+    });
+
+    test('should return nearest toilets closest first with distances', async () => {
+        const far = await createToilet('Far', 19.1000, 72.8295);
+        const near = await createToilet('Near', 19.0600, 72.8295, 'private');
+        const mid = await createToilet('Mid', 19.0700, 72.8295);
+
+        const nearest = toiletOperations.findNearest(19.0596, 72.8295, { limit: 2 });
+        expect(nearest.map(r => r.toilet.id)).toEqual([near.id, mid.id]);
+        expect(nearest[0].distance).toBeLessThan(nearest[1].distance);
+
+        const publicOnly = toiletOperations.findNearest(19.0596, 72.8295, { filter: t => t.type === 'public' });
+        expect(publicOnly.map(r => r.toilet.id)).toEqual([mid.id, far.id]);
+
+        expect(toiletOperations.findNear(19.0596, 72.8295, 2000).map(t => t.id)).toEqual([near.id, mid.id]);
+    });
+});
@@ -0,0 +1,194 @@
+const request = require('supertest');
+const express = require('express');
+const authRoutes = require('../../routes/auth');
+const toiletRoutes = require('../../routes/toilets');
+const reviewRoutes = require('../../routes/reviews');
+const auditRoutes = require('../../routes/audit');
+const Toilet = require('../../models/Toilet');
+const User = require('../../models/User');
+const { audit, toiletOperations } = require('../../models/storage');
+const { requestId } = require('../../middleware/requestId');
+const SessionService = require('../../services/SessionService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use(requestId);
+app.use('/api/auth', authRoutes);
+app.use('/api/toilet', toiletRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/admin/audit', auditRoutes);
+
+describe('Audit Log', () => {
+    let adminUser;
+    let token;
+    let toilet;
+
+    const auditLog = (query = '') => request(app)
+        .get(`/api/admin/audit${query}`)
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+        toiletOperations.rebuildIndexes();
+
+        adminUser = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+        await adminUser.save();
+        token = (await SessionService.start(adminUser)).token;
+
+        toilet = new Toilet({
+            name: 'Dadar Station Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            type: 'public',
+            verified: false
+        });
+        await toilet.save();
+    });
+
+    test('should record who changed a toilet with before and after snapshots', async () => {
+        await request(app)
+            .put(`/api/toilet/${toilet.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('X-Request-Id', 'req-123')
+            .set('User-Agent', 'audit-test')
+            .send({ name: 'Dadar West Toilet' })
+            .expect(200);
+
+        expect(audit).toHaveLength(1);
+        const [entry] = audit;
+        expect(entry).toMatchObject({
+            action: 'toilet.update',
+            actorId: adminUser.id,
+            actorEmail: 'admin@example.com',
+            actorRole: 'admin',
+            targetType: 'toilet',
+            targetId: toilet.id,
+            requestId: 'req-123',
+            userAgent: 'audit-test'
+        });
+        expect(entry.ip).toBeTruthy();
+        expect(entry.before.name).toBe('Dadar Station Toilet');
+        expect(entry.after.name).toBe('Dadar West Toilet');
+    });
+
+    test('should record verification and deletion as their own actions', async () => {
+        await request(app)
+            .put(`/api/toilet/${toilet.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ verified: true })
+            .expect(200);
+        await request(app)
+            .delete(`/api/toilet/${toilet.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect(audit.map(entry => entry.action)).toEqual(['toilet.verify', 'toilet.delete']);
+        expect(audit[1].before.id).toBe(toilet.id);
+        expect(audit[1].after).toBeNull();
+        expect(audit[1].details.trashId).toBe(`toilets:${toilet.id}`);
+    });
+
+    test('should record anonymous review changes with no actor', async () => {
+        const submitted = await request(app)
+            .post('/api/review/submit')
+            .send({ toiletId: toilet.id, rating: 4, cleanliness: 4, maintenance: 4, accessibility: 4 })
+            .expect(201);
+        await request(app)
+            .delete(`/api/review/${submitted.body.review.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect(audit[0]).toMatchObject({ action: 'review.create', actorId: null, targetId: submitted.body.review.id });
+        expect(audit[1]).toMatchObject({ action: 'review.delete', actorId: adminUser.id });
+        expect(audit[1].before.rating).toBe(4);
+    });
+
+    test('should record registrations and logins without passwords', async () => {
+        await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'new@example.com', password: 'password123' })
+            .expect(201);
+        await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'new@example.com', password: 'wrong-password' })
+            .expect(401);
+
+        expect(audit.map(entry => entry.action)).toEqual(['user.register', 'auth.login_failed']);
+        expect(audit[0].actorEmail).toBe('new@example.com');
+        expect(audit[0].after.password).toBeUndefined();
+        expect(audit[1]).toMatchObject({ actorId: null, details: { email: 'new@example.com', reason: 'wrong_password' } });
+        expect(JSON.stringify(audit)).not.toContain('wrong-password');
+    });
+
+    test('should filter and paginate the audit log for admins', async () => {
+        for (const name of ['First', 'Second', 'Third']) {
+            await request(app)
+                .put(`/api/toilet/${toilet.id}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name })
+                .expect(200);
+        }
+        await request(app)
+            .post('/api/review/submit')
+            .send({ toiletId: toilet.id, rating: 5, cleanliness: 5, maintenance: 5, accessibility: 5 })
+            .expect(201);
+
+        const updates = await auditLog(`?action=toilet.update&targetId=${toilet.id}&limit=2`).expect(200);
+        expect(updates.body.data.map(entry => entry.after.name)).toEqual(['Third', 'Second']);
+        expect(updates.body.pagination).toMatchObject({ total: 3, hasMore: true });
+
+        const next = await auditLog(`?action=toilet.update&limit=2&cursor=${updates.body.pagination.nextCursor}`).expect(200);
+        expect(next.body.data.map(entry => entry.after.name)).toEqual(['First']);
+
+        const byActor = await auditLog(`?actorId=${adminUser.id}`).expect(200);
+        expect(byActor.body.pagination.total).toBe(3);
+
+        const future = await auditLog(`?from=${new Date(Date.now() + 60000).toISOString()}`).expect(200);
+        expect(future.body.data).toHaveLength(0);
+
+        const invalid = await auditLog('?targetType=planet&from=yesterday').expect(400);
+        expect(invalid.body.errors).toHaveLength(2);
+    });
+
+    test('should export the audit log as CSV and NDJSON', async () => {
+        await request(app)
+            .put(`/api/toilet/${toilet.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Dadar, "West"' })
+            .expect(200);
+
+        const csv = await request(app)
+            .get('/api/admin/audit/export.csv')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(csv.headers['content-type']).toContain('text/csv');
+        expect(csv.headers['x-export-count']).toBe('1');
+        const [header, row] = csv.text.trim().split('\n');
+        expect(header).toBe('id,createdAt,action,actorId,actorEmail,actorRole,targetType,targetId,ip,requestId,userAgent,before,after,details');
+        expect(row).toContain('toilet.update');
+
+        const ndjson = await request(app)
+            .get('/api/admin/audit/export?format=ndjson')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        const lines = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toHaveLength(1);
+        expect(lines[0].after.name).toBe('Dadar, "West"');
+
+        await request(app)
+            .get('/api/admin/audit/export.xml')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(400);
+    });
+
+    test('should require an admin to read the audit log', async () => {
+        const user = new User({ email: 'user@example.com', password: 'password123', role: 'user' });
+        await user.save();
+
+        await request(app).get('/api/admin/audit').expect(401);
+        await request(app)
+            .get('/api/admin/audit/export.csv')
+            .set('Authorization', `Bearer ${(await SessionService.start(user)).token}`)
+            .expect(403);
+    });
+});
@@ -36,7 +36,7 @@ describe('Auth Routes', () => {
 
             expect(response.body.token).toBeDefined();
             expect(response.body.user.email).toBe('test@example.com');
-            expect(response.body.user.role).toBe('admin'); // Default for registration
+            expect(response.body.user.role).toBe('user'); // Default for registration
             expect(response.body.user.id).toBeDefined();
         });
 
@@ -130,7 +130,7 @@ describe('Auth Routes', () => {
 
             expect(response.body.token).toBeDefined();
             expect(response.body.user.email).toBe('test@example.com');
-            expect(response.body.user.role).toBe('admin');
+            expect(response.body.user.role).toBe('user');
         });
 
         test('should return 401 for wrong password', async () => {
@@ -220,7 +220,9 @@ describe('Auth Routes', () => {
                 .expect(200);
 
             expect(response.body.email).toBe('test@example.com');
-            expect(response.body.role).toBe('admin');
+            expect(response.body.role).toBe('user');
+            expect(response.body.permissions).toMatchObject({ 'claim:create': 'any', 'review:submit': 'any' });
+            expect(response.body.permissions['user:manage']).toBeUndefined();
             expect(response.body.id).toBeDefined();
             expect(response.body.password).toBeUndefined(); // Should not include password
         });
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const backupRoutes = require('../../routes/backups');
+const BackupService = require('../../services/BackupService');
+const Toilet = require('../../models/Toilet');
+const Review = require('../../models/Review');
+const User = require('../../models/User');
+const storage = require('../../models/storage');
+const { COLLECTIONS } = require('../../models/adapters/StorageAdapter');
+const { users, toilets, reviews, photos, toiletOperations } = storage;
+const SessionService = require('../../services/SessionService');
+
+// Create test app
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+app.use('/api/admin/backups', backupRoutes);
+
+describe('Backup Routes', () => {
+    let backupDir;
+    let token;
+    let toilet;
+
+    beforeEach(async () => {
+        backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toilet-backups-'));
+        BackupService.DIR = backupDir;
+        toiletOperations.rebuildIndexes();
+
+        const adminUser = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+        await adminUser.save();
+        token = (await SessionService.start(adminUser)).token;
+
+        toilet = new Toilet({
+            name: 'Dadar Station Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            type: 'public'
+        });
+        await toilet.save();
+
+        await new Review({
+            toiletId: toilet.id,
+            rating: 4,
+            cleanliness: 4,
+            maintenance: 3,
+            accessibility: 5,
+            comment: 'Clean enough'
+        }).save();
+    });
+
+    afterEach(() => {
+        fs.rmSync(backupDir, { recursive: true, force: true });
+    });
+
+    const createBackup = async () => {
+        const res = await request(app)
+            .post('/api/admin/backups')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(201);
+        return res.body.backup;
+    };
+
+    test('should reject users who are not admins', async () => {
+        const user = new User({ email: 'user@example.com', password: 'password123' });
+        await user.save();
+
+        await request(app)
+            .post('/api/admin/backups')
+            .set('Authorization', `Bearer ${(await SessionService.start(user)).token}`)
+            .expect(403);
+        expect(fs.readdirSync(backupDir)).toHaveLength(0);
+    });
+
+    test('should write a checksummed archive and list it', async () => {
+        const backup = await createBackup();
+
+        expect(backup.reason).toBe('manual');
+        expect(backup.counts).toEqual({ users: 1, toilets: 1, reviews: 1, trash: 0, revisions: 0, photos: 0, incidents: 0, claims: 0 });
+
+        const archive = JSON.parse(fs.readFileSync(path.join(backupDir, backup.name), 'utf8'));
+        expect(archive.format).toBe('toilet-review-backup');
+        expect(archive.version).toBe(1);
+        expect(archive.checksum).toBe(BackupService.checksum(archive));
+        expect(archive.collections.toilets[0].name).toBe('Dadar Station Toilet');
+        expect(archive.indexes.byType.public).toEqual([toilet.id]);
+
+        const res = await request(app)
+            .get('/api/admin/backups')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(res.body.backups.map(item => item.name)).toEqual([backup.name]);
+        expect(res.body.backups[0].createdAt).toBe(backup.createdAt);
+    });
+
+    test('should report changes on a dry run without touching the data', async () => {
+        const backup = await createBackup();
+        await new Toilet({ name: 'Added Later', location: 'Bandra, Mumbai', type: 'private' }).save();
+
+        const res = await request(app)
+            .post('/api/admin/backups/restore')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: backup.name, dryRun: true })
+            .expect(200);
+
+        expect(res.body.dryRun).toBe(true);
+        expect(res.body.plan.toilets).toEqual({ current: 2, backup: 1, added: 0, removed: 1, changed: 0 });
+        expect(toilets).toHaveLength(2);
+        expect(fs.readdirSync(backupDir)).toEqual([backup.name]);
+    });
+
+    test('should restore the data and indexes after a toilet is deleted', async () => {
+        const backup = await createBackup();
+        await toilet.remove();
+        reviews.splice(0, reviews.length);
+        expect(toiletOperations.findByType('public')).toHaveLength(0);
+
+        const res = await request(app)
+            .post('/api/admin/backups/restore')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: backup.name })
+            .expect(200);
+
+        expect(res.body.plan.toilets.added).toBe(1);
+        expect(toilets.findById(toilet.id).name).toBe('Dadar Station Toilet');
+        expect(toilets.findById(toilet.id)).toBeInstanceOf(Toilet);
+        expect(toiletOperations.findByType('public').map(found => found.id)).toEqual([toilet.id]);
+        expect(reviews).toHaveLength(1);
+        expect(users).toHaveLength(1);
+
+        // The data it replaced is kept as a pre-restore backup
+        expect(BackupService.resolve(res.body.preRestoreBackup)).not.toBeNull();
+        expect(res.body.preRestoreBackup).toMatch(/-pre-restore\.json$/);
+    });
+
+    test('should bring back every backed-up collection and leave the rest alone', async () => {
+        expect([...BackupService.COLLECTIONS, 'audit', 'sessions'].sort()).toEqual([...COLLECTIONS].sort());
+
+        ['trash', 'revisions', 'photos', 'incidents', 'claims', 'audit'].forEach(name => {
+            storage[name].push({ id: `${name}-1`, toiletId: toilet.id, createdAt: new Date() });
+        });
+        const contents = (name) => JSON.parse(JSON.stringify(storage[name]));
+        const before = Object.fromEntries(COLLECTIONS.map(name => [name, contents(name)]));
+        const backup = await createBackup();
+
+        await toilet.remove();
+        BackupService.COLLECTIONS.filter(name => name !== 'toilets').forEach(name => storage[name].splice(0, storage[name].length));
+
+        const restored = await BackupService.restore(BackupService.readFile(BackupService.resolve(backup.name)));
+        expect(restored.errors).toBeUndefined();
+
+        BackupService.COLLECTIONS.forEach(name => {
+            expect(contents(name)).toEqual(before[name]);
+        });
+        expect(contents('sessions')).toEqual(before.sessions);
+        expect(contents('audit')).toEqual(expect.arrayContaining(before.audit));
+    });
+
+    test('should reject an archive whose checksum does not match', async () => {
+        const backup = await createBackup();
+        const archive = JSON.parse(fs.readFileSync(path.join(backupDir, backup.name), 'utf8'));
+        archive.collections.toilets[0].name = 'Tampered';
+        await new Toilet({ name: 'Added Later', location: 'Bandra, Mumbai', type: 'private' }).save();
+
+        const res = await request(app)
+            .post('/api/admin/backups/restore')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ archive })
+            .expect(400);
+
+        expect(res.body.errors).toEqual(['Backup checksum mismatch; the file is corrupted or was edited']);
+        expect(toilets).toHaveLength(2);
+    });
+
+    test('should restore archives written before photos were backed up', async () => {
+        const backup = await createBackup();
+        const archive = JSON.parse(fs.readFileSync(path.join(backupDir, backup.name), 'utf8'));
+        delete archive.collections.photos;
+        delete archive.counts.photos;
+        archive.checksum = BackupService.checksum(archive);
+        photos.push({ id: 'photo-1', toiletId: toilet.id, status: 'approved' });
+
+        const res = await request(app)
+            .post('/api/admin/backups/restore')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ archive })
+            .expect(200);
+
+        expect(res.body.warnings).toEqual(['Backup predates photos; restoring it leaves none']);
+        expect(res.body.plan.photos).toEqual({ current: 1, backup: 0, added: 0, removed: 1, changed: 0 });
+        expect(photos).toHaveLength(0);
+        expect(toilets.findById(toilet.id).name).toBe('Dadar Station Toilet');
+    });
+
+    test('should not serve files outside the backup directory', async () => {
+        fs.writeFileSync(path.join(backupDir, 'secret.json'), '{}');
+
+        await request(app)
+            .get('/api/admin/backups/secret.json')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(404);
+        await request(app)
+            .post('/api/admin/backups/restore')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: '../snapshot.json' })
+            .expect(404);
+    });
+
+    test('should keep only the newest scheduled backups', () => {
+        const names = [
+            'backup-2024-01-01T02-00-00-000Z-scheduled.json',
+            'backup-2024-01-02T02-00-00-000Z-scheduled.json',
+            'backup-2024-01-03T02-00-00-000Z-scheduled.json',
+            'backup-2023-12-31T09-00-00-000Z-manual.json'
+        ];
+        names.forEach(name => fs.writeFileSync(path.join(backupDir, name), '{}'));
+
+        const removed = BackupService.prune(2);
+
+        expect(removed).toEqual(['backup-2024-01-01T02-00-00-000Z-scheduled.json']);
+        expect(BackupService.list().map(backup => backup.name)).toEqual([
+            'backup-2024-01-03T02-00-00-000Z-scheduled.json',
+            'backup-2024-01-02T02-00-00-000Z-scheduled.json',
+            'backup-2023-12-31T09-00-00-000Z-manual.json'
+        ]);
+    });
+});
@@ -0,0 +1,195 @@
+const request = require('supertest');
+const express = require('express');
+const toiletRoutes = require('../../routes/toilets');
+const claimRoutes = require('../../routes/claims');
+const incidentRoutes = require('../../routes/incidents');
+const Toilet = require('../../models/Toilet');
+const User = require('../../models/User');
+const { audit, revisions, toiletOperations } = require('../../models/storage');
+const SessionService = require('../../services/SessionService');
+
+// Create test app
+const app = express();
+app.set('trust proxy', true);
+app.use(express.json());
+app.use('/api/toilet', toiletRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/admin/incidents', incidentRoutes);
+
+const EVIDENCE = { businessName: 'Phoenix Mall Pvt Ltd', phone: '+91 22 5555 0100', documentUrl: 'https://example.com/licence.pdf' };
+
+describe('Claim Routes', () => {
+    let adminToken;
+    let owner;
+    let ownerToken;
+    let mall;
+    let other;
+
+    const asUser = (token) => ({ Authorization: `Bearer ${token}` });
+
+    const claim = (toiletId, evidence = EVIDENCE, token = ownerToken) => request(app)
+        .post('/api/claims')
+        .set(asUser(token))
+        .send({ toiletId, evidence });
+
+    beforeEach(async () => {
+        toiletOperations.rebuildIndexes();
+
+        const adminUser = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+        await adminUser.save();
+        adminToken = (await SessionService.start(adminUser)).token;
+
+        owner = new User({ email: 'manager@phoenix.example', password: 'password123' });
+        await owner.save();
+        ownerToken = (await SessionService.start(owner)).token;
+
+        mall = new Toilet({
+            name: 'Phoenix Mall Restroom',
+            location: 'Lower Parel, Mumbai',
+            coordinates: { latitude: 18.9947, longitude: 72.8258 },
+            type: 'private'
+        });
+        await mall.save();
+        other = new Toilet({
+            name: 'Cafe Restroom',
+            location: 'Worli, Mumbai',
+            coordinates: { latitude: 19.0096, longitude: 72.8177 },
+            type: 'private'
+        });
+        await other.save();
+    });
+
+    const approveClaim = async () => {
+        const submitted = await claim(mall.id).expect(201);
+        await request(app)
+            .post(`/api/claims/${submitted.body.data.id}/approve`)
+            .set(asUser(adminToken))
+            .send({ note: 'Licence checked' })
+            .expect(200);
+        return submitted.body.data.id;
+    };
+
+    test('should validate claims', async () => {
+        await request(app).post('/api/claims').send({ toiletId: mall.id, evidence: EVIDENCE }).expect(401);
+
+        const invalid = await claim(mall.id, { businessName: 'Phoenix', documentUrl: 'ftp://example.com' }).expect(400);
+        expect(invalid.body.errors).toEqual(['phone is required', 'documentUrl must be an http(s) link']);
+        await claim('missing').expect(404);
+
+        const station = new Toilet({
+            name: 'Dadar Station Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            type: 'public'
+        });
+        await station.save();
+        const publicClaim = await claim(station.id).expect(409);
+        expect(publicClaim.body.message).toBe('Only private toilets can be claimed');
+
+        const submitted = await claim(mall.id).expect(201);
+        expect(submitted.body.data).toMatchObject({ status: 'pending', userId: owner.id, evidence: { ...EVIDENCE, contactName: null, note: null } });
+        await claim(mall.id).expect(409);
+    });
+
+    test('should let admins approve a claim, making the claimant an operator', async () => {
+        const submitted = await claim(mall.id).expect(201);
+
+        await request(app).get('/api/claims').set(asUser(ownerToken)).expect(403);
+        await request(app).post(`/api/claims/${submitted.body.data.id}/approve`).set(asUser(ownerToken)).expect(403);
+
+        const pending = await request(app).get('/api/claims?status=pending').set(asUser(adminToken)).expect(200);
+        expect(pending.body.data).toEqual([expect.objectContaining({ toiletName: 'Phoenix Mall Restroom', userEmail: 'manager@phoenix.example' })]);
+
+        const approved = await request(app)
+            .post(`/api/claims/${submitted.body.data.id}/approve`)
+            .set(asUser(adminToken))
+            .send({ note: 'Licence checked' })
+            .expect(200);
+        expect(approved.body.data).toMatchObject({ status: 'approved', decisionNote: 'Licence checked' });
+        await request(app).post(`/api/claims/${submitted.body.data.id}/reject`).set(asUser(adminToken)).expect(409);
+
+        expect((await User.findById(owner.id)).role).toBe('operator');
+        expect((await Toilet.findById(mall.id)).operatorIds).toEqual([owner.id]);
+        expect(audit.map(entry => entry.action)).toEqual(['claim.submit', 'claim.approve']);
+
+        const mine = await request(app).get('/api/claims/mine').set(asUser(ownerToken)).expect(200);
+        expect(mine.body.data[0].toilet).toMatchObject({ id: mall.id, name: 'Phoenix Mall Restroom' });
+    });
+
+    test('should only approve claims from roles that can operate toilets', async () => {
+        const reviewer = new User({ email: 'reviewer@example.com', password: 'password123', role: 'reviewer' });
+        await reviewer.save();
+        await claim(mall.id, EVIDENCE, (await SessionService.start(reviewer)).token).expect(403);
+
+        // Promoted to moderator while the claim was pending
+        const submitted = await claim(mall.id).expect(201);
+        await User.findByIdAndUpdate(owner.id, { role: 'moderator' });
+        const approve = () => request(app)
+            .post(`/api/claims/${submitted.body.data.id}/approve`)
+            .set(asUser(adminToken));
+
+        const stale = await approve().expect(409);
+        expect(stale.body.message).toBe('A moderator cannot operate toilets');
+        expect((await Toilet.findById(mall.id)).operatorIds).toEqual([]);
+        expect((await User.findById(owner.id)).role).toBe('moderator');
+
+        // Roles that update toilets keep theirs
+        await User.findByIdAndUpdate(owner.id, { role: 'admin' });
+        await approve().expect(200);
+        expect((await User.findById(owner.id)).role).toBe('admin');
+        expect((await Toilet.findById(mall.id)).operatorIds).toEqual([owner.id]);
+    });
+
+    test('should let operators update only their own toilets and fields', async () => {
+        await request(app).put(`/api/toilet/${mall.id}`).set(asUser(ownerToken)).send({ description: 'Level 2' }).expect(403);
+        await approveClaim();
+
+        const updated = await request(app)
+            .put(`/api/toilet/${mall.id}`)
+            .set(asUser(ownerToken))
+            .send({ description: 'Level 2, near the food court', openingHours: 'Mo-Su 10:00-22:00' })
+            .expect(200);
+        expect(updated.body.data.description).toBe('Level 2, near the food court');
+        expect(revisions[revisions.length - 1]).toMatchObject({ source: 'operator', actorId: owner.id });
+
+        const denied = await request(app)
+            .put(`/api/toilet/${mall.id}`)
+            .set(asUser(ownerToken))
+            .send({ verified: false, coordinates: { latitude: 0, longitude: 0 } })
+            .expect(403);
+        expect(denied.body.errors).toEqual(['verified cannot be changed', 'coordinates cannot be changed']);
+
+        await request(app).put(`/api/toilet/${other.id}`).set(asUser(ownerToken)).send({ description: 'Mine now' }).expect(403);
+        await request(app).put('/api/toilet/missing').set(asUser(ownerToken)).send({ description: 'Mine now' }).expect(404);
+    });
+
+    test('should let operators see and resolve incidents on their toilets only', async () => {
+        await approveClaim();
+        const mallIncident = await request(app).post(`/api/toilet/${mall.id}/incidents`).send({ type: 'no_water' }).expect(201);
+        const otherIncident = await request(app).post(`/api/toilet/${other.id}/incidents`).send({ type: 'locked' }).expect(201);
+
+        const list = await request(app).get('/api/admin/incidents').set(asUser(ownerToken)).expect(200);
+        expect(list.body.data.map(incident => incident.id)).toEqual([mallIncident.body.data.id]);
+        const filtered = await request(app).get(`/api/admin/incidents?toiletId=${other.id}`).set(asUser(ownerToken)).expect(200);
+        expect(filtered.body.data).toEqual([]);
+
+        await request(app).post(`/api/admin/incidents/${otherIncident.body.data.id}/resolve`).set(asUser(ownerToken)).expect(403);
+        const resolved = await request(app)
+            .post(`/api/admin/incidents/${mallIncident.body.data.id}/resolve`)
+            .set(asUser(ownerToken))
+            .send({ resolution: 'Tank refilled' })
+            .expect(200);
+        expect(resolved.body.data.status).toBe('resolved');
+    });
+
+    test('should take operator rights back when a claim is revoked', async () => {
+        const id = await approveClaim();
+
+        await request(app).post(`/api/claims/${id}/revoke`).set(asUser(adminToken)).expect(200);
+
+        expect((await User.findById(owner.id)).role).toBe('user');
+        expect((await Toilet.findById(mall.id)).operatorIds).toEqual([]);
+        await request(app).put(`/api/toilet/${mall.id}`).set(asUser(ownerToken)).send({ description: 'Level 2' }).expect(403);
+        await request(app).get('/api/admin/incidents').set(asUser(ownerToken)).expect(403);
+    });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const express = require('express');
+const toiletRoutes = require('../../routes/toilets');
+const incidentRoutes = require('../../routes/incidents');
+const IncidentService = require('../../services/IncidentService');
+const TrashService = require('../../services/TrashService');
+const Toilet = require('../../models/Toilet');
+const User = require('../../models/User');
+const { incidents, audit, toiletOperations } = require('../../models/storage');
+const SessionService = require('../../services/SessionService');
+
+// Create test app; trust proxy lets tests report from different addresses
+const app = express();
+app.set('trust proxy', true);
+app.use(express.json());
+app.use('/api/toilet', toiletRoutes);
+app.use('/api/admin/incidents', incidentRoutes);
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Incident Routes', () => {
+    let adminUser;
+    let token;
+    let toilet;
+
+    const report = (body, ip = '10.0.0.1') => request(app)
+        .post(`/api/toilet/${toilet.id}/incidents`)
+        .set('X-Forwarded-For', ip)
+        .send(body);
+
+    beforeEach(async () => {
+        toiletOperations.rebuildIndexes();
+
+        adminUser = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+        await adminUser.save();
+        token = (await SessionService.start(adminUser)).token;
+
+        toilet = new Toilet({
+            name: 'Dadar Station Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            type: 'public'
+        });
+        await toilet.save();
+    });
+
+    test('should list the incident types', async () => {
+        const res = await request(app).get('/api/toilet/incident-types').expect(200);
+        expect(res.body.data.map(type => type.id)).toEqual(expect.arrayContaining(['locked', 'no_water', 'flooded', 'out_of_order']));
+    });
+
+    test('should open an incident and confirm it on further reports', async () => {
+        const first = await report({ type: 'locked', note: 'Padlocked at 9pm' }).expect(201);
+        expect(first.body.data).toMatchObject({ type: 'locked', reports: 1, active: true, confirmed: false, note: 'Padlocked at 9pm' });
+        expect(first.body.liveStatus.state).toBe('degraded');
+
+        // The same reporter counts once
+        const again = await report({ type: 'locked' }).expect(200);
+        expect(again.body.data.reports).toBe(1);
+
+        const confirmed = await request(app)
+            .post(`/api/toilet/${toilet.id}/incidents/${first.body.data.id}/confirm`)
+            .set('X-Forwarded-For', '10.0.0.2')
+            .expect(200);
+        expect(confirmed.body.data).toMatchObject({ reports: 2, confirmed: true });
+        expect(confirmed.body.liveStatus.state).toBe('unavailable');
+
+        expect(incidents).toHaveLength(1);
+        expect(incidents[0].reports.every(entry => !entry.reporter.includes('10.0.0'))).toBe(true);
+        expect(audit.map(entry => entry.action)).toEqual(['incident.report', 'incident.confirm', 'incident.confirm']);
+    });
+
+    test('should validate reports', async () => {
+        const res = await report({ type: 'haunted' }).expect(400);
+        expect(res.body.errors[0]).toMatch(/type must be one of/);
+        await report({}).expect(400);
+        await request(app).post('/api/toilet/missing/incidents').send({ type: 'locked' }).expect(404);
+    });
+
+    test('should show the live status on the map, the toilet and the live status overlay', async () => {
+        await report({ type: 'no_water' }).expect(201);
+
+        const map = await request(app).get('/api/toilet/map').expect(200);
+        const onMap = map.body.data.find(entry => entry.id === toilet.id);
+        expect(onMap.liveStatus.state).toBe('degraded');
+        expect(onMap.liveStatus.incidents[0].type).toBe('no_water');
+
+        const detail = await request(app).get(`/api/toilet/${toilet.id}`).expect(200);
+        expect(detail.body.data.liveStatus.state).toBe('degraded');
+
+        const listed = await request(app).get(`/api/toilet/${toilet.id}/incidents`).expect(200);
+        expect(listed.body.data).toHaveLength(1);
+
+        const inView = await request(app).get('/api/toilet/live-status?bounds=18.9,72.7,19.1,72.9').expect(200);
+        expect(inView.body.data).toEqual([{ toiletId: toilet.id, liveStatus: expect.objectContaining({ state: 'degraded' }), closure: null }]);
+        const elsewhere = await request(app).get('/api/toilet/live-status?bounds=28.5,77.0,28.7,77.3').expect(200);
+        expect(elsewhere.body.data).toEqual([]);
+        await request(app).get('/api/toilet/live-status?bounds=north').expect(400);
+    });
+
+    test('should list toilets without coordinates in the live status overlay', async () => {
+        const unplaced = new Toilet({ name: 'Unplaced Toilet', location: 'Somewhere, Mumbai', type: 'public' });
+        await unplaced.save();
+        await report({ type: 'locked' }).expect(201);
+        await request(app).post(`/api/toilet/${unplaced.id}/incidents`).send({ type: 'flooded' }).expect(201);
+
+        const all = await request(app).get('/api/toilet/live-status').expect(200);
+        expect(all.body.data.map(entry => entry.toiletId).sort()).toEqual([toilet.id, unplaced.id].sort());
+
+        const inView = await request(app).get('/api/toilet/live-status?bounds=18.9,72.7,19.1,72.9').expect(200);
+        expect(inView.body.data.map(entry => entry.toiletId)).toEqual([toilet.id]);
+    });
+
+    test('should expire decayed incidents and start afresh on a new report', async () => {
+        const later = () => new Date(Date.now() + 48 * HOUR);
+        await report({ type: 'locked' }).expect(201);
+
+        expect(await IncidentService.expire({ now: new Date() })).toBe(0);
+        expect(await IncidentService.expire({ now: later() })).toBe(1);
+        expect(incidents[0].status).toBe('expired');
+
+        const map = await request(app).get('/api/toilet/map').expect(200);
+        expect(map.body.data.find(entry => entry.id === toilet.id).liveStatus).toEqual({ state: 'ok', incidents: [] });
+
+        await report({ type: 'locked' }).expect(201);
+        expect(incidents.map(incident => incident.status).sort()).toEqual(['expired', 'open']);
+    });
+
+    test('should let admins list and resolve incidents', async () => {
+        const reported = await report({ type: 'flooded' }).expect(201);
+        const id = reported.body.data.id;
+
+        await request(app).get('/api/admin/incidents').expect(401);
+        const list = await request(app)
+            .get('/api/admin/incidents?status=open')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(list.body.data).toEqual([expect.objectContaining({ id, toiletName: 'Dadar Station Toilet', active: true })]);
+        await request(app)
+            .get('/api/admin/incidents?status=closed')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(400);
+
+        const resolved = await request(app)
+            .post(`/api/admin/incidents/${id}/resolve`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ resolution: 'Drain cleared' })
+            .expect(200);
+        expect(resolved.body.data).toMatchObject({ status: 'resolved', active: false, resolution: 'Drain cleared' });
+        expect(audit.find(entry => entry.action === 'incident.resolve').before.status).toBe('open');
+
+        await request(app)
+            .post(`/api/admin/incidents/${id}/resolve`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(409);
+        await request(app)
+            .post(`/api/toilet/${toilet.id}/incidents/${id}/confirm`)
+            .expect(409);
+
+        const status = await request(app).get(`/api/toilet/${toilet.id}/incidents`).expect(200);
+        expect(status.body.liveStatus.state).toBe('ok');
+    });
+
+    test('should delete a toilet\'s incidents when it is purged from the trash', async () => {
+        await report({ type: 'locked' }).expect(201);
+        await TrashService.trashToilet(toilet.id, adminUser.id);
+        await TrashService.purge({ now: new Date(Date.now() + 31 * 24 * HOUR), retentionDays: 30 });
+        expect(incidents).toHaveLength(0);
+    });
+});
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const express = require('express');
+const toiletRoutes = require('../../routes/toilets');
+const reviewRoutes = require('../../routes/reviews');
+const photoRoutes = require('../../routes/photos');
+const PhotoService = require('../../services/PhotoService');
+const TrashService = require('../../services/TrashService');
+const Toilet = require('../../models/Toilet');
+const User = require('../../models/User');
+const { photos, audit, toiletOperations } = require('../../models/storage');
+const SessionService = require('../../services/SessionService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/toilet', toiletRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/admin/photos', photoRoutes);
+
+// A JPEG carrying camera and GPS metadata
+const photoWithExif = () => sharp({
+    create: { width: 800, height: 600, channels: 3, background: { r: 200, g: 120, b: 40 } }
+})
+    .withExif({
+        IFD0: { Make: 'TestCam' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '19/1 1/1 4/1', GPSLongitudeRef: 'E', GPSLongitude: '72/1 50/1 52/1' }
+    })
+    .jpeg()
+    .toBuffer();
+
+describe('Photo Routes', () => {
+    let photoDir;
+    let adminUser;
+    let token;
+    let toilet;
+    let image;
+
+    const submitReview = (files, auth) => {
+        const req = request(app).post('/api/review/submit');
+        if (auth) req.set('Authorization', `Bearer ${auth}`);
+        req.field('toiletId', toilet.id)
+            .field('rating', '4')
+            .field('cleanliness', '4')
+            .field('maintenance', '3')
+            .field('accessibility', '5')
+            .field('comment', 'Clean, see photo');
+        files.forEach(([buffer, filename]) => req.attach('photos', buffer, filename));
+        return req;
+    };
+
+    beforeEach(async () => {
+        photoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toilet-photos-'));
+        PhotoService.DIR = photoDir;
+        toiletOperations.rebuildIndexes();
+
+        adminUser = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+        await adminUser.save();
+        token = (await SessionService.start(adminUser)).token;
+
+        toilet = new Toilet({
+            name: 'Dadar Station Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            type: 'public'
+        });
+        await toilet.save();
+
+        image = await photoWithExif();
+    });
+
+    afterEach(() => {
+        fs.rmSync(photoDir, { recursive: true, force: true });
+    });
+
+    test('should store review photos as pending, stripped of metadata, with a thumbnail', async () => {
+        expect((await sharp(image).metadata()).exif).toBeDefined();
+
+        const res = await submitReview([[image, 'stall.jpg']]).expect(201);
+
+        expect(res.body.review.rating).toBe(4);
+        expect(res.body.review.photos).toHaveLength(1);
+        const photo = res.body.review.photos[0];
+        expect(photo.status).toBe('pending');
+        expect(photo.reviewId).toBe(res.body.review.id);
+        expect(photo.toiletId).toBe(toilet.id);
+
+        const stored = await sharp(PhotoService.filePath(photo.id)).metadata();
+        expect(stored.format).toBe('jpeg');
+        expect(stored.exif).toBeUndefined();
+        expect([stored.width, stored.height]).toEqual([800, 600]);
+
+        const thumbnail = await sharp(PhotoService.filePath(photo.id, 'thumbnail')).metadata();
+        expect([thumbnail.width, thumbnail.height]).toEqual([PhotoService.THUMBNAIL_SIZE, PhotoService.THUMBNAIL_SIZE]);
+
+        // Pending photos are not public
+        await request(app).get(photo.url).expect(404);
+        const listed = await request(app).get(`/api/toilet/${toilet.id}/photos`).expect(200);
+        expect(listed.body.data).toEqual([]);
+        const reviewList = await request(app).get(`/api/review/toilet/${toilet.id}`).expect(200);
+        expect(reviewList.body[0].photos).toEqual([]);
+    });
+
+    test('should show approved photos in listings and serve their files', async () => {
+        const submitted = await submitReview([[image, 'stall.jpg']]).expect(201);
+        const photoId = submitted.body.review.photos[0].id;
+
+        const pending = await request(app)
+            .get('/api/admin/photos?status=pending')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(pending.body.data.map(photo => photo.id)).toEqual([photoId]);
+        await request(app)
+            .get(`/api/admin/photos/${photoId}/thumbnail`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect('Content-Type', /jpeg/)
+            .expect(200);
+
+        const approved = await request(app)
+            .post(`/api/admin/photos/${photoId}/approve`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(approved.body.data.status).toBe('approved');
+        expect(audit.find(entry => entry.action === 'photo.approve').targetId).toBe(photoId);
+
+        const listed = await request(app).get(`/api/toilet/${toilet.id}/photos`).expect(200);
+        expect(listed.body.data.map(photo => photo.id)).toEqual([photoId]);
+        const reviewList = await request(app).get(`/api/review/toilet/${toilet.id}`).expect(200);
+        expect(reviewList.body[0].photos.map(photo => photo.id)).toEqual([photoId]);
+
+        const file = await request(app).get(`/api/toilet/photos/${photoId}/thumbnail`).expect(200);
+        expect(file.headers['content-type']).toMatch(/jpeg/);
+        expect(file.headers['cache-control']).toMatch(/max-age/);
+    });
+
+    test('should hide rejected photos and record the reason', async () => {
+        const submitted = await submitReview([[image, 'stall.jpg']]).expect(201);
+        const photoId = submitted.body.review.photos[0].id;
+
+        const rejected = await request(app)
+            .post(`/api/admin/photos/${photoId}/reject`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ reason: 'Shows a person' })
+            .expect(200);
+        expect(rejected.body.data).toMatchObject({ status: 'rejected', rejectionReason: 'Shows a person' });
+
+        await request(app).get(`/api/toilet/photos/${photoId}`).expect(404);
+        const adminReviews = await request(app)
+            .get(`/api/review/toilet/${toilet.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(adminReviews.body[0].photos[0].status).toBe('rejected');
+    });
+
+    test('should approve photos uploaded by admins straight away', async () => {
+        const res = await submitReview([[image, 'stall.jpg']], token).expect(201);
+        expect(res.body.review.photos[0].status).toBe('approved');
+    });
+
+    test('should reject files that are not images without storing the review', async () => {
+        const res = await submitReview([[image, 'stall.jpg'], [Buffer.from('not an image'), 'notes.txt']]).expect(400);
+
+        expect(res.body.errors).toEqual(['notes.txt is not a JPEG, PNG or WebP image']);
+        const reviewList = await request(app).get(`/api/review/toilet/${toilet.id}`).expect(200);
+        expect(reviewList.body).toEqual([]);
+        expect(photos).toHaveLength(0);
+        expect(fs.readdirSync(photoDir)).toEqual([]);
+    });
+
+    test('should not keep the review or its rating when its photos cannot be stored', async () => {
+        const insert = jest.spyOn(PhotoService, 'insert').mockRejectedValueOnce(new Error('disk full'));
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            await submitReview([[image, 'stall.jpg']]).expect(500);
+        } finally {
+            insert.mockRestore();
+            error.mockRestore();
+        }
+
+        const reviewList = await request(app).get(`/api/review/toilet/${toilet.id}`).expect(200);
+        expect(reviewList.body).toEqual([]);
+        expect(await Toilet.findById(toilet.id)).toMatchObject({ averageRating: 0, totalReviews: 0 });
+        expect(photos).toHaveLength(0);
+        expect(fs.readdirSync(photoDir)).toEqual([]);
+    });
+
+    test('should reject oversized files and too many files', async () => {
+        const oversized = Buffer.alloc(PhotoService.MAX_BYTES + 1);
+        await submitReview([[oversized, 'huge.jpg']]).expect(413);
+
+        const tooMany = Array.from({ length: PhotoService.MAX_FILES + 1 }, (_, i) => [image, `photo${i}.jpg`]);
+        const res = await submitReview(tooMany).expect(400);
+        expect(res.body.message).toMatch(/At most/);
+        expect(photos).toHaveLength(0);
+    });
+
+    test('should let admins add approved photos to a toilet', async () => {
+        await request(app)
+            .post(`/api/toilet/${toilet.id}/photos`)
+            .attach('photos', image, 'entrance.jpg')
+            .expect(401);
+
+        const res = await request(app)
+            .post(`/api/toilet/${toilet.id}/photos`)
+            .set('Authorization', `Bearer ${token}`)
+            .attach('photos', image, 'entrance.jpg')
+            .expect(201);
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ toiletId: toilet.id, reviewId: null, status: 'approved' });
+
+        const listed = await request(app).get(`/api/toilet/${toilet.id}/photos`).expect(200);
+        expect(listed.body.data).toHaveLength(1);
+
+        await request(app)
+            .post(`/api/toilet/${toilet.id}/photos`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(400);
+        await request(app)
+            .post('/api/toilet/missing/photos')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('photos', image, 'entrance.jpg')
+            .expect(404);
+    });
+
+    test('should delete photo files with the photo and when a toilet is purged', async () => {
+        const uploaded = await request(app)
+            .post(`/api/toilet/${toilet.id}/photos`)
+            .set('Authorization', `Bearer ${token}`)
+            .attach('photos', image, 'entrance.jpg')
+            .attach('photos', image, 'sinks.jpg')
+            .expect(201);
+        const [first, second] = uploaded.body.data;
+        expect(fs.readdirSync(photoDir)).toHaveLength(4);
+
+        await request(app)
+            .delete(`/api/admin/photos/${first.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(fs.existsSync(PhotoService.filePath(first.id))).toBe(false);
+        expect(photos.map(photo => photo.id)).toEqual([second.id]);
+
+        await TrashService.trashToilet(toilet.id, adminUser.id);
+        const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+        await TrashService.purge({ now: later, retentionDays: 30 });
+        expect(photos).toHaveLength(0);
+        expect(fs.readdirSync(photoDir)).toEqual([]);
+    });
+
+    test('should require an admin to moderate photos', async () => {
+        const user = new User({ email: 'user@example.com', password: 'password123' });
+        await user.save();
+        const userToken = (await SessionService.start(user)).token;
+
+        await request(app).get('/api/admin/photos').expect(401);
+        await request(app)
+            .get('/api/admin/photos')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+        await request(app)
+            .get('/api/admin/photos?status=blurry')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(400);
+    });
+});
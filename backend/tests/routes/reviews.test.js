@@ -2,6 +2,8 @@ const request = require('supertest');
 const express = require('express');
 const reviewRoutes = require('../../routes/reviews');
 const { reviews, toilets } = require('../../models/storage');
+const User = require('../../models/User');
+const SessionService = require('../../services/SessionService');
 
 // Create test app
 const app = express();
@@ -9,7 +11,13 @@ app.use(express.json());
 app.use('/api/review', reviewRoutes);
 
 describe('Review Routes', () => {
-    beforeEach(() => {
+    let staff;
+
+    beforeEach(async () => {
+        const moderator = new User({ email: 'moderator@example.com', password: 'password123', role: 'moderator' });
+        await moderator.save();
+        staff = { Authorization: `Bearer ${(await SessionService.start(moderator)).token}` };
+
         // Clear arrays completely
         reviews.splice(0, reviews.length);
         toilets.splice(0, toilets.length);
@@ -224,6 +232,24 @@ describe('Review Routes', () => {
 
             expect(response.body.message).toContain('not found');
         });
+
+        test('should refuse reviews while the toilet is closed', async () => {
+            toilets[0].closures = [{
+                id: 'renovation',
+                start: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+                end: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+                reason: 'Renovation',
+                recurring: null
+            }];
+
+            const response = await request(app)
+                .post('/api/review/submit')
+                .send({ toiletId: 'test-toilet-1', rating: 4, cleanliness: 4, maintenance: 4, accessibility: 4 })
+                .expect(409);
+
+            expect(response.body.closure).toMatchObject({ closed: true, reason: 'Renovation' });
+            expect(reviews).toHaveLength(2);
+        });
     });
 
     describe('GET /api/review/toilet/:toiletId', () => {
@@ -259,10 +285,94 @@ describe('Review Routes', () => {
         });
     });
 
+    describe('cursor pagination', () => {
+        beforeEach(() => {
+            // Five more reviews a minute apart, newest last
+            const start = Date.parse('2024-01-01T10:00:00Z');
+            reviews.splice(0, reviews.length);
+            for (let i = 1; i <= 5; i++) {
+                reviews.push({
+                    id: `paged-${i}`,
+                    toiletId: i % 2 ? 'test-toilet-1' : 'other-toilet',
+                    rating: i,
+                    cleanliness: 3,
+                    maintenance: 3,
+                    accessibility: 3,
+                    comment: `Review ${i}`,
+                    createdAt: new Date(start + i * 60000)
+                });
+            }
+        });
+
+        const collectPages = async (path) => {
+            const ids = [];
+            let cursor = '';
+            let pages = 0;
+            do {
+                const separator = path.includes('?') ? '&' : '?';
+                const response = await request(app)
+                    .get(`${path}${separator}limit=2${cursor ? `&cursor=${cursor}` : ''}`)
+                    .expect(200);
+                ids.push(...response.body.data.map(r => r.id));
+                cursor = response.body.pagination.nextCursor;
+                pages++;
+            } while (cursor && pages < 10);
+            return { ids, pages };
+        };
+
+        test('should page through all reviews newest first', async () => {
+            const first = await request(app).get('/api/review/all?limit=2').expect(200);
+            expect(first.body.success).toBe(true);
+            expect(first.body.pagination).toMatchObject({ limit: 2, total: 5, hasMore: true });
+            expect(typeof first.body.pagination.nextCursor).toBe('string');
+
+            const { ids, pages } = await collectPages('/api/review/all');
+            expect(ids).toEqual(['paged-5', 'paged-4', 'paged-3', 'paged-2', 'paged-1']);
+            expect(pages).toBe(3);
+        });
+
+        test('should not repeat or skip reviews when new ones arrive between pages', async () => {
+            const first = await request(app).get('/api/review/all?limit=2').expect(200);
+
+            reviews.push({ ...reviews[0], id: 'paged-new', createdAt: new Date() });
+
+            const second = await request(app)
+                .get(`/api/review/all?limit=2&cursor=${first.body.pagination.nextCursor}`)
+                .expect(200);
+            expect(second.body.data.map(r => r.id)).toEqual(['paged-3', 'paged-2']);
+        });
+
+        test('should paginate a toilet\'s reviews in the requested sort', async () => {
+            const { ids } = await collectPages('/api/review/toilet/test-toilet-1?sort=rating');
+            expect(ids).toEqual(['paged-5', 'paged-3', 'paged-1']);
+        });
+
+        test('should filter all reviews by toilet and rating', async () => {
+            const response = await request(app)
+                .get('/api/review/all?toiletId=other-toilet&rating=4')
+                .expect(200);
+
+            expect(response.body.map(r => r.id)).toEqual(['paged-4']);
+        });
+
+        test('should reject malformed cursors, cursors from another sort and bad limits', async () => {
+            await request(app).get('/api/review/all?cursor=not-a-cursor').expect(400);
+            await request(app).get('/api/review/all?limit=0').expect(400);
+            await request(app).get('/api/review/all?sort=loudest').expect(400);
+
+            const first = await request(app).get('/api/review/all?limit=2').expect(200);
+            const response = await request(app)
+                .get(`/api/review/all?sort=oldest&cursor=${first.body.pagination.nextCursor}`)
+                .expect(400);
+            expect(response.body.message).toContain('cursor');
+        });
+    });
+
     describe('DELETE /api/review/:id', () => {
-        test('should delete review (no auth required for demo)', async () => {
+        test('should delete review as staff', async () => {
             const response = await request(app)
                 .delete('/api/review/review-1')
+                .set(staff)
                 .expect(200);
 
             expect(response.body.message).toContain('deleted');
@@ -283,6 +393,132 @@ describe('Review Routes', () => {
 
             expect(response.body.message).toContain('not found');
         });
+
+        test('should only let the author or staff change a review', async () => {
+            const author = new User({ email: 'author@example.com', password: 'password123' });
+            await author.save();
+            const other = new User({ email: 'other@example.com', password: 'password123', role: 'reviewer' });
+            await other.save();
+            const asAuthor = { Authorization: `Bearer ${(await SessionService.start(author)).token}` };
+            const asOther = { Authorization: `Bearer ${(await SessionService.start(other)).token}` };
+
+            const submitted = await request(app)
+                .post('/api/review/submit')
+                .set(asAuthor)
+                .send({ toiletId: 'test-toilet-1', rating: 4, cleanliness: 4, maintenance: 4, accessibility: 4 })
+                .expect(201);
+            const id = submitted.body.review.id;
+
+            // Guests own no reviews, anonymous ones included
+            await request(app).put(`/api/review/${id}`).send({ rating: 1 }).expect(403);
+            await request(app).delete(`/api/review/${id}`).expect(403);
+            await request(app).put('/api/review/review-1').send({ rating: 1 }).expect(403);
+            await request(app).delete('/api/review/review-1').expect(403);
+
+            const denied = await request(app).put(`/api/review/${id}`).set(asOther).send({ rating: 1 }).expect(403);
+            expect(denied.body.message).toBe('You can only change your own reviews');
+            await request(app).delete(`/api/review/${id}`).set(asOther).expect(403);
+            await request(app).delete('/api/review/review-1').set(asAuthor).expect(403);
+
+            const updated = await request(app).put(`/api/review/${id}`).set(asAuthor).send({ rating: 2 }).expect(200);
+            expect(updated.body.review.rating).toBe(2);
+            await request(app).delete(`/api/review/${id}`).set(asAuthor).expect(200);
+            await request(app).put('/api/review/review-1').set(staff).send({ rating: 1 }).expect(200);
+            expect(reviews.map(r => r.id)).toEqual(['review-1', 'review-2']);
+        });
+    });
+
+    describe('rating aggregation', () => {
+        const toilet = () => toilets.findById('test-toilet-1');
+
+        const submit = () => request(app)
+            .post('/api/review/submit')
+            .send({ toiletId: 'test-toilet-1', rating: 4, cleanliness: 5, maintenance: 3, accessibility: 2 })
+            .expect(201);
+
+        test('should keep per-category averages on the toilet', async () => {
+            await submit();
+
+            // Seeded reviews have no running stats yet, so they are counted once on first write
+            expect(toilet().totalReviews).toBe(3);
+            expect(toilet().averageRating).toBe(3.7);
+            expect(toilet().categoryRatings).toEqual({ overall: 4, cleanliness: 4, maintenance: 3.3, accessibility: 3.3 });
+            expect(toilet().ratingStats).toEqual({
+                count: 3,
+                sums: { rating: 12, cleanliness: 12, maintenance: 10, accessibility: 10 }
+            });
+        });
+
+        test('should adjust the running stats on update and delete', async () => {
+            await submit();
+
+            await request(app).put('/api/review/review-2').set(staff).send({ cleanliness: 5 }).expect(200);
+            expect(toilet().categoryRatings.cleanliness).toBe(4.7);
+            expect(toilet().averageRating).toBe(3.8);
+
+            await request(app).delete('/api/review/review-1').set(staff).expect(200);
+            expect(toilet().totalReviews).toBe(2);
+            expect(toilet().averageRating).toBe(3.5);
+            expect(toilet().categoryRatings).toEqual({ overall: 3.5, cleanliness: 5, maintenance: 2.5, accessibility: 3 });
+        });
+
+        test('should reject updates with ratings that are not whole numbers from 1 to 5', async () => {
+            await submit();
+            const stats = toilet().ratingStats;
+
+            for (const rating of ['abc', '', 2.5, 6, true]) {
+                const response = await request(app).put('/api/review/review-1').set(staff).send({ rating }).expect(400);
+                expect(response.body.message).toBe('Rating must be a whole number between 1 and 5');
+            }
+            await request(app).put('/api/review/review-1').set(staff).send({ cleanliness: 'abc' }).expect(400);
+
+            expect(reviews.find(r => r.id === 'review-1')).toMatchObject({ rating: 5, cleanliness: 4 });
+            expect(toilet().ratingStats).toEqual(stats);
+
+            const updated = await request(app).put('/api/review/review-1').set(staff).send({ rating: '2' }).expect(200);
+            expect(updated.body.review.rating).toBe(2);
+        });
+
+        test('should update and delete reviews of a deleted toilet', async () => {
+            toilets.splice(0, toilets.length);
+
+            const updated = await request(app)
+                .put('/api/review/review-1')
+                .set(staff)
+                .send({ rating: 1 })
+                .expect(200);
+            expect(updated.body.review.rating).toBe(1);
+
+            await request(app).delete('/api/review/review-2').set(staff).expect(200);
+            expect(reviews.map(r => r.id)).toEqual(['review-1']);
+        });
+    });
+
+    describe('GET /api/review/export', () => {
+        let token;
+
+        beforeEach(async () => {
+            const user = new User({ email: 'exporter@example.com', password: 'password123', role: 'admin' });
+            await user.save();
+            token = (await SessionService.start(user)).token;
+        });
+
+        test('should export filtered reviews as CSV with toilet names', async () => {
+            const response = await request(app)
+                .get('/api/review/export.csv?rating=5')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+
+            expect(response.headers['content-disposition']).toMatch(/filename="reviews-.*\.csv"/);
+            const lines = response.text.trim().split('\n');
+            expect(lines[0]).toBe('id,toiletId,toiletName,rating,cleanliness,maintenance,accessibility,comment,createdAt');
+            expect(lines).toHaveLength(2);
+            expect(lines[1]).toMatch(/^review-1,test-toilet-1,Test Toilet,5,4,5,4,Great toilet!,\d{4}-/);
+        });
+
+        test('should require an admin', async () => {
+            await request(app).get('/api/review/export.csv').expect(401);
+        });
     });
 
     describe('GET /api/review/stats', () => {
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const express = require('express');
+const toiletRoutes = require('../../routes/toilets');
+const PublicToiletService = require('../../services/PublicToiletService');
+const ReviewAggregationService = require('../../services/ReviewAggregationService');
+const Toilet = require('../../models/Toilet');
+const User = require('../../models/User');
+const { revisions, toiletOperations } = require('../../models/storage');
+const SessionService = require('../../services/SessionService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/toilet', toiletRoutes);
+
+describe('Toilet Revisions', () => {
+    let adminUser;
+    let token;
+    let toilet;
+
+    const edit = (changes) => request(app)
+        .put(`/api/toilet/${toilet.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(changes)
+        .expect(200);
+
+    const history = () => request(app)
+        .get(`/api/toilet/${toilet.id}/revisions`)
+        .set('Authorization', `Bearer ${token}`);
+
+    const rollback = (number) => request(app)
+        .post(`/api/toilet/${toilet.id}/revisions/${number}/rollback`)
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+        toiletOperations.rebuildIndexes();
+
+        adminUser = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+        await adminUser.save();
+        token = (await SessionService.start(adminUser)).token;
+
+        toilet = new Toilet({
+            name: 'Dadar Station Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            facilities: ['wheelchair'],
+            type: 'public',
+            source: 'osm',
+            sourceId: 'node/1'
+        });
+        await toilet.save();
+    });
+
+    test('should store field-level diffs for each admin edit', async () => {
+        await edit({ name: 'Dadar West Toilet', facilities: ['wheelchair', 'baby_change'] });
+        await ReviewAggregationService.submit({ toiletId: toilet.id, rating: 4, cleanliness: 4, maintenance: 4, accessibility: 4 });
+
+        // Rating updates are derived data and do not add revisions
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0]).toMatchObject({
+            toiletId: toilet.id,
+            number: 1,
+            source: 'admin',
+            actorId: adminUser.id
+        });
+        expect(revisions[0].changes).toEqual([
+            { field: 'name', from: 'Dadar Station Toilet', to: 'Dadar West Toilet' },
+            { field: 'facilities', from: ['wheelchair'], to: ['wheelchair', 'baby_change'] }
+        ]);
+
+        // An edit that changes nothing is not a revision
+        await edit({ name: 'Dadar West Toilet' });
+        expect(revisions).toHaveLength(1);
+    });
+
+    test('should refuse admin edits to ratings, ids and timestamps', async () => {
+        const res = await request(app)
+            .put(`/api/toilet/${toilet.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Renamed', averageRating: 5, totalReviews: 900, id: 'other', createdAt: '2000-01-01' })
+            .expect(400);
+        expect(res.body.errors).toEqual([
+            'averageRating cannot be changed',
+            'totalReviews cannot be changed',
+            'id cannot be changed',
+            'createdAt cannot be changed'
+        ]);
+
+        const unchanged = await Toilet.findById(toilet.id);
+        expect(unchanged).toMatchObject({ name: 'Dadar Station Toilet', averageRating: 0, totalReviews: 0 });
+        expect(revisions).toHaveLength(0);
+    });
+
+    test('should list revisions newest first and show a toilet as of any revision', async () => {
+        await edit({ name: 'Second Name' });
+        await edit({ name: 'Third Name', description: 'Near platform 1' });
+
+        const res = await history().expect(200);
+        expect(res.body.current).toBe(2);
+        expect(res.body.data.map(revision => revision.number)).toEqual([2, 1]);
+        expect(res.body.pagination.total).toBe(2);
+
+        const original = await request(app)
+            .get(`/api/toilet/${toilet.id}/revisions/0`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(original.body.data.revision).toBeNull();
+        expect(original.body.data.toilet).toMatchObject({ name: 'Dadar Station Toilet', description: '' });
+
+        const first = await request(app)
+            .get(`/api/toilet/${toilet.id}/revisions/1`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(first.body.data.toilet.name).toBe('Second Name');
+
+        await request(app)
+            .get(`/api/toilet/${toilet.id}/revisions/7`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(404);
+        await request(app)
+            .get('/api/toilet/missing/revisions')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(404);
+    });
+
+    test('should roll back to a prior revision and re-index the toilet', async () => {
+        await edit({ name: 'Moved Toilet', coordinates: { latitude: 28.6139, longitude: 77.2090 } });
+        await edit({ verified: true });
+
+        const res = await rollback(0).expect(200);
+        expect(res.body.data).toMatchObject({
+            name: 'Dadar Station Toilet',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            verified: false
+        });
+        expect(res.body.revision).toMatchObject({ number: 3, source: 'rollback', rolledBackTo: 0 });
+
+        const nearDadar = await Toilet.findNear({ latitude: 19.0178, longitude: 72.8478 }, 500);
+        expect(nearDadar.map(found => found.id)).toContain(toilet.id);
+
+        // The rollback is a revision too, so it can be undone
+        await rollback(2).expect(200);
+        const restored = await Toilet.findById(toilet.id);
+        expect(restored.name).toBe('Moved Toilet');
+        expect(restored.verified).toBe(true);
+    });
+
+    test('should reject rolling back to the current or an unknown revision', async () => {
+        await edit({ name: 'Renamed' });
+
+        const current = await rollback(1).expect(400);
+        expect(current.body.errors[0]).toContain('current version');
+        await rollback(5).expect(400);
+        await rollback('abc').expect(400);
+        await request(app)
+            .post('/api/toilet/missing/revisions/0/rollback')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(404);
+    });
+
+    test('should keep the previous values when a sync overwrites a toilet', async () => {
+        await ReviewAggregationService.submit({ toiletId: toilet.id, rating: 5, cleanliness: 5, maintenance: 5, accessibility: 5 });
+
+        await PublicToiletService.refreshToilet(toilet, {
+            name: 'Dadar Public Toilet',
+            location: 'Dadar, Mumbai',
+            source: 'osm',
+            sourceId: 'node/1',
+            averageRating: 0
+        });
+
+        const refreshed = await Toilet.findById(toilet.id);
+        expect(refreshed.name).toBe('Dadar Public Toilet');
+        expect(refreshed.averageRating).toBe(5);
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0]).toMatchObject({ source: 'sync', actorId: null });
+        expect(revisions[0].changes).toEqual([{ field: 'name', from: 'Dadar Station Toilet', to: 'Dadar Public Toilet' }]);
+    });
+
+    test('should require an admin to read or roll back history', async () => {
+        await request(app).get(`/api/toilet/${toilet.id}/revisions`).expect(401);
+        await request(app).post(`/api/toilet/${toilet.id}/revisions/0/rollback`).expect(401);
+    });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const authRoutes = require('../../routes/auth');
+const User = require('../../models/User');
+const SessionService = require('../../services/SessionService');
+const { requestLogger } = require('../../middleware/requestLogger');
+const { audit, sessions } = require('../../models/storage');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('Session Routes', () => {
+    let user;
+
+    const login = async () => {
+        const response = await request(app)
+            .post('/api/auth/login')
+            .set('User-Agent', 'Phone')
+            .send({ email: 'member@example.com', password: 'password123' })
+            .expect(200);
+        return response.body;
+    };
+
+    const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    beforeEach(async () => {
+        user = await new User({ email: 'member@example.com', password: 'password123' }).save();
+    });
+
+    test('should rotate the refresh token on every refresh', async () => {
+        const { token, refreshToken } = await login();
+        expect(refreshToken).toEqual(expect.any(String));
+        expect(sessions[0]).toMatchObject({ userId: user.id, userAgent: 'Phone', revokedAt: null });
+        expect(JSON.stringify(sessions[0])).not.toContain(refreshToken.split('.')[1]);
+
+        const refreshed = await refresh(refreshToken).expect(200);
+        expect(refreshed.body.refreshToken).not.toBe(refreshToken);
+        await me(refreshed.body.token).expect(200);
+        await me(token).expect(200);
+
+        await refresh(refreshed.body.refreshToken).expect(200);
+        await refresh('nonsense').expect(401);
+        await refresh(`${sessions[0].id}.forged`).expect(401);
+        expect(sessions[0].revokedAt).toBeNull();
+    });
+
+    test('should revoke the session when a used refresh token comes back', async () => {
+        const { refreshToken } = await login();
+        const refreshed = await refresh(refreshToken).expect(200);
+
+        const reused = await refresh(refreshToken).expect(401);
+        expect(reused.body.message).toBe('Refresh token already used; please sign in again');
+        expect(sessions[0].revokedReason).toBe('reuse');
+        expect(audit.map(entry => entry.action)).toEqual(['auth.login', 'auth.refresh_reuse']);
+
+        await refresh(refreshed.body.refreshToken).expect(401);
+        await me(refreshed.body.token).expect(401);
+    });
+
+    test('should end sessions on logout', async () => {
+        const phone = await login();
+        const laptop = await login();
+
+        await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${phone.token}`).expect(200);
+        await me(phone.token).expect(401);
+        await refresh(phone.refreshToken).expect(401);
+        await me(laptop.token).expect(200);
+
+        const tablet = await login();
+        const all = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${tablet.token}`).send({ all: true }).expect(200);
+        expect(all.body.data.revoked).toBe(2);
+        await me(laptop.token).expect(401);
+    });
+
+    test('should list and revoke the user\'s own sessions', async () => {
+        const phone = await login();
+        const laptop = await login();
+        const other = await new User({ email: 'other@example.com', password: 'password123' }).save();
+        const otherSession = await SessionService.start(other);
+
+        const list = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${laptop.token}`).expect(200);
+        expect(list.body.data).toHaveLength(2);
+        expect(list.body.data.filter(session => session.current)).toHaveLength(1);
+        expect(list.body.data[0].refreshHash).toBeUndefined();
+
+        const phoneId = list.body.data.find(session => !session.current).id;
+        await request(app).delete(`/api/auth/sessions/${phoneId}`).set('Authorization', `Bearer ${laptop.token}`).expect(200);
+        await me(phone.token).expect(401);
+        await request(app).delete(`/api/auth/sessions/${otherSession.session.id}`).set('Authorization', `Bearer ${laptop.token}`).expect(404);
+        await me(otherSession.token).expect(200);
+    });
+
+    test('should reject access tokens without a live session', async () => {
+        await me(jwt.sign({ id: user.id }, process.env.JWT_SECRET)).expect(401);
+
+        const { token } = await SessionService.start(user, null, new Date(Date.now() - SessionService.REFRESH_TTL - 1000));
+        await me(token).expect(401);
+        expect(await SessionService.purge()).toBe(1);
+    });
+
+    test('should keep passwords and refresh tokens out of the request log', async () => {
+        const logged = express();
+        logged.use(express.json());
+        logged.use(requestLogger);
+        logged.use('/api/auth', authRoutes);
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            const { body } = await request(logged)
+                .post('/api/auth/login')
+                .send({ email: 'member@example.com', password: 'password123' })
+                .expect(200);
+            await request(logged).post('/api/auth/refresh').send({ refreshToken: body.refreshToken }).expect(200);
+
+            const output = log.mock.calls.map(args => args.join(' ')).join('\n');
+            expect(output).toContain('"email": "member@example.com"');
+            expect(output).toContain('"refreshToken": "[REDACTED]"');
+            expect(output).not.toContain('password123');
+            expect(output).not.toContain(body.refreshToken.split('.')[1]);
+        } finally {
+            log.mockRestore();
+        }
+    });
+});
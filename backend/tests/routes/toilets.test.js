@@ -2,6 +2,18 @@ const request = require('supertest');
 const express = require('express');
 const toiletRoutes = require('../../routes/toilets');
 const { toilets, reviews } = require('../../models/storage');
+const Toilet = require('../../models/Toilet');
+const openingHours = require('../../models/openingHours');
+const fees = require('../../models/fees');
+const closures = require('../../models/closures');
+const PublicToiletService = require('../../services/PublicToiletService');
+const ToiletTileService = require('../../services/ToiletTileService');
+const ToiletImportParser = require('../../services/ToiletImportParser');
+const ToiletImportService = require('../../services/ToiletImportService');
+const ExportService = require('../../services/ExportService');
+const User = require('../../models/User');
+const SessionService = require('../../services/SessionService');
+const { requestLogger } = require('../../middleware/requestLogger');
 
 // Create test app
 const app = express();
@@ -74,6 +86,390 @@ describe('Toilet Routes', () => {
         });
     });
 
+    describe('GET /api/toilet/search', () => {
+        test('should rank name matches and tolerate typos and prefixes', async () => {
+            const response = await request(app)
+                .get('/api/toilet/search?q=publc')
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.data[0].id).toBe('test-public-toilet-1');
+            expect(response.body.data[0].score).toBeGreaterThan(0);
+
+            const prefix = await request(app)
+                .get('/api/toilet/search?q=tes')
+                .expect(200);
+            expect(prefix.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+        });
+
+        test('should apply type, facility and rating filters', async () => {
+            const response = await request(app)
+                .get('/api/toilet/search?q=location&type=private&facilities=handicap&minRating=4')
+                .expect(200);
+
+            expect(response.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+            expect(response.body.metadata.total).toBe(1);
+
+            const none = await request(app)
+                .get('/api/toilet/search?q=location&facilities=handicap,unisex')
+                .expect(200);
+            expect(none.body.data).toHaveLength(0);
+        });
+
+        test('should return distances in meters and respect the radius', async () => {
+            const response = await request(app)
+                .get('/api/toilet/search?q=location&lat=40.7128&lng=-74.0060&radius=1000')
+                .expect(200);
+
+            expect(response.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+            expect(response.body.data[0].distance).toBeLessThan(1);
+        });
+
+        test('should list nearby toilets when the query is empty', async () => {
+            const response = await request(app)
+                .get('/api/toilet/map/search?lat=40.7589&lng=-73.9851&sort=distance')
+                .expect(200);
+
+            expect(response.body.data.map(t => t.id)).toEqual(['test-public-toilet-1', 'test-toilet-1']);
+        });
+
+        test('should reject invalid coordinates', async () => {
+            const response = await request(app)
+                .get('/api/toilet/search?q=test&lat=200&lng=0')
+                .expect(400);
+
+            expect(response.body.errors).toContain('lat and lng must be valid coordinates');
+        });
+    });
+
+    describe('GET /api/toilet/map pagination', () => {
+        beforeEach(() => {
+            toilets.push({ ...toilets[0], id: 'test-toilet-2', averageRating: 3, verified: true });
+            toilets.push({ ...toilets[0], id: 'test-toilet-3', averageRating: 4.5, verified: true });
+        });
+
+        test('should page through toilets with a cursor in a stable order', async () => {
+            const ids = [];
+            let cursor = '';
+            let response;
+            do {
+                response = await request(app)
+                    .get(`/api/toilet/map?showPublic=true&showPrivate=true&limit=1${cursor ? `&cursor=${cursor}` : ''}`)
+                    .expect(200);
+                ids.push(...response.body.data.map(t => t.id));
+                cursor = response.body.metadata.nextCursor;
+            } while (cursor && ids.length < 10);
+
+            // Verified first, then rating; equal keys fall back to id
+            expect(ids).toEqual(['test-toilet-1', 'test-toilet-3', 'test-toilet-2', 'test-public-toilet-1']);
+            expect(response.body.metadata).toMatchObject({ total: 4, hasMore: false, nextCursor: null });
+        });
+
+        test('should report hasMore from the total rather than the page size', async () => {
+            const response = await request(app)
+                .get('/api/toilet/map?limit=4')
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(4);
+            expect(response.body.metadata.hasMore).toBe(false);
+
+            const offsetPage = await request(app)
+                .get('/api/toilet/map?limit=2&offset=2')
+                .expect(200);
+            expect(offsetPage.body.data.map(t => t.id)).toEqual(['test-toilet-2', 'test-public-toilet-1']);
+        });
+
+        test('should reject an invalid cursor', async () => {
+            const response = await request(app)
+                .get('/api/toilet/map?cursor=garbage')
+                .expect(400);
+
+            expect(response.body.success).toBe(false);
+        });
+    });
+
+    describe('GET /api/toilet/map clustering', () => {
+        const mumbai = '18.9,72.7,19.3,73.0';
+
+        // Viewport requests kick off a public data sync; keep it off the network
+        beforeAll(() => {
+            jest.spyOn(PublicToiletService, 'syncPublicData').mockResolvedValue({});
+        });
+
+        afterAll(() => {
+            jest.restoreAllMocks();
+        });
+
+        beforeEach(() => {
+            // Five toilets within ~200 m around Churchgate, one in Andheri
+            for (let i = 0; i < 5; i++) {
+                toilets.push({
+                    ...toilets[0],
+                    id: `churchgate-${i}`,
+                    coordinates: { latitude: 18.9322 + i * 0.0004, longitude: 72.8264 },
+                    type: i < 2 ? 'public' : 'private',
+                    averageRating: i === 0 ? 0 : 4
+                });
+            }
+            toilets.push({
+                ...toilets[0],
+                id: 'andheri-1',
+                coordinates: { latitude: 19.1197, longitude: 72.8468 }
+            });
+        });
+
+        test('should return clusters and single toilets at low zoom', async () => {
+            const response = await request(app)
+                .get(`/api/toilet/map?bounds=${mumbai}&zoom=11`)
+                .expect(200);
+
+            expect(response.body.metadata).toMatchObject({ clustered: true, zoom: 11, clusters: 1, points: 1, total: 6 });
+
+            const cluster = response.body.data.find(feature => feature.cluster);
+            expect(cluster).toMatchObject({ count: 5, publicCount: 2, privateCount: 3, averageRating: 4, ratedCount: 4 });
+            expect(cluster.coordinates.latitude).toBeCloseTo(18.9330, 4);
+            expect(cluster.bounds).toEqual({ south: 18.9322, west: 72.8264, north: 18.9338, east: 72.8264 });
+            expect(cluster.expansionZoom).toBeGreaterThan(11);
+
+            expect(response.body.data.find(feature => !feature.cluster).id).toBe('andheri-1');
+        });
+
+        test('should return individual toilets at high zoom or when clustering is off', async () => {
+            const highZoom = await request(app)
+                .get('/api/toilet/map?bounds=18.93,72.82,18.94,72.83&zoom=17')
+                .expect(200);
+            expect(highZoom.body.data).toHaveLength(5);
+            expect(highZoom.body.metadata.clustered).toBeUndefined();
+
+            const off = await request(app)
+                .get(`/api/toilet/map?bounds=${mumbai}&zoom=11&clusters=false`)
+                .expect(200);
+            expect(off.body.data).toHaveLength(6);
+        });
+
+        test('should not serve stale cached tiles after a toilet is added', async () => {
+            await request(app).get(`/api/toilet/map?bounds=${mumbai}&zoom=11`).expect(200);
+
+            await new Toilet({
+                name: 'Churchgate Station',
+                location: 'Churchgate, Mumbai',
+                coordinates: { latitude: 18.9325, longitude: 72.8265 },
+                type: 'public'
+            }).save();
+
+            const response = await request(app)
+                .get(`/api/toilet/map?bounds=${mumbai}&zoom=11`)
+                .expect(200);
+            expect(response.body.data.find(feature => feature.cluster).count).toBe(6);
+        });
+
+        test('should reject viewports that span too many tiles for the zoom', async () => {
+            const response = await request(app)
+                .get('/api/toilet/map?bounds=8,68,35,97&zoom=12')
+                .expect(400);
+
+            expect(response.body.message).toContain('tiles');
+        });
+    });
+
+    describe('GET /api/toilet/tiles/:z/:x/:y', () => {
+        // Zoom 12 tile holding both test toilets' New York neighbourhood
+        const tile = ToiletTileService.tilesForBounds({ south: 40.7128, west: -74.0060, north: 40.7128, east: -74.0060 }, 12)[0];
+        const tilePath = `/api/toilet/tiles/12/${tile.x}/${tile.y}`;
+
+        const binary = (res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        };
+
+        // Just enough protobuf decoding to read the layer back
+        const readMessage = (buffer) => {
+            const fields = [];
+            let offset = 0;
+            const varint = () => {
+                let value = 0;
+                let shift = 0;
+                let byte;
+                do {
+                    byte = buffer[offset++];
+                    value += (byte & 0x7f) * Math.pow(2, shift);
+                    shift += 7;
+                } while (byte & 0x80);
+                return value;
+            };
+            while (offset < buffer.length) {
+                const key = varint();
+                const field = Math.floor(key / 8);
+                const wireType = key & 7;
+                if (wireType === 0) {
+                    fields.push({ field, value: varint() });
+                } else if (wireType === 2) {
+                    const length = varint();
+                    fields.push({ field, value: buffer.subarray(offset, offset + length) });
+                    offset += length;
+                } else {
+                    offset += wireType === 1 ? 8 : 4;
+                }
+            }
+            return fields;
+        };
+
+        beforeAll(() => {
+            jest.spyOn(PublicToiletService, 'syncPublicData').mockResolvedValue({});
+        });
+
+        afterAll(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should return the toilets in a tile as GeoJSON', async () => {
+            const response = await request(app)
+                .get(tilePath)
+                .expect('Content-Type', /application\/geo\+json/)
+                .expect(200);
+
+            const body = JSON.parse(response.text);
+            expect(body).toMatchObject({ type: 'FeatureCollection', tile: { z: 12, ...tile }, truncated: false });
+            expect(body.features).toHaveLength(1);
+            expect(body.features[0]).toMatchObject({
+                type: 'Feature',
+                id: 'test-toilet-1',
+                geometry: { type: 'Point', coordinates: [-74.0060, 40.7128] },
+                properties: { name: 'Test Toilet', type: 'private', averageRating: 4.5 }
+            });
+            expect(response.headers['cache-control']).toMatch(/max-age=\d+/);
+        });
+
+        test('should put a toilet on a tile edge in exactly one tile', async () => {
+            const edge = ToiletTileService.tileBounds(12, tile.x, tile.y).west;
+            toilets.push({ ...toilets[0], id: 'edge-toilet', coordinates: { latitude: 40.7128, longitude: edge } });
+
+            const west = JSON.parse((await request(app).get(`/api/toilet/tiles/12/${tile.x - 1}/${tile.y}.geojson`).expect(200)).text);
+            const east = JSON.parse((await request(app).get(`${tilePath}.geojson`).expect(200)).text);
+
+            const holding = [west, east].filter(body => body.features.some(feature => feature.id === 'edge-toilet'));
+            expect(holding).toHaveLength(1);
+        });
+
+        test('should answer 304 for an unchanged tile and 200 once it changes', async () => {
+            const first = await request(app).get(tilePath).expect(200);
+            expect(first.headers.etag).toBeDefined();
+
+            await request(app).get(tilePath).set('If-None-Match', first.headers.etag).expect(304);
+
+            await Toilet.findByIdAndUpdate('test-toilet-1', { name: 'Renamed Toilet' });
+            const changed = await request(app).get(tilePath).set('If-None-Match', first.headers.etag).expect(200);
+            expect(JSON.parse(changed.text).features[0].properties.name).toBe('Renamed Toilet');
+        });
+
+        test('should encode the tile as a Mapbox Vector Tile', async () => {
+            const response = await request(app)
+                .get(`${tilePath}.mvt`)
+                .buffer(true)
+                .parse(binary)
+                .expect('Content-Type', /application\/vnd\.mapbox-vector-tile/)
+                .expect(200);
+
+            const [layerField] = readMessage(response.body);
+            expect(layerField.field).toBe(3);
+
+            const layer = readMessage(layerField.value);
+            const name = layer.find(f => f.field === 1).value.toString();
+            const extent = layer.find(f => f.field === 5).value;
+            const keys = layer.filter(f => f.field === 3).map(f => f.value.toString());
+            const features = layer.filter(f => f.field === 2);
+
+            expect(name).toBe('toilets');
+            expect(extent).toBe(4096);
+            expect(features).toHaveLength(1);
+            expect(keys).toEqual(expect.arrayContaining(['id', 'name', 'type', 'averageRating']));
+
+            // Point geometry: one MoveTo inside the tile
+            const geometry = readMessage(features[0].value).find(f => f.field === 4).value;
+            expect(geometry[0]).toBe(9);
+        });
+
+        test('should reject invalid tiles and unknown formats', async () => {
+            await request(app).get('/api/toilet/tiles/3/8/0').expect(400);
+            await request(app).get('/api/toilet/tiles/abc/0/0').expect(400);
+            const response = await request(app).get(`${tilePath}.png`).expect(400);
+            expect(response.body.success).toBe(false);
+        });
+    });
+
+    describe('GET /api/toilet/nearby', () => {
+        // ~1.1 km north of the private test toilet
+        const nearPrivate = 'lat=40.7228&lng=-74.0060';
+
+        test('should return toilets sorted by distance in meters', async () => {
+            const response = await request(app)
+                .get(`/api/toilet/nearby?${nearPrivate}`)
+                .expect(200);
+
+            const [first, second] = response.body.data;
+            expect(first.id).toBe('test-toilet-1');
+            expect(first.distance).toBeGreaterThan(1000);
+            expect(first.distance).toBeLessThan(1200);
+            expect(second.distance).toBeGreaterThan(first.distance);
+            expect(response.body.metadata.mode).toBe('distance');
+        });
+
+        test('should apply radius, limit and accessibility filters', async () => {
+            const inRadius = await request(app)
+                .get(`/api/toilet/nearby?${nearPrivate}&radius=2000`)
+                .expect(200);
+            expect(inRadius.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+
+            const limited = await request(app)
+                .get('/api/toilet/map/nearby?lat=40.7589&lng=-73.9851&limit=1')
+                .expect(200);
+            expect(limited.body.data.map(t => t.id)).toEqual(['test-public-toilet-1']);
+
+            const accessible = await request(app)
+                .get('/api/toilet/nearby?lat=40.7589&lng=-73.9851&accessible=true')
+                .expect(200);
+            expect(accessible.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+        });
+
+        test('should prefer a usable toilet over a marginally closer one in urgent mode', async () => {
+            // ~45 m away but poorly rated and unverified, versus ~120 m away, rated and open 24/7
+            toilets.push({
+                ...toilets[0],
+                id: 'test-poor-toilet',
+                name: 'Poor Toilet',
+                coordinates: { latitude: 40.7585, longitude: -73.9851 },
+                averageRating: 1,
+                verified: false
+            });
+            toilets.push({
+                ...toilets[0],
+                id: 'test-open-24-7',
+                name: 'Station Toilet',
+                coordinates: { latitude: 40.7600, longitude: -73.9851 },
+                openingHours: '24/7',
+                averageRating: 4.8,
+                verified: true
+            });
+
+            const response = await request(app)
+                .get('/api/toilet/nearby?lat=40.7589&lng=-73.9851&mode=urgent&limit=2')
+                .expect(200);
+
+            expect(response.body.data[0].id).toBe('test-open-24-7');
+            expect(response.body.data[0].openNow).toBe(true);
+            expect(response.body.data[0].urgency).toBeGreaterThan(response.body.data[1].urgency);
+        });
+
+        test('should require a location', async () => {
+            const response = await request(app)
+                .get('/api/toilet/nearby?radius=500')
+                .expect(400);
+
+            expect(response.body.errors).toContain('lat and lng are required');
+        });
+    });
+
     describe('POST /api/toilet/add', () => {
         test('should add new toilet (no auth required for demo)', async () => {
             const newToilet = {
@@ -175,6 +571,31 @@ describe('Toilet Routes', () => {
 
             expect(response.body.facilities).toEqual([]);
         });
+
+        test('should store toilets added without toilet:create as unverified public suggestions', async () => {
+            const body = {
+                name: 'Suggested Toilet',
+                location: 'Test Location',
+                coordinates: { latitude: 40.7589, longitude: -73.9851 },
+                type: 'private',
+                verified: true,
+                averageRating: 5,
+                source: 'admin'
+            };
+
+            const suggested = await request(app).post('/api/toilet/add').send(body).expect(201);
+            expect(suggested.body.data).toMatchObject({ name: 'Suggested Toilet', type: 'public', verified: false, averageRating: 0 });
+            expect(toilets.findById(suggested.body.data.id).source).not.toBe('admin');
+
+            const admin = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+            await admin.save();
+            const added = await request(app)
+                .post('/api/toilet/add')
+                .set('Authorization', `Bearer ${(await SessionService.start(admin)).token}`)
+                .send(body)
+                .expect(201);
+            expect(added.body.data).toMatchObject({ type: 'private', verified: true });
+        });
     });
 
     describe('PUT /api/toilet/:id', () => {
@@ -225,4 +646,533 @@ describe('Toilet Routes', () => {
             expect(response.body.message).toContain('not found');
         });
     });
+
+    describe('POST /api/toilet/import', () => {
+        let token;
+
+        beforeEach(async () => {
+            const user = new User({ email: 'importer@example.com', password: 'password123', role: 'admin' });
+            await user.save();
+            token = (await SessionService.start(user)).token;
+        });
+
+        const csv = [
+            'Title,Address,Lat,Lng,Amenities',
+            '"Dadar Station, West",Dadar,19.0178,72.8478,Wheelchair; Baby change',
+            'No Coordinates,Somewhere,,,',
+            'Test Toilet,Test Location,40.7128,-74.0060,',
+            '"Dadar Station, West",Dadar,19.01781,72.84781,'
+        ].join('\n');
+
+        const post = (path, body) => request(app)
+            .post(`/api/toilet/import${path}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        test('should preview CSV rows with errors and duplicates without writing', async () => {
+            const response = await post('/preview', { format: 'csv', content: csv }).expect(200);
+
+            expect(response.body.mapping).toMatchObject({ name: 'Title', location: 'Address', latitude: 'Lat', longitude: 'Lng', facilities: 'Amenities' });
+            expect(response.body.summary).toEqual({ total: 4, valid: 1, invalid: 1, duplicates: 2 });
+
+            const [first, missing, existing, repeated] = response.body.rows;
+            expect(first).toMatchObject({ row: 2, status: 'valid' });
+            expect(first.toilet.facilities).toEqual(['wheelchair', 'baby_change']);
+            expect(missing.errors).toContain('Coordinates are required');
+            expect(existing.duplicateOf).toEqual({ id: 'test-toilet-1', name: 'Test Toilet' });
+            expect(repeated.duplicateOf).toEqual({ row: 2 });
+
+            expect(toilets).toHaveLength(2);
+        });
+
+        test('should log only the body field names of an import', async () => {
+            const logged = express();
+            logged.use(express.json());
+            logged.use(requestLogger);
+            logged.use('/api/toilet', toiletRoutes);
+            const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            try {
+                await request(logged)
+                    .post('/api/toilet/import/preview')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({ format: 'csv', content: csv })
+                    .expect(200);
+
+                const output = log.mock.calls.map(args => args.join(' ')).join('\n');
+                expect(output).toContain('[REQUEST] Body fields: format, content');
+                expect(output).not.toContain('Dadar Station');
+            } finally {
+                log.mockRestore();
+            }
+        });
+
+        test('should apply a custom column mapping', async () => {
+            const content = 'Site;Ward;N;E\nKothrud Depot;Kothrud;18.5074;73.8077\n';
+            const mapping = { name: 'Site', location: 'Ward', latitude: 'N', longitude: 'E' };
+
+            const response = await post('/preview', { format: 'csv', content, mapping }).expect(200);
+            expect(response.body.rows[0].toilet).toMatchObject({
+                name: 'Kothrud Depot',
+                location: 'Kothrud',
+                coordinates: { latitude: 18.5074, longitude: 73.8077 }
+            });
+        });
+
+        test('should import GeoJSON in one batch and report each row', async () => {
+            const content = JSON.stringify({
+                type: 'FeatureCollection',
+                features: [
+                    { type: 'Feature', geometry: { type: 'Point', coordinates: [73.8567, 18.5204] }, properties: { name: 'Shivajinagar', address: 'Pune', facilities: ['wheelchair'] } },
+                    { type: 'Feature', geometry: { type: 'Point', coordinates: [-74.0060, 40.7128] }, properties: { name: 'Test Toilet', address: 'Test Location' } },
+                    { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: { name: 'Path', address: 'Nowhere' } }
+                ]
+            });
+
+            const response = await post('', { format: 'geojson', content, type: 'public' }).expect(201);
+            const { report } = response.body;
+
+            expect(report.summary).toEqual({ total: 3, created: 1, invalid: 1, duplicates: 1, skipped: 1 });
+            expect(report.rows.map(row => row.status)).toEqual(['created', 'duplicate', 'invalid']);
+
+            const created = await Toilet.findById(report.rows[0].toiletId);
+            expect(created).toMatchObject({ name: 'Shivajinagar', location: 'Pune', type: 'public', verified: true, facilities: ['wheelchair'] });
+            expect(toilets).toHaveLength(3);
+        });
+
+        test('should import KML placemarks including extended data', async () => {
+            const content = `<?xml version="1.0" encoding="UTF-8"?>
+                <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+                  <Placemark>
+                    <name>Swargate &amp; Depot</name>
+                    <address><![CDATA[Swargate, Pune]]></address>
+                    <ExtendedData><Data name="facilities"><value>unisex|wheelchair</value></Data></ExtendedData>
+                    <Point><coordinates>73.8636,18.5018,0</coordinates></Point>
+                  </Placemark>
+                </Document></kml>`;
+
+            const response = await post('', { format: 'kml', content }).expect(201);
+            const created = await Toilet.findById(response.body.report.rows[0].toiletId);
+
+            expect(created.name).toBe('Swargate & Depot');
+            expect(created.location).toBe('Swargate, Pune');
+            expect(created.coordinates).toEqual({ latitude: 18.5018, longitude: 73.8636 });
+            expect(created.facilities).toEqual(['unisex', 'wheelchair']);
+        });
+
+        test('should reject unusable files and require an admin', async () => {
+            await post('/preview', { format: 'xlsx', content: 'x' }).expect(400);
+            await post('/preview', { format: 'geojson', content: '{not json' }).expect(400);
+
+            const response = await post('/preview', { format: 'csv', content: csv, mapping: { name: 'Missing' } }).expect(400);
+            expect(response.body.errors[0]).toContain('Missing');
+
+            await request(app).post('/api/toilet/import').send({ format: 'csv', content: csv }).expect(401);
+            expect(toilets).toHaveLength(2);
+        });
+    });
+
+    describe('Opening hours', () => {
+        let token;
+
+        beforeEach(async () => {
+            const user = new User({ email: 'hours@example.com', password: 'password123', role: 'admin' });
+            await user.save();
+            token = (await SessionService.start(user)).token;
+
+            // Open round the clock, always closed, and unknown (the public toilet)
+            toilets[0].openingHours = openingHours.parse('24/7').hours;
+            toilets.push({
+                ...toilets[0],
+                id: 'test-closed-toilet',
+                name: 'Closed Toilet',
+                coordinates: { latitude: 40.7130, longitude: -74.0060 },
+                openingHours: openingHours.parse('off').hours
+            });
+        });
+
+        test('should filter map, search and nearby results to toilets open now', async () => {
+            const map = await request(app).get('/api/toilet/map?openNow=true').expect(200);
+            expect(map.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+            expect(map.body.data[0]).toMatchObject({ openingHours: '24/7', openNow: true, openingStatus: { state: 'open' } });
+
+            const all = await request(app).get('/api/toilet/map').expect(200);
+            const closed = all.body.data.find(t => t.id === 'test-closed-toilet');
+            expect(closed).toMatchObject({ openNow: false, openingStatus: { state: 'closed', nextChange: null } });
+            expect(all.body.data.find(t => t.id === 'test-public-toilet-1').openNow).toBeNull();
+
+            const search = await request(app).get('/api/toilet/search?type=private&openNow=true').expect(200);
+            expect(search.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+            expect(search.body.metadata.total).toBe(1);
+
+            const nearby = await request(app).get('/api/toilet/nearby?lat=40.7128&lng=-74.0060&openNow=true').expect(200);
+            expect(nearby.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+
+            // The stored records do not pick up the computed status
+            expect(toilets[0].openingStatus).toBeUndefined();
+        });
+
+        test('should not cluster map results filtered by open now', async () => {
+            const response = await request(app)
+                .get('/api/toilet/map?showPublic=false&openNow=true&zoom=3&bounds=40,-75,41,-73')
+                .expect(200);
+
+            expect(response.body.metadata.clustered).toBeUndefined();
+            expect(response.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+        });
+
+        test('should store OSM opening hours given on update and include the status', async () => {
+            const response = await request(app)
+                .put('/api/toilet/test-public-toilet-1')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ openingHours: 'mo-fr 08:00-20:00; PH off' })
+                .expect(200);
+            expect(response.body.data.openingHours).toMatchObject({ osm: 'Mo-Fr 08:00-20:00; PH off', timezone: 'Asia/Kolkata' });
+
+            const toilet = await request(app).get('/api/toilet/test-public-toilet-1').expect(200);
+            expect(openingHours.STATES).toContain(toilet.body.data.openingStatus.state);
+            expect(toilet.body.data.openingStatus.state).not.toBe('unknown');
+
+            const invalid = await request(app)
+                .put('/api/toilet/test-public-toilet-1')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ openingHours: 'whenever' })
+                .expect(400);
+            expect(invalid.body.message).toBe('Invalid toilet data');
+        });
+
+        test('should parse opening hours from Overpass tags', () => {
+            const [toilet] = PublicToiletService.parseOSMData({
+                elements: [{
+                    type: 'node',
+                    id: 42,
+                    lat: 19.0178,
+                    lon: 72.8478,
+                    tags: { amenity: 'toilets', opening_hours: 'Mo-Su 05:00-23:30' }
+                }]
+            });
+            expect(toilet.openingHours.rules[0].intervals).toEqual([{ open: '05:00', close: '23:30' }]);
+            // The hours are structured, so they are no longer flagged as a facility
+            expect(toilet.facilities).toEqual([]);
+
+            const [unsupported] = PublicToiletService.parseOSMData({
+                elements: [{ type: 'node', id: 43, lat: 19.0, lon: 72.8, tags: { opening_hours: 'sunrise-sunset' } }]
+            });
+            expect(unsupported.openingHours).toBeNull();
+        });
+    });
+
+    describe('Fees', () => {
+        let token;
+
+        beforeEach(async () => {
+            const user = new User({ email: 'fees@example.com', password: 'password123', role: 'admin' });
+            await user.save();
+            token = (await SessionService.start(user)).token;
+
+            // ₹5 by cash, free, ₹2 by UPI for customers, and unknown (the public toilet)
+            toilets[0].fee = fees.normalize({ required: true, amount: 5, paymentMethods: ['cash'] }).fee;
+            toilets.push({ ...toilets[0], id: 'test-free-toilet', fee: fees.normalize({ required: false }).fee });
+            toilets.push({
+                ...toilets[0],
+                id: 'test-upi-toilet',
+                fee: fees.normalize({ required: true, amount: 2, paymentMethods: ['upi'], customersOnly: true }).fee
+            });
+        });
+
+        const ids = (response) => response.body.data.map(t => t.id).sort();
+
+        test('should filter map, search and nearby results by fee', async () => {
+            const free = await request(app).get('/api/toilet/map?fee=free').expect(200);
+            expect(ids(free)).toEqual(['test-free-toilet']);
+            expect(free.body.data[0].fee).toMatchObject({ required: false, amount: 0 });
+
+            const cheap = await request(app).get('/api/toilet/map?maxFee=3').expect(200);
+            expect(ids(cheap)).toEqual(['test-free-toilet', 'test-upi-toilet']);
+
+            const upi = await request(app).get('/api/toilet/search?payment=upi').expect(200);
+            expect(ids(upi)).toEqual(['test-free-toilet', 'test-upi-toilet']);
+
+            const open = await request(app).get('/api/toilet/nearby?lat=40.7128&lng=-74.0060&fee=paid&customersOnly=false').expect(200);
+            expect(ids(open)).toEqual(['test-toilet-1']);
+
+            await request(app).get('/api/toilet/map?fee=cheap').expect(400);
+            await request(app).get('/api/toilet/search?payment=cheque').expect(400);
+        });
+
+        test('should not cluster map results filtered by fee', async () => {
+            const response = await request(app)
+                .get('/api/toilet/map?showPublic=false&fee=free&zoom=3&bounds=40,-75,41,-73')
+                .expect(200);
+
+            expect(response.body.metadata.clustered).toBeUndefined();
+            expect(ids(response)).toEqual(['test-free-toilet']);
+        });
+
+        test('should store fees given on update', async () => {
+            const response = await request(app)
+                .put('/api/toilet/test-public-toilet-1')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ fee: { required: true, amount: '10', unit: 'per_service', paymentMethods: ['upi', 'card'] } })
+                .expect(200);
+            expect(response.body.data.fee).toEqual({
+                required: true, amount: 10, currency: 'INR', unit: 'per_service', paymentMethods: ['upi', 'card'], customersOnly: false
+            });
+
+            const invalid = await request(app)
+                .put('/api/toilet/test-public-toilet-1')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ fee: { required: false, amount: 10 } })
+                .expect(400);
+            expect(invalid.body.errors[0]).toContain('free');
+        });
+
+        test('should parse fees from Overpass tags', () => {
+            const [toilet] = PublicToiletService.parseOSMData({
+                elements: [{
+                    type: 'node',
+                    id: 44,
+                    lat: 19.0178,
+                    lon: 72.8478,
+                    tags: { amenity: 'toilets', fee: 'yes', charge: '5 INR', 'payment:upi': 'yes' }
+                }]
+            });
+            expect(toilet.fee).toMatchObject({ required: true, amount: 5, paymentMethods: ['upi'] });
+            expect(toilet.facilities).toContain('fee_required');
+        });
+    });
+
+    describe('Closures', () => {
+        const DAY = 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        const at = (days) => new Date(now + days * DAY).toISOString();
+        let token;
+
+        beforeEach(async () => {
+            const user = new User({ email: 'closures@example.com', password: 'password123', role: 'admin' });
+            await user.save();
+            token = (await SessionService.start(user)).token;
+        });
+
+        const ids = (response) => response.body.data.map(t => t.id).sort();
+
+        test('should store closures given on update and show them on the toilet', async () => {
+            const response = await request(app)
+                .put('/api/toilet/test-toilet-1')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ closures: [{ start: at(-1), end: at(6), reason: 'Renovation' }] })
+                .expect(200);
+            expect(response.body.data.closures).toEqual([
+                { id: expect.any(String), start: at(-1), end: at(6), reason: 'Renovation', recurring: null }
+            ]);
+
+            const detail = await request(app).get('/api/toilet/test-toilet-1').expect(200);
+            expect(detail.body.data.closure).toMatchObject({ closed: true, reason: 'Renovation', end: at(6) });
+
+            const invalid = await request(app)
+                .put('/api/toilet/test-toilet-1')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ closures: [{ start: at(2), end: at(1) }] })
+                .expect(400);
+            expect(invalid.body.errors[0]).toContain('end must be after start');
+        });
+
+        test('should mark closed toilets on the map, search and nearby and leave them out when open now is asked', async () => {
+            toilets[0].openingHours = openingHours.parse('24/7').hours;
+            toilets[0].closures = closures.normalize([{ start: at(-1), end: at(1), reason: 'Festival' }]).closures;
+            toilets[1].openingHours = openingHours.parse('24/7').hours;
+
+            const map = await request(app).get('/api/toilet/map').expect(200);
+            const closed = map.body.data.find(t => t.id === 'test-toilet-1');
+            expect(closed).toMatchObject({ openNow: false, closure: { closed: true, reason: 'Festival' } });
+            expect(map.body.data.find(t => t.id === 'test-public-toilet-1').closure).toBeNull();
+
+            const search = await request(app).get('/api/toilet/search?type=private').expect(200);
+            expect(search.body.data.find(t => t.id === 'test-toilet-1').closure.closed).toBe(true);
+
+            const openMap = await request(app).get('/api/toilet/map?openNow=true').expect(200);
+            expect(ids(openMap)).toEqual(['test-public-toilet-1']);
+
+            const urgent = await request(app).get('/api/toilet/nearby?lat=40.7128&lng=-74.0060&mode=urgent').expect(200);
+            expect(ids(urgent)).toEqual(['test-public-toilet-1']);
+
+            // Cached tiles cannot carry closures, so the live status overlay does
+            const overlay = await request(app).get('/api/toilet/live-status?bounds=40,-75,41,-73').expect(200);
+            expect(overlay.body.data).toEqual([{
+                toiletId: 'test-toilet-1',
+                liveStatus: { state: 'ok', incidents: [] },
+                closure: expect.objectContaining({ closed: true, reason: 'Festival' })
+            }]);
+        });
+    });
+
+    describe('Facilities', () => {
+        test('should serve the facility taxonomy', async () => {
+            const response = await request(app)
+                .get('/api/toilet/facilities')
+                .expect(200);
+
+            expect(response.headers['cache-control']).toContain('max-age');
+            expect(response.body.data.categories.map(c => c.id)).toContain('accessibility');
+            expect(response.body.data.facilities.find(f => f.id === 'wheelchair')).toMatchObject({
+                category: 'accessibility',
+                aliases: expect.arrayContaining(['handicap']),
+                osmTags: ['wheelchair=yes', 'wheelchair=designated']
+            });
+        });
+
+        test('should store aliases as facility ids and reject unknown facilities', async () => {
+            const response = await request(app)
+                .post('/api/toilet/add')
+                .send({
+                    name: 'Alias Toilet',
+                    location: 'Alias Location',
+                    coordinates: { latitude: 40.7589, longitude: -73.9851 },
+                    facilities: ['handicap', 'Baby Change', 'wheelchair']
+                })
+                .expect(201);
+            expect(response.body.data.facilities).toEqual(['wheelchair', 'baby_change']);
+
+            const invalid = await request(app)
+                .post('/api/toilet/add')
+                .send({
+                    name: 'Spa Toilet',
+                    location: 'Spa Location',
+                    coordinates: { latitude: 40.7589, longitude: -73.9851 },
+                    facilities: ['shower', 'jacuzzi']
+                })
+                .expect(400);
+            expect(invalid.body.errors).toContain('Unknown facilities: jacuzzi');
+        });
+
+        test('should match records stored under an alias when searching by id', async () => {
+            const response = await request(app)
+                .get('/api/toilet/search?facilities=wheelchair')
+                .expect(200);
+            expect(response.body.data.map(t => t.id)).toEqual(['test-toilet-1']);
+
+            const invalid = await request(app)
+                .get('/api/toilet/search?facilities=jacuzzi')
+                .expect(400);
+            expect(invalid.body.errors).toContain('Unknown facilities: jacuzzi');
+        });
+
+        test('should parse taxonomy facilities from Overpass tags', () => {
+            const [toilet] = PublicToiletService.parseOSMData({
+                elements: [{
+                    type: 'node',
+                    id: 45,
+                    lat: 19.0178,
+                    lon: 72.8478,
+                    tags: { amenity: 'toilets', wheelchair: 'yes', 'toilets:position': 'seated;urinal', opening_hours: '24/7' }
+                }]
+            });
+            expect(toilet.facilities).toEqual(['wheelchair', 'seated_toilet', 'urinal']);
+        });
+    });
+
+    describe('GET /api/toilet/export', () => {
+        const text = (req) => req.buffer(true).parse((res, callback) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => callback(null, data));
+        });
+
+        beforeEach(() => {
+            toilets.push({
+                id: 'test-pune-1',
+                name: '=Formula "Toilet"',
+                location: 'Shivajinagar, Pune',
+                coordinates: { latitude: 18.5308, longitude: 73.8475 },
+                facilities: ['wheelchair', 'baby_change'],
+                averageRating: 3.5,
+                totalReviews: 2,
+                categoryRatings: { overall: 4, cleanliness: 3, maintenance: 3.5, accessibility: 3.5 },
+                type: 'private',
+                verified: true,
+                createdAt: new Date('2024-01-01T00:00:00Z'),
+                updatedAt: new Date('2024-01-02T00:00:00Z')
+            });
+        });
+
+        test('should export filtered toilets as CSV', async () => {
+            const response = await text(request(app).get('/api/toilet/export.csv?type=private')).expect(200);
+
+            expect(response.headers['content-type']).toContain('text/csv');
+            expect(response.headers['content-disposition']).toMatch(/attachment; filename="toilets-\d{4}-\d{2}-\d{2}\.csv"/);
+            expect(response.headers['x-export-count']).toBe('2');
+
+            const lines = response.body.trim().split('\n');
+            expect(lines[0]).toBe(ExportService.CSV_COLUMNS.join(','));
+            expect(lines).toHaveLength(3);
+            expect(lines[2]).toMatch(/^test-toilet-1,Test Toilet,Test Location,Test Description,40\.7128,-74\.006,private,,,true,4\.5,10,0,0,0,handicap;baby_change,/);
+            expect(lines[1]).toContain('test-pune-1,"\'=Formula ""Toilet""","Shivajinagar, Pune",,18.5308,73.8475,private');
+            expect(lines[1]).toContain(',3.5,2,3,3.5,3.5,wheelchair;baby_change,2024-01-01T00:00:00.000Z,2024-01-02T00:00:00.000Z');
+        });
+
+        test('should export GeoJSON filtered by bounds or city', async () => {
+            const byBounds = await text(request(app).get('/api/toilet/export.geojson?bounds=40,-75,41,-73')).expect(200);
+            expect(JSON.parse(byBounds.body).features.map(f => f.id).sort()).toEqual(['test-public-toilet-1', 'test-toilet-1']);
+
+            const byCity = await text(request(app).get('/api/toilet/export?format=geojson&city=Pune')).expect(200);
+            const { features } = JSON.parse(byCity.body);
+            expect(features).toHaveLength(1);
+            expect(features[0].geometry).toEqual({ type: 'Point', coordinates: [73.8475, 18.5308] });
+            expect(features[0].properties).toMatchObject({ name: '=Formula "Toilet"', verified: true, cleanliness: 3 });
+        });
+
+        test('should export KML that the bulk import reads back', async () => {
+            const response = await text(request(app).get('/api/toilet/export.kml?city=pune')).expect(200);
+            expect(response.headers['content-type']).toContain('application/vnd.google-earth.kml+xml');
+
+            const { records } = ToiletImportParser.parseKml(response.body);
+            expect(records).toHaveLength(1);
+            expect(records[0].point).toEqual({ latitude: 18.5308, longitude: 73.8475 });
+            expect(records[0].values).toMatchObject({ name: '=Formula "Toilet"', address: 'Shivajinagar, Pune', facilities: 'wheelchair;baby_change' });
+        });
+
+        test('should export fees and closures that the bulk import reads back', async () => {
+            const { fee } = fees.normalize({ required: true, amount: 5, paymentMethods: ['cash', 'upi'] });
+            const closed = closures.normalize([{ start: '2030-01-01T00:00:00Z', end: '2030-01-02T00:00:00Z', reason: 'Repairs, "deep" clean' }]).closures;
+            Object.assign(toilets.findById('test-pune-1'), { fee, closures: closed });
+
+            for (const format of ['csv', 'geojson', 'kml']) {
+                const response = await text(request(app).get(`/api/toilet/export.${format}?city=pune`)).expect(200);
+                const { rows } = await ToiletImportService.preview(ToiletImportService.read({ format, content: response.body }));
+                expect(rows[0].errors).toEqual([]);
+                expect(rows[0].toilet).toMatchObject({ fee, closures: closed });
+            }
+        });
+
+        test('should export GPX waypoints', async () => {
+            const response = await text(request(app).get('/api/toilet/export.gpx?type=public')).expect(200);
+
+            expect(response.body).toContain('<gpx version="1.1"');
+            expect(response.body).toContain('<wpt lat="40.7589" lon="-73.9851">');
+            expect(response.body.match(/<wpt /g)).toHaveLength(1);
+        });
+
+        test('should stream large exports in several chunks', async () => {
+            for (let i = 0; i < 1200; i++) {
+                toilets.push({ id: `bulk-${i}`, name: `Bulk ${i}`, location: 'Pune', type: 'public', coordinates: { latitude: 18.5, longitude: 73.8 } });
+            }
+
+            const chunks = [];
+            await request(app).get('/api/toilet/export.csv').buffer(true).parse((res, callback) => {
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, null));
+            }).expect(200);
+
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(Buffer.concat(chunks).toString('utf8').trim().split('\n')).toHaveLength(1204);
+        });
+
+        test('should reject unknown formats and malformed filters', async () => {
+            await request(app).get('/api/toilet/export.xlsx').expect(400);
+            await request(app).get('/api/toilet/export.csv?type=secret').expect(400);
+            const response = await request(app).get('/api/toilet/export.csv?bounds=1,2,3').expect(400);
+            expect(response.body.errors[0]).toContain('bounds');
+        });
+    });
 });
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const express = require('express');
+const toiletRoutes = require('../../routes/toilets');
+const reviewRoutes = require('../../routes/reviews');
+const trashRoutes = require('../../routes/trash');
+const TrashService = require('../../services/TrashService');
+const ReviewAggregationService = require('../../services/ReviewAggregationService');
+const Toilet = require('../../models/Toilet');
+const User = require('../../models/User');
+const { toilets, reviews, trash, toiletOperations } = require('../../models/storage');
+const SessionService = require('../../services/SessionService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/toilet', toiletRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/admin/trash', trashRoutes);
+
+describe('Trash Routes', () => {
+    let adminUser;
+    let token;
+    let toilet;
+
+    const review = (rating) => ReviewAggregationService.submit({
+        toiletId: toilet.id,
+        rating,
+        cleanliness: rating,
+        maintenance: rating,
+        accessibility: rating
+    }).then(result => result.review);
+
+    const restore = (id) => request(app)
+        .post(`/api/admin/trash/${encodeURIComponent(id)}/restore`)
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+        toiletOperations.rebuildIndexes();
+
+        adminUser = new User({ email: 'admin@example.com', password: 'password123', role: 'admin' });
+        await adminUser.save();
+        token = (await SessionService.start(adminUser)).token;
+
+        toilet = new Toilet({
+            name: 'Dadar Station Toilet',
+            location: 'Dadar, Mumbai',
+            coordinates: { latitude: 19.0178, longitude: 72.8478 },
+            type: 'public'
+        });
+        await toilet.save();
+    });
+
+    test('should move a deleted toilet and its reviews to the trash', async () => {
+        await review(4);
+        await review(2);
+
+        const res = await request(app)
+            .delete(`/api/toilet/${toilet.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect(res.body.trashId).toBe(`toilets:${toilet.id}`);
+        await request(app).get(`/api/toilet/${toilet.id}`).expect(404);
+        expect(reviews).toHaveLength(0);
+        expect(toiletOperations.findByType('public')).toHaveLength(0);
+
+        const list = await request(app)
+            .get('/api/admin/trash?collection=toilets')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect(list.body.data).toHaveLength(1);
+        expect(list.body.data[0].record.name).toBe('Dadar Station Toilet');
+        expect(list.body.data[0].deletedBy).toBe(adminUser.id);
+        expect(new Date(list.body.data[0].purgeAt) - new Date(list.body.data[0].deletedAt))
+            .toBe(TrashService.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        expect(trash.filter(entry => entry.cascadedFrom === toilet.id)).toHaveLength(2);
+    });
+
+    test('should restore a toilet with its reviews, indexes and ratings', async () => {
+        await review(4);
+        await review(2);
+        await TrashService.trashToilet(toilet.id, adminUser.id);
+
+        const res = await restore(`toilets:${toilet.id}`).expect(200);
+
+        expect(res.body.restored).toEqual({ collection: 'toilets', id: toilet.id, reviews: 2 });
+        const restored = toilets.findById(toilet.id);
+        expect(restored).toBeInstanceOf(Toilet);
+        expect(restored.deletedAt).toBeUndefined();
+        expect(restored.totalReviews).toBe(2);
+        expect(restored.averageRating).toBe(3);
+        expect(toiletOperations.findByType('public').map(found => found.id)).toEqual([toilet.id]);
+        expect(toiletOperations.search('dadar').map(({ toilet: found }) => found.id)).toEqual([toilet.id]);
+        expect(reviews).toHaveLength(2);
+        expect(trash).toHaveLength(0);
+    });
+
+    test('should restore a review only once its toilet is back', async () => {
+        const kept = await review(4);
+        const deleted = await review(2);
+
+        await request(app).delete(`/api/review/${deleted.id}`).set('Authorization', `Bearer ${token}`).expect(200);
+        expect(toilets.findById(toilet.id).averageRating).toBe(4);
+        await TrashService.trashToilet(toilet.id, adminUser.id);
+
+        const blocked = await restore(`reviews:${deleted.id}`).expect(409);
+        expect(blocked.body.errors[0]).toContain('restore the toilet first');
+
+        // The review deleted on its own stays in the trash
+        await restore(`toilets:${toilet.id}`).expect(200);
+        expect(reviews.map(r => r.id)).toEqual([kept.id]);
+        expect(toilets.findById(toilet.id).averageRating).toBe(4);
+
+        await restore(`reviews:${deleted.id}`).expect(200);
+        expect(reviews).toHaveLength(2);
+        expect(toilets.findById(toilet.id).averageRating).toBe(3);
+        expect(toilets.findById(toilet.id).totalReviews).toBe(2);
+    });
+
+    test('should purge entries older than the retention period', async () => {
+        await review(4);
+        await TrashService.trashToilet(toilet.id, adminUser.id);
+        expect(trash).toHaveLength(2);
+
+        const now = new Date();
+        expect(await TrashService.purge({ now, retentionDays: 30 })).toBe(0);
+
+        const later = new Date(now.getTime() + 31 * 24 * 60 * 60 * 1000);
+        expect(await TrashService.purge({ now: later, retentionDays: 30 })).toBe(2);
+        expect(trash).toHaveLength(0);
+        await restore(`toilets:${toilet.id}`).expect(404);
+    });
+
+    test('should require an admin to view or restore the trash', async () => {
+        const user = new User({ email: 'user@example.com', password: 'password123' });
+        await user.save();
+        const userToken = (await SessionService.start(user)).token;
+
+        await request(app).get('/api/admin/trash').expect(401);
+        await request(app)
+            .get('/api/admin/trash')
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+    });
+});
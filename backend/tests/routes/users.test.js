@@ -0,0 +1,121 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const authRoutes = require('../../routes/auth');
+const userRoutes = require('../../routes/users');
+const reviewRoutes = require('../../routes/reviews');
+const User = require('../../models/User');
+const UserService = require('../../services/UserService');
+const SessionService = require('../../services/SessionService');
+const { audit } = require('../../models/storage');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/admin/users', userRoutes);
+app.use('/api/review', reviewRoutes);
+
+describe('User Routes', () => {
+    let superAdmin;
+    let admin;
+    let adminToken;
+    let superAdminToken;
+    let member;
+
+    const asUser = async (user) => ({ Authorization: `Bearer ${(await SessionService.start(user)).token}` });
+
+    const invite = (email, role) => request(app)
+        .post('/api/admin/users/invite')
+        .set(adminToken)
+        .send({ email, role });
+
+    beforeEach(async () => {
+        superAdmin = await new User({ email: 'root@example.com', password: 'password123', role: 'super-admin' }).save();
+        admin = await new User({ email: 'admin@example.com', password: 'password123', role: 'admin' }).save();
+        adminToken = await asUser(admin);
+        superAdminToken = await asUser(superAdmin);
+        member = await new User({ email: 'member@example.com', password: 'password123' }).save();
+    });
+
+    test('should register new accounts as users and keep them out of admin routes', async () => {
+        const registered = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'visitor@example.com', password: 'password123', role: 'admin' })
+            .expect(201);
+        expect(registered.body.user.role).toBe('user');
+
+        await request(app).get('/api/admin/users').expect(401);
+        await request(app).get('/api/admin/users').set('Authorization', `Bearer ${registered.body.token}`).expect(403);
+        await request(app).get('/api/review/export').set('Authorization', `Bearer ${registered.body.token}`).expect(403);
+    });
+
+    test('should list users by role', async () => {
+        const list = await request(app).get('/api/admin/users?sort=email').set(adminToken).expect(200);
+        expect(list.body.data.map(user => user.email)).toEqual(['admin@example.com', 'member@example.com', 'root@example.com']);
+        expect(list.body.data[0].password).toBeUndefined();
+
+        const admins = await request(app).get('/api/admin/users?role=super-admin').set(adminToken).expect(200);
+        expect(admins.body.data.map(user => user.id)).toEqual([superAdmin.id]);
+        await request(app).get('/api/admin/users?role=owner').set(adminToken).expect(400);
+    });
+
+    test('should register invitees with the invited role', async () => {
+        await invite('not-an-email', 'moderator').expect(400);
+        await invite('mod@example.com', 'admin').expect(403);
+        await invite('member@example.com', 'moderator').expect(409);
+
+        const invited = await invite('Mod@Example.com', 'moderator').expect(201);
+        expect(invited.body.data).toMatchObject({ email: 'mod@example.com', role: 'moderator' });
+
+        const wrongEmail = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'someone@example.com', password: 'password123', inviteToken: invited.body.data.token })
+            .expect(400);
+        expect(wrongEmail.body.message).toBe('Invalid or expired invitation');
+
+        const registered = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'mod@example.com', password: 'password123', inviteToken: invited.body.data.token })
+            .expect(201);
+        expect(registered.body.user.role).toBe('moderator');
+        await request(app).get('/api/review/export').set('Authorization', `Bearer ${registered.body.token}`).expect(200);
+
+        await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'x@example.com', password: 'password123', inviteToken: jwt.sign({ id: admin.id }, process.env.JWT_SECRET) })
+            .expect(400);
+        expect(audit.map(entry => entry.action)).toEqual(['user.invite', 'user.register']);
+    });
+
+    test('should only let admins assign roles below their own', async () => {
+        const changed = await request(app)
+            .put(`/api/admin/users/${member.id}/role`)
+            .set(adminToken)
+            .send({ role: 'reviewer' })
+            .expect(200);
+        expect(changed.body.data.role).toBe('reviewer');
+        expect(audit[0]).toMatchObject({ action: 'user.role_change', targetId: member.id });
+
+        await request(app).put(`/api/admin/users/${member.id}/role`).set(adminToken).send({ role: 'admin' }).expect(403);
+        await request(app).put(`/api/admin/users/${superAdmin.id}/role`).set(adminToken).send({ role: 'user' }).expect(403);
+        await request(app).put(`/api/admin/users/${admin.id}/role`).set(adminToken).send({ role: 'super-admin' }).expect(403);
+        await request(app).put(`/api/admin/users/${member.id}/role`).set(adminToken).send({ role: 'owner' }).expect(400);
+        await request(app).put('/api/admin/users/missing/role').set(adminToken).send({ role: 'user' }).expect(404);
+
+        await request(app).put(`/api/admin/users/${admin.id}/role`).set(superAdminToken).send({ role: 'super-admin' }).expect(200);
+        expect((await User.findById(admin.id)).role).toBe('super-admin');
+    });
+
+    test('should bootstrap a super-admin only when there is none', async () => {
+        expect(await UserService.bootstrapSuperAdmin({ email: 'admin@example.com' })).toBeNull();
+
+        await User.findByIdAndUpdate(superAdmin.id, { role: 'admin' });
+        const promoted = await UserService.bootstrapSuperAdmin({ email: 'Admin@example.com' });
+        expect(promoted).toMatchObject({ created: false, user: { id: admin.id, role: 'super-admin' } });
+
+        const created = await UserService.bootstrapSuperAdmin({ email: ' Owner@Example.com ', password: 'password123', force: true });
+        expect(created).toMatchObject({ created: true, user: { email: 'owner@example.com', role: 'super-admin' } });
+        await expect(UserService.bootstrapSuperAdmin({ email: 'new@example.com', force: true })).rejects.toThrow('a password of at least 8 characters');
+    });
+});
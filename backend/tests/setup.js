@@ -1,5 +1,5 @@
 // Test setup file for Jest
-const { users, toilets, reviews } = require('../models/storage');
+const { users, toilets, reviews, trash, audit, revisions, photos, incidents, claims, sessions } = require('../models/storage');
 
 // Mock console methods to reduce noise during testing
 const originalConsoleLog = console.log;
@@ -17,6 +17,13 @@ beforeEach(() => {
     users.splice(0, users.length);
     toilets.splice(0, toilets.length);
     reviews.splice(0, reviews.length);
+    trash.splice(0, trash.length);
+    audit.splice(0, audit.length);
+    revisions.splice(0, revisions.length);
+    photos.splice(0, photos.length);
+    incidents.splice(0, incidents.length);
+    claims.splice(0, claims.length);
+    sessions.splice(0, sessions.length);
 
     // Reset any environment variables that might affect tests
     process.env.JWT_SECRET = 'test-jwt-secret-for-testing-only';
@@ -29,6 +36,13 @@ afterAll(() => {
     users.splice(0, users.length);
     toilets.splice(0, toilets.length);
     reviews.splice(0, reviews.length);
+    trash.splice(0, trash.length);
+    audit.splice(0, audit.length);
+    revisions.splice(0, revisions.length);
+    photos.splice(0, photos.length);
+    incidents.splice(0, incidents.length);
+    claims.splice(0, claims.length);
+    sessions.splice(0, sessions.length);
 
     // Reset environment
     delete process.env.JWT_SECRET;
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+// User administration from the command line
+//
+//   node users.js super-admin <email> [password]   make <email> a super-admin,
+//                                                  creating the account if needed
+//
+// Loads the data directory itself, so stop the server first.
+
+require('dotenv').config();
+
+const UserService = require('./services/UserService');
+const { initializeStorage, getAdapter } = require('./models/adapters');
+
+const usage = 'Usage: node users.js super-admin <email> [password]';
+
+async function main() {
+    const [command, email, password] = process.argv.slice(2);
+
+    switch (command) {
+        case 'super-admin': {
+            if (!email) {
+                console.error(usage);
+                process.exitCode = 1;
+                return;
+            }
+            await initializeStorage({ persistence: { snapshotInterval: -1 } });
+            const { user, created } = await UserService.bootstrapSuperAdmin({ email, password, force: true });
+            await getAdapter().close();
+
+            console.log(`${user.email} is ${created ? 'a new' : 'now a'} super-admin`);
+            break;
+        }
+        default:
+            console.error(usage);
+            process.exitCode = 1;
+    }
+}
+
+// Storage keeps timers running, so exit once the command is done
+main()
+    .then(() => process.exit())
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -7,6 +7,7 @@
 import AppConfig from './core/config/app.config.js';
 import appStore from './state/store/app.store.js';
 import { baseApiService } from './services/api/base-api.service.js';
+import { authApiService } from './services/api/auth-api.service.js';
 import { $ } from './core/utils/dom.utils.js';
 
 /**
@@ -149,6 +150,13 @@ export class ToiletReviewApp {
             return options;
         });
 
+        // Swap the refresh token for a new access token when one expires
+        baseApiService.setAuthRefresh(async () => {
+            const { token } = await authApiService.refreshToken();
+            appStore.setUser(true, appStore.getState().user.data, token);
+            return token;
+        });
+
         // Add response interceptor for error handling
         baseApiService.addResponseInterceptor(async (data, response) => {
             // Handle common API response patterns
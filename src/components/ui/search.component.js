@@ -7,6 +7,8 @@
 import { $ } from '../../core/utils/dom.utils.js';
 import appStore from '../../state/store/app.store.js';
 import AppConfig from '../../core/config/app.config.js';
+import { toiletApiService } from '../../services/api/toilet-api.service.js';
+import { facilityName, groupFacilities } from '../../core/utils/facility.utils.js';
 
 /**
  * SearchComponent Class
@@ -23,6 +25,7 @@ export class SearchComponent {
             enableVoiceSearch: false,
             enableAdvancedSearch: true,
             showFilters: true,
+            userLocation: null, // { lat, lng } - enables distance ranking and the distance filter
             ...options
         };
 
@@ -37,6 +40,7 @@ export class SearchComponent {
             },
             suggestions: [],
             results: [],
+            facilityTaxonomy: null, // from /api/toilet/facilities, loaded on init
             isLoading: false,
             isExpanded: false,
             voiceListening: false
@@ -317,24 +321,27 @@ export class SearchComponent {
     }
 
     /**
-     * Render facility checkboxes for advanced search
+     * Render facility checkboxes for advanced search, grouped by taxonomy category
      * @returns {string} HTML string
      */
     renderFacilityCheckboxes() {
-        const facilities = [
-            { id: 'handicap_accessible', label: '♿ Handicap Accessible', icon: '♿' },
-            { id: 'baby_change', label: '👶 Baby Change', icon: '👶' },
-            { id: 'shower', label: '🚿 Shower', icon: '🚿' },
-            { id: 'bidet', label: '🪣 Bidet', icon: '🪣' },
-            { id: 'paper_towel', label: '📄 Paper Towel', icon: '📄' },
-            { id: 'hand_dryer', label: '💨 Hand Dryer', icon: '💨' }
-        ];
-
-        return facilities.map(facility => `
-            <label class="search__facility-item">
-                <input type="checkbox" data-facility="${facility.id}" value="${facility.id}">
-                <span class="search__facility-label">${facility.label}</span>
-            </label>
+        const categories = groupFacilities(this.state.facilityTaxonomy);
+        if (!categories.length) {
+            return '<p class="search__facility-loading">Loading facilities...</p>';
+        }
+
+        const selected = this.state.filters.facilities;
+        return categories.map(category => `
+            <fieldset class="search__facility-group">
+                <legend class="search__facility-category">${category.name}</legend>
+                ${category.facilities.map(facility => `
+                    <label class="search__facility-item">
+                        <input type="checkbox" data-facility="${facility.id}" value="${facility.id}"
+                            ${selected.includes(facility.id) ? 'checked' : ''}>
+                        <span class="search__facility-label">${facility.icon} ${facility.name}</span>
+                    </label>
+                `).join('')}
+            </fieldset>
         `).join('');
     }
 
@@ -372,13 +379,13 @@ export class SearchComponent {
                     <p class="search__result-location">${result.location}</p>
                     <p class="search__result-meta">
                         ${result.totalReviews || 0} reviews •
-                        ${result.distance ? `${result.distance.toFixed(1)}km away` : 'Distance unknown'}
+                        ${typeof result.distance === 'number' ? `${this.formatDistance(result.distance)} away` : 'Distance unknown'}
                     </p>
 
                     ${result.facilities && result.facilities.length ? `
                         <div class="search__result-facilities">
                             ${result.facilities.slice(0, 3).map(facility =>
-                                `<span class="search__facility-tag">${facility.replace('_', ' ')}</span>`
+                                `<span class="search__facility-tag">${facilityName(this.state.facilityTaxonomy, facility)}</span>`
                             ).join('')}
                             ${result.facilities.length > 3 ? `<span class="search__facility-more">+${result.facilities.length - 3} more</span>` : ''}
                         </div>
@@ -486,7 +493,7 @@ export class SearchComponent {
      */
     attachAdvancedSearchListeners() {
         const toggleBtn = this.elements.container.querySelector('.search__advanced-toggle');
-        const facilityCheckboxes = this.elements.container.querySelectorAll('input[data-facility]');
+        const facilityList = this.elements.container.querySelector('.search__advanced-facilities');
 
         if (toggleBtn) {
             toggleBtn.addEventListener('click', () => {
@@ -497,16 +504,16 @@ export class SearchComponent {
             });
         }
 
-        facilityCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                const facilities = Array.from(facilityCheckboxes)
-                    .filter(cb => cb.checked)
-                    .map(cb => cb.value);
+        // Delegated, as the checkboxes are rendered again once the taxonomy loads
+        if (facilityList) {
+            facilityList.addEventListener('change', (event) => {
+                if (!event.target.matches('input[data-facility]')) return;
 
-                this.state.filters.facilities = facilities;
+                this.state.filters.facilities = Array.from(facilityList.querySelectorAll('input[data-facility]:checked'))
+                    .map(cb => cb.value);
                 this.performSearch();
             });
-        });
+        }
     }
 
     /**
@@ -568,7 +575,7 @@ export class SearchComponent {
             this.state.recentSearches = recentSearches;
 
             // Load popular locations or suggestions
-            await this.loadSuggestions();
+            await Promise.all([this.loadSuggestions(), this.loadFacilities()]);
 
         } catch (error) {
             console.error('[SEARCH] Error loading initial data:', error);
@@ -592,6 +599,20 @@ export class SearchComponent {
         }
     }
 
+    /**
+     * Load the facility taxonomy and render the facility checkboxes from it
+     */
+    async loadFacilities() {
+        try {
+            this.state.facilityTaxonomy = await toiletApiService.getFacilities();
+
+            const facilityList = this.elements.container.querySelector('.search__advanced-facilities');
+            if (facilityList) facilityList.innerHTML = this.renderFacilityCheckboxes();
+        } catch (error) {
+            console.warn('[SEARCH] Could not load facilities:', error);
+        }
+    }
+
     /**
      * Handle input events
      * @param {Event} event - Input event
@@ -743,11 +764,7 @@ export class SearchComponent {
         this.showLoadingState();
 
         try {
-            const params = new URLSearchParams({
-                q: this.state.query,
-                ...this.state.filters
-            });
-
+            const params = this.buildSearchParams();
             const response = await fetch(`${AppConfig.api.baseUrl}/api/toilet/search?${params}`);
             if (!response.ok) throw new Error('Search failed');
 
@@ -767,6 +784,39 @@ export class SearchComponent {
         }
     }
 
+    /**
+     * Build search query parameters, leaving out filters set to 'all'
+     * @returns {URLSearchParams} Query parameters for /api/toilet/search
+     */
+    buildSearchParams() {
+        const { type, rating, facilities, distance, hasReviews } = this.state.filters;
+        const location = this.options.userLocation;
+        const params = new URLSearchParams({ q: this.state.query });
+
+        if (type !== 'all') params.append('type', type);
+        if (rating !== 'all') params.append('minRating', rating);
+        if (facilities.length) params.append('facilities', facilities.join(','));
+        if (hasReviews) params.append('hasReviews', 'true');
+
+        // Distance needs a reference point; without one the filter is ignored
+        if (location) {
+            params.append('lat', location.lat);
+            params.append('lng', location.lng);
+            if (distance !== 'all') params.append('radius', Number(distance) * 1000);
+        }
+
+        return params;
+    }
+
+    /**
+     * Format a distance in meters for display
+     * @param {number} meters - Distance in meters
+     * @returns {string} e.g. "450 m" or "2.3 km"
+     */
+    formatDistance(meters) {
+        return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+    }
+
     /**
      * Update suggestions display
      */
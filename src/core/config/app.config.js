@@ -35,7 +35,14 @@ const AppConfig = {
         maxZoom: 18,
         minZoom: 3,
         clusterRadius: 50,
-        maxClusterRadius: 100
+        maxClusterRadius: 100,
+        // Toilet data is fetched as fixed-zoom tiles so panning only loads new areas
+        dataTiles: {
+            zoom: 12,
+            maxTiles: 36, // Wider viewports fall back to a single bounds request
+            ttl: 300000, // 5 minutes in milliseconds
+            maxCached: 256
+        }
     },
 
     // QR Scanner Configuration
@@ -10,15 +10,30 @@ export const API_ENDPOINTS = {
         MAP: 'toilet/map',
         STATS: 'toilet/stats',
         ADD_PRIVATE: 'toilet/add-private',
+        IMPORT: 'toilet/import',
+        IMPORT_PREVIEW: 'toilet/import/preview',
         SYNC_PUBLIC: 'toilet/sync-public',
+        SEARCH: 'toilet/search',
+        NEARBY: 'toilet/nearby',
+        FACILITIES: 'toilet/facilities',
+        INCIDENT_TYPES: 'toilet/incident-types',
+        LIVE_STATUS: 'toilet/live-status',
+        TILE: (z, x, y, format = 'geojson') => `toilet/tiles/${z}/${x}/${y}.${format}`,
+        EXPORT: (format) => `toilet/export.${format}`,
         BY_ID: (id) => `toilet/${id}`,
-        QR_CODE: (id) => `toilet/${id}/qr`
+        QR_CODE: (id) => `toilet/${id}/qr`,
+        REVISIONS: (id) => `toilet/${id}/revisions`,
+        PHOTOS: (id) => `toilet/${id}/photos`,
+        INCIDENTS: (id) => `toilet/${id}/incidents`,
+        INCIDENT_CONFIRM: (id, incidentId) => `toilet/${id}/incidents/${incidentId}/confirm`,
+        ROLLBACK: (id, number) => `toilet/${id}/revisions/${number}/rollback`
     },
 
     // Review endpoints
     REVIEWS: {
         SUBMIT: 'review/submit',
         ALL: 'review/all',
+        EXPORT: 'review/export.csv',
         BY_TOILET: (toiletId) => `review/toilet/${toiletId}`,
         BY_ID: (id) => `reviews/${id}`
     },
@@ -27,15 +42,37 @@ export const API_ENDPOINTS = {
     AUTH: {
         LOGIN: 'auth/login',
         REGISTER: 'auth/register',
+        REFRESH: 'auth/refresh',
         LOGOUT: 'auth/logout',
         ME: 'auth/me'
     },
 
+    // Ownership claim endpoints
+    CLAIMS: {
+        BASE: 'claims',
+        MINE: 'claims/mine',
+        APPROVE: (id) => `claims/${id}/approve`,
+        REJECT: (id) => `claims/${id}/reject`,
+        REVOKE: (id) => `claims/${id}/revoke`
+    },
+
     // Admin endpoints
     ADMIN: {
         LOGIN: 'admin/login',
         DASHBOARD: 'admin/dashboard',
-        STATS: 'admin/stats'
+        STATS: 'admin/stats',
+        TRASH: 'admin/trash',
+        TRASH_RESTORE: (id) => `admin/trash/${encodeURIComponent(id)}/restore`,
+        PHOTOS: 'admin/photos',
+        PHOTO: (id) => `admin/photos/${id}`,
+        PHOTO_APPROVE: (id) => `admin/photos/${id}/approve`,
+        PHOTO_REJECT: (id) => `admin/photos/${id}/reject`,
+        PHOTO_FILE: (id, variant = 'thumbnail') => `admin/photos/${id}/${variant}`,
+        INCIDENTS: 'admin/incidents',
+        INCIDENT_RESOLVE: (id) => `admin/incidents/${id}/resolve`,
+        USERS: 'admin/users',
+        USER_INVITE: 'admin/users/invite',
+        USER_ROLE: (id) => `admin/users/${id}/role`
     },
 
     // System endpoints
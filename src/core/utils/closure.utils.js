@@ -0,0 +1,53 @@
+/**
+ * Closure Utilities
+ * Display text for the closure the API attaches to toilets
+ * (closure: { closed, reason, start, end, recurring }) and the closure
+ * windows admins edit (closures: [{ id, start, end, reason, recurring }])
+ */
+
+const sameDay = (a, b) => a.toDateString() === b.toDateString();
+
+const formatDate = (date) => date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+const formatTime = (date) => date.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false });
+
+/**
+ * Short description of a toilet's current or upcoming closure
+ * @param {object|null} closure - closure from the API
+ * @param {Date} now - Reference time
+ * @returns {{closed: boolean, text: string}|null} text is e.g.
+ *   "Temporarily closed until 25 Oct · Renovation" or
+ *   "Closing 20 Oct – 27 Oct · Festival"; null when there is no closure
+ */
+export function describeClosure(closure, now = new Date()) {
+    if (!closure) return null;
+
+    const start = new Date(closure.start);
+    const end = new Date(closure.end);
+    const reason = closure.reason ? ` · ${closure.reason}` : '';
+
+    if (closure.closed) {
+        const until = sameDay(end, now) ? formatTime(end) : formatDate(end);
+        return { closed: true, text: `Temporarily closed until ${until}${reason}` };
+    }
+
+    const when = sameDay(start, end)
+        ? `${formatDate(start)} ${formatTime(start)} – ${formatTime(end)}`
+        : `${formatDate(start)} – ${formatDate(end)}`;
+    return { closed: false, text: `Closing ${when}${reason}` };
+}
+
+/**
+ * One closure window as a line for the admin list
+ * @param {object} closure - { start, end, reason, recurring }
+ * @returns {string} e.g. "20 Oct 2024 00:00 – 27 Oct 2024 00:00 (yearly) · Festival"
+ */
+export function closureWindowText(closure) {
+    const format = (value) => {
+        const date = new Date(value);
+        return `${date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })} ${formatTime(date)}`;
+    };
+    const recurring = closure.recurring ? ` (${closure.recurring})` : '';
+    const reason = closure.reason ? ` · ${closure.reason}` : '';
+    return `${format(closure.start)} – ${format(closure.end)}${recurring}${reason}`;
+}
@@ -0,0 +1,46 @@
+/**
+ * Closure Utilities Unit Tests
+ * Tests closure notices and closure window descriptions
+ */
+
+import { describeClosure, closureWindowText } from './closure.utils.js';
+
+describe('Closure Utilities', () => {
+  const now = new Date(2024, 9, 18, 12, 0);
+
+  test('should describe a current closure', () => {
+    const closure = {
+      closed: true,
+      reason: 'Renovation',
+      start: new Date(2024, 9, 10).toISOString(),
+      end: new Date(2024, 9, 25).toISOString(),
+      recurring: null
+    };
+    expect(describeClosure(closure, now)).toEqual({ closed: true, text: 'Temporarily closed until 25 Oct · Renovation' });
+
+    const today = { ...closure, reason: null, end: new Date(2024, 9, 18, 15, 30).toISOString() };
+    expect(describeClosure(today, now).text).toBe('Temporarily closed until 15:30');
+  });
+
+  test('should describe an upcoming closure', () => {
+    const closure = {
+      closed: false,
+      reason: 'Festival',
+      start: new Date(2024, 9, 20).toISOString(),
+      end: new Date(2024, 9, 27).toISOString(),
+      recurring: 'yearly'
+    };
+    expect(describeClosure(closure, now)).toEqual({ closed: false, text: 'Closing 20 Oct – 27 Oct · Festival' });
+    expect(describeClosure(null, now)).toBeNull();
+  });
+
+  test('should describe closure windows for admins', () => {
+    const text = closureWindowText({
+      start: new Date(2024, 9, 20, 9, 0).toISOString(),
+      end: new Date(2024, 9, 20, 13, 0).toISOString(),
+      reason: 'Cleaning',
+      recurring: 'weekly'
+    });
+    expect(text).toBe('20 Oct 2024 09:00 – 20 Oct 2024 13:00 (weekly) · Cleaning');
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Facility Utilities
+ * Display helpers for the facility taxonomy served by /api/toilet/facilities
+ * ({ categories: [{ id, name }], facilities: [{ id, category, name, icon, aliases, osmTags }] })
+ */
+
+/**
+ * Find a facility by id or alias
+ * @param {object|null} taxonomy - Facility taxonomy
+ * @param {string} value - Facility id or alias (e.g. "handicap")
+ * @returns {object|null} Taxonomy facility
+ */
+export function findFacility(taxonomy, value) {
+    if (!taxonomy || !value) return null;
+    return taxonomy.facilities.find(facility =>
+        facility.id === value || facility.aliases?.includes(value)
+    ) || null;
+}
+
+/**
+ * Display name of a facility
+ * @param {object|null} taxonomy - Facility taxonomy; without it the id is title-cased
+ * @param {string} value - Facility id or alias
+ * @returns {string} e.g. "Baby Change"
+ */
+export function facilityName(taxonomy, value) {
+    const facility = findFacility(taxonomy, value);
+    if (facility) return facility.name;
+    return String(value).replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Facilities grouped by category, in taxonomy order; empty categories are left out
+ * @param {object|null} taxonomy - Facility taxonomy
+ * @returns {Array<object>} [{ id, name, facilities }]
+ */
+export function groupFacilities(taxonomy) {
+    if (!taxonomy) return [];
+    return taxonomy.categories
+        .map(category => ({
+            ...category,
+            facilities: taxonomy.facilities.filter(facility => facility.category === category.id)
+        }))
+        .filter(category => category.facilities.length > 0);
+}
@@ -0,0 +1,41 @@
+/**
+ * Facility Utilities Unit Tests
+ * Tests facility lookup, display names and category grouping
+ */
+
+import { facilityName, findFacility, groupFacilities } from './facility.utils.js';
+
+const taxonomy = {
+  categories: [
+    { id: 'accessibility', name: 'Accessibility' },
+    { id: 'family', name: 'Family' },
+    { id: 'amenities', name: 'Amenities' }
+  ],
+  facilities: [
+    { id: 'wheelchair', category: 'accessibility', name: 'Wheelchair Accessible', icon: '♿', aliases: ['handicap'] },
+    { id: 'shower', category: 'amenities', name: 'Shower', icon: '🚿', aliases: [] }
+  ]
+};
+
+describe('Facility Utilities', () => {
+  test('should find facilities by id or alias', () => {
+    expect(findFacility(taxonomy, 'wheelchair').icon).toBe('♿');
+    expect(findFacility(taxonomy, 'handicap').id).toBe('wheelchair');
+    expect(findFacility(taxonomy, 'sauna')).toBeNull();
+    expect(findFacility(null, 'shower')).toBeNull();
+  });
+
+  test('should name facilities from the taxonomy with a fallback', () => {
+    expect(facilityName(taxonomy, 'handicap')).toBe('Wheelchair Accessible');
+    expect(facilityName(taxonomy, 'paper_towel_roll')).toBe('Paper Towel Roll');
+    expect(facilityName(null, 'baby_change')).toBe('Baby Change');
+  });
+
+  test('should group facilities by category and skip empty ones', () => {
+    expect(groupFacilities(taxonomy).map(category => [category.id, category.facilities.map(f => f.id)])).toEqual([
+      ['accessibility', ['wheelchair']],
+      ['amenities', ['shower']]
+    ]);
+    expect(groupFacilities(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Fee Utilities
+ * Display text for the fee the API attaches to toilets
+ * (fee: { required, amount, currency, unit, paymentMethods, customersOnly })
+ * and the fee query parameters for the map filters
+ */
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+
+const PAYMENT_LABELS = { cash: 'cash', upi: 'UPI', card: 'card' };
+
+/**
+ * Amount with its currency symbol
+ * @param {number} amount - Amount in currency units
+ * @param {string} currency - ISO currency code
+ * @returns {string} e.g. "₹5" or "CHF 2"
+ */
+export function formatAmount(amount, currency = 'INR') {
+    const symbol = CURRENCY_SYMBOLS[currency];
+    return symbol ? `${symbol}${amount}` : `${currency} ${amount}`;
+}
+
+/**
+ * Short description of a toilet's fee
+ * @param {object|null} fee - fee from the API
+ * @returns {string|null} e.g. "₹5 per use · UPI, cash · customers only",
+ *   "Free", or null when nothing is known
+ */
+export function describeFee(fee) {
+    if (!fee) return null;
+
+    const parts = [];
+    if (fee.required === false) {
+        parts.push('Free');
+    } else if (fee.required === true) {
+        if (fee.amount === null || fee.amount === undefined) {
+            parts.push('Paid');
+        } else if (fee.unit === 'per_service') {
+            parts.push(`From ${formatAmount(fee.amount, fee.currency)} per service`);
+        } else {
+            parts.push(`${formatAmount(fee.amount, fee.currency)} per use`);
+        }
+    }
+
+    if (fee.required !== false && fee.paymentMethods?.length) {
+        parts.push(fee.paymentMethods.map(method => PAYMENT_LABELS[method] || method).join(', '));
+    }
+    if (fee.customersOnly) parts.push('customers only');
+
+    return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/**
+ * Query parameters for the map's fee filters
+ * @param {object} filters - Map filters
+ * @param {string} [filters.price] - 'any', 'free', or the highest fee to show
+ * @param {boolean} [filters.upi] - Only toilets that are free or take UPI
+ * @returns {object} fee, maxFee and payment parameters; empty without fee filters
+ */
+export function feeFilterParams(filters = {}) {
+    const params = {};
+    if (filters.price === 'free') params.fee = 'free';
+    else if (filters.price && filters.price !== 'any') params.maxFee = String(filters.price);
+    if (filters.upi) params.payment = 'upi';
+    return params;
+}
@@ -0,0 +1,38 @@
+/**
+ * Fee Utilities Unit Tests
+ * Tests the fee display text and map filter parameters
+ */
+
+import { describeFee, feeFilterParams, formatAmount } from './fee.utils.js';
+
+describe('Fee Utilities', () => {
+  test('should describe paid, free and customer-only toilets', () => {
+    expect(describeFee({
+      required: true,
+      amount: 5,
+      currency: 'INR',
+      unit: 'per_use',
+      paymentMethods: ['cash', 'upi'],
+      customersOnly: true
+    })).toBe('₹5 per use · cash, UPI · customers only');
+    expect(describeFee({ required: true, amount: 2, currency: 'INR', unit: 'per_service', paymentMethods: [] })).toBe('From ₹2 per service');
+    expect(describeFee({ required: true, amount: null, paymentMethods: ['card'] })).toBe('Paid · card');
+    expect(describeFee({ required: false, amount: 0, paymentMethods: [] })).toBe('Free');
+  });
+
+  test('should return null when nothing is known', () => {
+    expect(describeFee(null)).toBeNull();
+    expect(describeFee({ required: null, paymentMethods: [] })).toBeNull();
+  });
+
+  test('should format other currencies by code', () => {
+    expect(formatAmount(0.5, 'EUR')).toBe('€0.5');
+    expect(formatAmount(2, 'CHF')).toBe('CHF 2');
+  });
+
+  test('should build fee filter parameters', () => {
+    expect(feeFilterParams({ price: 'any', upi: false })).toEqual({});
+    expect(feeFilterParams({ price: 'free' })).toEqual({ fee: 'free' });
+    expect(feeFilterParams({ price: '5', upi: true })).toEqual({ maxFee: '5', payment: 'upi' });
+  });
+});
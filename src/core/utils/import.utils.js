@@ -0,0 +1,84 @@
+/**
+ * Import Utilities
+ * Helpers for the admin bulk toilet import: picking the file format, reading
+ * uploads and turning the server's import report into a downloadable CSV
+ */
+
+/**
+ * Toilet fields a CSV column can be mapped to, with their form labels
+ */
+export const IMPORT_FIELDS = [
+    { field: 'name', label: 'Name', required: true },
+    { field: 'location', label: 'Location / address', required: true },
+    { field: 'latitude', label: 'Latitude', required: true },
+    { field: 'longitude', label: 'Longitude', required: true },
+    { field: 'description', label: 'Description' },
+    { field: 'facilities', label: 'Facilities' },
+    { field: 'openingHours', label: 'Opening hours (OSM syntax)' },
+    { field: 'type', label: 'Type (public/private)' }
+];
+
+const FORMAT_EXTENSIONS = {
+    csv: 'csv',
+    tsv: 'csv',
+    txt: 'csv',
+    geojson: 'geojson',
+    json: 'geojson',
+    kml: 'kml'
+};
+
+/**
+ * Import format for an uploaded file, from its extension
+ * @param {string} fileName - File name
+ * @returns {string|null} 'csv', 'geojson', 'kml' or null when unsupported
+ */
+export function detectImportFormat(fileName = '') {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return FORMAT_EXTENSIONS[extension] || null;
+}
+
+/**
+ * Read a File as text
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string>} File contents
+ */
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+        reader.readAsText(file);
+    });
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Import report as CSV, one line per row of the uploaded file
+ * @param {object} report - Report returned by the import endpoint
+ * @returns {string} CSV text
+ */
+export function importReportToCsv(report) {
+    const header = ['row', 'status', 'name', 'location', 'toiletId', 'duplicateOf', 'errors'];
+
+    const lines = (report?.rows || []).map(row => {
+        const duplicateOf = row.duplicateOf
+            ? (row.duplicateOf.id ? `toilet ${row.duplicateOf.id}` : `row ${row.duplicateOf.row}`)
+            : '';
+
+        return [
+            row.row,
+            row.status,
+            row.toilet?.name,
+            row.toilet?.location,
+            row.toiletId,
+            duplicateOf,
+            (row.errors || []).join('; ')
+        ].map(csvCell).join(',');
+    });
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
@@ -0,0 +1,33 @@
+/**
+ * Import Utilities Unit Tests
+ * Tests format detection and the downloadable import report
+ */
+
+import { detectImportFormat, importReportToCsv } from './import.utils.js';
+
+describe('Import Utilities', () => {
+  test('should detect the import format from the file extension', () => {
+    expect(detectImportFormat('toilets.CSV')).toBe('csv');
+    expect(detectImportFormat('pune.geojson')).toBe('geojson');
+    expect(detectImportFormat('pune.json')).toBe('geojson');
+    expect(detectImportFormat('export.kml')).toBe('kml');
+    expect(detectImportFormat('sheet.xlsx')).toBeNull();
+  });
+
+  test('should write one CSV line per report row', () => {
+    const csv = importReportToCsv({
+      rows: [
+        { row: 2, status: 'created', toiletId: 't9', errors: [], toilet: { name: 'Dadar Station, West', location: 'Dadar' } },
+        { row: 3, status: 'invalid', errors: ['Name is required', 'Coordinates are required'], toilet: { name: '', location: 'Dadar' } },
+        { row: 4, status: 'duplicate', errors: [], duplicateOf: { row: 2 }, toilet: { name: 'Say "hi"', location: 'Dadar' } }
+      ]
+    });
+
+    expect(csv.trim().split('\n')).toEqual([
+      'row,status,name,location,toiletId,duplicateOf,errors',
+      '2,created,"Dadar Station, West",Dadar,t9,,',
+      '3,invalid,,Dadar,,,Name is required; Coordinates are required',
+      '4,duplicate,"Say ""hi""",Dadar,,row 2,'
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Live Status Utilities
+ * Display text for the live status the API attaches to toilets from
+ * crowd-reported incidents (liveStatus: { state, incidents: [{ id, type, reports, confirmed }] })
+ * and the incident types served by /api/toilet/incident-types
+ */
+
+/**
+ * Display name of an incident type
+ * @param {Array|null} types - Incident types; without them the id is title-cased
+ * @param {string} id - Incident type id
+ * @returns {string} e.g. "No water"
+ */
+export function incidentTypeName(types, id) {
+    const type = types?.find(incidentType => incidentType.id === id);
+    if (type) return type.name;
+    return String(id).replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+}
+
+/**
+ * Short description of a toilet's live status
+ * @param {object|null} liveStatus - liveStatus from the API
+ * @param {Array|null} types - Incident types, for display names
+ * @returns {{state: string, text: string}|null} state is degraded or
+ *   unavailable; text is e.g. "Reported: Locked (confirmed), No water".
+ *   null when nothing is reported.
+ */
+export function describeLiveStatus(liveStatus, types = null) {
+    if (!liveStatus || liveStatus.state === 'ok' || !liveStatus.incidents?.length) return null;
+
+    const problems = liveStatus.incidents
+        .map(incident => `${incidentTypeName(types, incident.type)}${incident.confirmed ? ' (confirmed)' : ''}`)
+        .join(', ');
+
+    return {
+        state: liveStatus.state,
+        text: liveStatus.state === 'unavailable' ? `Out of service · ${problems}` : `Reported: ${problems}`
+    };
+}
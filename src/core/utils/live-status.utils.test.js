@@ -0,0 +1,37 @@
+/**
+ * Live Status Utilities Unit Tests
+ * Tests incident type names and live status descriptions
+ */
+
+import { describeLiveStatus, incidentTypeName } from './live-status.utils.js';
+
+const types = [
+  { id: 'locked', name: 'Locked', icon: '🔒', severity: 'unavailable' },
+  { id: 'no_water', name: 'No water', icon: '🚱', severity: 'degraded' }
+];
+
+describe('Live Status Utilities', () => {
+  test('should name incident types with a fallback', () => {
+    expect(incidentTypeName(types, 'no_water')).toBe('No water');
+    expect(incidentTypeName(types, 'out_of_order')).toBe('Out of order');
+    expect(incidentTypeName(null, 'locked')).toBe('Locked');
+  });
+
+  test('should describe reported problems', () => {
+    expect(describeLiveStatus({
+      state: 'degraded',
+      incidents: [{ type: 'locked', confirmed: false }, { type: 'no_water', confirmed: true }]
+    }, types)).toEqual({ state: 'degraded', text: 'Reported: Locked, No water (confirmed)' });
+
+    expect(describeLiveStatus({
+      state: 'unavailable',
+      incidents: [{ type: 'locked', confirmed: true }]
+    }, types)).toEqual({ state: 'unavailable', text: 'Out of service · Locked (confirmed)' });
+  });
+
+  test('should describe nothing when no problems are reported', () => {
+    expect(describeLiveStatus({ state: 'ok', incidents: [] })).toBeNull();
+    expect(describeLiveStatus(null)).toBeNull();
+    expect(describeLiveStatus(undefined)).toBeNull();
+  });
+});
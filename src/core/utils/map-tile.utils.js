@@ -0,0 +1,141 @@
+/**
+ * Map Tile Utilities
+ * Web Mercator tile maths and a client-side cache for toilet data tiles
+ * Tile numbering matches the backend's /api/toilet/tiles/{z}/{x}/{y}
+ */
+
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Tile column and row containing a point
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} z - Zoom level
+ * @returns {{x: number, y: number}} Tile coordinates
+ */
+export function tileForPoint(latitude, longitude, z) {
+    const count = Math.pow(2, z);
+    const lat = Math.max(Math.min(latitude, MAX_LATITUDE), -MAX_LATITUDE);
+    const sin = Math.sin(lat * Math.PI / 180);
+    const clamp = value => Math.min(Math.max(Math.floor(value), 0), count - 1);
+
+    return {
+        x: clamp((longitude + 180) / 360 * count),
+        y: clamp((0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * count)
+    };
+}
+
+/**
+ * Tiles at zoom z covering a bounding box
+ * @param {{south: number, west: number, north: number, east: number}} bounds - Bounding box
+ * @param {number} z - Zoom level
+ * @returns {Array<{z: number, x: number, y: number}>} Covering tiles
+ */
+export function tilesForBounds(bounds, z) {
+    const northWest = tileForPoint(bounds.north, bounds.west, z);
+    const southEast = tileForPoint(bounds.south, bounds.east, z);
+
+    const tiles = [];
+    for (let x = northWest.x; x <= southEast.x; x++) {
+        for (let y = northWest.y; y <= southEast.y; y++) {
+            tiles.push({ z, x, y });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Stable cache key for a tile
+ * @param {{z: number, x: number, y: number}} tile - Tile coordinates
+ * @returns {string} Key in z/x/y form
+ */
+export function tileKey({ z, x, y }) {
+    return `${z}/${x}/${y}`;
+}
+
+/**
+ * Toilets from a GeoJSON tile in the shape the map markers expect
+ * @param {object} featureCollection - GeoJSON FeatureCollection
+ * @returns {Array} Toilet objects with coordinates
+ */
+export function toiletsFromGeoJson(featureCollection) {
+    return (featureCollection?.features || []).map(feature => ({
+        ...feature.properties,
+        id: feature.properties?.id ?? feature.id,
+        coordinates: {
+            latitude: feature.geometry.coordinates[1],
+            longitude: feature.geometry.coordinates[0]
+        }
+    }));
+}
+
+/**
+ * Tile cache with expiry and least-recently-used eviction
+ * Entries are keyed by tile and a variant (e.g. the active map filters)
+ */
+export class TileCache {
+    /**
+     * @param {object} options - Cache options
+     * @param {number} options.ttl - Entry lifetime in milliseconds
+     * @param {number} options.maxSize - Maximum number of tiles kept
+     */
+    constructor({ ttl = 5 * 60 * 1000, maxSize = 256 } = {}) {
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    key(tile, variant = '') {
+        return `${variant}|${tileKey(tile)}`;
+    }
+
+    /**
+     * Cached tile data, or undefined when missing or expired
+     * @param {object} tile - Tile coordinates
+     * @param {string} variant - Cache variant
+     * @returns {*} Cached data
+     */
+    get(tile, variant = '') {
+        const key = this.key(tile, variant);
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (Date.now() - entry.timestamp > this.ttl) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Re-insert so Map order tracks recency
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.data;
+    }
+
+    /**
+     * Store tile data, evicting the least recently used tiles when full
+     * @param {object} tile - Tile coordinates
+     * @param {string} variant - Cache variant
+     * @param {*} data - Tile data
+     */
+    set(tile, variant, data) {
+        const key = this.key(tile, variant);
+        this.entries.delete(key);
+        this.entries.set(key, { data, timestamp: Date.now() });
+
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    has(tile, variant = '') {
+        return this.get(tile, variant) !== undefined;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Map Tile Utilities Unit Tests
+ * Tests tile maths and the client-side tile cache
+ */
+
+import { tileForPoint, tilesForBounds, tileKey, toiletsFromGeoJson, TileCache } from './map-tile.utils.js';
+
+describe('Map Tile Utilities', () => {
+  describe('tile maths', () => {
+    test('should find the tile containing a point', () => {
+      expect(tileForPoint(0, 0, 1)).toEqual({ x: 1, y: 1 });
+      expect(tileForPoint(18.5204, 73.8567, 12)).toEqual({ x: 2888, y: 1833 });
+    });
+
+    test('should list every tile covering a bounding box', () => {
+      const tiles = tilesForBounds({ south: -10, west: -10, north: 10, east: 10 }, 1);
+      expect(tiles.map(tileKey).sort()).toEqual(['1/0/0', '1/0/1', '1/1/0', '1/1/1']);
+    });
+  });
+
+  test('should turn GeoJSON features into map toilets', () => {
+    const toilets = toiletsFromGeoJson({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        id: 't1',
+        geometry: { type: 'Point', coordinates: [73.85, 18.52] },
+        properties: { id: 't1', name: 'Shivajinagar', type: 'public' }
+      }]
+    });
+
+    expect(toilets).toEqual([{
+      id: 't1',
+      name: 'Shivajinagar',
+      type: 'public',
+      coordinates: { latitude: 18.52, longitude: 73.85 }
+    }]);
+  });
+
+  describe('TileCache', () => {
+    const tile = { z: 12, x: 2888, y: 1833 };
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should keep tiles per variant', () => {
+      const cache = new TileCache();
+      cache.set(tile, 'public', ['a']);
+
+      expect(cache.get(tile, 'public')).toEqual(['a']);
+      expect(cache.get(tile, 'private')).toBeUndefined();
+    });
+
+    test('should expire tiles after the TTL', () => {
+      jest.useFakeTimers();
+      const cache = new TileCache({ ttl: 1000 });
+      cache.set(tile, '', []);
+
+      jest.advanceTimersByTime(1001);
+      expect(cache.has(tile)).toBe(false);
+      expect(cache.size).toBe(0);
+    });
+
+    test('should evict the least recently used tile when full', () => {
+      const cache = new TileCache({ maxSize: 2 });
+      const other = { ...tile, x: tile.x + 1 };
+      const third = { ...tile, x: tile.x + 2 };
+
+      cache.set(tile, '', 1);
+      cache.set(other, '', 2);
+      cache.get(tile);
+      cache.set(third, '', 3);
+
+      expect(cache.has(tile)).toBe(true);
+      expect(cache.has(other)).toBe(false);
+      expect(cache.has(third)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Opening Hours Utilities
+ * Display text for the opening status the API attaches to toilets
+ * (openingStatus: { state, nextChange, minutesToChange })
+ */
+
+/**
+ * Short description of a toilet's opening status
+ * @param {object|null} status - openingStatus from the API
+ * @returns {{state: string, text: string}} state is open, closing_soon, closed
+ *   or unknown; text is e.g. "Open · closes 20:00" or "Closed · opens Tu 08:00"
+ */
+export function describeOpeningStatus(status) {
+    const state = status?.state || 'unknown';
+    const nextChange = status?.nextChange;
+
+    switch (state) {
+        case 'open':
+            return { state, text: nextChange ? `Open · closes ${nextChange}` : 'Open now' };
+        case 'closing_soon':
+            return { state, text: `Closing soon · closes ${nextChange}` };
+        case 'closed':
+            return { state, text: nextChange ? `Closed · opens ${nextChange}` : 'Closed' };
+        default:
+            return { state: 'unknown', text: 'Opening hours unknown' };
+    }
+}
+
+/**
+ * Opening hours as OSM syntax, whether the toilet carries the string (map
+ * payloads) or the structured value (full toilet records)
+ * @param {string|object|null} openingHours - openingHours from the API
+ * @returns {string|null} e.g. "Mo-Fr 08:00-20:00; PH off"
+ */
+export function openingHoursText(openingHours) {
+    if (!openingHours) return null;
+    return typeof openingHours === 'string' ? openingHours : openingHours.osm || null;
+}
@@ -0,0 +1,28 @@
+/**
+ * Opening Hours Utilities Unit Tests
+ * Tests the display text for opening status
+ */
+
+import { describeOpeningStatus, openingHoursText } from './opening-hours.utils.js';
+
+describe('Opening Hours Utilities', () => {
+  test('should describe each opening state', () => {
+    expect(describeOpeningStatus({ state: 'open', nextChange: '20:00' }).text).toBe('Open · closes 20:00');
+    expect(describeOpeningStatus({ state: 'open', nextChange: null }).text).toBe('Open now');
+    expect(describeOpeningStatus({ state: 'closing_soon', nextChange: '20:00' })).toEqual({
+      state: 'closing_soon',
+      text: 'Closing soon · closes 20:00'
+    });
+    expect(describeOpeningStatus({ state: 'closed', nextChange: 'Tu 08:00' }).text).toBe('Closed · opens Tu 08:00');
+  });
+
+  test('should treat a missing status as unknown', () => {
+    expect(describeOpeningStatus(undefined)).toEqual({ state: 'unknown', text: 'Opening hours unknown' });
+  });
+
+  test('should read opening hours as a string or a structured value', () => {
+    expect(openingHoursText('24/7')).toBe('24/7');
+    expect(openingHoursText({ osm: 'Mo-Fr 08:00-20:00', rules: [] })).toBe('Mo-Fr 08:00-20:00');
+    expect(openingHoursText(null)).toBeNull();
+  });
+});
@@ -8,8 +8,17 @@ import { BasePage } from '../shared/page.base.js';
 import appStore from '../../state/store/app.store.js';
 import { authApiService } from '../../services/api/auth-api.service.js';
 import { toiletApiService } from '../../services/api/toilet-api.service.js';
-import { reviewApiService } from '../../services/api/review-api.service.js';
-import { $ } from '../../core/utils/dom.utils.js';
+import { reviewApiService, ReviewApiService } from '../../services/api/review-api.service.js';
+import { trashApiService, TrashApiService } from '../../services/api/trash-api.service.js';
+import { photoApiService } from '../../services/api/photo-api.service.js';
+import { incidentApiService, IncidentApiService } from '../../services/api/incident-api.service.js';
+import { claimApiService, ClaimApiService } from '../../services/api/claim-api.service.js';
+import { userApiService, UserApiService } from '../../services/api/user-api.service.js';
+import { $, $$, createElement } from '../../core/utils/dom.utils.js';
+import { IMPORT_FIELDS, detectImportFormat, readFileAsText, importReportToCsv } from '../../core/utils/import.utils.js';
+import { openingHoursText } from '../../core/utils/opening-hours.utils.js';
+import { incidentTypeName } from '../../core/utils/live-status.utils.js';
+import { closureWindowText } from '../../core/utils/closure.utils.js';
 import AppConfig from '../../core/config/app.config.js';
 
 /**
@@ -17,6 +26,9 @@ import AppConfig from '../../core/config/app.config.js';
  * Extends BasePage and implements admin-specific functionality
  */
 export class AdminPage extends BasePage {
+    // Top-level views; showSection() shows one and hides the others
+    static VIEW_SECTIONS = ['adminDashboard', 'reviewsSection', 'qrCodesSection', 'incidentsSection', 'claimsSection', 'facilitiesSection', 'trashSection', 'usersSection'];
+
     constructor() {
         super({
             requiresAuth: false, // We'll handle login form ourselves
@@ -29,7 +41,36 @@ export class AdminPage extends BasePage {
         this.currentToiletId = null;
         this.allToilets = [];
         this.allReviews = [];
-        this.currentView = 'dashboard'; // dashboard, reviews, qrcodes
+        this.reviewsCursor = null; // nextCursor of the last loaded review page
+        this.reviewsTotal = 0;
+        this.trashEntries = [];
+        this.trashCursor = null;
+        this.trashTotal = 0;
+        this.incidents = [];
+        this.incidentTypes = [];
+        this.incidentsCursor = null;
+        this.incidentsTotal = 0;
+        this.photoObjectUrls = []; // Object URLs of review photos shown, revoked on re-render
+        this.historyToilet = null; // { id, name } whose revision history is open
+        this.toiletRevisions = [];
+        this.revisionsCursor = null;
+        this.currentRevision = 0;
+        this.closuresToilet = null; // { id, name, closures } whose closures are open
+        this.claims = [];
+        this.claimsCursor = null;
+        this.claimsTotal = 0;
+        this.myClaims = []; // The signed-in user's claims, for the facilities view
+        this.users = [];
+        this.usersCursor = null;
+        this.usersTotal = 0;
+        this.userRole = null;
+        this.permissions = {}; // Permission -> scope of the signed-in user, from /auth/me
+        this.inviteToken = new URLSearchParams(window.location.search).get('invite');
+        this.currentView = 'dashboard'; // dashboard, reviews, qrcodes, incidents, claims, facilities, trash, users
+        this.importUpload = null; // { format, content, fileName } of the selected import file
+        this.importMapping = {}; // Column mapping chosen by the admin, field -> column
+        this.importPreview = null;
+        this.importReport = null;
 
         // Bind methods
         this.handleLogin = this.handleLogin.bind(this);
@@ -38,15 +79,35 @@ export class AdminPage extends BasePage {
         this.showDashboard = this.showDashboard.bind(this);
         this.showReviews = this.showReviews.bind(this);
         this.showQRCodes = this.showQRCodes.bind(this);
+        this.showIncidents = this.showIncidents.bind(this);
+        this.showTrash = this.showTrash.bind(this);
         this.loadToilets = this.loadToilets.bind(this);
         this.addToilet = this.addToilet.bind(this);
         this.updateToilet = this.updateToilet.bind(this);
         this.deleteToilet = this.deleteToilet.bind(this);
+        this.showToiletHistory = this.showToiletHistory.bind(this);
+        this.rollbackToilet = this.rollbackToilet.bind(this);
+        this.showToiletClosures = this.showToiletClosures.bind(this);
         this.loadReviews = this.loadReviews.bind(this);
         this.loadQRCodes = this.loadQRCodes.bind(this);
         this.generateQRCode = this.generateQRCode.bind(this);
         this.downloadQR = this.downloadQR.bind(this);
         this.filterReviews = this.filterReviews.bind(this);
+        this.loadTrash = this.loadTrash.bind(this);
+        this.restoreTrashEntry = this.restoreTrashEntry.bind(this);
+        this.loadIncidents = this.loadIncidents.bind(this);
+        this.resolveIncident = this.resolveIncident.bind(this);
+        this.showClaims = this.showClaims.bind(this);
+        this.loadClaims = this.loadClaims.bind(this);
+        this.showFacilities = this.showFacilities.bind(this);
+        this.submitClaim = this.submitClaim.bind(this);
+        this.showUsers = this.showUsers.bind(this);
+        this.loadUsers = this.loadUsers.bind(this);
+        this.inviteUser = this.inviteUser.bind(this);
+        this.handleImportFile = this.handleImportFile.bind(this);
+        this.previewImport = this.previewImport.bind(this);
+        this.commitImport = this.commitImport.bind(this);
+        this.downloadImportReport = this.downloadImportReport.bind(this);
     }
 
     /**
@@ -76,11 +137,16 @@ export class AdminPage extends BasePage {
             const validation = await authApiService.validateToken(
                 localStorage.getItem('adminToken')
             );
-            return validation.valid;
+            if (validation.valid) return true;
+
+            // Access tokens expire within minutes; the refresh token keeps the session
+            if (!authApiService.getRefreshToken()) return false;
+            const { token } = await authApiService.refreshToken();
+            appStore.setUser(true, null, token);
+            return true;
         } catch (error) {
             console.warn('[ADMIN] Token validation failed:', error);
-            localStorage.removeItem('adminToken');
-            localStorage.removeItem('token');
+            authApiService.clearToken();
             return false;
         }
     }
@@ -90,10 +156,11 @@ export class AdminPage extends BasePage {
      */
     showLoginForm() {
         const loginForm = $('#loginForm');
-        const adminDashboard = $('#adminDashboard');
 
         if (loginForm) loginForm.style.display = 'block';
-        if (adminDashboard) adminDashboard.style.display = 'none';
+        this.showSection(null);
+        this.userRole = null;
+        this.permissions = {};
 
         // Set up login form handlers
         this.setupLoginForm();
@@ -113,6 +180,30 @@ export class AdminPage extends BasePage {
         if (registerForm) {
             registerForm.addEventListener('submit', this.handleRegister);
         }
+
+        // Invitation links (admin.html?invite=...) register with the invited role
+        if (this.inviteToken) {
+            const invite = this.readInvite(this.inviteToken);
+            const registerEmail = $('#registerEmail');
+            const registerHint = $('#registerHint');
+            if (invite && registerEmail) registerEmail.value = invite.email;
+            if (invite && registerHint) registerHint.textContent = `You have been invited to join as ${invite.role}. Choose a password to accept.`;
+        }
+    }
+
+    /**
+     * Read the email and role out of an invitation token; the server checks
+     * its signature on registration
+     * @param {string} token - Invitation token
+     * @returns {{email: string, role: string}|null} Invitation, null when unreadable
+     */
+    readInvite(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.purpose === 'invite' ? { email: payload.email, role: payload.role } : null;
+        } catch (error) {
+            return null;
+        }
     }
 
     /**
@@ -137,7 +228,7 @@ export class AdminPage extends BasePage {
 
             if (response.token) {
                 // Store token
-                authApiService.setToken(response.token);
+                authApiService.setToken(response.token, response.refreshToken);
 
                 // Update store
                 appStore.setUser(true, response.user, response.token);
@@ -181,12 +272,12 @@ export class AdminPage extends BasePage {
             const response = await authApiService.register({
                 email,
                 password,
-                role: 'admin'
+                inviteToken: this.inviteToken
             });
 
             if (response.token) {
                 // Store token
-                authApiService.setToken(response.token);
+                authApiService.setToken(response.token, response.refreshToken);
 
                 // Update store
                 appStore.setUser(true, response.user, response.token);
@@ -215,8 +306,7 @@ export class AdminPage extends BasePage {
         } catch (error) {
             console.error('[ADMIN] Logout error:', error);
             // Force logout even if API call fails
-            localStorage.removeItem('adminToken');
-            localStorage.removeItem('token');
+            authApiService.clearToken();
             appStore.setUser(false);
             this.showLoginForm();
         }
@@ -255,13 +345,20 @@ export class AdminPage extends BasePage {
 
         // Hide login form and show dashboard
         const loginForm = $('#loginForm');
-        const adminDashboard = $('#adminDashboard');
         const logoutBtn = $('#logoutBtn');
 
         if (loginForm) loginForm.style.display = 'none';
-        if (adminDashboard) adminDashboard.style.display = 'block';
         if (logoutBtn) logoutBtn.style.display = 'inline-block';
 
+        // Without toilet management, start on the facilities view
+        await this.loadUserRole();
+        if (!this.can('toilet:create')) {
+            this.setupDashboardEventListeners();
+            await this.showFacilities();
+            return;
+        }
+        this.showSection('adminDashboard');
+
         // Set current view
         this.currentView = 'dashboard';
 
@@ -361,13 +458,12 @@ export class AdminPage extends BasePage {
         appStore.setLoading('toilets', true);
 
         try {
-            const response = await toiletApiService.getMapData({
+            this.allToilets = await toiletApiService.getAllMapData({
                 showPublic: true,
                 showPrivate: true,
                 limit: 1000
             });
 
-            this.allToilets = response.data || [];
             this.updateToiletsList();
             this.updateMapWithToilets();
 
@@ -406,6 +502,8 @@ export class AdminPage extends BasePage {
                         </div>
                         <div class="toilet-actions">
                             <button class="btn edit-btn" onclick="adminPage.editToilet('${toilet.id}')">Edit</button>
+                            <button class="btn history-btn" onclick="adminPage.showToiletHistory('${toilet.id}')">History</button>
+                            <button class="btn closures-btn" onclick="adminPage.showToiletClosures('${toilet.id}')">Closures</button>
                             <button class="btn delete-btn" onclick="adminPage.deleteToilet('${toilet.id}')">Delete</button>
                         </div>
                     </div>
@@ -459,6 +557,8 @@ export class AdminPage extends BasePage {
             name: $('#toiletName').value.trim(),
             location: $('#toiletLocation').value.trim(),
             description: $('#toiletDescription').value.trim(),
+            openingHours: $('#toiletOpeningHours')?.value.trim() || null,
+            fee: this.readFeeInputs(),
             coordinates: {
                 latitude: parseFloat($('#latitude').value),
                 longitude: parseFloat($('#longitude').value)
@@ -481,7 +581,22 @@ export class AdminPage extends BasePage {
         appStore.setLoading('toilet', true);
 
         try {
-            await toiletApiService.addPrivateToilet(formData);
+            const toilet = await toiletApiService.addPrivateToilet(formData);
+
+            // Photos need the new toilet's ID, so they go up once it exists
+            const photos = Array.from($('#toiletPhotos')?.files || []);
+            if (photos.length > 0) {
+                try {
+                    await photoApiService.uploadToiletPhotos(toilet.id, photos);
+                } catch (error) {
+                    console.error('[ADMIN] Failed to upload toilet photos:', error);
+                    appStore.addNotification({
+                        type: 'warning',
+                        title: 'Photos Not Added',
+                        message: error.data?.errors?.join(' ') || error.data?.message || 'The toilet was added but its photos could not be uploaded'
+                    });
+                }
+            }
 
             // Reset form
             event.target.reset();
@@ -501,12 +616,354 @@ export class AdminPage extends BasePage {
 
         } catch (error) {
             console.error('[ADMIN] Failed to add toilet:', error);
-            this.showToiletError(error.message || 'Failed to add toilet');
+            this.showToiletError(error.data?.errors?.join(' ') || error.message || 'Failed to add toilet');
         } finally {
             appStore.setLoading('toilet', false);
         }
     }
 
+    /**
+     * Fee from the add toilet form
+     * @returns {object|null} Fee for the API; null when nothing is filled in
+     */
+    readFeeInputs() {
+        const required = $('#toiletFee')?.value;
+        const amount = $('#toiletFeeAmount')?.value;
+        const paymentMethods = Array.from(document.querySelectorAll('input[name="paymentMethods"]:checked'))
+            .map(cb => cb.value);
+        const customersOnly = $('#toiletCustomersOnly')?.checked || false;
+
+        if (!required && !amount && paymentMethods.length === 0 && !customersOnly) return null;
+
+        return {
+            required: required ? required === 'paid' : null,
+            amount: required === 'free' || amount === '' ? null : Number(amount),
+            unit: $('#toiletFeeUnit')?.value || 'per_use',
+            paymentMethods,
+            customersOnly
+        };
+    }
+
+    /**
+     * Fill the add toilet form's fee inputs
+     * @param {object|null} fee - fee from the API
+     */
+    fillFeeInputs(fee) {
+        if (!$('#toiletFee')) return;
+
+        $('#toiletFee').value = fee?.required === true ? 'paid' : fee?.required === false ? 'free' : '';
+        $('#toiletFeeAmount').value = fee?.required && fee.amount !== null ? fee.amount : '';
+        $('#toiletFeeUnit').value = fee?.unit || 'per_use';
+        document.querySelectorAll('input[name="paymentMethods"]').forEach(cb => {
+            cb.checked = fee?.paymentMethods?.includes(cb.value) || false;
+        });
+        $('#toiletCustomersOnly').checked = fee?.customersOnly || false;
+    }
+
+    /**
+     * Read the chosen import file and preview it
+     * @param {Event} event - File input change event
+     * @returns {Promise} Preview promise
+     */
+    async handleImportFile(event) {
+        const file = event.target.files[0];
+        this.importUpload = null;
+        this.importMapping = {};
+        this.importReport = null;
+        this.resetImportPanel();
+        if (!file) return;
+
+        const format = detectImportFormat(file.name);
+        if (!format) {
+            this.showImportError('Unsupported file type. Upload a .csv, .geojson or .kml file.');
+            return;
+        }
+
+        try {
+            this.importUpload = { format, content: await readFileAsText(file), fileName: file.name };
+            await this.previewImport();
+        } catch (error) {
+            console.error('[ADMIN] Failed to read import file:', error);
+            this.showImportError(error.message || 'Failed to read the file');
+        }
+    }
+
+    /**
+     * Import request body for the current file and options
+     * @returns {object} Request body
+     */
+    getImportRequest() {
+        return {
+            format: this.importUpload.format,
+            content: this.importUpload.content,
+            mapping: this.importMapping,
+            type: $('#importType')?.value || 'private',
+            skipDuplicates: $('#importSkipDuplicates')?.checked !== false
+        };
+    }
+
+    /**
+     * Validate the current file on the server and show what would be imported
+     * @returns {Promise} Preview promise
+     */
+    async previewImport() {
+        if (!this.importUpload) return;
+
+        this.hideImportError();
+        appStore.setLoading('import', true);
+
+        try {
+            this.importPreview = await toiletApiService.previewImport(this.getImportRequest());
+            this.renderImportMapping();
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('[ADMIN] Import preview failed:', error);
+            this.importPreview = null;
+            this.showImportError((error.data?.errors || []).join(' ') || error.message || 'Failed to check the file');
+            this.updateImportActions();
+        } finally {
+            appStore.setLoading('import', false);
+        }
+    }
+
+    /**
+     * Column selects for CSV files, so columns with unusual names can be mapped
+     */
+    renderImportMapping() {
+        const container = $('#importMapping');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.importUpload?.format !== 'csv' || !this.importPreview) {
+            container.style.display = 'none';
+            return;
+        }
+
+        IMPORT_FIELDS.forEach(({ field, label, required }) => {
+            const select = createElement('select', { id: `importMap_${field}`, className: 'add-toilet-form__input' });
+            select.appendChild(createElement('option', { value: '' }, '(not in file)'));
+            this.importPreview.columns.forEach(column => {
+                select.appendChild(createElement('option', { value: column }, column));
+            });
+            select.value = this.importPreview.mapping[field] || '';
+            select.addEventListener('change', () => {
+                this.importMapping[field] = select.value;
+                this.previewImport();
+            });
+
+            const group = createElement('div', { className: 'add-toilet-form__group' });
+            group.appendChild(createElement('label', { htmlFor: select.id, className: 'add-toilet-form__label' }, `${label}${required ? ' *' : ''}`));
+            group.appendChild(select);
+            container.appendChild(group);
+        });
+        container.style.display = '';
+    }
+
+    /**
+     * Preview summary plus the rows that will not be imported as-is
+     */
+    renderImportPreview() {
+        const container = $('#importPreview');
+        if (!container || !this.importPreview) return;
+
+        const { summary, rows } = this.importPreview;
+        container.innerHTML = '';
+        container.appendChild(createElement('p', { className: 'toilet-import__summary' },
+            `${this.importUpload.fileName}: ${summary.total} rows - ${summary.valid} ready, ${summary.invalid} with errors, ${summary.duplicates} duplicates`));
+
+        const problems = rows.filter(row => row.status !== 'valid');
+        if (problems.length > 0) {
+            container.appendChild(this.buildImportTable(problems.slice(0, 100)));
+            if (problems.length > 100) {
+                container.appendChild(createElement('p', { className: 'toilet-import__hint' },
+                    `Showing the first 100 of ${problems.length}. Import, then download the report for the full list.`));
+            }
+        }
+
+        this.updateImportActions();
+    }
+
+    /**
+     * Table of import rows; cell text is set with textContent since it comes from the file
+     * @param {Array} rows - Preview or report rows
+     * @returns {Element} Table element
+     */
+    buildImportTable(rows) {
+        const table = createElement('table', { className: 'toilet-import__table' });
+        const head = createElement('tr');
+        ['Row', 'Status', 'Name', 'Details'].forEach(title => head.appendChild(createElement('th', {}, title)));
+        table.appendChild(head);
+
+        rows.forEach(row => {
+            const details = row.status === 'duplicate'
+                ? `Duplicate of ${row.duplicateOf.id ? `"${row.duplicateOf.name}"` : `row ${row.duplicateOf.row}`}`
+                : row.errors.join('; ');
+
+            const tr = createElement('tr');
+            tr.appendChild(createElement('td', {}, String(row.row)));
+            tr.appendChild(createElement('td', { className: `toilet-import__status--${row.status}` }, row.status));
+            tr.appendChild(createElement('td', {}, row.toilet?.name || ''));
+            tr.appendChild(createElement('td', {}, details));
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    /**
+     * Enable Import when the preview has rows that would be saved
+     */
+    updateImportActions() {
+        const commitBtn = $('#importCommitBtn');
+        const reportBtn = $('#importReportBtn');
+        const summary = this.importPreview?.summary;
+        const skipDuplicates = $('#importSkipDuplicates')?.checked !== false;
+        const importable = summary ? summary.valid + (skipDuplicates ? 0 : summary.duplicates) : 0;
+
+        if (commitBtn) {
+            commitBtn.disabled = importable === 0;
+            commitBtn.textContent = importable > 0 ? `Import ${importable} toilets` : 'Import';
+        }
+        if (reportBtn) reportBtn.style.display = this.importReport ? '' : 'none';
+    }
+
+    /**
+     * Save every importable row in one batch
+     * @returns {Promise} Import promise
+     */
+    async commitImport() {
+        if (!this.importUpload) return;
+
+        this.hideImportError();
+        appStore.setLoading('import', true);
+
+        try {
+            const response = await toiletApiService.importToilets(this.getImportRequest());
+            this.importReport = response.report;
+            this.importPreview = null;
+
+            const { summary } = this.importReport;
+            const preview = $('#importPreview');
+            if (preview) {
+                preview.innerHTML = '';
+                preview.appendChild(createElement('p', { className: 'toilet-import__summary' },
+                    `Imported ${summary.created} of ${summary.total} rows (${summary.invalid} with errors, ${summary.skipped} duplicates skipped).`));
+            }
+            this.updateImportActions();
+
+            await this.loadToilets();
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Import complete',
+                message: `${summary.created} toilets imported`
+            });
+        } catch (error) {
+            console.error('[ADMIN] Import failed:', error);
+            this.showImportError((error.data?.errors || []).join(' ') || error.message || 'Import failed');
+        } finally {
+            appStore.setLoading('import', false);
+        }
+    }
+
+    /**
+     * Download the last import report as CSV
+     */
+    downloadImportReport() {
+        if (!this.importReport) return;
+
+        const baseName = (this.importUpload?.fileName || 'toilets').replace(/\.[^.]+$/, '');
+        this.saveFile(
+            new Blob([importReportToCsv(this.importReport)], { type: 'text/csv' }),
+            `${baseName.replace(/[^a-zA-Z0-9]/g, '_')}_import_report.csv`
+        );
+    }
+
+    /**
+     * Download toilets in the chosen format; the browser fetches the streamed file directly
+     */
+    exportToilets() {
+        const format = $('#exportFormat')?.value || 'csv';
+        const link = document.createElement('a');
+        link.href = toiletApiService.getExportUrl(format, {
+            type: $('#exportType')?.value,
+            city: $('#exportCity')?.value.trim()
+        });
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    /**
+     * Download the reviews matching the current filters as CSV
+     * @returns {Promise} Export promise
+     */
+    async exportReviews() {
+        try {
+            const csv = await reviewApiService.exportReviewsCsv({
+                toiletId: $('#toiletFilter')?.value || undefined,
+                rating: $('#ratingFilter')?.value || undefined
+            });
+            this.saveFile(new Blob([csv], { type: 'text/csv' }), `reviews-${new Date().toISOString().slice(0, 10)}.csv`);
+        } catch (error) {
+            console.error('[ADMIN] Review export failed:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Export Error',
+                message: 'Failed to export reviews'
+            });
+        }
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Download file name
+     */
+    saveFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Clear the mapping, preview and buttons for a new file
+     */
+    resetImportPanel() {
+        this.importPreview = null;
+        const mapping = $('#importMapping');
+        const preview = $('#importPreview');
+        if (mapping) {
+            mapping.innerHTML = '';
+            mapping.style.display = 'none';
+        }
+        if (preview) preview.innerHTML = '';
+        this.hideImportError();
+        this.updateImportActions();
+    }
+
+    /**
+     * Show import error
+     * @param {string} message - Error message
+     */
+    showImportError(message) {
+        const errorElement = $('#importError');
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+    }
+
+    hideImportError() {
+        const errorElement = $('#importError');
+        if (errorElement) errorElement.style.display = 'none';
+    }
+
     /**
      * Edit existing toilet
      * @param {string} toiletId - Toilet ID to edit
@@ -519,6 +976,8 @@ export class AdminPage extends BasePage {
         $('#toiletName').value = toilet.name;
         $('#toiletLocation').value = toilet.location;
         $('#toiletDescription').value = toilet.description || '';
+        if ($('#toiletOpeningHours')) $('#toiletOpeningHours').value = openingHoursText(toilet.openingHours) || '';
+        this.fillFeeInputs(toilet.fee);
         $('#latitude').value = toilet.coordinates.latitude;
         $('#longitude').value = toilet.coordinates.longitude;
 
@@ -548,7 +1007,7 @@ export class AdminPage extends BasePage {
      * @param {string} toiletId - Toilet ID to delete
      */
     async deleteToilet(toiletId) {
-        if (!confirm('Are you sure you want to delete this toilet?')) return;
+        if (!confirm('Move this toilet and its reviews to the trash?')) return;
 
         appStore.setLoading('toilet', true);
 
@@ -561,7 +1020,7 @@ export class AdminPage extends BasePage {
             appStore.addNotification({
                 type: 'success',
                 title: 'Success',
-                message: 'Toilet deleted successfully'
+                message: 'Toilet moved to the trash'
             });
 
         } catch (error) {
@@ -576,6 +1035,276 @@ export class AdminPage extends BasePage {
         }
     }
 
+    /**
+     * Open a toilet's revision history below the toilet list
+     * @param {string} toiletId - Toilet ID
+     * @param {object} options - Loading options
+     * @param {boolean} options.append - Load the next page instead of starting over
+     * @returns {Promise} Loading promise
+     */
+    async showToiletHistory(toiletId, { append = false } = {}) {
+        appStore.setLoading('toilet', true);
+
+        try {
+            const page = await toiletApiService.getRevisions(toiletId, {
+                cursor: append ? this.revisionsCursor : undefined
+            });
+
+            const toilet = this.allToilets.find(item => item.id === toiletId);
+            this.historyToilet = { id: toiletId, name: toilet?.name || 'Toilet' };
+            this.toiletRevisions = append ? [...this.toiletRevisions, ...page.revisions] : page.revisions;
+            this.revisionsCursor = page.nextCursor;
+            this.currentRevision = page.current;
+
+            this.renderToiletHistory();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to load toilet history:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Load Error',
+                message: 'Failed to load toilet history'
+            });
+        } finally {
+            appStore.setLoading('toilet', false);
+        }
+    }
+
+    /**
+     * Render the open revision history; values are set with textContent since
+     * they include user-entered names and descriptions
+     */
+    renderToiletHistory() {
+        const panel = $('#toiletHistory');
+        if (!panel || !this.historyToilet) return;
+
+        panel.innerHTML = '';
+        panel.style.display = 'block';
+
+        const header = createElement('div', { className: 'toilet-history__header' });
+        header.appendChild(createElement('h3', { className: 'toilet-history__title' }, `History: ${this.historyToilet.name}`));
+        const closeBtn = createElement('button', { className: 'btn btn-secondary' }, 'Close');
+        closeBtn.addEventListener('click', () => {
+            panel.style.display = 'none';
+            this.historyToilet = null;
+        });
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        if (this.toiletRevisions.length === 0) {
+            panel.appendChild(createElement('p', { className: 'toilet-history__empty' }, 'This toilet has not been changed since it was added.'));
+            return;
+        }
+
+        this.toiletRevisions.forEach(revision => {
+            const item = createElement('div', { className: 'toilet-history__revision' });
+            const source = revision.source === 'rollback' ? `rollback to #${revision.rolledBackTo}` : revision.source;
+            item.appendChild(createElement('div', { className: 'toilet-history__meta' },
+                `#${revision.number} · ${new Date(revision.createdAt).toLocaleString()} · ${source}`));
+
+            const changes = createElement('ul', { className: 'toilet-history__changes' });
+            revision.changes.forEach(({ field, from, to }) => {
+                changes.appendChild(createElement('li', {},
+                    `${field}: ${this.formatRevisionValue(from)} → ${this.formatRevisionValue(to)}`));
+            });
+            item.appendChild(changes);
+
+            if (revision.number !== this.currentRevision) {
+                item.appendChild(this.buildRollbackButton(revision.number, 'Restore this version'));
+            }
+            panel.appendChild(item);
+        });
+
+        if (this.revisionsCursor) {
+            const loadMore = createElement('button', { className: 'btn btn-secondary' }, 'Load older changes');
+            loadMore.addEventListener('click', () => this.showToiletHistory(this.historyToilet.id, { append: true }));
+            panel.appendChild(loadMore);
+        } else {
+            const original = createElement('div', { className: 'toilet-history__revision' });
+            original.appendChild(createElement('div', { className: 'toilet-history__meta' }, '#0 · as first added'));
+            original.appendChild(this.buildRollbackButton(0, 'Restore original'));
+            panel.appendChild(original);
+        }
+    }
+
+    buildRollbackButton(number, label) {
+        const button = createElement('button', { className: 'btn btn-secondary toilet-history__rollback' }, label);
+        button.addEventListener('click', () => this.rollbackToilet(this.historyToilet.id, number));
+        return button;
+    }
+
+    formatRevisionValue(value) {
+        if (value === null || value === undefined || value === '') return '(empty)';
+        if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+        if (typeof value === 'object') {
+            return 'latitude' in value ? `${value.latitude}, ${value.longitude}` : JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Roll a toilet back to a revision after confirmation
+     * @param {string} toiletId - Toilet ID
+     * @param {number} number - Revision to return to (0 is the original)
+     */
+    async rollbackToilet(toiletId, number) {
+        if (!confirm(`Restore this toilet to version #${number}? The current values stay in the history.`)) return;
+
+        appStore.setLoading('toilet', true);
+
+        try {
+            await toiletApiService.rollbackToilet(toiletId, number);
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Success',
+                message: `Toilet restored to version #${number}`
+            });
+
+            await this.loadToilets();
+            await this.showToiletHistory(toiletId);
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to roll back toilet:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Rollback Error',
+                message: error.data?.errors?.join(' ') || 'Failed to roll back toilet'
+            });
+        } finally {
+            appStore.setLoading('toilet', false);
+        }
+    }
+
+    /**
+     * Open a toilet's closures below the toilet list
+     * @param {string} toiletId - Toilet ID
+     * @returns {Promise} Loading promise
+     */
+    async showToiletClosures(toiletId) {
+        appStore.setLoading('toilet', true);
+
+        try {
+            // Map listings leave closure windows out, so the full record is fetched
+            const toilet = await toiletApiService.getToiletById(toiletId);
+            this.closuresToilet = { id: toiletId, name: toilet.name, closures: toilet.closures || [] };
+            this.renderToiletClosures();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to load toilet closures:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Load Error',
+                message: 'Failed to load toilet closures'
+            });
+        } finally {
+            appStore.setLoading('toilet', false);
+        }
+    }
+
+    /**
+     * Render the open closures with a form to add one; reasons are set with
+     * textContent since admins type them freely
+     */
+    renderToiletClosures() {
+        // Operators open closures from their facilities view
+        const panel = $(this.currentView === 'facilities' ? '#facilityClosures' : '#toiletClosures');
+        if (!panel || !this.closuresToilet) return;
+
+        panel.innerHTML = '';
+        panel.style.display = 'block';
+
+        const header = createElement('div', { className: 'toilet-history__header' });
+        header.appendChild(createElement('h3', { className: 'toilet-history__title' }, `Closures: ${this.closuresToilet.name}`));
+        const closeBtn = createElement('button', { className: 'btn btn-secondary' }, 'Close');
+        closeBtn.addEventListener('click', () => {
+            panel.style.display = 'none';
+            this.closuresToilet = null;
+        });
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        const { closures } = this.closuresToilet;
+        if (closures.length === 0) {
+            panel.appendChild(createElement('p', { className: 'toilet-history__empty' }, 'No closures scheduled.'));
+        }
+
+        const now = new Date();
+        closures.forEach(closure => {
+            const past = !closure.recurring && new Date(closure.end) <= now;
+            const item = createElement('div', { className: `toilet-closures__item${past ? ' toilet-closures__item--past' : ''}` });
+            item.appendChild(createElement('span', {}, `${closureWindowText(closure)}${past ? ' (ended)' : ''}`));
+            const removeBtn = createElement('button', { className: 'btn btn-secondary' }, 'Remove');
+            removeBtn.addEventListener('click', () => this.saveToiletClosures(closures.filter(item => item.id !== closure.id)));
+            item.appendChild(removeBtn);
+            panel.appendChild(item);
+        });
+
+        const form = createElement('form', { className: 'toilet-closures__form' });
+        form.innerHTML = `
+            <label class="add-toilet-form__label">From
+                <input type="datetime-local" name="start" class="add-toilet-form__input" required>
+            </label>
+            <label class="add-toilet-form__label">Until
+                <input type="datetime-local" name="end" class="add-toilet-form__input" required>
+            </label>
+            <label class="add-toilet-form__label">Reason
+                <input type="text" name="reason" class="add-toilet-form__input" maxlength="200" placeholder="Renovation">
+            </label>
+            <label class="add-toilet-form__label">Repeats
+                <select name="recurring" class="add-toilet-form__input">
+                    <option value="">Once</option>
+                    <option value="weekly">Every week</option>
+                    <option value="yearly">Every year</option>
+                </select>
+            </label>
+            <button type="submit" class="btn btn-primary">Add closure</button>
+        `;
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const fields = event.target.elements;
+            this.saveToiletClosures([...closures, {
+                // datetime-local values are local time; the API stores instants
+                start: new Date(fields.start.value).toISOString(),
+                end: new Date(fields.end.value).toISOString(),
+                reason: fields.reason.value.trim() || null,
+                recurring: fields.recurring.value || null
+            }]);
+        });
+        panel.appendChild(form);
+    }
+
+    /**
+     * Replace the open toilet's closures
+     * @param {Array} closures - The toilet's closures after the change
+     */
+    async saveToiletClosures(closures) {
+        if (!this.closuresToilet) return;
+        appStore.setLoading('toilet', true);
+
+        try {
+            const toilet = await toiletApiService.updateToilet(this.closuresToilet.id, { closures });
+            this.closuresToilet.closures = toilet?.closures || closures;
+            this.renderToiletClosures();
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Success',
+                message: 'Closures updated'
+            });
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to update closures:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Update Error',
+                message: error.data?.errors?.join(' ') || 'Failed to update closures'
+            });
+        } finally {
+            appStore.setLoading('toilet', false);
+        }
+    }
+
     /**
      * Show reviews section
      * @returns {Promise} Reviews loading promise
@@ -584,27 +1313,31 @@ export class AdminPage extends BasePage {
         this.currentView = 'reviews';
         this.updateNavigation();
 
-        const adminDashboard = $('#adminDashboard');
-        const reviewsSection = $('#reviewsSection');
-        const qrCodesSection = $('#qrCodesSection');
-
-        if (adminDashboard) adminDashboard.style.display = 'none';
-        if (qrCodesSection) qrCodesSection.style.display = 'none';
-        if (reviewsSection) reviewsSection.style.display = 'block';
+        this.showSection('reviewsSection');
 
         await this.loadReviews();
     }
 
     /**
-     * Load reviews data
+     * Load a page of reviews matching the current filters
+     * @param {object} options - Loading options
+     * @param {boolean} options.append - Load the next page instead of starting over
      * @returns {Promise} Loading promise
      */
-    async loadReviews() {
+    async loadReviews({ append = false } = {}) {
         appStore.setLoading('reviews', true);
 
         try {
-            const response = await reviewApiService.getAllReviews({ limit: 1000 });
-            this.allReviews = response || [];
+            const page = await reviewApiService.getReviewsPage({
+                limit: ReviewApiService.PAGE_SIZE,
+                cursor: append ? this.reviewsCursor : undefined,
+                toiletId: $('#toiletFilter')?.value || undefined,
+                rating: $('#ratingFilter')?.value || undefined
+            });
+
+            this.allReviews = append ? [...this.allReviews, ...page.reviews] : page.reviews;
+            this.reviewsCursor = page.nextCursor;
+            this.reviewsTotal = page.total;
 
             this.updateReviewsDisplay();
 
@@ -624,11 +1357,12 @@ export class AdminPage extends BasePage {
      * Update reviews display
      */
     updateReviewsDisplay() {
-        const reviewList = $('.review-list');
+        const reviewList = $('#reviewList');
         if (!reviewList) return;
 
         if (this.allReviews.length === 0) {
-            reviewList.innerHTML = '<div class="no-reviews">No reviews found.</div>';
+            const filtered = $('#toiletFilter')?.value || $('#ratingFilter')?.value;
+            reviewList.innerHTML = `<div class="no-reviews">${filtered ? 'No reviews match the current filters.' : 'No reviews found.'}</div>`;
             return;
         }
 
@@ -641,12 +1375,98 @@ export class AdminPage extends BasePage {
                     </div>
                 </div>
                 <div class="review-comment">${review.comment || 'No comment'}</div>
+                <div class="review-photos" data-review-id="${review.id}"></div>
                 <div class="review-meta">
                     <div>Posted: ${new Date(review.createdAt).toLocaleString()}</div>
                     <div>${review.rating}/5 stars</div>
                 </div>
             </div>
         `).join('');
+        this.renderReviewPhotos();
+
+        if (this.reviewsCursor) {
+            const loadMore = document.createElement('button');
+            loadMore.className = 'btn btn-secondary load-more-reviews';
+            loadMore.textContent = `Load more (${this.allReviews.length} of ${this.reviewsTotal})`;
+            loadMore.addEventListener('click', () => this.loadReviews({ append: true }));
+            reviewList.appendChild(loadMore);
+        }
+    }
+
+    /**
+     * Show the photos of the listed reviews with their moderation status.
+     * Unapproved photos are not public, so images are fetched with the
+     * admin's token and shown through object URLs.
+     */
+    renderReviewPhotos() {
+        this.photoObjectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.photoObjectUrls = [];
+
+        this.allReviews.forEach(review => {
+            const container = document.querySelector(`.review-photos[data-review-id="${review.id}"]`);
+            if (!container || !review.photos?.length) return;
+
+            review.photos.forEach(photo => {
+                const item = createElement('figure', { className: `review-photo review-photo--${photo.status}` });
+                const image = createElement('img', { alt: 'Review photo', width: 80, height: 80 });
+                item.appendChild(image);
+                photoApiService.getPhotoObjectUrl(photo.id)
+                    .then(url => {
+                        this.photoObjectUrls.push(url);
+                        image.src = url;
+                    })
+                    .catch(error => console.warn(`[ADMIN] Could not load photo ${photo.id}:`, error.message));
+
+                const caption = createElement('figcaption', {}, photo.status);
+                if (photo.status !== 'approved') {
+                    const approveBtn = createElement('button', { className: 'btn btn-secondary' }, 'Approve');
+                    approveBtn.addEventListener('click', () => this.moderatePhoto(photo.id, 'approved'));
+                    caption.appendChild(approveBtn);
+                }
+                if (photo.status !== 'rejected') {
+                    const rejectBtn = createElement('button', { className: 'btn btn-secondary' }, 'Reject');
+                    rejectBtn.addEventListener('click', () => this.moderatePhoto(photo.id, 'rejected'));
+                    caption.appendChild(rejectBtn);
+                }
+                item.appendChild(caption);
+                container.appendChild(item);
+            });
+        });
+    }
+
+    /**
+     * Approve or reject a review photo
+     * @param {string} photoId - Photo ID
+     * @param {string} status - 'approved' or 'rejected'
+     */
+    async moderatePhoto(photoId, status) {
+        let reason = '';
+        if (status === 'rejected') {
+            reason = prompt('Reason for rejecting this photo (optional):');
+            if (reason === null) return;
+        }
+
+        try {
+            const photo = status === 'approved'
+                ? await photoApiService.approve(photoId)
+                : await photoApiService.reject(photoId, reason);
+
+            // Update the photo in place rather than reloading every review
+            this.allReviews.forEach(review => {
+                review.photos?.forEach(existing => {
+                    if (existing.id === photoId) existing.status = photo?.status || status;
+                });
+            });
+            this.updateReviewsDisplay();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to moderate photo:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Moderation Error',
+                message: 'Failed to update the photo'
+            });
+        }
     }
 
     /**
@@ -657,17 +1477,810 @@ export class AdminPage extends BasePage {
         this.currentView = 'qrcodes';
         this.updateNavigation();
 
-        const adminDashboard = $('#adminDashboard');
-        const reviewsSection = $('#reviewsSection');
-        const qrCodesSection = $('#qrCodesSection');
-
-        if (adminDashboard) adminDashboard.style.display = 'none';
-        if (reviewsSection) reviewsSection.style.display = 'none';
-        if (qrCodesSection) qrCodesSection.style.display = 'block';
+        this.showSection('qrCodesSection');
 
         await this.loadQRCodes();
     }
 
+    /**
+     * Show trash section
+     * @returns {Promise} Trash loading promise
+     */
+    async showTrash() {
+        this.currentView = 'trash';
+        this.updateNavigation();
+
+        this.showSection('trashSection');
+
+        await this.loadTrash();
+    }
+
+    /**
+     * Show incidents section
+     * @returns {Promise} Incidents loading promise
+     */
+    async showIncidents() {
+        this.currentView = 'incidents';
+        this.updateNavigation();
+
+        this.showSection('incidentsSection');
+
+        await this.loadIncidents();
+    }
+
+    /**
+     * Load a page of incidents matching the status filter
+     * @param {object} options - Loading options
+     * @param {boolean} options.append - Load the next page instead of starting over
+     * @returns {Promise} Loading promise
+     */
+    async loadIncidents({ append = false } = {}) {
+        appStore.setLoading('incidents', true);
+
+        try {
+            // "active" is open incidents whose reports have not faded yet
+            const filter = $('#incidentStatus')?.value ?? 'active';
+            const [types, page] = await Promise.all([
+                incidentApiService.getIncidentTypes(),
+                incidentApiService.getIncidentsPage({
+                    limit: IncidentApiService.PAGE_SIZE,
+                    cursor: append ? this.incidentsCursor : undefined,
+                    status: filter === 'active' ? 'open' : filter || undefined,
+                    active: filter === 'active'
+                })
+            ]);
+
+            this.incidentTypes = types || [];
+            this.incidents = append ? [...this.incidents, ...page.incidents] : page.incidents;
+            this.incidentsCursor = page.nextCursor;
+            this.incidentsTotal = page.total;
+
+            this.updateIncidentsDisplay();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to load incidents:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Load Error',
+                message: 'Failed to load incidents'
+            });
+        } finally {
+            appStore.setLoading('incidents', false);
+        }
+    }
+
+    /**
+     * Update incidents display; notes are user input, so text is set with textContent
+     */
+    updateIncidentsDisplay() {
+        const incidentList = $('#incidentList');
+        if (!incidentList) return;
+
+        incidentList.innerHTML = '';
+        if (this.incidents.length === 0) {
+            incidentList.appendChild(createElement('div', { className: 'no-reviews' }, 'No incidents.'));
+            return;
+        }
+
+        this.incidents.forEach(incident => {
+            const card = createElement('div', { className: `review-card incident-card incident-card--${incident.status}` });
+
+            const header = createElement('div', { className: 'review-header' });
+            header.appendChild(createElement('div', { className: 'review-toilet-name' },
+                incident.toiletName || 'Deleted toilet'));
+            header.appendChild(createElement('div', { className: 'review-rating' },
+                incidentTypeName(this.incidentTypes, incident.type)));
+            card.appendChild(header);
+
+            if (incident.note) {
+                card.appendChild(createElement('div', { className: 'review-comment' }, incident.note));
+            }
+
+            const state = incident.status === 'open'
+                ? `${incident.active ? 'Open' : 'Fading'}${incident.confirmed ? ', confirmed' : ''}`
+                : incident.status === 'resolved' ? 'Resolved' : 'Expired';
+            const meta = createElement('div', { className: 'review-meta' });
+            meta.appendChild(createElement('div', {}, `${state} · ${incident.reports} ${incident.reports === 1 ? 'report' : 'reports'}`));
+            meta.appendChild(createElement('div', {}, `Last reported: ${new Date(incident.lastReportedAt).toLocaleString()}`));
+            if (incident.resolvedAt) {
+                meta.appendChild(createElement('div', {},
+                    `Resolved: ${new Date(incident.resolvedAt).toLocaleString()}${incident.resolution ? ` · ${incident.resolution}` : ''}`));
+            }
+            card.appendChild(meta);
+
+            if (incident.status !== 'resolved') {
+                const actions = createElement('div', { className: 'trash-card__actions' });
+                const resolveBtn = createElement('button', { className: 'btn btn-secondary' }, 'Resolve');
+                resolveBtn.addEventListener('click', () => this.resolveIncident(incident.id));
+                actions.appendChild(resolveBtn);
+                card.appendChild(actions);
+            }
+
+            incidentList.appendChild(card);
+        });
+
+        if (this.incidentsCursor) {
+            const loadMore = createElement('button', { className: 'btn btn-secondary load-more-reviews' },
+                `Load more (${this.incidents.length} of ${this.incidentsTotal})`);
+            loadMore.addEventListener('click', () => this.loadIncidents({ append: true }));
+            incidentList.appendChild(loadMore);
+        }
+    }
+
+    /**
+     * Resolve an incident, asking how it was dealt with
+     * @param {string} incidentId - Incident ID
+     */
+    async resolveIncident(incidentId) {
+        const resolution = prompt('How was it resolved? (optional)');
+        if (resolution === null) return;
+
+        appStore.setLoading('incidents', true);
+
+        try {
+            await incidentApiService.resolve(incidentId, resolution.trim());
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Resolved',
+                message: 'Incident resolved'
+            });
+
+            await this.loadIncidents();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to resolve incident:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Resolve Error',
+                message: error.data?.message || 'Failed to resolve incident'
+            });
+        } finally {
+            appStore.setLoading('incidents', false);
+        }
+    }
+
+    /**
+     * Show ownership claims section (admin only)
+     * @returns {Promise} Claims loading promise
+     */
+    async showClaims() {
+        this.currentView = 'claims';
+        this.updateNavigation();
+        this.showSection('claimsSection');
+
+        await this.loadClaims();
+    }
+
+    /**
+     * Load a page of claims matching the status filter
+     * @param {object} options - Loading options
+     * @param {boolean} options.append - Load the next page instead of starting over
+     * @returns {Promise} Loading promise
+     */
+    async loadClaims({ append = false } = {}) {
+        appStore.setLoading('claims', true);
+
+        try {
+            const page = await claimApiService.getClaimsPage({
+                limit: ClaimApiService.PAGE_SIZE,
+                cursor: append ? this.claimsCursor : undefined,
+                status: $('#claimStatus')?.value ?? 'pending'
+            });
+
+            this.claims = append ? [...this.claims, ...page.claims] : page.claims;
+            this.claimsCursor = page.nextCursor;
+            this.claimsTotal = page.total;
+
+            this.updateClaimsDisplay();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to load claims:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Load Error',
+                message: 'Failed to load claims'
+            });
+        } finally {
+            appStore.setLoading('claims', false);
+        }
+    }
+
+    /**
+     * Update claims display; evidence is typed by claimants, so text is set
+     * with textContent and the document link only opens http(s) URLs
+     */
+    updateClaimsDisplay() {
+        const claimList = $('#claimList');
+        if (!claimList) return;
+
+        claimList.innerHTML = '';
+        if (this.claims.length === 0) {
+            claimList.appendChild(createElement('div', { className: 'no-reviews' }, 'No claims.'));
+            return;
+        }
+
+        this.claims.forEach(claim => {
+            const { evidence } = claim;
+            const card = createElement('div', { className: `review-card claim-card claim-card--${claim.status}` });
+
+            const header = createElement('div', { className: 'review-header' });
+            header.appendChild(createElement('div', { className: 'review-toilet-name' }, claim.toiletName || 'Deleted toilet'));
+            header.appendChild(createElement('div', { className: 'review-rating' }, claim.status));
+            card.appendChild(header);
+
+            const details = createElement('div', { className: 'review-comment' });
+            details.appendChild(createElement('div', {}, `${evidence.businessName} · ${evidence.phone}`));
+            if (evidence.contactName) details.appendChild(createElement('div', {}, `Contact: ${evidence.contactName}`));
+            if (evidence.documentUrl) {
+                const link = createElement('a', { href: evidence.documentUrl, target: '_blank', rel: 'noopener noreferrer' }, 'Supporting document');
+                details.appendChild(link);
+            }
+            if (evidence.note) details.appendChild(createElement('div', {}, evidence.note));
+            card.appendChild(details);
+
+            const meta = createElement('div', { className: 'review-meta' });
+            meta.appendChild(createElement('div', {}, `By ${claim.userEmail || 'a deleted user'} on ${new Date(claim.createdAt).toLocaleString()}`));
+            if (claim.reviewedAt) {
+                meta.appendChild(createElement('div', {},
+                    `Decided: ${new Date(claim.reviewedAt).toLocaleString()}${claim.decisionNote ? ` · ${claim.decisionNote}` : ''}`));
+            }
+            card.appendChild(meta);
+
+            const decisions = claim.status === 'pending'
+                ? [['approve', 'Approve', 'btn-primary'], ['reject', 'Reject', 'btn-secondary']]
+                : claim.status === 'approved' ? [['revoke', 'Revoke', 'btn-danger']] : [];
+            if (decisions.length > 0) {
+                const actions = createElement('div', { className: 'trash-card__actions' });
+                decisions.forEach(([decision, label, style]) => {
+                    const button = createElement('button', { className: `btn ${style}` }, label);
+                    button.addEventListener('click', () => this.decideClaim(claim.id, decision));
+                    actions.appendChild(button);
+                });
+                card.appendChild(actions);
+            }
+
+            claimList.appendChild(card);
+        });
+
+        if (this.claimsCursor) {
+            const loadMore = createElement('button', { className: 'btn btn-secondary load-more-reviews' },
+                `Load more (${this.claims.length} of ${this.claimsTotal})`);
+            loadMore.addEventListener('click', () => this.loadClaims({ append: true }));
+            claimList.appendChild(loadMore);
+        }
+    }
+
+    /**
+     * Approve, reject or revoke a claim, asking for a note to the claimant
+     * @param {string} claimId - Claim ID
+     * @param {string} decision - 'approve', 'reject' or 'revoke'
+     */
+    async decideClaim(claimId, decision) {
+        const question = { approve: 'Approve', reject: 'Reject', revoke: 'Revoke' }[decision];
+        const note = prompt(`${question} this claim? Note to the claimant (optional)`);
+        if (note === null) return;
+
+        appStore.setLoading('claims', true);
+
+        try {
+            await claimApiService.decide(claimId, decision, note.trim());
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Claim updated',
+                message: { approve: 'Claim approved', reject: 'Claim rejected', revoke: 'Claim revoked' }[decision]
+            });
+
+            await this.loadClaims();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to update claim:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Claim Error',
+                message: error.data?.message || 'Failed to update claim'
+            });
+        } finally {
+            appStore.setLoading('claims', false);
+        }
+    }
+
+    /**
+     * Show users and their roles, with the invitation form (admin only)
+     * @returns {Promise} Users loading promise
+     */
+    async showUsers() {
+        this.currentView = 'users';
+        this.updateNavigation();
+        this.showSection('usersSection');
+
+        await this.loadUsers();
+    }
+
+    /**
+     * Load a page of users matching the role filter
+     * @param {object} options - Loading options
+     * @param {boolean} options.append - Load the next page instead of starting over
+     * @returns {Promise} Loading promise
+     */
+    async loadUsers({ append = false } = {}) {
+        appStore.setLoading('users', true);
+
+        try {
+            const page = await userApiService.getUsersPage({
+                limit: UserApiService.PAGE_SIZE,
+                cursor: append ? this.usersCursor : undefined,
+                role: $('#userRoleFilter')?.value || undefined
+            });
+
+            this.users = append ? [...this.users, ...page.users] : page.users;
+            this.usersCursor = page.nextCursor;
+            this.usersTotal = page.total;
+
+            this.updateUsersDisplay();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to load users:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Load Error',
+                message: 'Failed to load users'
+            });
+        } finally {
+            appStore.setLoading('users', false);
+        }
+    }
+
+    /**
+     * Update users display; each user gets a role picker
+     */
+    updateUsersDisplay() {
+        const userList = $('#userList');
+        if (!userList) return;
+
+        userList.innerHTML = '';
+        if (this.users.length === 0) {
+            userList.appendChild(createElement('div', { className: 'no-reviews' }, 'No users.'));
+            return;
+        }
+
+        this.users.forEach(user => {
+            const card = createElement('div', { className: 'review-card user-card' });
+
+            const header = createElement('div', { className: 'review-header' });
+            header.appendChild(createElement('div', { className: 'review-toilet-name' }, user.email));
+            const roleSelect = createElement('select', { className: 'reviews-filters__select' });
+            roleSelect.setAttribute('aria-label', `Role of ${user.email}`);
+            UserApiService.ROLES.forEach(role => {
+                roleSelect.appendChild(createElement('option', { value: role }, role));
+            });
+            roleSelect.value = user.role;
+            roleSelect.addEventListener('change', () => this.changeUserRole(user, roleSelect));
+            header.appendChild(roleSelect);
+            card.appendChild(header);
+
+            card.appendChild(createElement('div', { className: 'review-meta' }, `Registered ${new Date(user.createdAt).toLocaleString()}`));
+            userList.appendChild(card);
+        });
+
+        if (this.usersCursor) {
+            const loadMore = createElement('button', { className: 'btn btn-secondary load-more-reviews' },
+                `Load more (${this.users.length} of ${this.usersTotal})`);
+            loadMore.addEventListener('click', () => this.loadUsers({ append: true }));
+            userList.appendChild(loadMore);
+        }
+    }
+
+    /**
+     * Give a user the role picked for them, putting the picker back when the
+     * change is refused
+     * @param {object} user - User from the list
+     * @param {HTMLSelectElement} roleSelect - Their role picker
+     */
+    async changeUserRole(user, roleSelect) {
+        const role = roleSelect.value;
+        if (!confirm(`Make ${user.email} a ${role}?`)) {
+            roleSelect.value = user.role;
+            return;
+        }
+
+        appStore.setLoading('users', true);
+
+        try {
+            const updated = await userApiService.changeRole(user.id, role);
+            user.role = updated?.role || role;
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Role changed',
+                message: `${user.email} is now a ${user.role}`
+            });
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to change role:', error);
+            roleSelect.value = user.role;
+            appStore.addNotification({
+                type: 'error',
+                title: 'Role Error',
+                message: error.data?.message || 'Failed to change role'
+            });
+        } finally {
+            appStore.setLoading('users', false);
+        }
+    }
+
+    /**
+     * Handle invitation form submission; shows the link to send the invitee
+     * @param {Event} event - Form submit event
+     */
+    async inviteUser(event) {
+        event.preventDefault();
+
+        const inviteError = $('#inviteError');
+        const inviteLink = $('#inviteLink');
+        if (inviteError) inviteError.style.display = 'none';
+        if (inviteLink) inviteLink.style.display = 'none';
+
+        appStore.setLoading('users', true);
+
+        try {
+            const invite = await userApiService.invite($('#inviteEmail').value.trim(), $('#inviteRole').value);
+            const url = new URL(window.location.href);
+            url.search = new URLSearchParams({ invite: invite.token }).toString();
+
+            $('#inviteLinkInput').value = url.toString();
+            if (inviteLink) inviteLink.style.display = 'block';
+            $('#inviteForm').reset();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to invite user:', error);
+            if (inviteError) {
+                inviteError.textContent = error.data?.message || 'Failed to create the invitation';
+                inviteError.style.display = 'block';
+            }
+        } finally {
+            appStore.setLoading('users', false);
+        }
+    }
+
+    /**
+     * Show the toilets the signed-in user operates, their claims and the
+     * claim form
+     * @returns {Promise} Facilities loading promise
+     */
+    async showFacilities() {
+        this.currentView = 'facilities';
+        this.updateNavigation();
+        this.showSection('facilitiesSection');
+
+        // A toilet ID from a review page's "claim it" link
+        const toiletId = new URLSearchParams(window.location.search).get('claim');
+        if (toiletId && $('#claimToiletId')) $('#claimToiletId').value = toiletId;
+
+        await this.loadFacilities();
+    }
+
+    /**
+     * Load the signed-in user's claims; approved ones carry the toilet
+     * @returns {Promise} Loading promise
+     */
+    async loadFacilities() {
+        appStore.setLoading('claims', true);
+
+        try {
+            this.myClaims = await claimApiService.getMyClaims();
+            this.updateFacilitiesDisplay();
+        } catch (error) {
+            console.error('[ADMIN] Failed to load facilities:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Load Error',
+                message: 'Failed to load your facilities'
+            });
+        } finally {
+            appStore.setLoading('claims', false);
+        }
+    }
+
+    /**
+     * Update facilities display: operated toilets with their actions, then
+     * claims still waiting or turned down
+     */
+    updateFacilitiesDisplay() {
+        const facilityList = $('#facilityList');
+        if (!facilityList) return;
+
+        facilityList.innerHTML = '';
+        if (this.myClaims.length === 0) {
+            facilityList.appendChild(createElement('div', { className: 'no-reviews' },
+                'You do not manage any facilities yet. Claim one below.'));
+            return;
+        }
+
+        this.myClaims.forEach(claim => {
+            const card = createElement('div', { className: `review-card claim-card claim-card--${claim.status}` });
+            const header = createElement('div', { className: 'review-header' });
+            header.appendChild(createElement('div', { className: 'review-toilet-name' }, claim.toiletName || 'Deleted toilet'));
+            header.appendChild(createElement('div', { className: 'review-rating' },
+                claim.status === 'approved' ? 'Managed by you' : `Claim ${claim.status}`));
+            card.appendChild(header);
+
+            if (claim.decisionNote) {
+                card.appendChild(createElement('div', { className: 'review-meta' }, claim.decisionNote));
+            }
+
+            if (claim.toilet) {
+                const actions = createElement('div', { className: 'trash-card__actions' });
+                const detailsBtn = createElement('button', { className: 'btn btn-secondary' }, 'Details');
+                detailsBtn.addEventListener('click', () => this.showFacilityDetails(claim.toilet));
+                const closuresBtn = createElement('button', { className: 'btn btn-secondary' }, 'Closures');
+                closuresBtn.addEventListener('click', () => this.showToiletClosures(claim.toilet.id));
+                actions.appendChild(detailsBtn);
+                actions.appendChild(closuresBtn);
+                card.appendChild(actions);
+            }
+
+            facilityList.appendChild(card);
+        });
+    }
+
+    /**
+     * Open the details form of a toilet the user operates
+     * @param {object} toilet - The toilet
+     */
+    showFacilityDetails(toilet) {
+        const panel = $('#facilityDetails');
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.style.display = 'block';
+
+        const header = createElement('div', { className: 'toilet-history__header' });
+        header.appendChild(createElement('h3', { className: 'toilet-history__title' }, `Details: ${toilet.name}`));
+        const closeBtn = createElement('button', { className: 'btn btn-secondary' }, 'Close');
+        closeBtn.addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        header.appendChild(closeBtn);
+        panel.appendChild(header);
+
+        const form = createElement('form', { className: 'toilet-closures__form' });
+        form.innerHTML = `
+            <label class="add-toilet-form__label">Name
+                <input type="text" name="name" class="add-toilet-form__input" required>
+            </label>
+            <label class="add-toilet-form__label">Location
+                <input type="text" name="location" class="add-toilet-form__input" required>
+            </label>
+            <label class="add-toilet-form__label">Description
+                <textarea name="description" class="add-toilet-form__input" rows="3"></textarea>
+            </label>
+            <label class="add-toilet-form__label">Opening hours
+                <input type="text" name="openingHours" class="add-toilet-form__input" placeholder="Mo-Su 10:00-22:00">
+            </label>
+            <button type="submit" class="btn btn-primary">Save details</button>
+        `;
+        // Values are set as properties since they come from the toilet record
+        const fields = form.elements;
+        fields.name.value = toilet.name;
+        fields.location.value = toilet.location;
+        fields.description.value = toilet.description || '';
+        fields.openingHours.value = openingHoursText(toilet.openingHours) || '';
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveFacilityDetails(toilet.id, {
+                name: fields.name.value.trim(),
+                location: fields.location.value.trim(),
+                description: fields.description.value.trim(),
+                openingHours: fields.openingHours.value.trim() || null
+            });
+        });
+        panel.appendChild(form);
+    }
+
+    /**
+     * Save the details of a toilet the user operates
+     * @param {string} toiletId - Toilet ID
+     * @param {object} details - { name, location, description, openingHours }
+     */
+    async saveFacilityDetails(toiletId, details) {
+        appStore.setLoading('toilet', true);
+
+        try {
+            await toiletApiService.updateToilet(toiletId, details);
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Success',
+                message: 'Details updated'
+            });
+
+            $('#facilityDetails').style.display = 'none';
+            await this.loadFacilities();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to update facility:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Update Error',
+                message: error.data?.errors?.join(' ') || error.data?.message || 'Failed to update details'
+            });
+        } finally {
+            appStore.setLoading('toilet', false);
+        }
+    }
+
+    /**
+     * Send an ownership claim from the claim form
+     * @param {Event} event - Form submit event
+     */
+    async submitClaim(event) {
+        event.preventDefault();
+
+        const claimError = $('#claimError');
+        if (claimError) claimError.textContent = '';
+
+        const toiletId = $('#claimToiletId').value.trim();
+        const evidence = {
+            businessName: $('#claimBusinessName').value.trim(),
+            contactName: $('#claimContactName').value.trim() || null,
+            phone: $('#claimPhone').value.trim(),
+            documentUrl: $('#claimDocumentUrl').value.trim() || null,
+            note: $('#claimNote').value.trim() || null
+        };
+
+        appStore.setLoading('claims', true);
+
+        try {
+            await claimApiService.submitClaim(toiletId, evidence);
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Claim sent',
+                message: 'An admin will review your claim'
+            });
+
+            event.target.reset();
+            await this.loadFacilities();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to submit claim:', error);
+            if (claimError) {
+                claimError.textContent = error.data?.errors?.join(' ') || error.data?.message || 'Failed to send claim';
+            }
+        } finally {
+            appStore.setLoading('claims', false);
+        }
+    }
+
+    /**
+     * Load a page of trashed toilets and reviews
+     * @param {object} options - Loading options
+     * @param {boolean} options.append - Load the next page instead of starting over
+     * @returns {Promise} Loading promise
+     */
+    async loadTrash({ append = false } = {}) {
+        appStore.setLoading('trash', true);
+
+        try {
+            const page = await trashApiService.getTrashPage({
+                limit: TrashApiService.PAGE_SIZE,
+                cursor: append ? this.trashCursor : undefined,
+                collection: $('#trashCollection')?.value || undefined
+            });
+
+            this.trashEntries = append ? [...this.trashEntries, ...page.entries] : page.entries;
+            this.trashCursor = page.nextCursor;
+            this.trashTotal = page.total;
+
+            const hint = $('#trashHint');
+            if (hint && page.retentionDays) {
+                hint.textContent = `Deleted toilets and reviews can be restored for ${page.retentionDays} days, then they are purged.`;
+            }
+
+            this.updateTrashDisplay();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to load trash:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Load Error',
+                message: 'Failed to load trash'
+            });
+        } finally {
+            appStore.setLoading('trash', false);
+        }
+    }
+
+    /**
+     * Update trash display; names and comments are user input, so text is set
+     * with textContent
+     */
+    updateTrashDisplay() {
+        const trashList = $('#trashList');
+        if (!trashList) return;
+
+        trashList.innerHTML = '';
+        if (this.trashEntries.length === 0) {
+            trashList.appendChild(createElement('div', { className: 'no-reviews' }, 'The trash is empty.'));
+            return;
+        }
+
+        this.trashEntries.forEach(entry => {
+            const { record } = entry;
+            const isToilet = entry.collection === 'toilets';
+            const card = createElement('div', { className: 'review-card trash-card' });
+
+            const header = createElement('div', { className: 'review-header' });
+            header.appendChild(createElement('div', { className: 'review-toilet-name' },
+                isToilet ? record.name || 'Unnamed toilet' : `Review of ${record.toiletName || 'unknown toilet'}`));
+            header.appendChild(createElement('div', { className: 'review-rating' },
+                isToilet ? 'Toilet' : `${record.rating}/5 stars`));
+            card.appendChild(header);
+
+            card.appendChild(createElement('div', { className: 'review-comment' },
+                isToilet ? record.location || '' : record.comment || 'No comment'));
+
+            const meta = createElement('div', { className: 'review-meta' });
+            meta.appendChild(createElement('div', {}, `Deleted: ${new Date(entry.deletedAt).toLocaleString()}`));
+            meta.appendChild(createElement('div', {}, `Purged: ${new Date(entry.purgeAt).toLocaleDateString()}`));
+            card.appendChild(meta);
+
+            const actions = createElement('div', { className: 'trash-card__actions' });
+            if (entry.cascadedFrom) {
+                actions.appendChild(createElement('span', { className: 'trash-hint' }, 'Deleted with its toilet'));
+            }
+            const restoreBtn = createElement('button', { className: 'btn btn-secondary' }, 'Restore');
+            restoreBtn.addEventListener('click', () => this.restoreTrashEntry(entry.id));
+            actions.appendChild(restoreBtn);
+            card.appendChild(actions);
+
+            trashList.appendChild(card);
+        });
+
+        if (this.trashCursor) {
+            const loadMore = createElement('button', { className: 'btn btn-secondary load-more-reviews' },
+                `Load more (${this.trashEntries.length} of ${this.trashTotal})`);
+            loadMore.addEventListener('click', () => this.loadTrash({ append: true }));
+            trashList.appendChild(loadMore);
+        }
+    }
+
+    /**
+     * Restore a trash entry; a toilet comes back with the reviews deleted along with it
+     * @param {string} entryId - Trash entry ID
+     */
+    async restoreTrashEntry(entryId) {
+        appStore.setLoading('trash', true);
+
+        try {
+            const { restored } = await trashApiService.restore(entryId);
+
+            appStore.addNotification({
+                type: 'success',
+                title: 'Restored',
+                message: restored.collection === 'toilets'
+                    ? `Toilet restored with ${restored.reviews} reviews`
+                    : 'Review restored'
+            });
+
+            await this.loadTrash();
+            if (restored.collection === 'toilets') await this.loadToilets();
+
+        } catch (error) {
+            console.error('[ADMIN] Failed to restore trash entry:', error);
+            appStore.addNotification({
+                type: 'error',
+                title: 'Restore Error',
+                message: error.data?.errors?.join(' ') || 'Failed to restore'
+            });
+        } finally {
+            appStore.setLoading('trash', false);
+        }
+    }
+
     /**
      * Load QR codes for all toilets
      * @returns {Promise} Loading promise
@@ -751,6 +2364,47 @@ export class AdminPage extends BasePage {
             });
     }
 
+    /**
+     * Show one top-level view and hide the others
+     * @param {string|null} sectionId - Element ID of the view; null hides them all
+     */
+    showSection(sectionId) {
+        AdminPage.VIEW_SECTIONS.forEach(id => {
+            const section = $(`#${id}`);
+            if (section) section.style.display = id === sectionId ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Find out the signed-in user's role and permissions, and hide navigation
+     * to views they cannot use (marked with data-permission); the API
+     * enforces the same limits
+     * @returns {Promise} Loading promise
+     */
+    async loadUserRole() {
+        let user = appStore.getState().user?.data;
+        try {
+            user = await authApiService.getCurrentUser();
+        } catch (error) {
+            console.warn('[ADMIN] Could not load the current user:', error);
+        }
+
+        this.userRole = user?.role || 'user';
+        this.permissions = user?.permissions || {};
+        $$('[data-permission]').forEach(element => {
+            element.style.display = this.can(element.dataset.permission) ? '' : 'none';
+        });
+    }
+
+    /**
+     * Whether the signed-in user holds a permission, in any scope
+     * @param {string} permission - e.g. 'claim:review'
+     * @returns {boolean} Permission status
+     */
+    can(permission) {
+        return Boolean(this.permissions[permission]);
+    }
+
     /**
      * Update navigation active states
      */
@@ -772,15 +2426,45 @@ export class AdminPage extends BasePage {
             addToiletForm.addEventListener('submit', this.addToilet);
         }
 
+        // Bulk import
+        const importFile = $('#importFile');
+        const importType = $('#importType');
+        const importSkipDuplicates = $('#importSkipDuplicates');
+        const importCommitBtn = $('#importCommitBtn');
+        const importReportBtn = $('#importReportBtn');
+
+        if (importFile) importFile.addEventListener('change', this.handleImportFile);
+        if (importType) importType.addEventListener('change', this.previewImport);
+        if (importSkipDuplicates) importSkipDuplicates.addEventListener('change', () => this.updateImportActions());
+        if (importCommitBtn) importCommitBtn.addEventListener('click', this.commitImport);
+        if (importReportBtn) importReportBtn.addEventListener('click', this.downloadImportReport);
+
+        // Exports
+        const exportToiletsBtn = $('#exportToiletsBtn');
+        const exportReviewsBtn = $('#exportReviewsBtn');
+
+        if (exportToiletsBtn) exportToiletsBtn.addEventListener('click', () => this.exportToilets());
+        if (exportReviewsBtn) exportReviewsBtn.addEventListener('click', () => this.exportReviews());
+
         // Navigation buttons
         const showDashboardBtn = $('#showDashboardBtn');
         const showReviewsBtn = $('#showReviewsBtn');
         const showQRCodesBtn = $('#showQRCodesBtn');
+        const showIncidentsBtn = $('#showIncidentsBtn');
+        const showClaimsBtn = $('#showClaimsBtn');
+        const showFacilitiesBtn = $('#showFacilitiesBtn');
+        const showTrashBtn = $('#showTrashBtn');
+        const showUsersBtn = $('#showUsersBtn');
         const logoutBtn = $('#logoutBtn');
 
         if (showDashboardBtn) showDashboardBtn.addEventListener('click', () => this.showDashboard());
         if (showReviewsBtn) showReviewsBtn.addEventListener('click', () => this.showReviews());
         if (showQRCodesBtn) showQRCodesBtn.addEventListener('click', () => this.showQRCodes());
+        if (showIncidentsBtn) showIncidentsBtn.addEventListener('click', () => this.showIncidents());
+        if (showClaimsBtn) showClaimsBtn.addEventListener('click', () => this.showClaims());
+        if (showFacilitiesBtn) showFacilitiesBtn.addEventListener('click', () => this.showFacilities());
+        if (showTrashBtn) showTrashBtn.addEventListener('click', () => this.showTrash());
+        if (showUsersBtn) showUsersBtn.addEventListener('click', () => this.showUsers());
         if (logoutBtn) logoutBtn.addEventListener('click', this.handleLogout);
 
         // Review filters
@@ -789,57 +2473,39 @@ export class AdminPage extends BasePage {
 
         if (toiletFilter) toiletFilter.addEventListener('change', this.filterReviews);
         if (ratingFilter) ratingFilter.addEventListener('change', this.filterReviews);
-    }
-
-    /**
-     * Filter reviews based on current filters
-     */
-    filterReviews() {
-        const toiletFilter = $('#toiletFilter')?.value;
-        const ratingFilter = $('#ratingFilter')?.value;
-
-        let filteredReviews = [...this.allReviews];
 
-        if (toiletFilter) {
-            filteredReviews = filteredReviews.filter(review => review.toiletId === toiletFilter);
-        }
-
-        if (ratingFilter) {
-            filteredReviews = filteredReviews.filter(review => review.rating === parseInt(ratingFilter));
-        }
-
-        // Update display with filtered reviews
-        this.displayFilteredReviews(filteredReviews);
+        // Trash filter
+        const trashCollection = $('#trashCollection');
+        if (trashCollection) trashCollection.addEventListener('change', () => this.loadTrash());
+
+        // Incident filter
+        const incidentStatus = $('#incidentStatus');
+        if (incidentStatus) incidentStatus.addEventListener('change', () => this.loadIncidents());
+
+        // Claims
+        const claimStatus = $('#claimStatus');
+        const claimForm = $('#claimForm');
+        if (claimStatus) claimStatus.addEventListener('change', () => this.loadClaims());
+        if (claimForm) claimForm.addEventListener('submit', this.submitClaim);
+
+        // Users
+        const userRoleFilter = $('#userRoleFilter');
+        const inviteRole = $('#inviteRole');
+        const inviteForm = $('#inviteForm');
+        UserApiService.ROLES.forEach(role => {
+            if (userRoleFilter) userRoleFilter.appendChild(createElement('option', { value: role }, role));
+            if (inviteRole) inviteRole.appendChild(createElement('option', { value: role }, role));
+        });
+        if (userRoleFilter) userRoleFilter.addEventListener('change', () => this.loadUsers());
+        if (inviteForm) inviteForm.addEventListener('submit', this.inviteUser);
     }
 
     /**
-     * Display filtered reviews
-     * @param {Array} reviews - Filtered reviews
+     * Reload reviews with the current filters; filtering happens on the server
+     * so it covers reviews not loaded yet
      */
-    displayFilteredReviews(reviews) {
-        const reviewList = $('.review-list');
-        if (!reviewList) return;
-
-        if (reviews.length === 0) {
-            reviewList.innerHTML = '<div class="no-reviews">No reviews match the current filters.</div>';
-            return;
-        }
-
-        reviewList.innerHTML = reviews.map(review => `
-            <div class="review-card">
-                <div class="review-header">
-                    <div class="review-toilet-name">${review.toiletName || 'Unknown Toilet'}</div>
-                    <div class="review-rating">
-                        ${'★'.repeat(review.rating)}${'☆'.repeat(5-review.rating)}
-                    </div>
-                </div>
-                <div class="review-comment">${review.comment || 'No comment'}</div>
-                <div class="review-meta">
-                    <div>Posted: ${new Date(review.createdAt).toLocaleString()}</div>
-                    <div>${review.rating}/5 stars</div>
-                </div>
-            </div>
-        `).join('');
+    filterReviews() {
+        this.loadReviews();
     }
 
     /**
@@ -882,6 +2548,9 @@ export class AdminPage extends BasePage {
     destroy() {
         console.log('[ADMIN] Destroying admin page');
 
+        this.photoObjectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.photoObjectUrls = [];
+
         // Clean up map
         if (this.map) {
             this.map.remove();
@@ -6,7 +6,12 @@
 
 import { BasePage } from '../shared/page.base.js';
 import appStore from '../../state/store/app.store.js';
-import { $ } from '../../core/utils/dom.utils.js';
+import { $, debounce } from '../../core/utils/dom.utils.js';
+import { tilesForBounds, toiletsFromGeoJson, TileCache } from '../../core/utils/map-tile.utils.js';
+import { describeOpeningStatus, openingHoursText } from '../../core/utils/opening-hours.utils.js';
+import { describeFee, feeFilterParams } from '../../core/utils/fee.utils.js';
+import { describeLiveStatus } from '../../core/utils/live-status.utils.js';
+import { describeClosure } from '../../core/utils/closure.utils.js';
 import AppConfig from '../../core/config/app.config.js';
 import { SearchComponent } from '../../components/ui/search.component.js';
 
@@ -21,6 +26,13 @@ export class HomePage extends BasePage {
         this.markers = null;
         this.qrScanner = null;
         this.isProcessingScan = false;
+        this.tileCache = new TileCache({
+            ttl: AppConfig.map.dataTiles.ttl,
+            maxSize: AppConfig.map.dataTiles.maxCached
+        });
+        this.toiletRequestId = 0; // Lets a newer viewport load supersede an older one
+        this.popupPhotos = new Map(); // toilet id -> approved photos
+        this.fitMapToToilets = true; // Only the first load moves the map
 
         // Bind methods
         this.initializeMap = this.initializeMap.bind(this);
@@ -37,6 +49,7 @@ export class HomePage extends BasePage {
         this.createPopupContent = this.createPopupContent.bind(this);
         this.getStarRating = this.getStarRating.bind(this);
         this.updateMapStats = this.updateMapStats.bind(this);
+        this.showNearestUsableToilet = this.showNearestUsableToilet.bind(this);
     }
 
     /**
@@ -86,6 +99,9 @@ export class HomePage extends BasePage {
         // Map filter changes
         const showPublicToilets = $('#showPublicToilets');
         const showPrivateToilets = $('#showPrivateToilets');
+        const openNowToilets = $('#openNowToilets');
+        const priceFilter = $('#priceFilter');
+        const upiToilets = $('#upiToilets');
 
         if (showPublicToilets) {
             showPublicToilets.addEventListener('change', this.updateToiletFilters);
@@ -93,6 +109,15 @@ export class HomePage extends BasePage {
         if (showPrivateToilets) {
             showPrivateToilets.addEventListener('change', this.updateToiletFilters);
         }
+        if (openNowToilets) {
+            openNowToilets.addEventListener('change', this.updateToiletFilters);
+        }
+        if (priceFilter) {
+            priceFilter.addEventListener('change', this.updateToiletFilters);
+        }
+        if (upiToilets) {
+            upiToilets.addEventListener('change', this.updateToiletFilters);
+        }
 
         // Sync button
         const syncButton = $('button[onclick*="syncAllDataSources"]');
@@ -109,6 +134,73 @@ export class HomePage extends BasePage {
                 }
             });
         }
+
+        // One-tap nearest usable toilet
+        const nearestButton = $('#nearest-toilet-btn');
+        if (nearestButton) {
+            nearestButton.addEventListener('click', this.showNearestUsableToilet);
+        }
+    }
+
+    /**
+     * Locate the user and open the best toilet for an urgent visit
+     * (ranked by distance, rating, verification and opening status)
+     * @returns {Promise} Resolves once the toilet is shown on the map
+     */
+    async showNearestUsableToilet() {
+        const mapError = $('#map-error');
+        if (mapError) mapError.style.display = 'none';
+
+        try {
+            if (!AppConfig.environment.supportsGeolocation) {
+                throw new Error('Location is not available in this browser');
+            }
+
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, {
+                    enableHighAccuracy: true,
+                    timeout: 10000,
+                    maximumAge: 60000
+                });
+            });
+
+            const params = new URLSearchParams({
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+                mode: 'urgent',
+                limit: '1'
+            });
+
+            const response = await fetch(`${AppConfig.api.baseUrl}/api/toilet/nearby?${params}`);
+            if (!response.ok) {
+                throw new Error(`API request failed: ${response.status}`);
+            }
+
+            const { data } = await response.json();
+            const toilet = data && data[0];
+            if (!toilet) {
+                throw new Error('No toilets found near you');
+            }
+
+            console.log(`[HOME] Nearest usable toilet: ${toilet.name} (${Math.round(toilet.distance)} m)`);
+
+            const latLng = [toilet.coordinates.latitude, toilet.coordinates.longitude];
+            this.map.setView(latLng, 17);
+            L.popup()
+                .setLatLng(latLng)
+                .setContent(`
+                    <p><strong>${Math.round(toilet.distance)} m away</strong></p>
+                    ${this.createPopupContent(toilet)}
+                `)
+                .openOn(this.map);
+
+        } catch (error) {
+            console.error('[HOME] Error finding nearest toilet:', error);
+            if (mapError) {
+                mapError.textContent = `Could not find a nearby toilet: ${error.message}`;
+                mapError.style.display = 'block';
+            }
+        }
     }
 
     /**
@@ -241,6 +333,12 @@ export class HomePage extends BasePage {
         this.map.on('tileerror', (event) => {
             console.error('[HOME] Tile loading error:', event);
         });
+
+        // Load toilets for newly visible areas as the map moves
+        this.map.on('moveend', debounce(() => this.loadToilets()));
+
+        // Toilet popups fetch their photos when opened
+        this.map.on('popupopen', (event) => this.loadPopupPhotos(event.popup));
     }
 
     /**
@@ -306,41 +404,53 @@ export class HomePage extends BasePage {
 
     /**
      * Load and display toilets on the map
+     * Toilets are fetched as data tiles so panning only requests tiles that are
+     * not cached yet; very wide viewports use a single bounds request instead
      * @returns {Promise} Loading promise
      */
     async loadToilets() {
         const mapLoading = $('#map-loading');
         const mapError = $('#map-error');
-
-        if (mapLoading) mapLoading.style.display = 'flex';
+        const requestId = ++this.toiletRequestId;
+
+        const bounds = this.map.getBounds();
+        const viewport = {
+            south: bounds.getSouth(),
+            west: bounds.getWest(),
+            north: bounds.getNorth(),
+            east: bounds.getEast()
+        };
+
+        // Get filter preferences from store
+        const filters = appStore.getState().settings.mapFilters;
+        const variant = `${filters.showPublic}:${filters.showPrivate}`;
+
+        // Cached tiles cannot follow the clock and are not split by fee, so
+        // "open now" and fee filters ask for the bounds
+        const { zoom, maxTiles } = AppConfig.map.dataTiles;
+        const tiles = tilesForBounds(viewport, zoom);
+        const filtered = filters.openNow || Object.keys(feeFilterParams(filters)).length > 0;
+        const useTiles = !filtered && tiles.length <= maxTiles;
+        const needsFetch = !useTiles || tiles.some(tile => !this.tileCache.has(tile, variant));
+
+        if (needsFetch) {
+            if (mapLoading) mapLoading.style.display = 'flex';
+            appStore.setLoading('toilets', true);
+        }
         if (mapError) mapError.style.display = 'none';
 
-        appStore.setLoading('toilets', true);
-
         try {
-            console.log('[HOME] Loading toilets for map...');
+            console.log(`[HOME] Loading toilets for map (${useTiles ? `${tiles.length} tiles` : 'bounds'})...`);
 
-            // Get current map bounds
-            const bounds = this.map.getBounds();
-            const boundsString = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
+            const toilets = useTiles
+                ? this.withLiveStatus(
+                    (await Promise.all(tiles.map(tile => this.loadToiletTile(tile, filters, variant)))).flat(),
+                    await this.loadLiveStatuses(viewport)
+                )
+                : await this.loadToiletsInBounds(viewport, filters);
 
-            // Get filter preferences from store
-            const filters = appStore.getState().settings.mapFilters;
-            const params = new URLSearchParams({
-                showPublic: filters.showPublic.toString(),
-                showPrivate: filters.showPrivate.toString(),
-                bounds: boundsString,
-                limit: '1000'
-            });
-
-            // Fetch toilets from API
-            const response = await fetch(`${AppConfig.api.baseUrl}/api/toilet/map?${params}`);
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status}`);
-            }
-
-            const responseData = await response.json();
-            const toilets = responseData.success ? responseData.data : responseData;
+            // A later pan or filter change has already started its own load
+            if (requestId !== this.toiletRequestId) return;
 
             console.log(`[HOME] Loaded ${toilets.length} toilets`);
 
@@ -357,11 +467,105 @@ export class HomePage extends BasePage {
                 mapError.style.display = 'block';
             }
         } finally {
-            appStore.setLoading('toilets', false);
-            if (mapLoading) mapLoading.style.display = 'none';
+            if (needsFetch) {
+                appStore.setLoading('toilets', false);
+                if (mapLoading) mapLoading.style.display = 'none';
+            }
         }
     }
 
+    /**
+     * Toilets in one data tile, from the tile cache or the API
+     * @param {object} tile - Tile coordinates {z, x, y}
+     * @param {object} filters - Map filters
+     * @param {string} variant - Tile cache variant for the filters
+     * @returns {Promise<Array>} Toilets in the tile
+     */
+    async loadToiletTile(tile, filters, variant) {
+        const cached = this.tileCache.get(tile, variant);
+        if (cached) return cached;
+
+        const params = new URLSearchParams({
+            showPublic: filters.showPublic.toString(),
+            showPrivate: filters.showPrivate.toString()
+        });
+
+        const response = await fetch(`${AppConfig.api.baseUrl}/api/toilet/tiles/${tile.z}/${tile.x}/${tile.y}.geojson?${params}`);
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status}`);
+        }
+
+        const toilets = toiletsFromGeoJson(await response.json());
+        this.tileCache.set(tile, variant, toilets);
+        return toilets;
+    }
+
+    /**
+     * Live status and closures of toilets in the viewport that have problems
+     * reported or are closed. Tiles are cached for minutes, so both are
+     * fetched separately.
+     * @param {object} viewport - Bounds {south, west, north, east}
+     * @returns {Promise<Map>} toilet id -> { liveStatus, closure }; empty when it cannot be loaded
+     */
+    async loadLiveStatuses(viewport) {
+        const params = new URLSearchParams({
+            bounds: `${viewport.south},${viewport.west},${viewport.north},${viewport.east}`
+        });
+
+        try {
+            const response = await fetch(`${AppConfig.api.baseUrl}/api/toilet/live-status?${params}`);
+            if (!response.ok) {
+                throw new Error(`API request failed: ${response.status}`);
+            }
+            const { data } = await response.json();
+            return new Map((data || []).map(({ toiletId, liveStatus, closure }) => [toiletId, { liveStatus, closure }]));
+        } catch (error) {
+            // The map still works without live status
+            console.warn('[HOME] Could not load live status:', error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Attach live status and closures to toilets without touching the cached
+     * tile toilets
+     * @param {Array} toilets - Toilets from tiles
+     * @param {Map} liveStatuses - toilet id -> { liveStatus, closure }
+     * @returns {Array} Toilets
+     */
+    withLiveStatus(toilets, liveStatuses) {
+        if (liveStatuses.size === 0) return toilets;
+        return toilets.map(toilet => liveStatuses.has(toilet.id)
+            ? { ...toilet, ...liveStatuses.get(toilet.id) }
+            : toilet);
+    }
+
+    /**
+     * Toilets in a bounding box in one request
+     * @param {object} viewport - Bounds {south, west, north, east}
+     * @param {object} filters - Map filters
+     * @returns {Promise<Array>} Toilets in the bounds
+     */
+    async loadToiletsInBounds(viewport, filters) {
+        const params = new URLSearchParams({
+            showPublic: filters.showPublic.toString(),
+            showPrivate: filters.showPrivate.toString(),
+            bounds: `${viewport.south},${viewport.west},${viewport.north},${viewport.east}`,
+            limit: '1000'
+        });
+        if (filters.openNow) params.append('openNow', 'true');
+        Object.entries(feeFilterParams(filters)).forEach(([key, value]) => params.append(key, value));
+
+        // Fetch toilets from API
+        const response = await fetch(`${AppConfig.api.baseUrl}/api/toilet/map?${params}`);
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status}`);
+        }
+
+        const responseData = await response.json();
+        return responseData.success ? responseData.data : responseData;
+    }
+
     /**
      * Update map with toilet data
      * @param {Array} toilets - Toilet data array
@@ -388,8 +592,9 @@ export class HomePage extends BasePage {
             }
         });
 
-        // Fit bounds if we have markers
-        if (this.markers.getLayers().length > 0) {
+        // Fit bounds on the first load only; later loads follow the map as it moves
+        if (this.fitMapToToilets && this.markers.getLayers().length > 0) {
+            this.fitMapToToilets = false;
             this.map.fitBounds(this.markers.getBounds(), {
                 padding: [50, 50],
                 maxZoom: 15,
@@ -405,15 +610,21 @@ export class HomePage extends BasePage {
      * @returns {L.Marker} Leaflet marker
      */
     createMarker(toilet) {
+        // Reported problems show as a ring around the rating colour; closed
+        // toilets stay on the map, greyed out
+        const liveState = toilet.liveStatus?.state || 'ok';
+        const closed = toilet.closure?.closed === true;
         const markerIcon = L.divIcon({
-            className: 'toilet-marker',
+            className: `toilet-marker toilet-marker--${liveState}${closed ? ' toilet-marker--closed' : ''}`,
             html: `<div style="
                 width: 20px;
                 height: 20px;
                 border-radius: 50%;
                 background-color: ${this.getMarkerColor(toilet.averageRating)};
-                border: 3px solid white;
+                border: 3px solid ${this.getMarkerBorderColor(liveState)};
                 box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+                opacity: ${closed ? 0.4 : 1};
+                filter: ${closed ? 'grayscale(1)' : 'none'};
                 transition: all 0.3s ease;
             "></div>`,
             iconSize: [20, 20],
@@ -438,6 +649,17 @@ export class HomePage extends BasePage {
         return '#f44336'; // Red for low rating
     }
 
+    /**
+     * Get marker border color based on live status
+     * @param {string} liveState - ok, degraded or unavailable
+     * @returns {string} Color hex code
+     */
+    getMarkerBorderColor(liveState) {
+        if (liveState === 'unavailable') return '#d32f2f'; // Red when out of service
+        if (liveState === 'degraded') return '#ff9800'; // Orange when problems are reported
+        return 'white';
+    }
+
     /**
      * Create popup content for toilet marker
      * @param {object} toilet - Toilet data
@@ -445,6 +667,9 @@ export class HomePage extends BasePage {
      */
     createPopupContent(toilet) {
         const isPublic = toilet.type === 'public';
+        const fee = describeFee(toilet.fee);
+        const live = describeLiveStatus(toilet.liveStatus);
+        const closure = describeClosure(toilet.closure);
 
         return `
             <div class="toilet-popup ${isPublic ? 'public-popup' : 'private-popup'}">
@@ -453,6 +678,8 @@ export class HomePage extends BasePage {
                     ${isPublic ? '🏛️ Public Facility' : '🏢 Private Toilet'}
                 </div>
                 <p>${toilet.location}</p>
+                ${closure ? `<p class="closure-notice ${closure.closed ? 'closure-notice--closed' : ''}">🚧 ${closure.text}</p>` : ''}
+                ${live ? `<p class="live-status live-status--${live.state}">⚠️ ${live.text}</p>` : ''}
                 ${toilet.description ? `<p>${toilet.description}</p>` : ''}
 
                 ${isPublic ? `
@@ -471,7 +698,65 @@ export class HomePage extends BasePage {
                     <p>Facilities: ${toilet.facilities.map(f => f.replace('_', ' ')).join(', ')}</p>
                 ` : ''}
 
-                ${!isPublic ? `<button onclick="reviewToilet('${toilet.id}')">Write Review</button>` : ''}
+                ${this.createOpeningHoursContent(toilet)}
+
+                ${fee ? `<p class="toilet-fee">Fee: ${fee}</p>` : ''}
+
+                <div class="toilet-photos" data-toilet-id="${toilet.id}"></div>
+
+                ${!isPublic && !toilet.closure?.closed ? `<button onclick="reviewToilet('${toilet.id}')">Write Review</button>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Fill an opened popup's photo strip with the toilet's approved photos
+     * @param {L.Popup} popup - The opened popup
+     * @returns {Promise} Loading promise
+     */
+    async loadPopupPhotos(popup) {
+        const container = popup.getElement()?.querySelector('.toilet-photos');
+        const toiletId = container?.dataset.toiletId;
+        if (!toiletId) return;
+
+        try {
+            if (!this.popupPhotos.has(toiletId)) {
+                const response = await fetch(`${AppConfig.api.baseUrl}/api/toilet/${encodeURIComponent(toiletId)}/photos`);
+                if (!response.ok) {
+                    throw new Error(`API request failed: ${response.status}`);
+                }
+                const { data } = await response.json();
+                this.popupPhotos.set(toiletId, data || []);
+            }
+
+            const photos = this.popupPhotos.get(toiletId);
+            if (photos.length === 0) return;
+
+            container.innerHTML = photos.slice(0, 4).map(photo => `
+                <a href="${AppConfig.api.baseUrl}${photo.url}" target="_blank" rel="noopener">
+                    <img src="${AppConfig.api.baseUrl}${photo.thumbnailUrl}" alt="Toilet photo" loading="lazy" width="60" height="60">
+                </a>
+            `).join('');
+            popup.update();
+        } catch (error) {
+            console.warn(`[HOME] Could not load photos for toilet ${toiletId}:`, error.message);
+        }
+    }
+
+    /**
+     * Opening status and hours for a popup; nothing when the hours are unknown
+     * @param {object} toilet - Toilet data (tile toilets have hours but no status)
+     * @returns {string} HTML content
+     */
+    createOpeningHoursContent(toilet) {
+        const hours = openingHoursText(toilet.openingHours);
+        if (!hours) return '';
+
+        const status = toilet.openingStatus ? describeOpeningStatus(toilet.openingStatus) : null;
+        return `
+            <div class="opening-hours">
+                ${status ? `<span class="opening-status opening-status--${status.state}">${status.text}</span>` : ''}
+                <p class="opening-hours__text">Hours: ${hours}</p>
             </div>
         `;
     }
@@ -500,6 +785,9 @@ export class HomePage extends BasePage {
         // Update store
         const showPublic = $('#showPublicToilets')?.checked ?? true;
         const showPrivate = $('#showPrivateToilets')?.checked ?? true;
+        const openNow = $('#openNowToilets')?.checked ?? false;
+        const price = $('#priceFilter')?.value || 'any';
+        const upi = $('#upiToilets')?.checked ?? false;
 
         appStore.setState(prevState => ({
             ...prevState,
@@ -507,7 +795,10 @@ export class HomePage extends BasePage {
                 ...prevState.settings,
                 mapFilters: {
                     showPublic,
-                    showPrivate
+                    showPrivate,
+                    openNow,
+                    price,
+                    upi
                 }
             }
         }));
@@ -563,6 +854,9 @@ export class HomePage extends BasePage {
 
             console.log('[HOME] All API sync completed, total toilets added:', totalSynced);
 
+            // Cached tiles predate the sync, so reload them
+            this.tileCache.clear();
+
             // Reload toilets and stats
             await Promise.all([
                 this.loadToilets(),
@@ -7,7 +7,11 @@ import { BasePage } from '../shared/page.base.js';
 import appStore from '../../state/store/app.store.js';
 import { toiletApiService } from '../../services/api/toilet-api.service.js';
 import { reviewApiService } from '../../services/api/review-api.service.js';
+import { incidentApiService } from '../../services/api/incident-api.service.js';
 import { $ } from '../../core/utils/dom.utils.js';
+import { describeOpeningStatus, openingHoursText } from '../../core/utils/opening-hours.utils.js';
+import { describeLiveStatus, incidentTypeName } from '../../core/utils/live-status.utils.js';
+import { describeClosure } from '../../core/utils/closure.utils.js';
 
 /**
  * ReviewPage Class
@@ -18,6 +22,8 @@ export class ReviewPage extends BasePage {
         super();
         this.currentToiletId = null;
         this.qrReader = null;
+        this.incidentTypes = [];
+        this.activeIncidents = [];
     }
 
     /**
@@ -206,6 +212,12 @@ export class ReviewPage extends BasePage {
             // Display toilet information
             this.displayToiletInfo(toilet);
 
+            // A closed toilet cannot be visited, so there is nothing to report or review
+            if (toilet.closure?.closed) return;
+
+            // Quick problem reports don't need the review form
+            await this.loadIncidents(toiletId);
+
             // Show review form
             const reviewFormSection = document.getElementById('reviewFormSection');
             if (reviewFormSection) {
@@ -236,26 +248,170 @@ export class ReviewPage extends BasePage {
             ).join('')
             : '<span class="toilet-info__facility">No facilities listed</span>';
 
+        const categories = toilet.categoryRatings;
+        const categoriesHtml = toilet.totalReviews > 0 && categories
+            ? `<p class="toilet-info__value">Cleanliness ${categories.cleanliness.toFixed(1)} · Maintenance ${categories.maintenance.toFixed(1)} · Accessibility ${categories.accessibility.toFixed(1)}</p>`
+            : '';
+
+        const hours = openingHoursText(toilet.openingHours);
+        const status = describeOpeningStatus(toilet.openingStatus);
+        const hoursHtml = hours
+            ? `<p class="toilet-info__status toilet-info__status--${status.state}">${status.text}</p>
+               <p class="toilet-info__value">${hours}</p>`
+            : '<p class="toilet-info__value">Opening hours not listed</p>';
+
+        const live = describeLiveStatus(toilet.liveStatus, this.incidentTypes);
+        const liveHtml = live
+            ? `<p class="toilet-info__status toilet-info__status--${live.state}">${live.text}</p>`
+            : '';
+
+        const closure = describeClosure(toilet.closure);
+        const closureHtml = closure
+            ? `<div class="toilet-info__closure ${closure.closed ? 'toilet-info__closure--closed' : ''}" role="status">
+                   <p>${closure.text}</p>
+                   ${closure.closed ? '<p>Reviews are paused until it reopens.</p>' : ''}
+               </div>`
+            : '';
+
+        // Businesses running a private toilet can ask to manage it
+        const claimHtml = toilet.type === 'private'
+            ? `<p class="toilet-info__claim">Run this facility? <a href="admin.html?claim=${encodeURIComponent(toilet.id)}">Claim it</a> to keep its hours and closures up to date.</p>`
+            : '';
+
         toiletInfo.innerHTML = `
             <h2 class="toilet-info__title">Toilet Information</h2>
+            ${closureHtml}
             <div class="toilet-info__content">
                 <div class="toilet-info__group">
                     <h3 class="toilet-info__value">${toilet.name || 'Unnamed Toilet'}</h3>
                     <p class="toilet-info__value">${toilet.location || 'Location not specified'}</p>
+                    ${liveHtml}
                 </div>
                 <div class="toilet-info__group">
                     <h4 class="toilet-info__label">Current Rating</h4>
                     <p class="toilet-info__rating">${toilet.averageRating ? `${toilet.averageRating.toFixed(1)} ⭐` : 'No ratings yet'}</p>
                     <p class="toilet-info__value">${toilet.totalReviews || 0} reviews</p>
+                    ${categoriesHtml}
+                </div>
+                <div class="toilet-info__group">
+                    <h4 class="toilet-info__label">Opening Hours</h4>
+                    ${hoursHtml}
                 </div>
                 <div class="toilet-info__group">
                     <h4 class="toilet-info__label">Facilities</h4>
                     <div class="toilet-info__facilities">${facilitiesHtml}</div>
                 </div>
             </div>
+            ${claimHtml}
         `;
     }
 
+    /**
+     * Load the problems that can be reported and the toilet's open ones
+     * @param {string} toiletId - Toilet ID
+     */
+    async loadIncidents(toiletId) {
+        const incidentSection = document.getElementById('incidentSection');
+        if (!incidentSection) return;
+
+        try {
+            const [types, { incidents }] = await Promise.all([
+                incidentApiService.getIncidentTypes(),
+                incidentApiService.getToiletIncidents(toiletId)
+            ]);
+            this.incidentTypes = types || [];
+            this.activeIncidents = incidents;
+            this.renderIncidents();
+            incidentSection.style.display = 'block';
+        } catch (error) {
+            // Reviews still work without incident reporting
+            console.warn('[ReviewPage] Could not load incidents:', error.message);
+            incidentSection.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render open incidents with "me too" buttons, and a button per problem type
+     */
+    renderIncidents() {
+        const activeList = document.getElementById('activeIncidents');
+        const typeButtons = document.getElementById('incidentTypes');
+        if (!activeList || !typeButtons) return;
+
+        activeList.innerHTML = '';
+        this.activeIncidents.forEach(incident => {
+            const item = document.createElement('li');
+            item.className = 'incident-report__item';
+            item.textContent = `${incidentTypeName(this.incidentTypes, incident.type)} · reported by ${incident.reports} ${incident.reports === 1 ? 'person' : 'people'}`;
+
+            const confirmBtn = document.createElement('button');
+            confirmBtn.type = 'button';
+            confirmBtn.className = 'btn btn-secondary incident-report__confirm';
+            confirmBtn.textContent = 'Me too';
+            confirmBtn.addEventListener('click', () => this.handleIncidentConfirm(incident, confirmBtn));
+            item.appendChild(confirmBtn);
+
+            activeList.appendChild(item);
+        });
+
+        typeButtons.innerHTML = '';
+        this.incidentTypes.forEach(type => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'incident-report__type';
+            button.textContent = `${type.icon} ${type.name}`;
+            button.addEventListener('click', () => this.handleIncidentReport(type.id, button));
+            typeButtons.appendChild(button);
+        });
+    }
+
+    /**
+     * Report a problem with the current toilet
+     * @param {string} type - Incident type ID
+     * @param {HTMLButtonElement} button - The clicked button
+     */
+    async handleIncidentReport(type, button) {
+        if (!this.currentToiletId) return;
+
+        button.disabled = true;
+        try {
+            const { incident } = await incidentApiService.report(this.currentToiletId, type);
+            this.showIncidentMessage(incident.reports > 1
+                ? `Thanks, ${incident.reports} people have now reported this.`
+                : 'Thanks, your report will help others.');
+            await this.loadIncidents(this.currentToiletId);
+        } catch (error) {
+            console.error('[ReviewPage] Error reporting incident:', error);
+            this.showIncidentMessage('Could not send your report. Please try again.');
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Confirm a problem someone else reported
+     * @param {object} incident - Active incident
+     * @param {HTMLButtonElement} button - The clicked button
+     */
+    async handleIncidentConfirm(incident, button) {
+        button.disabled = true;
+        try {
+            await incidentApiService.confirm(this.currentToiletId, incident.id);
+            this.showIncidentMessage('Thanks for confirming.');
+            await this.loadIncidents(this.currentToiletId);
+        } catch (error) {
+            console.error('[ReviewPage] Error confirming incident:', error);
+            this.showIncidentMessage(error.status === 409
+                ? 'That problem has already been cleared.'
+                : 'Could not send your confirmation. Please try again.');
+            await this.loadIncidents(this.currentToiletId);
+        }
+    }
+
+    showIncidentMessage(message) {
+        const incidentMessage = document.getElementById('incidentMessage');
+        if (incidentMessage) incidentMessage.textContent = message;
+    }
+
     /**
      * Set up form event handlers
      */
@@ -295,7 +451,9 @@ export class ReviewPage extends BasePage {
                 cleanliness: parseInt(formData.get('cleanliness')),
                 maintenance: parseInt(formData.get('maintenance')),
                 accessibility: parseInt(formData.get('accessibility')),
-                comment: formData.get('comments')?.trim() || ''
+                comment: formData.get('comments')?.trim() || '',
+                // An empty file input still submits one nameless, empty entry
+                photos: formData.getAll('photos').filter(file => file && file.size > 0)
             };
 
             // Validate required fields
@@ -303,17 +461,19 @@ export class ReviewPage extends BasePage {
                 throw new Error('Please fill in all required rating fields');
             }
 
-            console.log('[ReviewPage] Submitting review:', reviewData);
+            console.log('[ReviewPage] Submitting review:', { ...reviewData, photos: reviewData.photos.length });
 
             // Submit review
             await this.reviewApiService.submitReview(reviewData);
 
             // Show success message
-            this.showSuccess();
+            this.showSuccess({ withPhotos: reviewData.photos.length > 0 });
 
         } catch (error) {
             console.error('[ReviewPage] Error submitting review:', error);
-            this.showError(error.message || 'Failed to submit review. Please try again.');
+            // Rejected photos come back with a reason per file
+            const details = error.data?.errors?.join('. ');
+            this.showError(details || error.message || 'Failed to submit review. Please try again.');
         } finally {
             this.setButtonLoading(submitBtn, false);
         }
@@ -321,8 +481,9 @@ export class ReviewPage extends BasePage {
 
     /**
      * Show success message
+     * @param {object} options - { withPhotos } mentions that photos await moderation
      */
-    showSuccess() {
+    showSuccess({ withPhotos = false } = {}) {
         // Hide form sections
         const toiletInfo = document.getElementById('toiletInfo');
         const reviewFormSection = document.getElementById('reviewFormSection');
@@ -335,6 +496,9 @@ export class ReviewPage extends BasePage {
         if (successMessage) {
             successMessage.style.display = 'block';
 
+            const photoNote = document.getElementById('photoModerationNote');
+            if (photoNote) photoNote.hidden = !withPhotos;
+
             // Create confetti effect
             this.createConfetti();
         }
@@ -377,7 +541,7 @@ export class ReviewPage extends BasePage {
         }
 
         // Hide all sections
-        const sections = ['toiletInfo', 'reviewFormSection', 'successMessage'];
+        const sections = ['toiletInfo', 'incidentSection', 'reviewFormSection', 'successMessage'];
         sections.forEach(sectionId => {
             const element = document.getElementById(sectionId);
             if (element) element.style.display = 'none';
@@ -406,6 +570,8 @@ export class ReviewPage extends BasePage {
 
         // Reset current toilet ID
         this.currentToiletId = null;
+        this.activeIncidents = [];
+        this.showIncidentMessage('');
     }
 
     /**
@@ -319,7 +319,7 @@ export class BasePage {
 
         if (this.options.requiredRole) {
             const userRole = user.data?.role || 'user';
-            if (userRole !== this.options.requiredRole && userRole !== 'admin') {
+            if (userRole !== this.options.requiredRole && !['admin', 'super-admin'].includes(userRole)) {
                 throw new Error(`Required role: ${this.options.requiredRole}`);
             }
         }
@@ -26,10 +26,11 @@ export class AuthApiService {
     async login(credentials) {
         console.log('[AUTH-API] Attempting login for:', credentials.email);
 
+        // Wrong credentials are a 401 too, with nothing to refresh
         const response = await this.baseService.post(API_ENDPOINTS.AUTH.LOGIN, {
             email: credentials.email,
             password: credentials.password
-        });
+        }, { skipAuthRefresh: true });
 
         console.log('[AUTH-API] Login successful');
         return response;
@@ -40,7 +41,7 @@ export class AuthApiService {
      * @param {object} userData - User registration data
      * @param {string} userData.email - User email
      * @param {string} userData.password - User password
-     * @param {string} userData.role - User role (optional)
+     * @param {string} userData.inviteToken - Invitation giving the account a role (optional)
      * @returns {Promise} Registration response
      */
     async register(userData) {
@@ -49,7 +50,7 @@ export class AuthApiService {
         const response = await this.baseService.post(API_ENDPOINTS.AUTH.REGISTER, {
             email: userData.email,
             password: userData.password,
-            role: userData.role || 'user'
+            ...(userData.inviteToken && { inviteToken: userData.inviteToken })
         });
 
         console.log('[AUTH-API] Registration successful');
@@ -69,49 +70,45 @@ export class AuthApiService {
     }
 
     /**
-     * Logout user (client-side token removal)
+     * Logout user: ends the session on the server, then removes the tokens
      * @returns {Promise} Logout response
      */
     async logout() {
         console.log('[AUTH-API] Logging out user');
 
-        // Clear local storage
-        localStorage.removeItem('adminToken');
-        localStorage.removeItem('token');
-
-        // Optional: Call server logout endpoint if implemented
         try {
             await this.baseService.post(API_ENDPOINTS.AUTH.LOGOUT, {});
         } catch (error) {
-            // Server logout might not be implemented, ignore
-            console.log('[AUTH-API] Server logout not available, continuing');
+            // The session may have ended already; the tokens go either way
+            console.log('[AUTH-API] Server logout failed, continuing');
         }
 
+        this.clearToken();
         console.log('[AUTH-API] Logout completed');
         return { success: true };
     }
 
     /**
-     * Refresh authentication token
-     * @returns {Promise} Token refresh response
+     * Swap the refresh token for a new one and a fresh access token, and
+     * store both
+     * @returns {Promise<{token: string, refreshToken: string}>} New tokens
      */
     async refreshToken() {
         console.log('[AUTH-API] Refreshing authentication token');
 
-        // Implementation depends on server-side token refresh mechanism
-        // For now, return current token status
-        const token = localStorage.getItem('adminToken') || localStorage.getItem('token');
-
-        if (!token) {
-            throw new Error('No token available to refresh');
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) {
+            throw new Error('No refresh token available');
         }
 
-        // Validate token format (basic check)
-        if (token.split('.').length === 3) {
-            console.log('[AUTH-API] Token validation successful');
-            return { token, valid: true };
-        } else {
-            throw new Error('Invalid token format');
+        try {
+            const response = await this.baseService.post(API_ENDPOINTS.AUTH.REFRESH, { refreshToken }, { skipAuthRefresh: true });
+            this.setToken(response.token, response.refreshToken);
+            return response;
+        } catch (error) {
+            // The session has ended (signed out elsewhere, or the token was reused)
+            if (error.status === 401) this.clearToken();
+            throw error;
         }
     }
 
@@ -165,8 +162,11 @@ export class AuthApiService {
     hasPermission(requiredRole, userRole) {
         const roleHierarchy = {
             'user': 1,
-            'admin': 2,
-            'superadmin': 3
+            'reviewer': 2,
+            'operator': 2,
+            'moderator': 3,
+            'admin': 4,
+            'super-admin': 5
         };
 
         const requiredLevel = roleHierarchy[requiredRole] || 0;
@@ -183,13 +183,23 @@ export class AuthApiService {
         return localStorage.getItem('adminToken') || localStorage.getItem('token');
     }
 
+    /**
+     * Get stored refresh token
+     * @returns {string|null} Refresh token
+     */
+    getRefreshToken() {
+        return localStorage.getItem('refreshToken');
+    }
+
     /**
      * Set authentication token
      * @param {string} token - Authentication token
+     * @param {string} refreshToken - Refresh token (optional; kept when omitted)
      */
-    setToken(token) {
+    setToken(token, refreshToken = null) {
         localStorage.setItem('adminToken', token);
         localStorage.setItem('token', token); // Backup
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
         console.log('[AUTH-API] Authentication token stored');
     }
 
@@ -199,6 +209,7 @@ export class AuthApiService {
     clearToken() {
         localStorage.removeItem('adminToken');
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         console.log('[AUTH-API] Authentication token cleared');
     }
 
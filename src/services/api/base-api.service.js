@@ -18,6 +18,35 @@ export class BaseApiService {
         };
         this.requestInterceptors = [];
         this.responseInterceptors = [];
+        this.authRefresh = null;
+        this.pendingRefresh = null;
+    }
+
+    /**
+     * Set how to get a new access token when a request is refused with 401
+     * @param {Function} refresh - Resolves to the new token, or rejects when the session has ended
+     */
+    setAuthRefresh(refresh) {
+        this.authRefresh = refresh;
+    }
+
+    /**
+     * Get a new access token; concurrent callers share one refresh, since each
+     * refresh token works only once
+     * @returns {Promise<string|null>} New token, null when it could not be refreshed
+     */
+    refreshAuth() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.authRefresh()
+                .catch(error => {
+                    console.warn('[API] Token refresh failed:', error);
+                    return null;
+                })
+                .finally(() => {
+                    this.pendingRefresh = null;
+                });
+        }
+        return this.pendingRefresh;
     }
 
     /**
@@ -66,6 +95,13 @@ export class BaseApiService {
 
             return processedResult;
         } catch (error) {
+            // Access tokens are short-lived: refresh and retry once
+            if (error.status === 401 && this.authRefresh && !options.skipAuthRefresh) {
+                if (await this.refreshAuth()) {
+                    return this.request(endpoint, { ...options, skipAuthRefresh: true });
+                }
+            }
+
             console.error(`[API] Request failed:`, error);
             throw this.handleError(error);
         }
@@ -88,7 +124,7 @@ export class BaseApiService {
      * @returns {object} Complete request options
      */
     buildRequestOptions(options) {
-        return {
+        const requestOptions = {
             method: 'GET',
             headers: { ...this.defaultHeaders },
             timeout: AppConfig.api.timeout,
@@ -98,6 +134,13 @@ export class BaseApiService {
                 ...options.headers
             }
         };
+
+        // The browser sets a multipart Content-Type, with its boundary, for form data
+        if (typeof FormData !== 'undefined' && requestOptions.body instanceof FormData) {
+            delete requestOptions.headers['Content-Type'];
+        }
+
+        return requestOptions;
     }
 
     /**
@@ -144,8 +187,11 @@ export class BaseApiService {
         const contentType = response.headers.get('content-type');
 
         let data;
-        if (contentType && contentType.includes('application/json')) {
+        // Also covers +json types such as application/geo+json
+        if (contentType && /application\/([\w.-]+\+)?json/.test(contentType)) {
             data = await response.json();
+        } else if (contentType && contentType.startsWith('image/')) {
+            data = await response.blob();
         } else {
             data = await response.text();
         }
@@ -193,6 +239,26 @@ export class BaseApiService {
         return error;
     }
 
+    /**
+     * Collect every page of a cursor-paginated endpoint
+     * @param {function(string|null): Promise<{items: Array, nextCursor: string|null}>} fetchPage - Loads the page after a cursor (null for the first)
+     * @param {number} maxPages - Request cap, in case a server keeps returning cursors
+     * @returns {Promise<Array>} Items from all pages in order
+     */
+    async fetchAllPages(fetchPage, maxPages = 100) {
+        const items = [];
+        let cursor = null;
+
+        for (let page = 0; page < maxPages; page++) {
+            const result = await fetchPage(cursor);
+            items.push(...result.items);
+            cursor = result.nextCursor;
+            if (!cursor) break;
+        }
+
+        return items;
+    }
+
     /**
      * Utility delay function
      * @param {number} ms - Milliseconds to delay
@@ -227,6 +293,21 @@ export class BaseApiService {
         });
     }
 
+    /**
+     * POST multipart form data, e.g. file uploads
+     * @param {string} endpoint - API endpoint
+     * @param {FormData} formData - Form fields and files
+     * @param {object} options - Additional options
+     * @returns {Promise} API response
+     */
+    postForm(endpoint, formData, options = {}) {
+        return this.request(endpoint, {
+            ...options,
+            method: 'POST',
+            body: formData
+        });
+    }
+
     /**
      * PUT request
      * @param {string} endpoint - API endpoint
@@ -0,0 +1,82 @@
+/**
+ * Claim API Service
+ * Ownership claims by businesses on the private toilets they run, and their
+ * review by admins
+ */
+
+import { baseApiService } from './base-api.service.js';
+import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
+
+/**
+ * Claim API Service Class
+ */
+export class ClaimApiService {
+    static PAGE_SIZE = 50;
+
+    constructor() {
+        this.baseService = baseApiService;
+    }
+
+    /**
+     * Claim a private toilet
+     * @param {string} toiletId - Toilet ID
+     * @param {object} evidence - { businessName, phone, contactName?, documentUrl?, note? }
+     * @returns {Promise} The pending claim
+     */
+    async submitClaim(toiletId, evidence) {
+        console.log('[CLAIM-API] Claiming toilet:', toiletId);
+        const response = await this.baseService.post(API_ENDPOINTS.CLAIMS.BASE, { toiletId, evidence });
+        return response?.data;
+    }
+
+    /**
+     * Get the signed-in user's claims; approved ones include the toilet
+     * @returns {Promise<Array>} Claims, newest first
+     */
+    async getMyClaims() {
+        const response = await this.baseService.get(API_ENDPOINTS.CLAIMS.MINE);
+        return response?.data || [];
+    }
+
+    /**
+     * Get one page of claims (admin only), newest first
+     * @param {object} options - Query options
+     * @param {string} options.status - 'pending', 'approved', 'rejected' or 'revoked' (all when omitted)
+     * @param {string} options.cursor - nextCursor from the previous page
+     * @returns {Promise<{claims: Array, nextCursor: string|null, total: number}>} Claim page
+     */
+    async getClaimsPage(options = {}) {
+        const params = new URLSearchParams();
+        params.append('limit', options.limit || ClaimApiService.PAGE_SIZE);
+        if (options.cursor) params.append('cursor', options.cursor);
+        if (options.status) params.append('status', options.status);
+
+        const response = await this.baseService.get(`${API_ENDPOINTS.CLAIMS.BASE}?${params}`);
+        const pagination = response?.pagination || {};
+        return {
+            claims: response?.data || [],
+            nextCursor: pagination.nextCursor || null,
+            total: pagination.total ?? 0
+        };
+    }
+
+    /**
+     * Decide on a claim (admin only)
+     * @param {string} claimId - Claim ID
+     * @param {string} decision - 'approve', 'reject' or 'revoke'
+     * @param {string} note - Shown to the claimant (optional)
+     * @returns {Promise} The updated claim
+     */
+    async decide(claimId, decision, note = '') {
+        console.log('[CLAIM-API] Claim', claimId, decision);
+        const endpoints = {
+            approve: API_ENDPOINTS.CLAIMS.APPROVE,
+            reject: API_ENDPOINTS.CLAIMS.REJECT,
+            revoke: API_ENDPOINTS.CLAIMS.REVOKE
+        };
+        return this.baseService.post(endpoints[decision](claimId), { note });
+    }
+}
+
+// Create singleton instance
+export const claimApiService = new ClaimApiService();
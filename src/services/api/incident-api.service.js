@@ -0,0 +1,115 @@
+/**
+ * Incident API Service
+ * Quick reports of problems with toilets ("locked", "no water") and their
+ * resolution by admins
+ */
+
+import { baseApiService } from './base-api.service.js';
+import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
+
+/**
+ * Incident API Service Class
+ */
+export class IncidentApiService {
+    static PAGE_SIZE = 50;
+
+    constructor() {
+        this.baseService = baseApiService;
+        this.incidentTypes = null; // Loaded once; the types rarely change
+        this.incidentTypesRequest = null;
+    }
+
+    /**
+     * Get the problems that can be reported, cached after the first call
+     * @returns {Promise<Array>} [{ id, name, icon, severity }]
+     */
+    async getIncidentTypes() {
+        if (this.incidentTypes) return this.incidentTypes;
+
+        if (!this.incidentTypesRequest) {
+            console.log('[INCIDENT-API] Fetching incident types');
+            this.incidentTypesRequest = this.baseService.get(API_ENDPOINTS.TOILETS.INCIDENT_TYPES)
+                .then(response => {
+                    this.incidentTypes = response.data;
+                    return this.incidentTypes;
+                })
+                .finally(() => {
+                    this.incidentTypesRequest = null;
+                });
+        }
+        return this.incidentTypesRequest;
+    }
+
+    /**
+     * Get a toilet's active incidents and live status
+     * @param {string} toiletId - Toilet ID
+     * @returns {Promise<{incidents: Array, liveStatus: object}>} Incidents, most recently reported first
+     */
+    async getToiletIncidents(toiletId) {
+        const response = await this.baseService.get(API_ENDPOINTS.TOILETS.INCIDENTS(toiletId));
+        return { incidents: response?.data || [], liveStatus: response?.liveStatus || null };
+    }
+
+    /**
+     * Report a problem; one that is already open is confirmed instead
+     * @param {string} toiletId - Toilet ID
+     * @param {string} type - Incident type ID
+     * @param {string} note - Optional detail, at most 200 characters
+     * @returns {Promise<{incident: object, liveStatus: object}>} The reported incident
+     */
+    async report(toiletId, type, note = '') {
+        console.log('[INCIDENT-API] Reporting', type, 'for toilet:', toiletId);
+        const response = await this.baseService.post(API_ENDPOINTS.TOILETS.INCIDENTS(toiletId), { type, note: note.trim() || undefined });
+        return { incident: response?.data, liveStatus: response?.liveStatus || null };
+    }
+
+    /**
+     * Confirm an active incident ("me too")
+     * @param {string} toiletId - Toilet ID
+     * @param {string} incidentId - Incident ID
+     * @returns {Promise<{incident: object, liveStatus: object}>} The confirmed incident
+     */
+    async confirm(toiletId, incidentId) {
+        console.log('[INCIDENT-API] Confirming incident:', incidentId);
+        const response = await this.baseService.post(API_ENDPOINTS.TOILETS.INCIDENT_CONFIRM(toiletId, incidentId), {});
+        return { incident: response?.data, liveStatus: response?.liveStatus || null };
+    }
+
+    /**
+     * Get one page of incidents (admin only), most recently reported first
+     * @param {object} options - Query options
+     * @param {string} options.status - 'open', 'resolved' or 'expired' (all when omitted)
+     * @param {boolean} options.active - Only open incidents that have not decayed
+     * @param {string} options.cursor - nextCursor from the previous page
+     * @returns {Promise<{incidents: Array, nextCursor: string|null, total: number}>} Incident page
+     */
+    async getIncidentsPage(options = {}) {
+        const params = new URLSearchParams();
+        params.append('limit', options.limit || IncidentApiService.PAGE_SIZE);
+        if (options.cursor) params.append('cursor', options.cursor);
+        if (options.status) params.append('status', options.status);
+        if (options.active) params.append('active', 'true');
+
+        const response = await this.baseService.get(`${API_ENDPOINTS.ADMIN.INCIDENTS}?${params}`);
+        const pagination = response?.pagination || {};
+        return {
+            incidents: response?.data || [],
+            nextCursor: pagination.nextCursor || null,
+            total: pagination.total ?? 0
+        };
+    }
+
+    /**
+     * Close an incident that has been dealt with (admin only)
+     * @param {string} incidentId - Incident ID
+     * @param {string} resolution - How it was dealt with (optional)
+     * @returns {Promise} The resolved incident
+     */
+    async resolve(incidentId, resolution = '') {
+        console.log('[INCIDENT-API] Resolving incident:', incidentId);
+        return this.baseService.post(API_ENDPOINTS.ADMIN.INCIDENT_RESOLVE(incidentId), { resolution });
+    }
+}
+
+// Create singleton instance
+export const incidentApiService = new IncidentApiService();
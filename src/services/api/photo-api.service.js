@@ -0,0 +1,100 @@
+/**
+ * Photo API Service
+ * Toilet photo uploads and photo moderation (admin only)
+ */
+
+import { baseApiService } from './base-api.service.js';
+import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
+
+/**
+ * Photo API Service Class
+ */
+export class PhotoApiService {
+    static PAGE_SIZE = 50;
+
+    constructor() {
+        this.baseService = baseApiService;
+    }
+
+    /**
+     * Add photos to a toilet; admin uploads are approved straight away
+     * @param {string} toiletId - Toilet ID
+     * @param {File[]} files - Images to upload
+     * @returns {Promise} Upload response with the stored photos
+     */
+    async uploadToiletPhotos(toiletId, files) {
+        console.log(`[PHOTO-API] Uploading ${files.length} photos for toilet:`, toiletId);
+
+        const formData = new FormData();
+        files.forEach(file => formData.append('photos', file, file.name));
+        return this.baseService.postForm(API_ENDPOINTS.TOILETS.PHOTOS(toiletId), formData);
+    }
+
+    /**
+     * Get one page of photos of any status
+     * @param {object} options - Query options
+     * @param {string} options.status - 'pending', 'approved' or 'rejected' (all when omitted)
+     * @param {string} options.cursor - nextCursor from the previous page
+     * @returns {Promise<{photos: Array, nextCursor: string|null, total: number}>} Photo page
+     */
+    async getPhotosPage(options = {}) {
+        const params = new URLSearchParams();
+        params.append('limit', options.limit || PhotoApiService.PAGE_SIZE);
+        if (options.cursor) params.append('cursor', options.cursor);
+        if (options.status) params.append('status', options.status);
+
+        const response = await this.baseService.get(`${API_ENDPOINTS.ADMIN.PHOTOS}?${params}`);
+        const pagination = response?.pagination || {};
+        return {
+            photos: response?.data || [],
+            nextCursor: pagination.nextCursor || null,
+            total: pagination.total ?? 0
+        };
+    }
+
+    /**
+     * Load a photo of any status as an object URL; revoke it with
+     * URL.revokeObjectURL once it is no longer shown
+     * @param {string} photoId - Photo ID
+     * @param {string} variant - 'image' or 'thumbnail'
+     * @returns {Promise<string>} Object URL of the image
+     */
+    async getPhotoObjectUrl(photoId, variant = 'thumbnail') {
+        const blob = await this.baseService.get(API_ENDPOINTS.ADMIN.PHOTO_FILE(photoId, variant));
+        return URL.createObjectURL(blob);
+    }
+
+    /**
+     * Approve a photo so it is shown publicly
+     * @param {string} photoId - Photo ID
+     * @returns {Promise} The updated photo
+     */
+    async approve(photoId) {
+        console.log('[PHOTO-API] Approving photo:', photoId);
+        return this.baseService.post(API_ENDPOINTS.ADMIN.PHOTO_APPROVE(photoId), {});
+    }
+
+    /**
+     * Reject a photo
+     * @param {string} photoId - Photo ID
+     * @param {string} reason - Why it was rejected (optional)
+     * @returns {Promise} The updated photo
+     */
+    async reject(photoId, reason = '') {
+        console.log('[PHOTO-API] Rejecting photo:', photoId);
+        return this.baseService.post(API_ENDPOINTS.ADMIN.PHOTO_REJECT(photoId), { reason });
+    }
+
+    /**
+     * Delete a photo and its files
+     * @param {string} photoId - Photo ID
+     * @returns {Promise} Deletion response
+     */
+    async remove(photoId) {
+        console.log('[PHOTO-API] Deleting photo:', photoId);
+        return this.baseService.delete(API_ENDPOINTS.ADMIN.PHOTO(photoId));
+    }
+}
+
+// Create singleton instance
+export const photoApiService = new PhotoApiService();
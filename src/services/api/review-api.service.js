@@ -12,6 +12,12 @@ import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
  * Extends BaseApiService with review-specific operations
  */
 export class ReviewApiService {
+    static PAGE_SIZE = 50;
+    // Photo limits, mirroring the server's defaults
+    static MAX_PHOTOS = 4;
+    static MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+    static PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
     constructor() {
         this.baseService = baseApiService;
     }
@@ -25,6 +31,7 @@ export class ReviewApiService {
      * @param {number} reviewData.maintenance - Maintenance rating (1-5)
      * @param {number} reviewData.accessibility - Accessibility rating (1-5)
      * @param {string} reviewData.comment - Review comment (optional)
+     * @param {File[]} reviewData.photos - Photos to attach (optional); they show once approved
      * @returns {Promise} Review submission response
      */
     async submitReview(reviewData) {
@@ -33,66 +40,141 @@ export class ReviewApiService {
         // Validate required fields
         this.validateReviewData(reviewData);
 
-        const response = await this.baseService.post(API_ENDPOINTS.REVIEWS.SUBMIT, {
+        const fields = {
             toiletId: reviewData.toiletId,
             rating: reviewData.rating,
             cleanliness: reviewData.cleanliness,
             maintenance: reviewData.maintenance,
             accessibility: reviewData.accessibility,
             comment: reviewData.comment?.trim() || ''
-        });
+        };
+
+        // Photos go up as a multipart form along with the review fields
+        const photos = reviewData.photos || [];
+        let response;
+        if (photos.length > 0) {
+            const formData = new FormData();
+            Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+            photos.forEach(photo => formData.append('photos', photo, photo.name));
+            response = await this.baseService.postForm(API_ENDPOINTS.REVIEWS.SUBMIT, formData);
+        } else {
+            response = await this.baseService.post(API_ENDPOINTS.REVIEWS.SUBMIT, fields);
+        }
 
         console.log('[REVIEW-API] Review submitted successfully');
         return response;
     }
 
     /**
-     * Get reviews for a specific toilet
+     * Get one page of reviews for a specific toilet
      * @param {string} toiletId - Toilet ID
      * @param {object} options - Query options
-     * @param {number} options.limit - Maximum reviews to return
-     * @param {number} options.offset - Pagination offset
+     * @param {number} options.limit - Page size (server caps it at 200)
+     * @param {string} options.cursor - nextCursor from the previous page
      * @param {string} options.sort - Sort order ('newest', 'oldest', 'rating')
-     * @returns {Promise} Reviews response
+     * @returns {Promise<{reviews: Array, nextCursor: string|null, hasMore: boolean, total: number}>} Review page
+     */
+    async getToiletReviewsPage(toiletId, options = {}) {
+        const endpoint = `${API_ENDPOINTS.REVIEWS.BY_TOILET(toiletId)}?${this.buildPageParams(options)}`;
+        return this.toPage(await this.baseService.get(endpoint));
+    }
+
+    /**
+     * Get all reviews for a specific toilet, a page at a time
+     * @param {string} toiletId - Toilet ID
+     * @param {object} options - Query options
+     * @param {number} options.limit - Page size
+     * @param {string} options.sort - Sort order ('newest', 'oldest', 'rating')
+     * @returns {Promise<Array>} Reviews
      */
     async getReviewsForToilet(toiletId, options = {}) {
         console.log('[REVIEW-API] Fetching reviews for toilet:', toiletId);
 
-        const params = new URLSearchParams();
-        if (options.limit) params.append('limit', options.limit);
-        if (options.offset) params.append('offset', options.offset);
-        if (options.sort) params.append('sort', options.sort);
-
-        const endpoint = `${API_ENDPOINTS.REVIEWS.BY_TOILET(toiletId)}?${params}`;
-        const response = await this.baseService.get(endpoint);
+        const reviews = await this.baseService.fetchAllPages(async (cursor) => {
+            const page = await this.getToiletReviewsPage(toiletId, { ...options, cursor });
+            return { items: page.reviews, nextCursor: page.nextCursor };
+        });
 
-        console.log(`[REVIEW-API] Retrieved ${response.length || 0} reviews for toilet`);
-        return response;
+        console.log(`[REVIEW-API] Retrieved ${reviews.length} reviews for toilet`);
+        return reviews;
     }
 
     /**
-     * Get all reviews (admin only)
+     * Get one page of all reviews (admin)
      * @param {object} options - Query options
-     * @param {number} options.limit - Maximum reviews to return
-     * @param {number} options.offset - Pagination offset
-     * @param {string} options.sort - Sort order
+     * @param {number} options.limit - Page size (server caps it at 200)
+     * @param {string} options.cursor - nextCursor from the previous page
+     * @param {string} options.sort - Sort order ('newest', 'oldest', 'rating')
      * @param {string} options.toiletId - Filter by toilet ID
-     * @returns {Promise} All reviews response
+     * @param {number} options.rating - Filter by overall rating
+     * @returns {Promise<{reviews: Array, nextCursor: string|null, hasMore: boolean, total: number}>} Review page
+     */
+    async getReviewsPage(options = {}) {
+        console.log('[REVIEW-API] Fetching reviews page', options.cursor ? 'after cursor' : '(first)');
+
+        const params = this.buildPageParams(options);
+        if (options.toiletId) params.append('toiletId', options.toiletId);
+        if (options.rating) params.append('rating', options.rating);
+
+        const page = this.toPage(await this.baseService.get(`${API_ENDPOINTS.REVIEWS.ALL}?${params}`));
+        console.log(`[REVIEW-API] Retrieved ${page.reviews.length} of ${page.total} reviews`);
+        return page;
+    }
+
+    /**
+     * Get all reviews (admin only), a page at a time
+     * @param {object} options - Same filters as getReviewsPage, without cursor
+     * @returns {Promise<Array>} All matching reviews
      */
     async getAllReviews(options = {}) {
         console.log('[REVIEW-API] Fetching all reviews');
 
+        return this.baseService.fetchAllPages(async (cursor) => {
+            const page = await this.getReviewsPage({ ...options, cursor });
+            return { items: page.reviews, nextCursor: page.nextCursor };
+        });
+    }
+
+    /**
+     * Export reviews as CSV (admin only)
+     * @param {object} filters - toiletId and rating filters
+     * @returns {Promise<string>} CSV text
+     */
+    async exportReviewsCsv(filters = {}) {
         const params = new URLSearchParams();
-        if (options.limit) params.append('limit', options.limit);
-        if (options.offset) params.append('offset', options.offset);
-        if (options.sort) params.append('sort', options.sort);
-        if (options.toiletId) params.append('toiletId', options.toiletId);
+        if (filters.toiletId) params.append('toiletId', filters.toiletId);
+        if (filters.rating) params.append('rating', filters.rating);
 
-        const endpoint = `${API_ENDPOINTS.REVIEWS.ALL}?${params}`;
-        const response = await this.baseService.get(endpoint);
+        const query = params.toString();
+        return this.baseService.get(`${API_ENDPOINTS.REVIEWS.EXPORT}${query ? `?${query}` : ''}`);
+    }
 
-        console.log(`[REVIEW-API] Retrieved ${response.length || 0} total reviews`);
-        return response;
+    /**
+     * Query parameters for a review page; always sends limit so the server paginates
+     * @param {object} options - limit, cursor and sort
+     * @returns {URLSearchParams} Query parameters
+     */
+    buildPageParams(options) {
+        const params = new URLSearchParams();
+        params.append('limit', options.limit || ReviewApiService.PAGE_SIZE);
+        if (options.cursor) params.append('cursor', options.cursor);
+        if (options.sort) params.append('sort', options.sort);
+        return params;
+    }
+
+    /**
+     * Normalise a paginated response
+     * @param {object} response - { data, pagination } response body
+     * @returns {{reviews: Array, nextCursor: string|null, hasMore: boolean, total: number}} Review page
+     */
+    toPage(response) {
+        const pagination = response?.pagination || {};
+        return {
+            reviews: response?.data || [],
+            nextCursor: pagination.nextCursor || null,
+            hasMore: Boolean(pagination.hasMore),
+            total: pagination.total ?? 0
+        };
     }
 
     /**
@@ -187,6 +269,28 @@ export class ReviewApiService {
         if (reviewData.comment && reviewData.comment.length > 500) {
             throw new Error('Comment must be 500 characters or less');
         }
+
+        this.validatePhotos(reviewData.photos || []);
+    }
+
+    /**
+     * Validate photos before uploading them
+     * @param {File[]} photos - Selected files
+     * @throws {Error} Validation error
+     */
+    validatePhotos(photos) {
+        if (photos.length > ReviewApiService.MAX_PHOTOS) {
+            throw new Error(`At most ${ReviewApiService.MAX_PHOTOS} photos can be attached`);
+        }
+
+        photos.forEach(photo => {
+            if (!ReviewApiService.PHOTO_TYPES.includes(photo.type)) {
+                throw new Error(`${photo.name} is not a JPEG, PNG or WebP image`);
+            }
+            if (photo.size > ReviewApiService.MAX_PHOTO_BYTES) {
+                throw new Error(`${photo.name} is larger than ${ReviewApiService.MAX_PHOTO_BYTES / (1024 * 1024)} MB`);
+            }
+        });
     }
 
     /**
@@ -251,7 +355,7 @@ export class ReviewApiService {
         console.log('[REVIEW-API] Getting review summary for toilet:', toiletId);
 
         try {
-            const reviews = await this.getReviewsForToilet(toiletId, { limit: 1000 });
+            const reviews = await this.getReviewsForToilet(toiletId, { limit: 200 });
             const summary = this.calculateAverageRatings(reviews);
 
             console.log('[REVIEW-API] Review summary calculated:', summary);
@@ -6,6 +6,7 @@
 
 import { baseApiService } from './base-api.service.js';
 import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
+import { facilityName } from '../../core/utils/facility.utils.js';
 
 /**
  * Toilet API Service Class
@@ -14,6 +15,8 @@ import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
 export class ToiletApiService {
     constructor() {
         this.baseService = baseApiService;
+        this.facilityTaxonomy = null;
+        this.facilityTaxonomyRequest = null;
     }
 
     /**
@@ -24,7 +27,16 @@ export class ToiletApiService {
      * @param {object} filters.bounds - Map bounds for spatial filtering
      * @param {number} filters.limit - Maximum results
      * @param {number} filters.offset - Pagination offset
-     * @returns {Promise} Map data response
+     * @param {string} [filters.cursor] - metadata.nextCursor from the previous page; replaces offset
+     * @param {number} [filters.zoom] - Map zoom; with bounds, low zooms return server-side clusters
+     * @param {boolean} [filters.clusters] - Set to false to always get individual toilets
+     * @param {boolean} [filters.openNow] - Only toilets open now (never clustered)
+     * @param {string} [filters.fee] - 'free' or 'paid' (never clustered, as with the other fee filters)
+     * @param {number} [filters.maxFee] - Only free toilets or those charging at most this
+     * @param {string[]} [filters.payment] - Only free toilets or those taking every listed method
+     * @returns {Promise} Map data response; toilets carry openingHours (OSM syntax),
+     *   openingStatus, openNow and fee; cluster items have cluster: true, count,
+     *   coordinates, averageRating, publicCount, privateCount, bounds and expansionZoom
      */
     async getMapData(filters = {}) {
         console.log('[TOILET-API] Fetching map data with filters:', filters);
@@ -37,7 +49,14 @@ export class ToiletApiService {
             params.append('bounds', boundsStr);
         }
         if (filters.limit) params.append('limit', filters.limit);
-        if (filters.offset) params.append('offset', filters.offset);
+        if (filters.cursor) params.append('cursor', filters.cursor);
+        else if (filters.offset) params.append('offset', filters.offset);
+        if (filters.zoom !== undefined) params.append('zoom', Math.round(filters.zoom));
+        if (filters.clusters !== undefined) params.append('clusters', filters.clusters);
+        if (filters.openNow) params.append('openNow', 'true');
+        if (filters.fee) params.append('fee', filters.fee);
+        if (filters.maxFee !== undefined) params.append('maxFee', filters.maxFee);
+        if (filters.payment?.length) params.append('payment', filters.payment.join(','));
 
         const endpoint = `${API_ENDPOINTS.TOILETS.MAP}?${params}`;
         const response = await this.baseService.get(endpoint);
@@ -46,6 +65,78 @@ export class ToiletApiService {
         return response;
     }
 
+    /**
+     * Get every toilet matching the map filters, following metadata.nextCursor
+     * @param {object} filters - Same filters as getMapData; limit is the page size
+     * @returns {Promise<Array>} Toilets from all pages
+     */
+    async getAllMapData(filters = {}) {
+        const toilets = await this.baseService.fetchAllPages(async (cursor) => {
+            const response = await this.getMapData({ ...filters, cursor, clusters: false });
+            return { items: response.data || [], nextCursor: response.metadata?.nextCursor || null };
+        });
+
+        console.log(`[TOILET-API] Retrieved ${toilets.length} toilets across all pages`);
+        return toilets;
+    }
+
+    /**
+     * Get one GeoJSON tile of toilets
+     * @param {object} tile - Tile coordinates {z, x, y}
+     * @param {object} filters - showPublic/showPrivate filters
+     * @returns {Promise} GeoJSON FeatureCollection
+     */
+    async getToiletTile({ z, x, y }, filters = {}) {
+        const params = new URLSearchParams();
+        if (filters.showPublic !== undefined) params.append('showPublic', filters.showPublic);
+        if (filters.showPrivate !== undefined) params.append('showPrivate', filters.showPrivate);
+
+        const query = params.toString();
+        const endpoint = `${API_ENDPOINTS.TOILETS.TILE(z, x, y)}${query ? `?${query}` : ''}`;
+        return this.baseService.get(endpoint);
+    }
+
+    /**
+     * Download URL of a toilet export; the server streams the file
+     * @param {string} format - 'csv', 'geojson', 'kml' or 'gpx'
+     * @param {object} filters - type ('public', 'private', 'all'), bounds {south, west, north, east}, city
+     * @returns {string} Export URL
+     */
+    getExportUrl(format, filters = {}) {
+        const params = new URLSearchParams();
+        if (filters.type && filters.type !== 'all') params.append('type', filters.type);
+        if (filters.city) params.append('city', filters.city);
+        if (filters.bounds) {
+            const { south, west, north, east } = filters.bounds;
+            params.append('bounds', [south, west, north, east].join(','));
+        }
+
+        const query = params.toString();
+        return this.baseService.buildUrl(`${API_ENDPOINTS.TOILETS.EXPORT(format)}${query ? `?${query}` : ''}`);
+    }
+
+    /**
+     * Get the facility taxonomy: the facility ids toilets may list, with
+     * categories, display names, icons and aliases. Fetched once per page load.
+     * @returns {Promise<object>} { categories, facilities }
+     */
+    async getFacilities() {
+        if (this.facilityTaxonomy) return this.facilityTaxonomy;
+
+        if (!this.facilityTaxonomyRequest) {
+            console.log('[TOILET-API] Fetching facility taxonomy');
+            this.facilityTaxonomyRequest = this.baseService.get(API_ENDPOINTS.TOILETS.FACILITIES)
+                .then(response => {
+                    this.facilityTaxonomy = response.data;
+                    return this.facilityTaxonomy;
+                })
+                .finally(() => {
+                    this.facilityTaxonomyRequest = null;
+                });
+        }
+        return this.facilityTaxonomyRequest;
+    }
+
     /**
      * Get toilet statistics
      * @returns {Promise} Statistics response
@@ -99,6 +190,33 @@ export class ToiletApiService {
         return response;
     }
 
+    /**
+     * Preview a bulk import: per-row errors and duplicates, nothing is saved
+     * @param {object} upload - Import request
+     * @param {string} upload.format - 'csv', 'geojson' or 'kml'
+     * @param {string} upload.content - File contents
+     * @param {object} upload.mapping - Toilet field to CSV column, for columns not recognised automatically
+     * @param {string} upload.type - Toilet type for rows without one
+     * @returns {Promise} Preview with columns, mapping, summary and rows
+     */
+    async previewImport(upload) {
+        console.log('[TOILET-API] Previewing import:', upload.format);
+        return this.baseService.post(API_ENDPOINTS.TOILETS.IMPORT_PREVIEW, upload);
+    }
+
+    /**
+     * Import every valid row of a file in one batch
+     * @param {object} upload - Same as previewImport, plus skipDuplicates
+     * @returns {Promise} Response with the import report
+     */
+    async importToilets(upload) {
+        console.log('[TOILET-API] Importing toilets:', upload.format);
+
+        const response = await this.baseService.post(API_ENDPOINTS.TOILETS.IMPORT, upload);
+        console.log(`[TOILET-API] Imported ${response.report?.summary?.created || 0} toilets`);
+        return response;
+    }
+
     /**
      * Sync public toilet data from external APIs
      * @param {object} options - Sync options
@@ -148,6 +266,38 @@ export class ToiletApiService {
         return response;
     }
 
+    /**
+     * Get one page of a toilet's revision history, newest first (admin only)
+     * @param {string} toiletId - Toilet ID
+     * @param {object} options - { cursor, limit }
+     * @returns {Promise<{revisions: Array, current: number, nextCursor: string|null}>} History page;
+     * each revision has number, source, actorId, createdAt and changes [{ field, from, to }]
+     */
+    async getRevisions(toiletId, options = {}) {
+        const params = new URLSearchParams();
+        if (options.limit) params.append('limit', options.limit);
+        if (options.cursor) params.append('cursor', options.cursor);
+
+        const query = params.toString();
+        const response = await this.baseService.get(`${API_ENDPOINTS.TOILETS.REVISIONS(toiletId)}${query ? `?${query}` : ''}`);
+        return {
+            revisions: response?.data || [],
+            current: response?.current ?? 0,
+            nextCursor: response?.pagination?.nextCursor || null
+        };
+    }
+
+    /**
+     * Roll a toilet back to a revision; 0 is the toilet before its first change (admin only)
+     * @param {string} toiletId - Toilet ID
+     * @param {number} number - Revision number
+     * @returns {Promise} { success, data: toilet, revision }
+     */
+    async rollbackToilet(toiletId, number) {
+        console.log('[TOILET-API] Rolling back toilet:', toiletId, 'to revision', number);
+        return this.baseService.post(API_ENDPOINTS.TOILETS.ROLLBACK(toiletId, number), {});
+    }
+
     /**
      * Delete a toilet (admin only)
      * @param {string} toiletId - Toilet ID
@@ -162,10 +312,21 @@ export class ToiletApiService {
     }
 
     /**
-     * Search toilets by location or name
+     * Search toilets by name, location, description or facilities
+     * Results are ranked by relevance (blended with distance when lat/lng are given)
      * @param {string} query - Search query
      * @param {object} options - Search options
-     * @returns {Promise} Search results
+     * @param {number} [options.limit] - Maximum results (server caps at 100)
+     * @param {number} [options.offset] - Results to skip
+     * @param {string} [options.type] - 'public' or 'private'
+     * @param {string[]} [options.facilities] - Facilities every result must have
+     * @param {number} [options.minRating] - Minimum average rating
+     * @param {boolean} [options.verified] - Only verified (true) or unverified (false) toilets
+     * @param {object} [options.center] - { lat, lng } to rank by proximity
+     * @param {number} [options.radius] - Maximum distance from center in meters
+     * @param {string} [options.sort] - 'relevance', 'distance', 'rating' or 'reviews'
+     * @param {boolean} [options.openNow] - Only toilets open now
+     * @returns {Promise} Search results; each toilet has score, openingStatus and, with a center, distance in meters
      */
     async searchToilets(query, options = {}) {
         console.log('[TOILET-API] Searching toilets with query:', query);
@@ -173,9 +334,20 @@ export class ToiletApiService {
         const params = new URLSearchParams();
         params.append('q', query);
         if (options.limit) params.append('limit', options.limit);
+        if (options.offset) params.append('offset', options.offset);
         if (options.type) params.append('type', options.type);
+        if (options.facilities?.length) params.append('facilities', options.facilities.join(','));
+        if (options.minRating) params.append('minRating', options.minRating);
+        if (options.verified !== undefined) params.append('verified', options.verified);
+        if (options.center) {
+            params.append('lat', options.center.lat);
+            params.append('lng', options.center.lng);
+        }
+        if (options.radius) params.append('radius', options.radius);
+        if (options.sort) params.append('sort', options.sort);
+        if (options.openNow) params.append('openNow', 'true');
 
-        const endpoint = `${API_ENDPOINTS.TOILETS.MAP}/search?${params}`;
+        const endpoint = `${API_ENDPOINTS.TOILETS.SEARCH}?${params}`;
         const response = await this.baseService.get(endpoint);
 
         console.log(`[TOILET-API] Search completed, ${response.data?.length || 0} results`);
@@ -183,13 +355,19 @@ export class ToiletApiService {
     }
 
     /**
-     * Get toilets near a location
+     * Get toilets near a location, closest first
      * @param {object} center - Center coordinates
      * @param {number} center.lat - Latitude
      * @param {number} center.lng - Longitude
-     * @param {number} radius - Search radius in meters
+     * @param {number} radius - Search radius in meters (null for no limit)
      * @param {object} options - Additional options
-     * @returns {Promise} Nearby toilets
+     * @param {number} [options.limit] - Maximum results
+     * @param {string} [options.type] - 'public' or 'private'
+     * @param {string[]} [options.facilities] - Facilities every result must have
+     * @param {boolean} [options.accessible] - Only wheelchair accessible toilets
+     * @param {boolean} [options.urgent] - Rank for the nearest usable toilet instead of pure distance
+     * @param {boolean} [options.openNow] - Only toilets open now
+     * @returns {Promise} Nearby toilets, each with distance in meters, openingStatus and openNow (true/false/null)
      */
     async getNearbyToilets(center, radius = 1000, options = {}) {
         console.log('[TOILET-API] Finding nearby toilets:', center, `radius: ${radius}m`);
@@ -197,11 +375,15 @@ export class ToiletApiService {
         const params = new URLSearchParams();
         params.append('lat', center.lat);
         params.append('lng', center.lng);
-        params.append('radius', radius);
+        if (radius) params.append('radius', radius);
         if (options.limit) params.append('limit', options.limit);
         if (options.type) params.append('type', options.type);
+        if (options.facilities?.length) params.append('facilities', options.facilities.join(','));
+        if (options.accessible) params.append('accessible', 'true');
+        if (options.urgent) params.append('mode', 'urgent');
+        if (options.openNow) params.append('openNow', 'true');
 
-        const endpoint = `${API_ENDPOINTS.TOILETS.MAP}/nearby?${params}`;
+        const endpoint = `${API_ENDPOINTS.TOILETS.NEARBY}?${params}`;
         const response = await this.baseService.get(endpoint);
 
         console.log(`[TOILET-API] Found ${response.data?.length || 0} nearby toilets`);
@@ -309,22 +491,12 @@ export class ToiletApiService {
     }
 
     /**
-     * Get facility display name
-     * @param {string} facility - Facility code
+     * Get facility display name, from the taxonomy once getFacilities() has loaded it
+     * @param {string} facility - Facility id or alias
      * @returns {string} Display name
      */
     getFacilityDisplayName(facility) {
-        const facilityNames = {
-            handicap: 'Handicap Accessible',
-            baby_change: 'Baby Change Station',
-            shower: 'Shower',
-            bidet: 'Bidet',
-            paper_towel: 'Paper Towels',
-            hand_dryer: 'Hand Dryer',
-            unisex: 'Unisex',
-            fee_required: 'Fee Required'
-        };
-        return facilityNames[facility] || facility.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase());
+        return facilityName(this.facilityTaxonomy, facility);
     }
 }
 
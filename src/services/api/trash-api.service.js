@@ -0,0 +1,54 @@
+/**
+ * Trash API Service
+ * Lists and restores soft-deleted toilets and reviews (admin only)
+ */
+
+import { baseApiService } from './base-api.service.js';
+import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
+
+/**
+ * Trash API Service Class
+ */
+export class TrashApiService {
+    static PAGE_SIZE = 50;
+
+    constructor() {
+        this.baseService = baseApiService;
+    }
+
+    /**
+     * Get one page of trash entries, most recently deleted first
+     * @param {object} options - Query options
+     * @param {string} options.collection - 'toilets' or 'reviews' (both when omitted)
+     * @param {string} options.cursor - nextCursor from the previous page
+     * @returns {Promise<{entries: Array, nextCursor: string|null, total: number, retentionDays: number}>} Trash page
+     */
+    async getTrashPage(options = {}) {
+        const params = new URLSearchParams();
+        params.append('limit', options.limit || TrashApiService.PAGE_SIZE);
+        if (options.cursor) params.append('cursor', options.cursor);
+        if (options.collection) params.append('collection', options.collection);
+
+        const response = await this.baseService.get(`${API_ENDPOINTS.ADMIN.TRASH}?${params}`);
+        const pagination = response?.pagination || {};
+        return {
+            entries: response?.data || [],
+            nextCursor: pagination.nextCursor || null,
+            total: pagination.total ?? 0,
+            retentionDays: response?.retentionDays
+        };
+    }
+
+    /**
+     * Restore a trashed toilet (with the reviews deleted along with it) or review
+     * @param {string} entryId - Trash entry ID, e.g. 'toilets:123'
+     * @returns {Promise} { success, restored: { collection, id, reviews } }
+     */
+    async restore(entryId) {
+        console.log('[TRASH-API] Restoring:', entryId);
+        return this.baseService.post(API_ENDPOINTS.ADMIN.TRASH_RESTORE(entryId), {});
+    }
+}
+
+// Create singleton instance
+export const trashApiService = new TrashApiService();
@@ -0,0 +1,71 @@
+/**
+ * User API Service
+ * Accounts and their roles, and invitations to register with a role
+ * (admin only)
+ */
+
+import { baseApiService } from './base-api.service.js';
+import { API_ENDPOINTS } from '../../core/constants/api.constants.js';
+
+/**
+ * User API Service Class
+ */
+export class UserApiService {
+    static PAGE_SIZE = 50;
+
+    // Assignable roles, lowest first; see backend/models/roles.js
+    static ROLES = ['user', 'reviewer', 'operator', 'moderator', 'admin', 'super-admin'];
+
+    constructor() {
+        this.baseService = baseApiService;
+    }
+
+    /**
+     * Get one page of users, newest first
+     * @param {object} options - Query options
+     * @param {string} options.role - Only users with this role (all when omitted)
+     * @param {string} options.cursor - nextCursor from the previous page
+     * @returns {Promise<{users: Array, nextCursor: string|null, total: number}>} User page
+     */
+    async getUsersPage(options = {}) {
+        const params = new URLSearchParams();
+        params.append('limit', options.limit || UserApiService.PAGE_SIZE);
+        if (options.cursor) params.append('cursor', options.cursor);
+        if (options.role) params.append('role', options.role);
+
+        const response = await this.baseService.get(`${API_ENDPOINTS.ADMIN.USERS}?${params}`);
+        const pagination = response?.pagination || {};
+        return {
+            users: response?.data || [],
+            nextCursor: pagination.nextCursor || null,
+            total: pagination.total ?? 0
+        };
+    }
+
+    /**
+     * Invite someone to register with a role
+     * @param {string} email - Invitee's email address
+     * @param {string} role - Role they will get
+     * @returns {Promise<{token: string, email: string, role: string}>} The invitation
+     */
+    async invite(email, role) {
+        console.log('[USER-API] Inviting', email, 'as', role);
+        const response = await this.baseService.post(API_ENDPOINTS.ADMIN.USER_INVITE, { email, role });
+        return response?.data;
+    }
+
+    /**
+     * Give a user another role
+     * @param {string} userId - User ID
+     * @param {string} role - New role
+     * @returns {Promise} The updated user
+     */
+    async changeRole(userId, role) {
+        console.log('[USER-API] Changing role of', userId, 'to', role);
+        const response = await this.baseService.put(API_ENDPOINTS.ADMIN.USER_ROLE(userId), { role });
+        return response?.data;
+    }
+}
+
+// Create singleton instance
+export const userApiService = new UserApiService();
@@ -47,7 +47,10 @@ export class AppStore {
             settings: {
                 mapFilters: {
                     showPublic: true,
-                    showPrivate: true
+                    showPrivate: true,
+                    openNow: false,
+                    price: 'any',
+                    upi: false
                 },
                 qrScanner: {
                     active: false,
@@ -275,7 +278,10 @@ export class AppStore {
             settings: {
                 mapFilters: {
                     showPublic: true,
-                    showPrivate: true
+                    showPrivate: true,
+                    openNow: false,
+                    price: 'any',
+                    upi: false
                 },
                 qrScanner: {
                     active: false,